@@ -8,7 +8,61 @@ const axios = require("axios");
 const FormData = require("form-data");
 const fs = require("fs");
 const path = require("path");
+const readline = require("readline");
 const utils = require("../core/utils");
+const Cassette = require("./cassette");
+const MessageStream = require("./message-stream");
+const RateLimiter = require("./rate-limiter");
+const ResponseCache = require("./response-cache");
+const UsageLedger = require("./usage-ledger");
+const { estimateCost } = require("./usage-ledger");
+const UploadIndex = require("./upload-index");
+const Budget = require("./budget");
+const RetryPolicy = require("./retry-policy");
+const MiddlewarePipeline = require("./middleware");
+const HarTracer = require("./har-tracer");
+const { TRACE_MIDDLEWARE } = require("./har-tracer");
+const {
+  getMaxOutputTokens,
+  getFallbackChain,
+  shouldFallback,
+} = require("./model-fallback");
+const {
+  resolveProxy,
+  loadTlsOptions,
+  createAgentConfig,
+  redactProxyUrl,
+} = require("./http-agent");
+const {
+  buildMessagesPayload,
+  validateMessagesPayload,
+  estimateInputTokens,
+} = require("./message-params");
+const {
+  HUMAN_PROMPT,
+  parseCompletionPrompt,
+  toCompletion,
+  CompletionStream,
+} = require("./legacy-completion");
+const {
+  OUTPUT_TOOL_NAME,
+  validateJsonSchema,
+  createOutputTool,
+  extractOutput,
+} = require("./structured-output");
+const { ClaudeCliError, ValidationError } = require("../core/error-handler");
+
+// 响应缓存模式：auto（缓存确定性请求）、off（不使用缓存）、only（只读取缓存，不发送请求）
+const CACHE_MODES = ["auto", "off", "only"];
+
+// 文件API的beta标识
+const FILES_BETA = "files-api-2025-04-14";
+
+// 内置中间件（按执行顺序，位于配置的中间件之后，最靠近HTTP请求）
+const BUILTIN_MIDDLEWARE = ["errors", "logging", "rate-limit-headers"];
+
+// 结构化输出校验失败时的默认重试次数
+const DEFAULT_STRUCTURED_RETRIES = 2;
 
 /**
  * API客户端类
@@ -21,6 +75,20 @@ class ApiClient {
    * @param {string} options.apiUrl - API基础URL
    * @param {number} options.timeout - 请求超时时间（毫秒）
    * @param {number} options.maxRetries - 最大重试次数
+   * @param {RetryPolicy} options.retryPolicy - 默认重试策略
+   * @param {string} options.proxy - 代理URL（优先于配置和环境变量）
+   * @param {Object} options.config - 配置管理器（读取proxy、caCertPath等网络配置）
+   * @param {ResponseCache|null} options.cache - 响应缓存（null表示不使用缓存）
+   * @param {string} options.cacheMode - 响应缓存模式（auto、off、only）
+   * @param {Cassette|null} options.cassette - 录制/回放（默认根据CLAUDE_RECORD和CLAUDE_REPLAY环境变量创建）
+   * @param {string|boolean|Array<string>} options.promptCache - 默认的提示缓存断点设置（auto、off，或断点位置，默认off）
+   * @param {UsageLedger|null} options.usageLedger - 用量账本（null表示不记录用量）
+   * @param {Budget|null} options.budget - 费用预算（默认根据budgets配置创建，null表示不检查预算）
+   * @param {boolean} options.overrideBudget - 是否忽略预算硬上限
+   * @param {UploadIndex|null} options.uploadIndex - 上传索引（用于复用内容相同的已上传文件，null表示不复用）
+   * @param {RateLimiter|null} options.rateLimiter - 速率限制器（默认使用按API密钥共享的限制器，null表示不限制）
+   * @param {Array<Object|Function>} options.middleware - 中间件（在配置的middleware之后执行）
+   * @param {Object} options.modelFallbacks - 模型过载时的回退链（模型名前缀 -> 模型数组，默认读取配置）
    * @param {Object} options.logger - 日志记录器
    * @param {Object} options.errorHandler - 错误处理器
    */
@@ -31,6 +99,72 @@ class ApiClient {
     this.maxRetries = options.maxRetries || 3;
     this.logger = options.logger;
     this.errorHandler = options.errorHandler;
+    this.retryPolicy =
+      options.retryPolicy || new RetryPolicy({ maxRetries: this.maxRetries });
+    this.config = options.config;
+    this.proxy = options.proxy || null;
+
+    // TLS设置（CA证书和mTLS客户端证书）
+    this.tlsSettings = {
+      caCertPath: options.caCertPath || this._getConfig("caCertPath"),
+      clientCertPath:
+        options.clientCertPath || this._getConfig("clientCertPath"),
+      clientKeyPath: options.clientKeyPath || this._getConfig("clientKeyPath"),
+      clientKeyPassphrase:
+        options.clientKeyPassphrase || this._getConfig("clientKeyPassphrase"),
+    };
+
+    // 录制/回放
+    this.cassette =
+      options.cassette !== undefined
+        ? options.cassette
+        : Cassette.fromEnv(process.env, { logger: this.logger });
+
+    // 响应缓存（录制/回放时默认不使用，保证每个请求都被录制或回放）
+    this.cache =
+      options.cache !== undefined || this.cassette
+        ? options.cache || null
+        : this._createResponseCache();
+    this.cacheMode =
+      options.cacheMode ||
+      (this._getConfig("cache") === false ? "off" : "auto");
+
+    // 提示缓存断点（缓存写入比普通输入贵，默认不放置，由调用方或配置启用）
+    this.promptCache =
+      options.promptCache ?? this._getConfig("promptCache") ?? "off";
+
+    // 用量账本（回放时默认不记录，回放的用量不是真实消耗）
+    this.usageLedger = options.usageLedger;
+
+    if (this.usageLedger === undefined) {
+      const replaying = this.cassette && this.cassette.mode === "replay";
+      const tracking = !replaying && this._getConfig("usageTracking") !== false;
+
+      this.usageLedger = tracking ? this._createUsageLedger() : null;
+    }
+
+    this.usageContext = {};
+
+    // 费用预算（根据用量账本中的已花费金额检查）
+    this.budget =
+      options.budget !== undefined ? options.budget : this._createBudget();
+    this.overrideBudget = options.overrideBudget || false;
+
+    // 上传索引（内容哈希到远程文件ID）
+    this.uploadIndex =
+      options.uploadIndex !== undefined
+        ? options.uploadIndex
+        : this._createUploadIndex();
+
+    // 速率限制器（未指定时使用按API密钥共享的实例）
+    this.rateLimiter = options.rateLimiter;
+
+    // 模型过载时的回退链和各模型的输出令牌上限
+    this.modelFallbacks =
+      options.modelFallbacks !== undefined
+        ? options.modelFallbacks
+        : this._getConfig("modelFallbacks");
+    this.modelMaxTokens = this._getConfig("modelMaxTokens") || {};
 
     // 初始化HTTP客户端
     this.client = axios.create({
@@ -43,54 +177,415 @@ class ApiClient {
       },
     });
 
-    // 添加请求拦截器
-    this.client.interceptors.request.use(
-      (config) => {
-        if (this.logger) {
-          this.logger.debug(
-            `API请求: ${config.method.toUpperCase()} ${config.url}`
-          );
-        }
-        return config;
-      },
-      (error) => {
-        if (this.logger) {
-          this.logger.error(`API请求错误: ${error.message}`);
-        }
-        return Promise.reject(error);
+    // 中间件链（配置的中间件在外层，内置中间件最靠近HTTP请求）
+    this.middleware = new MiddlewarePipeline({
+      middlewares: [
+        ...this._loadConfiguredMiddleware(),
+        ...(options.middleware || []),
+        ...this._createBuiltinMiddleware(),
+      ],
+      logger: this.logger,
+    });
+
+    // HTTP交换跟踪（HAR文件）
+    this.setTrace(options.trace || null);
+
+    // 配置代理和TLS
+    this._configureNetwork();
+
+    if (this.cassette) {
+      this.client.defaults.adapter = this.cassette.createAdapter(
+        axios.getAdapter(axios.defaults.adapter)
+      );
+
+      if (this.logger) {
+        this.logger.info(
+          `${this.cassette.mode === "record" ? "录制" : "回放"}API请求: ${
+            this.cassette.path
+          }`
+        );
       }
-    );
+    }
+  }
 
-    // 添加响应拦截器
-    this.client.interceptors.response.use(
-      (response) => {
-        if (this.logger) {
-          this.logger.debug(
-            `API响应: ${response.status} ${response.statusText}`
-          );
-        }
-        return response;
+  /**
+   * 添加中间件（位于内置中间件之前）
+   * @param {Object|Function} middleware - 中间件
+   * @returns {ApiClient} - 当前实例
+   */
+  use(middleware) {
+    this.middleware.use(middleware, { before: BUILTIN_MIDDLEWARE[0] });
+    return this;
+  }
+
+  /**
+   * 加载配置中列出的中间件模块
+   * @private
+   * @returns {Array<Object>} - 中间件
+   */
+  _loadConfiguredMiddleware() {
+    const specs = this._getConfig("middleware");
+
+    if (!specs) {
+      return [];
+    }
+
+    const configPath = this.config && this.config.configPath;
+
+    return MiddlewarePipeline.load(specs, {
+      baseDir: configPath ? path.dirname(configPath) : undefined,
+      logger: this.logger,
+    });
+  }
+
+  /**
+   * 创建内置中间件：错误转换、请求日志和根据响应头调整速率限制
+   * @private
+   * @returns {Array<Object>} - 中间件（名称见BUILTIN_MIDDLEWARE）
+   */
+  _createBuiltinMiddleware() {
+    const [errors, logging, rateLimitHeaders] = BUILTIN_MIDDLEWARE;
+
+    return [
+      {
+        name: errors,
+        request: async (context, next) => {
+          try {
+            return await next();
+          } catch (error) {
+            throw this._handleError(error);
+          }
+        },
       },
-      (error) => {
-        if (this.logger) {
-          if (error.response) {
-            this.logger.error(
-              `API响应错误: ${error.response.status} ${error.response.statusText}`
-            );
-            this.logger.debug(
-              `API响应错误详情: ${JSON.stringify(error.response.data)}`
-            );
-          } else if (error.request) {
-            this.logger.error(`API请求错误: 无响应`);
-          } else {
-            this.logger.error(`API错误: ${error.message}`);
+      {
+        name: logging,
+        request: async (context, next) => {
+          const { method, url } = context.request;
+
+          if (this.logger) {
+            this.logger.debug(`API请求: ${method.toUpperCase()} ${url}`);
+          }
+
+          try {
+            const response = await next();
+
+            if (this.logger) {
+              this.logger.debug(
+                `API响应: ${response.status} ${response.statusText}`
+              );
+            }
+
+            return response;
+          } catch (error) {
+            if (this.logger) {
+              this._logRequestError(error);
+            }
+
+            throw error;
+          }
+        },
+      },
+      {
+        name: rateLimitHeaders,
+        request: async (context, next) => {
+          try {
+            const response = await next();
+
+            this._updateRateLimits(response);
+
+            return response;
+          } catch (error) {
+            this._updateRateLimits(error.response);
+            throw error;
           }
+        },
+      },
+    ];
+  }
+
+  /**
+   * 记录HTTP请求失败的日志
+   * @private
+   * @param {Error} error - axios错误
+   */
+  _logRequestError(error) {
+    if (error.response) {
+      this.logger.error(
+        `API响应错误: ${error.response.status} ${error.response.statusText}`
+      );
+      const { data } = error.response;
+
+      // 流式请求的错误响应体是未读取的流，无法序列化
+      if (data && typeof data.pipe !== "function") {
+        this.logger.debug(`API响应错误详情: ${JSON.stringify(data)}`);
+      }
+    } else if (error.request) {
+      this.logger.error(`API请求错误: 无响应`);
+    } else {
+      this.logger.error(`API错误: ${error.message}`);
+    }
+  }
+
+  /**
+   * 读取配置值
+   * @private
+   * @param {string} key - 配置键
+   * @returns {*} - 配置值
+   */
+  _getConfig(key) {
+    return this.config ? this.config.get(key) : undefined;
+  }
+
+  /**
+   * 根据配置创建响应缓存
+   * @private
+   * @returns {ResponseCache} - 响应缓存
+   */
+  _createResponseCache() {
+    const configPath = this.config && this.config.configPath;
+
+    return new ResponseCache({
+      dir:
+        this._getConfig("cachePath") ||
+        (configPath && path.join(path.dirname(configPath), "cache")),
+      ttl: this._getConfig("cacheTtl"),
+      maxSize: this._getConfig("cacheMaxSize"),
+      logger: this.logger,
+    });
+  }
+
+  /**
+   * 设置响应缓存模式
+   * @param {string} mode - 缓存模式（auto、off、only）
+   */
+  setCacheMode(mode) {
+    if (!CACHE_MODES.includes(mode)) {
+      throw new ClaudeCliError(
+        `无效的缓存模式: ${mode}`,
+        "INVALID_CACHE_MODE",
+        {
+          mode,
+          modes: CACHE_MODES,
         }
-        return Promise.reject(this._handleError(error));
+      );
+    }
+
+    this.cacheMode = mode;
+  }
+
+  /**
+   * 获取速率限制器
+   * @returns {RateLimiter|null} - 速率限制器，未启用时返回null
+   */
+  getRateLimiter() {
+    if (this.rateLimiter !== undefined) {
+      return this.rateLimiter;
+    }
+
+    return RateLimiter.shared(this.apiKey, {
+      requestsPerMinute: this._getConfig("requestsPerMinute"),
+      inputTokensPerMinute: this._getConfig("inputTokensPerMinute"),
+      outputTokensPerMinute: this._getConfig("outputTokensPerMinute"),
+      logger: this.logger,
+    });
+  }
+
+  /**
+   * 根据响应头中的anthropic-ratelimit-*调整速率限制
+   * @private
+   * @param {Object} response - axios响应对象
+   */
+  _updateRateLimits(response) {
+    const rateLimiter = this.getRateLimiter();
+
+    if (rateLimiter && response && response.headers) {
+      rateLimiter.updateFromHeaders(response.headers);
+    }
+  }
+
+  /**
+   * 设置用量记录的上下文（如当前命令和API密钥名称）
+   * @param {Object} context - 上下文
+   * @param {string} context.command - 发起请求的命令
+   * @param {string} context.keyName - API密钥名称
+   */
+  setUsageContext(context) {
+    this.usageContext = { ...this.usageContext, ...context };
+  }
+
+  /**
+   * 将请求的令牌用量记录到用量账本
+   * @private
+   * @param {Object} entry - 用量记录（model、endpoint、latency、usage）
+   */
+  _recordUsage(entry) {
+    if (this.usageLedger) {
+      this.usageLedger.record({ ...this.usageContext, ...entry });
+    }
+  }
+
+  /**
+   * 根据配置创建用量账本
+   * @private
+   * @returns {UsageLedger} - 用量账本
+   */
+  _createUsageLedger() {
+    const configPath = this.config && this.config.configPath;
+
+    return new UsageLedger({
+      path:
+        this._getConfig("usagePath") ||
+        (configPath && path.join(path.dirname(configPath), "usage.jsonl")),
+      prices: this._getConfig("prices"),
+      logger: this.logger,
+    });
+  }
+
+  /**
+   * 根据配置创建费用预算
+   * @private
+   * @returns {Budget|null} - 费用预算，未配置budgets或未记录用量时返回null
+   */
+  _createBudget() {
+    const limits = this._getConfig("budgets");
+
+    if (!limits) {
+      return null;
+    }
+
+    if (!this.usageLedger) {
+      if (this.logger) {
+        this.logger.warn("未记录用量，预算设置不会生效");
       }
+      return null;
+    }
+
+    return new Budget({
+      limits,
+      ledger: this.usageLedger,
+      logger: this.logger,
+    });
+  }
+
+  /**
+   * 根据配置创建上传索引
+   * @private
+   * @returns {UploadIndex} - 上传索引
+   */
+  _createUploadIndex() {
+    const configPath = this.config && this.config.configPath;
+
+    return new UploadIndex({
+      path:
+        this._getConfig("uploadIndexPath") ||
+        (configPath && path.join(path.dirname(configPath), "uploads.json")),
+      ttl: this._getConfig("uploadIndexTtl"),
+      logger: this.logger,
+    });
+  }
+
+  /**
+   * 设置是否忽略预算硬上限
+   * @param {boolean} override - 是否忽略
+   */
+  setBudgetOverride(override) {
+    this.overrideBudget = override;
+  }
+
+  /**
+   * 发送前按预计的令牌消耗检查费用预算
+   * @private
+   * @param {string} model - 模型名称
+   * @param {Object} cost - 预计的令牌消耗（inputTokens、outputTokens）
+   * @throws {BudgetExceededError} - 超过预算硬上限且未忽略时抛出
+   */
+  _checkBudget(model, cost) {
+    if (!this.budget) {
+      return;
+    }
+
+    this.budget.check(
+      { model, ...cost, keyName: this.usageContext.keyName },
+      { override: this.overrideBudget }
     );
   }
 
+  /**
+   * 提交批处理前按所有请求的预计费用合计检查费用预算
+   * @private
+   * @param {Array<Object>} requests - 批处理请求（custom_id、params）
+   * @throws {BudgetExceededError} - 超过预算硬上限且未忽略时抛出
+   */
+  _checkBatchBudget(requests) {
+    if (!this.budget) {
+      return;
+    }
+
+    let estimatedCost = 0;
+
+    for (const { params } of requests) {
+      estimatedCost +=
+        estimateCost(
+          {
+            input_tokens: estimateInputTokens(params),
+            output_tokens: params.max_tokens,
+          },
+          params.model,
+          this.budget.ledger.prices
+        ) || 0;
+    }
+
+    this.budget.check(
+      { estimatedCost, keyName: this.usageContext.keyName },
+      { override: this.overrideBudget }
+    );
+  }
+
+  /**
+   * 根据代理和TLS设置配置HTTP客户端
+   * @private
+   */
+  _configureNetwork() {
+    this.proxyInfo = resolveProxy({
+      targetUrl: this.apiUrl,
+      proxy: this.proxy,
+      configProxy: this._getConfig("proxy"),
+    });
+
+    const agentConfig = createAgentConfig({
+      targetUrl: this.apiUrl,
+      proxyUrl: this.proxyInfo.url,
+      tlsOptions: loadTlsOptions(this.tlsSettings),
+    });
+
+    Object.assign(this.client.defaults, agentConfig);
+
+    if (this.logger && this.proxyInfo.url) {
+      this.logger.debug(
+        `使用代理: ${redactProxyUrl(this.proxyInfo.url)} (来源: ${
+          this.proxyInfo.source
+        })`
+      );
+    }
+  }
+
+  /**
+   * 获取当前生效的网络设置（代理认证信息已隐藏）
+   * @returns {Object} - 网络设置
+   */
+  getNetworkSettings() {
+    return {
+      apiUrl: this.apiUrl,
+      proxy: redactProxyUrl(this.proxyInfo.url),
+      proxySource: this.proxyInfo.source,
+      noProxy: this.proxyInfo.noProxy,
+      proxyBypassed: this.proxyInfo.bypassed,
+      caCertPath: this.tlsSettings.caCertPath || null,
+      clientCertPath: this.tlsSettings.clientCertPath || null,
+      clientKeyPath: this.tlsSettings.clientKeyPath || null,
+    };
+  }
+
   /**
    * 处理API错误
    * @private
@@ -98,21 +593,30 @@ class ApiClient {
    * @returns {Error} - 处理后的错误对象
    */
   _handleError(error) {
-    if (this.errorHandler) {
-      if (error.response) {
-        // 服务器返回错误响应
-        return this.errorHandler.createApiError(
-          error.response.data.error?.message || error.message,
-          error.response.status,
-          error.response.data
-        );
-      } else if (error.request) {
-        // 请求未收到响应
-        return this.errorHandler.createNetworkError("请求未收到响应", {
-          request: error.request,
-          config: error.config,
-        });
-      }
+    // 取消的请求保持原样，重试策略据此判断不再重试
+    if (!this.errorHandler || axios.isCancel(error)) {
+      return error;
+    }
+
+    if (error.response) {
+      // 服务器返回错误响应（按错误类型转换，附带request-id，便于向Anthropic反馈问题）
+      const { status, data } = error.response;
+      const body = data && typeof data === "object" ? data : {};
+      const headers = RetryPolicy.getHeaders(error);
+
+      return this.errorHandler.createApiError(
+        body.error?.message || error.message,
+        status,
+        { ...body, requestId: headers["request-id"], headers }
+      );
+    }
+
+    if (error.request) {
+      // 请求未收到响应（保留原始错误代码供重试策略判断）
+      return this.errorHandler.createNetworkError(
+        `请求未收到响应: ${error.message}`,
+        { code: error.code, url: error.config && error.config.url }
+      );
     }
 
     return error;
@@ -126,27 +630,126 @@ class ApiClient {
    * @param {string} options.endpoint - API端点
    * @param {Object} options.data - 请求数据
    * @param {Object} options.headers - 请求头
+   * @param {Object} options.params - 查询参数
    * @param {boolean} options.stream - 是否流式请求
-   * @returns {Promise<Object>} - 响应数据
+   * @param {string} options.responseType - 响应类型（默认json，stream表示返回原始流）
+   * @param {RetryPolicy|Object|boolean} options.retry - 本次请求的重试策略（策略实例、覆盖选项，或false表示不重试）
+   * @param {AbortSignal} options.signal - 中止信号，用于取消请求（包括进行中的流）
+   * @param {Object} options.rateLimit - 预计的令牌消耗（inputTokens、outputTokens），用于速率限制
+   * @returns {Promise<Object|MessageStream>} - 响应数据（流式请求时为消息流）
    */
-  async _request({ method, endpoint, data, headers = {}, stream = false }) {
+  async _request({
+    method,
+    endpoint,
+    data,
+    headers = {},
+    params,
+    stream = false,
+    responseType,
+    retry,
+    signal,
+    rateLimit = {},
+  }) {
     const requestConfig = {
       method,
       url: endpoint,
       headers: { ...headers },
-      responseType: stream ? "stream" : "json",
+      responseType: responseType || (stream ? "stream" : "json"),
     };
 
     if (data) {
       requestConfig.data = data;
     }
 
+    if (params) {
+      requestConfig.params = params;
+    }
+
+    if (signal) {
+      requestConfig.signal = signal;
+    }
+
+    const policy = this._resolveRetryPolicy(retry);
+
+    // 最近一次重试决策的原因
+    let retryReason = "";
+
+    // 已尝试的次数
+    let attempts = 0;
+
+    const rateLimiter = this.getRateLimiter();
+
     return utils.retry(
       async () => {
+        // 每次尝试（包括重试）都计入速率限制，额度不足时排队等待
+        const permit = rateLimiter
+          ? await rateLimiter.acquire(rateLimit, { signal })
+          : null;
+
+        const startedAt = Date.now();
+
+        // 响应结束后（流式响应包括出错和中断），按实际用量校正速率限制并记录到用量账本
+        const onComplete = (message) => {
+          const usage = message && message.usage;
+
+          if (permit) {
+            permit.settle(usage);
+          }
+
+          if (usage) {
+            this._recordUsage({
+              model: message.model || (data && data.model),
+              endpoint,
+              latency: Date.now() - startedAt,
+              usage,
+            });
+          }
+        };
+
+        // 每次尝试使用独立的请求配置，中间件的修改不会影响重试
+        const context = {
+          request: { ...requestConfig, headers: { ...requestConfig.headers } },
+          endpoint,
+          stream,
+          attempt: ++attempts,
+          client: this,
+          state: {},
+        };
+
         try {
-          const response = await this.client(requestConfig);
+          const response = await this.middleware.execute(context, () =>
+            this.client(context.request)
+          );
+
+          if (stream) {
+            const streamOptions = {
+              logger: this.logger,
+              transformEvent: (event) =>
+                this.middleware.transformEvent(event, context),
+            };
+
+            // 中间件短路时可以直接返回完整消息
+            const messageStream =
+              response.data && response.data[Symbol.asyncIterator]
+                ? new MessageStream(response.data, streamOptions)
+                : MessageStream.fromMessage(response.data, streamOptions);
+
+            // 出错或被中断的流同样需要结算许可，并记录已经产生的用量
+            messageStream
+              .onFinalMessage(onComplete)
+              .onError((error, message) => onComplete(message));
+
+            return messageStream;
+          }
+
+          onComplete(response.data);
+
           return response.data;
         } catch (error) {
+          if (permit) {
+            permit.settle();
+          }
+
           if (this.logger) {
             this.logger.error(`API请求失败: ${error.message}`);
           }
@@ -154,12 +757,29 @@ class ApiClient {
         }
       },
       {
-        retries: this.maxRetries,
-        retryDelay: 1000,
-        onRetry: (error, attempt) => {
+        retries: policy.maxRetries,
+        signal,
+        shouldRetry: (error, attempt) => {
+          const decision = policy.shouldRetry(error, attempt);
+
+          if (!decision.retry && this.logger) {
+            this.logger.debug(
+              `不重试API请求 ${method.toUpperCase()} ${endpoint}: ${
+                decision.reason
+              }`
+            );
+          }
+
+          retryReason = decision.reason;
+          return decision.retry;
+        },
+        retryDelay: (error, attempt) => policy.getDelay(error, attempt),
+        onRetry: (error, attempt, delay) => {
           if (this.logger) {
             this.logger.warn(
-              `重试API请求 (${attempt}/${this.maxRetries}): ${error.message}`
+              `重试API请求 (${attempt + 1}/${
+                policy.maxRetries
+              }) ${retryReason}，${delay}ms后重试: ${error.message}`
             );
           }
         },
@@ -167,56 +787,385 @@ class ApiClient {
     );
   }
 
+  /**
+   * 解析本次请求使用的重试策略
+   * @private
+   * @param {RetryPolicy|Object|boolean} retry - 重试策略、覆盖选项或false
+   * @returns {RetryPolicy} - 重试策略
+   */
+  _resolveRetryPolicy(retry) {
+    if (retry instanceof RetryPolicy) {
+      return retry;
+    }
+
+    if (retry === false) {
+      return this.retryPolicy.with({ maxRetries: 0 });
+    }
+
+    if (retry && typeof retry === "object") {
+      return this.retryPolicy.with(retry);
+    }
+
+    return this.retryPolicy;
+  }
+
   /**
    * 发送消息到模型
    * @param {Object} options - 选项
    * @param {string} options.model - 模型名称
-   * @param {Array<Object>} options.messages - 消息数组
+   * @param {Array<Object>} options.messages - 消息数组（内容可以是字符串或内容块数组）
    * @param {number} options.maxTokens - 最大令牌数
    * @param {number} options.temperature - 温度
+   * @param {string|Array<Object>} options.system - 系统提示（字符串或文本块数组）
+   * @param {Array<string>} options.stopSequences - 停止序列
+   * @param {number} options.topP - 核采样概率
+   * @param {number} options.topK - Top-K采样
+   * @param {Object} options.metadata - 元数据（user_id）
+   * @param {Array<Object>} options.tools - 工具定义
+   * @param {Object} options.toolChoice - 工具选择
+   * @param {Array<string>} options.fileIds - 已上传文件的ID（作为文档块附加）
+   * @param {Array<Object>} options.documents - 附加到第一条用户消息的document内容块
+   * @param {boolean} options.citations - 为附加的文档启用引用
+   * @param {number} options.thinkingBudget - 扩展思考预算（令牌数，需小于maxTokens）
+   * @param {Object} options.thinking - 扩展思考配置（原样发送，优先于thinkingBudget）
+   * @param {string|boolean|Array<string>} options.promptCache - 本次请求的提示缓存断点设置（默认使用客户端设置）
    * @param {boolean} options.stream - 是否流式响应
-   * @returns {Promise<Object>} - 响应数据
+   * @param {RetryPolicy|Object|boolean} options.retry - 本次请求的重试策略
+   * @param {AbortSignal} options.signal - 中止信号
+   * @param {string|boolean} options.cache - 本次请求的缓存模式（false等同于off）
+   * @param {boolean} options.fallback - 模型过载时是否改用回退模型（默认true）
+   * @returns {Promise<Object|MessageStream>} - 响应数据（流式响应时为消息流）；改用回退模型时带有fallback字段（requestedModel、model、failures）
+   * 流式响应在收到第一个内容块之前返回过载错误时同样回退；之后出现的错误在迭代消息流时抛出。
+   * @throws {ValidationError} - 请求参数无效时在发送前抛出
+   * @throws {BudgetExceededError} - 预计费用超过预算硬上限时在发送前抛出
    */
   async sendMessages(options) {
-    const payload = {
-      model: options.model,
-      messages: options.messages,
-      max_tokens: options.maxTokens || 1000,
-      temperature: options.temperature,
+    const chain =
+      options.fallback === false
+        ? [options.model]
+        : getFallbackChain(options.model, this.modelFallbacks);
+    const failures = [];
+    let lastError;
+
+    for (const [index, model] of chain.entries()) {
+      const modelOptions = { ...options, model };
+
+      if (index > 0) {
+        // 回退模型的max_tokens不能超过该模型的上限
+        const limit = getMaxOutputTokens(model, this.modelMaxTokens);
+
+        if (limit && (options.maxTokens || 1000) > limit) {
+          modelOptions.maxTokens = limit;
+        }
+
+        if (options.thinkingBudget >= modelOptions.maxTokens) {
+          if (this.logger) {
+            this.logger.warn(
+              `思考预算超过模型 ${model} 的输出上限，跳过该模型`
+            );
+          }
+          continue;
+        }
+      }
+
+      try {
+        const response = await this._sendMessagesToModel(modelOptions);
+
+        // 过载错误也可能出现在流的开头，在输出任何内容之前仍可回退
+        if (response instanceof MessageStream && index < chain.length - 1) {
+          await response.waitForContent();
+        }
+
+        if (failures.length > 0) {
+          this._markFallback(response, {
+            requestedModel: options.model,
+            model,
+            failures,
+          });
+        }
+
+        return response;
+      } catch (error) {
+        const aborted = options.signal && options.signal.aborted;
+
+        if (aborted || !shouldFallback(error) || index === chain.length - 1) {
+          throw error;
+        }
+
+        const status = RetryPolicy.getStatus(error);
+
+        lastError = error;
+        failures.push({ model, status, message: error.message });
+
+        if (this.logger) {
+          this.logger.warn(
+            `模型 ${model} 不可用 (${status})，改用 ${chain[index + 1]}`
+          );
+        }
+      }
+    }
+
+    // 之后的回退模型都被跳过，抛出最后一次失败的错误
+    throw lastError;
+  }
+
+  /**
+   * 在响应上记录模型回退信息
+   * @private
+   * @param {Object|MessageStream} response - 响应数据或消息流
+   * @param {Object} fallback - 回退信息（requestedModel、model、failures）
+   */
+  _markFallback(response, fallback) {
+    response.fallback = fallback;
+
+    // 流式响应的完整消息同样带有回退信息
+    if (response instanceof MessageStream) {
+      response.onFinalMessage((message) => {
+        message.fallback = fallback;
+      });
+    }
+  }
+
+  /**
+   * 使用指定的模型发送消息（不回退）
+   * @private
+   * @param {Object} options - 选项（同sendMessages）
+   * @returns {Promise<Object|MessageStream>} - 响应数据（流式响应时为消息流）
+   */
+  async _sendMessagesToModel(options) {
+    const payload = buildMessagesPayload({
+      ...options,
+      promptCache: options.promptCache ?? this.promptCache,
+    });
+
+    validateMessagesPayload(payload);
+
+    const cacheMode =
+      options.cache === false ? "off" : options.cache || this.cacheMode;
+    const cacheKey = this._getCacheKey(payload, cacheMode);
+
+    if (cacheKey) {
+      const cached = this.cache.get(cacheKey);
+
+      if (cached) {
+        if (this.logger) {
+          this.logger.debug(`使用缓存的响应: ${cacheKey}`);
+        }
+
+        return payload.stream
+          ? MessageStream.fromMessage(cached, { logger: this.logger })
+          : cached;
+      }
+
+      if (cacheMode === "only") {
+        throw new ClaudeCliError(
+          "缓存中没有匹配的响应（已启用仅缓存模式）",
+          "CACHE_MISS",
+          { cacheKey }
+        );
+      }
+    }
+
+    const headers = {};
+
+    const usesFiles =
+      (options.fileIds && options.fileIds.length > 0) ||
+      (options.documents || []).some(
+        (document) => document.source && document.source.type === "file"
+      );
+
+    if (usesFiles) {
+      headers["anthropic-beta"] = FILES_BETA;
+    }
+
+    const cost = {
+      inputTokens: estimateInputTokens(payload),
+      outputTokens: payload.max_tokens,
     };
 
-    return this._request({
+    this._checkBudget(payload.model, cost);
+
+    const response = await this._request({
       method: "post",
       endpoint: "/v1/messages",
       data: payload,
+      headers,
       stream: options.stream,
+      retry: options.retry,
+      signal: options.signal,
+      rateLimit: cost,
     });
+
+    if (cacheKey) {
+      // 流式响应在完整接收后才写入缓存，被中断的流不会缓存
+      if (response instanceof MessageStream) {
+        response.onFinalMessage((message) => this.cache.set(cacheKey, message));
+      } else {
+        this.cache.set(cacheKey, response);
+      }
+    }
+
+    return response;
   }
 
   /**
-   * 发送对话到模型
+   * 获取请求的缓存键
+   * @private
+   * @param {Object} payload - 请求体
+   * @param {string} cacheMode - 缓存模式
+   * @returns {string|null} - 缓存键，不使用缓存时返回null
+   */
+  _getCacheKey(payload, cacheMode) {
+    if (!this.cache || cacheMode === "off") {
+      return null;
+    }
+
+    // 仅缓存模式下，非确定性请求同样只从缓存读取
+    if (cacheMode !== "only" && !ResponseCache.isCacheable(payload)) {
+      return null;
+    }
+
+    return ResponseCache.createKey(payload);
+  }
+
+  /**
+   * 发送消息并获取符合JSON Schema的结构化输出
+   * 强制模型调用以schema为输入的工具，并在本地校验输出；校验失败时将错误反馈给模型重试。
+   * @param {Object} options - 选项（同sendMessages，stream、tools和toolChoice会被忽略；强制调用工具不能与扩展思考同时使用，thinking和thinkingBudget会被忽略）
+   * @param {Object} options.schema - JSON Schema
+   * @param {number} options.maxRetries - 校验失败时的最大重试次数（默认2）
+   * @returns {Promise<{data: *, message: Object, attempts: number, usage: Object}>} - 校验通过的数据、最后一条响应、请求次数和累计令牌用量
+   * @throws {ValidationError} - schema无效，或重试后输出仍未通过校验时抛出
+   */
+  async sendStructuredMessage(options) {
+    const { schema, maxRetries, ...messageOptions } = options;
+    const tool = createOutputTool(schema);
+    const thinking =
+      messageOptions.thinkingBudget ||
+      (messageOptions.thinking && messageOptions.thinking.type === "enabled");
+
+    if (thinking && this.logger) {
+      this.logger.warn("结构化输出需要强制调用工具，本次请求不使用扩展思考");
+    }
+
+    const retries = maxRetries ?? DEFAULT_STRUCTURED_RETRIES;
+    const messages = [...messageOptions.messages];
+    const usage = {};
+    let errors = [];
+    let output;
+
+    for (let attempt = 1; attempt <= retries + 1; attempt++) {
+      const message = await this.sendMessages({
+        ...messageOptions,
+        messages,
+        tools: [tool],
+        toolChoice: { type: "tool", name: OUTPUT_TOOL_NAME },
+        thinking: undefined,
+        thinkingBudget: undefined,
+        stream: false,
+      });
+
+      for (const [field, value] of Object.entries(message.usage || {})) {
+        if (typeof value === "number") {
+          usage[field] = (usage[field] || 0) + value;
+        }
+      }
+
+      const { value, toolUse, error } = extractOutput(message, schema);
+
+      output = value;
+
+      if (error) {
+        errors = [error];
+      } else if (value === undefined) {
+        errors = ["$: 缺少输出"];
+      } else {
+        errors = validateJsonSchema(value, schema);
+      }
+
+      if (errors.length === 0) {
+        return { data: value, message, attempts: attempt, usage };
+      }
+
+      if (this.logger) {
+        this.logger.warn(
+          `结构化输出未通过校验 (${attempt}/${retries + 1}): ${errors[0]}`
+        );
+      }
+
+      // 将校验错误反馈给模型
+      const errorList = errors.map((item) => `- ${item}`).join("\n");
+      const feedback = `输出不符合JSON Schema，请修正以下错误后重新提交：\n${errorList}`;
+
+      if (message.content && message.content.length > 0) {
+        messages.push({ role: "assistant", content: message.content });
+      }
+
+      messages.push({
+        role: "user",
+        content: toolUse
+          ? [
+              {
+                type: "tool_result",
+                tool_use_id: toolUse.id,
+                content: feedback,
+                is_error: true,
+              },
+            ]
+          : feedback,
+      });
+    }
+
+    const summary = errors.join("; ");
+
+    throw new ValidationError(
+      `模型输出未通过JSON Schema校验（已重试 ${retries} 次）: ${summary}`,
+      { errors, output }
+    );
+  }
+
+  /**
+   * 发送旧版文本补全请求
+   * /v1/complete已经停用，提示会被转换为消息并通过/v1/messages发送，响应转换回旧版格式。
    * @param {Object} options - 选项
    * @param {string} options.model - 模型名称
-   * @param {string} options.prompt - 提示文本
+   * @param {string} options.prompt - 提示文本（"\n\nHuman: ...\n\nAssistant:"格式）
    * @param {number} options.maxTokens - 最大令牌数
    * @param {number} options.temperature - 温度
+   * @param {Array<string>} options.stopSequences - 停止序列
+   * @param {number} options.topP - 核采样概率
+   * @param {number} options.topK - Top-K采样
    * @param {boolean} options.stream - 是否流式响应
-   * @returns {Promise<Object>} - 响应数据
+   * @param {RetryPolicy|Object|boolean} options.retry - 本次请求的重试策略
+   * @param {AbortSignal} options.signal - 中止信号
+   * @returns {Promise<Object|CompletionStream>} - 旧版补全响应（流式响应时为补全流）
+   * @throws {ValidationError} - 提示格式无效时在发送前抛出
    */
   async sendCompletion(options) {
-    const payload = {
+    const { system, messages } = parseCompletionPrompt(options.prompt);
+
+    // 对话轮次已经转换为消息，不再需要"\n\nHuman:"作为停止序列
+    const stopSequences = (options.stopSequences || []).filter(
+      (sequence) => sequence !== HUMAN_PROMPT
+    );
+
+    const response = await this.sendMessages({
       model: options.model,
-      prompt: options.prompt,
-      max_tokens_to_sample: options.maxTokens || 1000,
+      system,
+      messages,
+      maxTokens: options.maxTokens || 1000,
       temperature: options.temperature,
-    };
-
-    return this._request({
-      method: "post",
-      endpoint: "/v1/complete",
-      data: payload,
+      stopSequences: stopSequences.length > 0 ? stopSequences : undefined,
+      topP: options.topP,
+      topK: options.topK,
       stream: options.stream,
+      retry: options.retry,
+      signal: options.signal,
     });
+
+    return response instanceof MessageStream
+      ? new CompletionStream(response)
+      : toCompletion(response);
   }
 
   /**
@@ -237,18 +1186,88 @@ class ApiClient {
       data: formData,
       headers: {
         ...formData.getHeaders(),
+        "anthropic-beta": FILES_BETA,
       },
     });
   }
 
+  /**
+   * 上传文件，内容相同的文件已经上传过且远程仍然存在时直接复用
+   * @param {Object} options - 选项
+   * @param {string} options.filePath - 文件路径
+   * @param {string} options.purpose - 文件用途
+   * @returns {Promise<{file: Object, reused: boolean}>} - 文件元数据，以及是否复用了已上传的文件
+   */
+  async findOrUploadFile(options) {
+    if (!this.uploadIndex) {
+      return { file: await this.uploadFile(options), reused: false };
+    }
+
+    const hash = await UploadIndex.hashFile(options.filePath);
+    const owner = UploadIndex.getKeyFingerprint(this.apiKey);
+    const entry = this.uploadIndex.get(hash, owner);
+
+    if (entry) {
+      try {
+        const file = await this.getFile(entry.fileId);
+
+        if (this.logger) {
+          this.logger.debug(`复用已上传的文件: ${entry.fileId}`);
+        }
+
+        return { file, reused: true };
+      } catch (error) {
+        const status =
+          error.statusCode || (error.response && error.response.status);
+
+        if (status !== 404) {
+          throw error;
+        }
+
+        // 远程文件已被删除，重新上传
+        this.uploadIndex.remove(entry.fileId);
+      }
+    }
+
+    const file = await this.uploadFile(options);
+
+    this.uploadIndex.set(hash, owner, {
+      fileId: file.id,
+      filename: path.basename(options.filePath),
+      size: file.size_bytes,
+    });
+
+    return { file, reused: false };
+  }
+
   /**
    * 获取文件列表
-   * @returns {Promise<Object>} - 响应数据
+   * @param {Object} options - 选项
+   * @param {number} options.limit - 每页数量
+   * @param {string} options.beforeId - 返回此ID之前的文件
+   * @param {string} options.afterId - 返回此ID之后的文件
+   * @returns {Promise<Object>} - 响应数据（data、has_more、first_id、last_id）
    */
-  async listFiles() {
+  async listFiles(options = {}) {
+    const params = {};
+
+    if (options.limit) {
+      params.limit = options.limit;
+    }
+
+    if (options.beforeId) {
+      params.before_id = options.beforeId;
+    }
+
+    if (options.afterId) {
+      params.after_id = options.afterId;
+    }
+
     return this._request({
       method: "get",
       endpoint: "/v1/files",
+      params,
+      headers: { "anthropic-beta": FILES_BETA },
     });
   }
 
@@ -261,6 +1280,24 @@ class ApiClient {
     return this._request({
       method: "get",
       endpoint: `/v1/files/${fileId}`,
+      headers: { "anthropic-beta": FILES_BETA },
+    });
+  }
+
+  /**
+   * 下载文件内容
+   * @param {string} fileId - 文件ID
+   * @param {Object} options - 选项
+   * @param {AbortSignal} options.signal - 中止信号
+   * @returns {Promise<stream.Readable>} - 文件内容流
+   */
+  async downloadFile(fileId, options = {}) {
+    return this._request({
+      method: "get",
+      endpoint: `/v1/files/${fileId}/content`,
+      headers: { "anthropic-beta": FILES_BETA },
+      responseType: "stream",
+      signal: options.signal,
     });
   }
 
@@ -270,23 +1307,148 @@ class ApiClient {
    * @returns {Promise<Object>} - 响应数据
    */
   async deleteFile(fileId) {
-    return this._request({
+    const response = await this._request({
       method: "delete",
       endpoint: `/v1/files/${fileId}`,
+      headers: { "anthropic-beta": FILES_BETA },
     });
+
+    if (this.uploadIndex) {
+      this.uploadIndex.remove(fileId);
+    }
+
+    return response;
   }
 
   /**
    * 获取模型列表
+   * @param {Object} options - 选项
+   * @param {RetryPolicy|Object|boolean} options.retry - 本次请求的重试策略
    * @returns {Promise<Object>} - 响应数据
    */
-  async listModels() {
+  async listModels(options = {}) {
     return this._request({
       method: "get",
       endpoint: "/v1/models",
+      retry: options.retry,
+    });
+  }
+
+  /**
+   * 创建消息批处理
+   * @param {Array<Object>} requests - 请求数组，每项包含custom_id和params（Messages API请求体）
+   * @returns {Promise<Object>} - 批处理对象
+   * @throws {BudgetExceededError} - 预计费用超过预算硬上限且未忽略时抛出
+   */
+  async createMessageBatch(requests) {
+    this._checkBatchBudget(requests);
+
+    return this._request({
+      method: "post",
+      endpoint: "/v1/messages/batches",
+      data: { requests },
+    });
+  }
+
+  /**
+   * 获取消息批处理详情
+   * @param {string} batchId - 批处理ID
+   * @returns {Promise<Object>} - 批处理对象
+   */
+  async getMessageBatch(batchId) {
+    return this._request({
+      method: "get",
+      endpoint: `/v1/messages/batches/${batchId}`,
+    });
+  }
+
+  /**
+   * 获取消息批处理列表
+   * @param {Object} options - 选项
+   * @param {number} options.limit - 每页数量
+   * @param {string} options.beforeId - 返回此ID之前的批处理
+   * @param {string} options.afterId - 返回此ID之后的批处理
+   * @returns {Promise<Object>} - 批处理列表（data、has_more、first_id、last_id）
+   */
+  async listMessageBatches(options = {}) {
+    const params = {};
+
+    if (options.limit) {
+      params.limit = options.limit;
+    }
+
+    if (options.beforeId) {
+      params.before_id = options.beforeId;
+    }
+
+    if (options.afterId) {
+      params.after_id = options.afterId;
+    }
+
+    return this._request({
+      method: "get",
+      endpoint: "/v1/messages/batches",
+      params,
     });
   }
 
+  /**
+   * 取消消息批处理
+   * @param {string} batchId - 批处理ID
+   * @returns {Promise<Object>} - 批处理对象
+   */
+  async cancelMessageBatch(batchId) {
+    return this._request({
+      method: "post",
+      endpoint: `/v1/messages/batches/${batchId}/cancel`,
+    });
+  }
+
+  /**
+   * 流式读取消息批处理结果
+   * 结果以JSONL格式返回，每行包含custom_id和result。
+   * 读完全部结果后将成功请求的用量记录到用量账本，同一批处理只记录一次。
+   * @param {string} batchId - 批处理ID
+   * @returns {AsyncGenerator<Object>} - 批处理结果
+   */
+  async *streamMessageBatchResults(batchId) {
+    const endpoint = `/v1/messages/batches/${batchId}/results`;
+    const stream = await this._request({
+      method: "get",
+      endpoint,
+      responseType: "stream",
+    });
+
+    const lines = readline.createInterface({
+      input: stream,
+      crlfDelay: Infinity,
+    });
+    const usages = [];
+
+    for await (const line of lines) {
+      if (line.trim()) {
+        const result = JSON.parse(line);
+        const message = result.result && result.result.message;
+
+        if (result.result && result.result.type === "succeeded" && message) {
+          usages.push({ model: message.model, usage: message.usage });
+        }
+
+        yield result;
+      }
+    }
+
+    // 结果可以重复下载（如batch resume），已经记录过的批处理不再记录
+    if (
+      this.usageLedger &&
+      !this.usageLedger.read().some((entry) => entry.endpoint === endpoint)
+    ) {
+      for (const entry of usages) {
+        this._recordUsage({ ...entry, endpoint });
+      }
+    }
+  }
+
   /**
    * 设置API密钥
    * @param {string} apiKey - API密钥
@@ -303,6 +1465,41 @@ class ApiClient {
   setApiUrl(apiUrl) {
     this.apiUrl = apiUrl;
     this.client.defaults.baseURL = apiUrl;
+    this._configureNetwork();
+  }
+
+  /**
+   * 设置代理
+   * @param {string|null} proxy - 代理URL，null表示使用配置和环境变量
+   */
+  setProxy(proxy) {
+    this.proxy = proxy || null;
+    this._configureNetwork();
+  }
+
+  /**
+   * 设置HTTP交换跟踪
+   * 跟踪中间件位于链的最内层，记录实际发出的请求和原始响应。
+   * @param {string|null} filePath - HAR文件路径，null表示停止跟踪
+   */
+  setTrace(filePath) {
+    this.middleware.remove(TRACE_MIDDLEWARE);
+    this.tracer = null;
+
+    if (!filePath) {
+      return;
+    }
+
+    this.tracer = new HarTracer({
+      path: path.resolve(filePath),
+      baseUrl: this.apiUrl,
+      logger: this.logger,
+    });
+    this.middleware.use(this.tracer.createMiddleware());
+
+    if (this.logger) {
+      this.logger.info(`HTTP请求将写入HAR文件: ${this.tracer.path}`);
+    }
   }
 
   /**
@@ -316,3 +1513,10 @@ class ApiClient {
 }
 
 module.exports = ApiClient;
+module.exports.MessageStream = MessageStream;
+module.exports.RateLimiter = RateLimiter;
+module.exports.ResponseCache = ResponseCache;
+module.exports.RetryPolicy = RetryPolicy;
+module.exports.UsageLedger = UsageLedger;
+module.exports.UploadIndex = UploadIndex;
+module.exports.Budget = Budget;
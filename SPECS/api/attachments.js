@@ -0,0 +1,425 @@
+/**
+ * 附件模块
+ *
+ * 负责将本地文件转换为可以直接放入消息中的内容块。
+ * 图片按文件头（magic bytes）识别类型，并检查大小和尺寸，超出API限制时缩小或拒绝。
+ * 文档支持PDF（base64）和UTF-8纯文本。
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ValidationError } = require("../core/error-handler");
+const utils = require("../core/utils");
+
+// 单张图片base64编码后的大小上限（API限制）
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+// 图片边长上限（API限制）
+const MAX_IMAGE_DIMENSION = 8000;
+
+// 缩小图片时的目标长边（超过此尺寸的图片在服务端也会被缩小）
+const RESIZE_DIMENSION = 1568;
+
+// 缩小后仍然过大时，依次尝试的JPEG质量
+const JPEG_QUALITIES = [85, 70, 50];
+
+// PDF文档base64编码后的大小上限（API单个请求的上限）
+const MAX_PDF_BYTES = 32 * 1024 * 1024;
+
+// 读取前允许的原始文件大小上限，避免将过大的文件读入内存
+const MAX_SOURCE_BYTES = 100 * 1024 * 1024;
+
+// 判断文档类型时读取的文件开头长度
+const DOCUMENT_SNIFF_BYTES = 8192;
+
+// 图片处理模块（原生模块，首次处理图片时才加载）
+let sharpModule = null;
+
+// 支持的图片类型及其文件头
+const IMAGE_SIGNATURES = [
+  {
+    mediaType: "image/png",
+    format: "png",
+    matches: (buffer) =>
+      buffer
+        .subarray(0, 8)
+        .equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  {
+    mediaType: "image/jpeg",
+    format: "jpeg",
+    matches: (buffer) =>
+      buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+  },
+  {
+    mediaType: "image/gif",
+    format: "gif",
+    matches: (buffer) =>
+      ["GIF87a", "GIF89a"].includes(buffer.toString("latin1", 0, 6)),
+  },
+  {
+    mediaType: "image/webp",
+    format: "webp",
+    matches: (buffer) =>
+      buffer.toString("latin1", 0, 4) === "RIFF" &&
+      buffer.toString("latin1", 8, 12) === "WEBP",
+  },
+];
+
+/**
+ * 加载图片处理模块
+ * 延迟到读取或缩小图片时加载，sharp缺失或无法加载时不影响不带图片的对话。
+ * @returns {Function} - sharp
+ * @throws {ValidationError} - 无法加载时抛出
+ */
+function loadSharp() {
+  if (!sharpModule) {
+    try {
+      sharpModule = require("sharp");
+    } catch (error) {
+      throw new ValidationError(
+        `无法加载图片处理模块sharp，不能处理图片 (${error.message})`,
+        { module: "sharp" }
+      );
+    }
+  }
+
+  return sharpModule;
+}
+
+/**
+ * 根据文件头识别图片类型
+ * @param {Buffer} buffer - 文件内容（至少前12个字节）
+ * @returns {string|null} - 媒体类型（如image/png），不是支持的图片时返回null
+ */
+function detectImageType(buffer) {
+  const signature = IMAGE_SIGNATURES.find((item) => item.matches(buffer));
+
+  return signature ? signature.mediaType : null;
+}
+
+/**
+ * 根据文件内容识别文档类型
+ * @param {Buffer} buffer - 文件内容
+ * @param {Object} options - 选项
+ * @param {boolean} options.partial - buffer是否只是文件的开头（末尾可能截断了多字节字符）
+ * @returns {string|null} - 媒体类型（application/pdf或text/plain），不是支持的文档时返回null
+ */
+function detectDocumentType(buffer, options = {}) {
+  if (buffer.toString("latin1", 0, 5) === "%PDF-") {
+    return "application/pdf";
+  }
+
+  // 包含NUL字节或不是合法UTF-8的文件视为二进制文件
+  if (buffer.includes(0)) {
+    return null;
+  }
+
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(buffer, {
+      stream: Boolean(options.partial),
+    });
+    return "text/plain";
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 判断文件是否为支持的图片
+ * @param {string} filePath - 文件路径
+ * @returns {boolean} - 是否为支持的图片
+ */
+function isImageFile(filePath) {
+  let fd;
+
+  try {
+    fd = fs.openSync(filePath, "r");
+
+    const header = Buffer.alloc(12);
+    const bytesRead = fs.readSync(fd, header, 0, header.length, 0);
+
+    return detectImageType(header.subarray(0, bytesRead)) !== null;
+  } catch (error) {
+    return false;
+  } finally {
+    if (fd !== undefined) {
+      fs.closeSync(fd);
+    }
+  }
+}
+
+/**
+ * 判断文件是否为支持的文档（只读取文件开头）
+ * @param {string} filePath - 文件路径
+ * @returns {boolean} - 是否为PDF或UTF-8纯文本
+ */
+function isDocumentFile(filePath) {
+  let fd;
+
+  try {
+    fd = fs.openSync(filePath, "r");
+
+    const header = Buffer.alloc(DOCUMENT_SNIFF_BYTES);
+    const bytesRead = fs.readSync(fd, header, 0, header.length, 0);
+    const sample = header.subarray(0, bytesRead);
+
+    return detectDocumentType(sample, { partial: true }) !== null;
+  } catch (error) {
+    return false;
+  } finally {
+    if (fd !== undefined) {
+      fs.closeSync(fd);
+    }
+  }
+}
+
+/**
+ * 获取base64编码后的大小
+ * @param {number} bytes - 原始字节数
+ * @returns {number} - 编码后的字节数
+ */
+function getEncodedSize(bytes) {
+  return Math.ceil(bytes / 3) * 4;
+}
+
+/**
+ * 从本地文件创建图片内容块
+ * @param {string} filePath - 图片路径
+ * @param {Object} options - 选项
+ * @param {boolean} options.resize - 超出限制时是否缩小图片（默认true，false时直接报错）
+ * @param {Object} options.logger - 日志记录器
+ * @returns {Promise<Object>} - image内容块（source为base64）
+ * @throws {ValidationError} - 文件不存在、不是支持的图片、无法加载sharp，或超出限制且不允许缩小时抛出
+ */
+async function createImageBlock(filePath, options = {}) {
+  const { resize = true, logger } = options;
+
+  if (!fs.existsSync(filePath)) {
+    throw new ValidationError(`图片不存在: ${filePath}`, { filePath });
+  }
+
+  const { size } = fs.statSync(filePath);
+
+  if (size > MAX_SOURCE_BYTES) {
+    const limit = utils.formatBytes(MAX_SOURCE_BYTES);
+
+    throw new ValidationError(
+      `图片过大: ${filePath} (${utils.formatBytes(size)}，最多${limit})`,
+      { filePath, size }
+    );
+  }
+
+  let data = fs.readFileSync(filePath);
+  let mediaType = detectImageType(data);
+
+  if (!mediaType) {
+    throw new ValidationError(
+      `不支持的图片格式: ${filePath}（支持PNG、JPEG、GIF和WebP）`,
+      { filePath }
+    );
+  }
+
+  const { width, height } = await readDimensions(data, filePath);
+  const problems = [];
+
+  if (getEncodedSize(data.length) > MAX_IMAGE_BYTES) {
+    const limit = utils.formatBytes(MAX_IMAGE_BYTES);
+
+    problems.push(
+      `编码后大小超过${limit}（原始大小${utils.formatBytes(data.length)}）`
+    );
+  }
+
+  if (Math.max(width, height) > MAX_IMAGE_DIMENSION) {
+    problems.push(
+      `尺寸${width}x${height}超过${MAX_IMAGE_DIMENSION}x${MAX_IMAGE_DIMENSION}`
+    );
+  }
+
+  if (problems.length > 0) {
+    if (!resize) {
+      throw new ValidationError(
+        `图片超出API限制: ${filePath}，${problems.join("，")}`,
+        { filePath, width, height, size: data.length }
+      );
+    }
+
+    const resized = await downscaleImage(data, mediaType, filePath);
+
+    if (logger) {
+      const resizedSize = utils.formatBytes(resized.data.length);
+
+      logger.info(
+        `已缩小图片 ${path.basename(filePath)}: ${problems.join("，")} -> ${resizedSize}`
+      );
+    }
+
+    data = resized.data;
+    mediaType = resized.mediaType;
+  }
+
+  return {
+    type: "image",
+    source: {
+      type: "base64",
+      media_type: mediaType,
+      data: data.toString("base64"),
+    },
+  };
+}
+
+/**
+ * 从本地文件创建文档内容块
+ * @param {string} filePath - 文档路径
+ * @param {Object} options - 选项
+ * @param {boolean} options.citations - 是否启用引用
+ * @param {string} options.title - 文档标题（默认为文件名）
+ * @param {string} options.context - 文档的补充说明（不会被引用）
+ * @returns {Object} - document内容块（PDF为base64，纯文本为text）
+ * @throws {ValidationError} - 文件不存在、不是支持的文档或超出大小限制时抛出
+ */
+function createDocumentBlock(filePath, options = {}) {
+  if (!fs.existsSync(filePath)) {
+    throw new ValidationError(`文档不存在: ${filePath}`, { filePath });
+  }
+
+  const { size } = fs.statSync(filePath);
+
+  if (size > MAX_SOURCE_BYTES) {
+    const limit = utils.formatBytes(MAX_SOURCE_BYTES);
+
+    throw new ValidationError(
+      `文档过大: ${filePath} (${utils.formatBytes(size)}，最多${limit})`,
+      { filePath, size }
+    );
+  }
+
+  const data = fs.readFileSync(filePath);
+  const mediaType = detectDocumentType(data);
+  let source;
+
+  if (mediaType === "application/pdf") {
+    if (getEncodedSize(data.length) > MAX_PDF_BYTES) {
+      const limit = utils.formatBytes(MAX_PDF_BYTES);
+
+      throw new ValidationError(
+        `PDF文档过大: ${filePath}，编码后不能超过${limit}，请先上传后使用文件ID`,
+        { filePath, size: data.length }
+      );
+    }
+
+    source = {
+      type: "base64",
+      media_type: mediaType,
+      data: data.toString("base64"),
+    };
+  } else if (mediaType === "text/plain") {
+    source = {
+      type: "text",
+      media_type: mediaType,
+      data: data.toString("utf8").replace(/^\uFEFF/, ""),
+    };
+  } else {
+    throw new ValidationError(
+      `不支持的文档格式: ${filePath}（支持PDF和UTF-8纯文本）`,
+      { filePath }
+    );
+  }
+
+  const block = {
+    type: "document",
+    source,
+    title: options.title || path.basename(filePath),
+  };
+
+  if (options.context) {
+    block.context = options.context;
+  }
+
+  if (options.citations) {
+    block.citations = { enabled: true };
+  }
+
+  return block;
+}
+
+/**
+ * 读取图片尺寸
+ * @param {Buffer} data - 图片内容
+ * @param {string} filePath - 图片路径（用于错误信息）
+ * @returns {Promise<{width: number, height: number}>} - 图片尺寸
+ */
+async function readDimensions(data, filePath) {
+  const sharp = loadSharp();
+
+  try {
+    const { width, height } = await sharp(data).metadata();
+
+    return { width, height };
+  } catch (error) {
+    throw new ValidationError(`无法读取图片: ${filePath} (${error.message})`, {
+      filePath,
+    });
+  }
+}
+
+/**
+ * 缩小图片，使其符合API限制
+ * 长边缩小到RESIZE_DIMENSION；仍然过大时转换为JPEG并逐步降低质量。
+ * GIF只保留第一帧并转换为PNG。
+ * @param {Buffer} data - 图片内容
+ * @param {string} mediaType - 媒体类型
+ * @param {string} filePath - 图片路径（用于错误信息）
+ * @returns {Promise<{data: Buffer, mediaType: string}>} - 缩小后的图片
+ */
+async function downscaleImage(data, mediaType, filePath) {
+  const sharp = loadSharp();
+  const resize = () =>
+    sharp(data).rotate().resize({
+      width: RESIZE_DIMENSION,
+      height: RESIZE_DIMENSION,
+      fit: "inside",
+      withoutEnlargement: true,
+    });
+
+  const format =
+    mediaType === "image/gif"
+      ? "png"
+      : IMAGE_SIGNATURES.find((item) => item.mediaType === mediaType).format;
+
+  let output = await resize().toFormat(format).toBuffer();
+  let outputType = `image/${format}`;
+
+  for (const quality of JPEG_QUALITIES) {
+    if (getEncodedSize(output.length) <= MAX_IMAGE_BYTES) {
+      break;
+    }
+
+    output = await resize()
+      .flatten({ background: "#ffffff" })
+      .jpeg({ quality })
+      .toBuffer();
+    outputType = "image/jpeg";
+  }
+
+  if (getEncodedSize(output.length) > MAX_IMAGE_BYTES) {
+    throw new ValidationError(`缩小后的图片仍然超出大小限制: ${filePath}`, {
+      filePath,
+      size: output.length,
+    });
+  }
+
+  return { data: output, mediaType: outputType };
+}
+
+module.exports = {
+  MAX_IMAGE_BYTES,
+  MAX_IMAGE_DIMENSION,
+  detectImageType,
+  detectDocumentType,
+  isImageFile,
+  isDocumentFile,
+  createImageBlock,
+  createDocumentBlock,
+};
@@ -0,0 +1,305 @@
+/**
+ * 预算模块
+ *
+ * 按用量账本中的已花费金额，检查每日和每月的费用预算（可按API密钥单独设置）。
+ * 超过软上限时只发出警告；超过硬上限的请求在发送前被拒绝。
+ */
+
+const {
+  BudgetExceededError,
+  ConfigurationError,
+} = require("../core/error-handler");
+const utils = require("../core/utils");
+const { estimateCost } = require("./usage-ledger");
+
+// 预算周期及其起始时间（本地时间）
+const PERIODS = {
+  daily: {
+    label: "今日",
+    getStart: (now) =>
+      new Date(now.getFullYear(), now.getMonth(), now.getDate()),
+  },
+  monthly: {
+    label: "本月",
+    getStart: (now) => new Date(now.getFullYear(), now.getMonth(), 1),
+  },
+};
+
+// 每个周期支持的上限
+const LIMIT_TYPES = ["soft", "hard"];
+
+/**
+ * 格式化金额（不足1美元时保留4位小数）
+ * @param {number} amount - 金额（美元）
+ * @returns {string} - 格式化后的金额
+ */
+function formatCost(amount) {
+  return `$${amount.toFixed(amount < 1 ? 4 : 2)}`;
+}
+
+/**
+ * 预算类
+ */
+class Budget {
+  /**
+   * 创建预算实例
+   * @param {Object} options - 选项
+   * @param {Object} options.limits - 预算设置（美元），如{daily: {soft: 5, hard: 10}, monthly: {...}, keys: {work: {monthly: {hard: 50}}}}
+   * @param {UsageLedger} options.ledger - 用量账本（用于统计已花费金额）
+   * @param {Object} options.logger - 日志记录器
+   * @throws {ConfigurationError} - 预算设置无效时抛出
+   */
+  constructor(options = {}) {
+    this.limits = options.limits || {};
+    this.ledger = options.ledger;
+    this.logger = options.logger;
+
+    // 已经警告过的软上限
+    this.warned = new Set();
+
+    // 本月已花费金额的缓存（按日期和API密钥汇总），每次检查只读取账本中新追加的记录
+    this.spending = null;
+
+    this._validateLimits();
+  }
+
+  /**
+   * 检查请求是否在预算内
+   * @param {Object} request - 请求信息
+   * @param {string} request.model - 模型名称
+   * @param {number} request.inputTokens - 预计的输入令牌数
+   * @param {number} request.outputTokens - 预计的输出令牌数（通常为max_tokens）
+   * @param {number} request.estimatedCost - 已经估算好的费用（美元，如批处理中所有请求的合计），指定时忽略模型和令牌数
+   * @param {string} request.keyName - API密钥名称
+   * @param {Object} options - 选项
+   * @param {boolean} options.override - 是否忽略硬上限（仍然发出警告）
+   * @returns {Object} - 检查结果（estimatedCost，以及超过软上限的warnings）
+   * @throws {BudgetExceededError} - 超过硬上限且未忽略时抛出
+   */
+  check(request, options = {}) {
+    const estimatedCost =
+      request.estimatedCost ??
+      (estimateCost(
+        {
+          input_tokens: request.inputTokens,
+          output_tokens: request.outputTokens,
+        },
+        request.model,
+        this.ledger.prices
+      ) ||
+        0);
+    const warnings = [];
+
+    for (const status of this.getStatus(request.keyName)) {
+      const total = status.spent + estimatedCost;
+      const scope = status.keyName ? `（密钥 ${status.keyName}）` : "";
+      const summary = `已花费 ${formatCost(status.spent)}，本次预计 ${formatCost(estimatedCost)}`;
+
+      if (status.hard !== undefined && total > status.hard) {
+        const limit = formatCost(status.hard);
+        const message = `已达到${status.label}的预算硬上限${scope}：${summary}，上限 ${limit}`;
+
+        if (!options.override) {
+          throw new BudgetExceededError(
+            `${message}。如需继续，请使用 --override-budget`,
+            {
+              period: status.period,
+              keyName: status.keyName,
+              limit: status.hard,
+              spent: status.spent,
+              estimatedCost,
+            }
+          );
+        }
+
+        if (this.logger) {
+          this.logger.warn(`${message}（已忽略）`);
+        }
+        continue;
+      }
+
+      if (status.soft !== undefined && total > status.soft) {
+        const limit = formatCost(status.soft);
+        const message = `已超过${status.label}的预算软上限${scope}：${summary}，上限 ${limit}`;
+        const warningKey = [
+          status.keyName,
+          status.period,
+          status.since.getTime(),
+        ].join(":");
+
+        warnings.push(message);
+
+        // 同一周期内只警告一次，避免每个请求都重复输出
+        if (!this.warned.has(warningKey)) {
+          this.warned.add(warningKey);
+
+          if (this.logger) {
+            this.logger.warn(message);
+          }
+        }
+      }
+    }
+
+    return { estimatedCost, warnings };
+  }
+
+  /**
+   * 获取各项预算的当前状态
+   * @param {string} keyName - API密钥名称（只包含全局预算和该密钥的预算）
+   * @returns {Array<Object>} - 预算状态（period、label、keyName、since、spent、soft、hard）
+   */
+  getStatus(keyName) {
+    const now = new Date();
+    const { days } = this._updateSpending(now);
+    const scopes = [{ keyName: null, limits: this.limits }];
+
+    if (keyName && this.limits.keys && this.limits.keys[keyName]) {
+      scopes.push({ keyName, limits: this.limits.keys[keyName] });
+    }
+
+    const statuses = [];
+
+    for (const { keyName: scopeKey, limits } of scopes) {
+      for (const [period, definition] of Object.entries(PERIODS)) {
+        if (!limits[period]) {
+          continue;
+        }
+
+        const since = definition.getStart(now);
+        let spent = 0;
+
+        for (const [day, costs] of days) {
+          if (day < since.getTime()) {
+            continue;
+          }
+
+          for (const [entryKey, cost] of costs) {
+            if (!scopeKey || entryKey === scopeKey) {
+              spent += cost;
+            }
+          }
+        }
+
+        statuses.push({
+          period,
+          label: definition.label,
+          keyName: scopeKey,
+          since,
+          spent,
+          soft: limits[period].soft,
+          hard: limits[period].hard,
+        });
+      }
+    }
+
+    return statuses;
+  }
+
+  /**
+   * 将账本中新追加的记录计入本月的花费
+   * 进入新的月份时清空汇总，账本被清空或替换时重新统计。
+   * @private
+   * @param {Date} now - 当前时间
+   * @returns {Object} - 花费汇总（days：日期起始时间 -> API密钥名称 -> 金额）
+   */
+  _updateSpending(now) {
+    const monthStart = PERIODS.monthly.getStart(now).getTime();
+
+    if (!this.spending || this.spending.monthStart !== monthStart) {
+      // 已读取的记录都属于之前的月份，不需要重新读取
+      this.spending = {
+        monthStart,
+        offset: this.spending ? this.spending.offset : 0,
+        days: new Map(),
+      };
+    }
+
+    const { entries, offset, reset } = this.ledger.readFrom(
+      this.spending.offset
+    );
+
+    if (reset) {
+      this.spending.days = new Map();
+    }
+
+    this.spending.offset = offset;
+
+    for (const entry of entries) {
+      const time = new Date(entry.timestamp);
+
+      if (!(time.getTime() >= monthStart)) {
+        continue;
+      }
+
+      const day = PERIODS.daily.getStart(time).getTime();
+      const entryKey = entry.keyName || null;
+
+      if (!this.spending.days.has(day)) {
+        this.spending.days.set(day, new Map());
+      }
+
+      const costs = this.spending.days.get(day);
+
+      costs.set(entryKey, (costs.get(entryKey) || 0) + this._getCost(entry));
+    }
+
+    return this.spending;
+  }
+
+  /**
+   * 获取一条用量记录的费用
+   * @private
+   * @param {Object} entry - 用量记录
+   * @returns {number} - 费用（美元），价格表中没有的模型按0计算
+   */
+  _getCost(entry) {
+    return estimateCost(entry, entry.model, this.ledger.prices) || 0;
+  }
+
+  /**
+   * 验证预算设置
+   * @private
+   * @throws {ConfigurationError} - 预算设置无效时抛出
+   */
+  _validateLimits() {
+    const scopes = [["budgets", this.limits]];
+
+    for (const [keyName, limits] of Object.entries(this.limits.keys || {})) {
+      scopes.push([`budgets.keys.${keyName}`, limits]);
+    }
+
+    for (const [name, limits] of scopes) {
+      for (const period of Object.keys(PERIODS)) {
+        const limit = limits[period];
+
+        if (limit === undefined) {
+          continue;
+        }
+
+        if (!utils.isObject(limit)) {
+          throw new ConfigurationError(
+            `无效的预算设置: ${name}.${period} 应为包含soft或hard的对象`,
+            { [`${name}.${period}`]: limit }
+          );
+        }
+
+        for (const type of LIMIT_TYPES) {
+          const value = limit[type];
+
+          if (
+            value !== undefined &&
+            (typeof value !== "number" || !(value >= 0))
+          ) {
+            throw new ConfigurationError(
+              `无效的预算设置: ${name}.${period}.${type} 应为非负数（美元）`,
+              { [`${name}.${period}.${type}`]: value }
+            );
+          }
+        }
+      }
+    }
+  }
+}
+
+module.exports = Budget;
+module.exports.formatCost = formatCost;
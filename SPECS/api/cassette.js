@@ -0,0 +1,523 @@
+/**
+ * 录制/回放模块
+ *
+ * 以axios适配器的形式记录API客户端发出的每个请求及其响应（包括流式事件序列），
+ * 或在不访问网络的情况下按录制内容回放响应，便于离线测试基于CLI的脚本。
+ * 通过CLAUDE_RECORD=<文件>开启录制，CLAUDE_REPLAY=<文件>开启回放。
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { PassThrough, Readable, finished, pipeline } = require("stream");
+const { AxiosError, AxiosHeaders, CanceledError } = require("axios");
+const {
+  decodeServerSentEvents,
+  encodeServerSentEvents,
+} = require("./message-stream");
+const { ClaudeCliError, ConfigurationError } = require("../core/error-handler");
+const utils = require("../core/utils");
+
+// 录制文件格式版本
+const CASSETTE_VERSION = 1;
+
+// 需要隐藏的请求头
+const SENSITIVE_HEADERS = [
+  "x-api-key",
+  "authorization",
+  "proxy-authorization",
+  "cookie",
+  "set-cookie",
+];
+
+// API密钥的格式
+const API_KEY_PATTERN = /sk-ant-[A-Za-z0-9_-]+/g;
+
+// 差异信息中最多显示的条目数
+const MAX_DIFFERENCES = 20;
+
+/**
+ * 比较两个值，返回所有不同之处
+ * @param {*} expected - 录制的值
+ * @param {*} actual - 实际的值
+ * @param {string} pathName - 当前路径
+ * @param {Array<Object>} differences - 已发现的差异
+ * @returns {Array<{path: string, expected: *, actual: *}>} - 差异列表
+ */
+function diffValues(expected, actual, pathName = "", differences = []) {
+  if (Array.isArray(expected) && Array.isArray(actual)) {
+    const length = Math.max(expected.length, actual.length);
+
+    for (let i = 0; i < length; i++) {
+      diffValues(expected[i], actual[i], `${pathName}[${i}]`, differences);
+    }
+  } else if (utils.isObject(expected) && utils.isObject(actual)) {
+    const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+
+    for (const key of keys) {
+      diffValues(
+        expected[key],
+        actual[key],
+        pathName ? `${pathName}.${key}` : key,
+        differences
+      );
+    }
+  } else if (expected !== actual) {
+    differences.push({ path: pathName || "(根)", expected, actual });
+  }
+
+  return differences;
+}
+
+/**
+ * 格式化差异中的值
+ * @param {*} value - 值
+ * @returns {string} - 可读的字符串
+ */
+function formatValue(value) {
+  return value === undefined
+    ? "(无)"
+    : utils.truncate(JSON.stringify(value), 80);
+}
+
+/**
+ * 录制/回放类
+ */
+class Cassette {
+  /**
+   * 创建录制/回放实例
+   * @param {Object} options - 选项
+   * @param {string} options.path - 录制文件路径
+   * @param {string} options.mode - 模式（record或replay）
+   * @param {Object} options.logger - 日志记录器
+   */
+  constructor(options = {}) {
+    this.path = options.path;
+    this.mode = options.mode;
+    this.logger = options.logger;
+    this.interactions = [];
+
+    if (this.mode === "replay") {
+      this._load();
+      // 已回放的交互
+      this.used = new Set();
+    } else if (this.mode !== "record") {
+      throw new ConfigurationError(`无效的录制模式: ${this.mode}`, {
+        mode: this.mode,
+      });
+    }
+  }
+
+  /**
+   * 根据环境变量创建录制/回放实例
+   * @param {Object} env - 环境变量
+   * @param {Object} options - 选项
+   * @param {Object} options.logger - 日志记录器
+   * @returns {Cassette|null} - 未设置CLAUDE_RECORD或CLAUDE_REPLAY时返回null
+   */
+  static fromEnv(env = process.env, options = {}) {
+    if (env.CLAUDE_RECORD && env.CLAUDE_REPLAY) {
+      throw new ConfigurationError("不能同时设置CLAUDE_RECORD和CLAUDE_REPLAY", {
+        record: env.CLAUDE_RECORD,
+        replay: env.CLAUDE_REPLAY,
+      });
+    }
+
+    if (env.CLAUDE_RECORD) {
+      return new Cassette({
+        ...options,
+        path: env.CLAUDE_RECORD,
+        mode: "record",
+      });
+    }
+
+    if (env.CLAUDE_REPLAY) {
+      return new Cassette({
+        ...options,
+        path: env.CLAUDE_REPLAY,
+        mode: "replay",
+      });
+    }
+
+    return null;
+  }
+
+  /**
+   * 创建axios适配器
+   * @param {Function} adapter - 实际发送请求的适配器（录制模式使用）
+   * @returns {Function} - axios适配器
+   */
+  createAdapter(adapter) {
+    if (this.mode === "replay") {
+      return (config) => this._replay(config);
+    }
+
+    return (config) => this._record(config, adapter);
+  }
+
+  /**
+   * 录制请求和响应
+   * @private
+   * @param {Object} config - axios请求配置
+   * @param {Function} adapter - 实际发送请求的适配器
+   * @returns {Promise<Object>} - axios响应
+   */
+  async _record(config, adapter) {
+    // 先占位，保证并发请求按发出顺序记录
+    const interaction = {
+      request: {
+        ...this._describeRequest(config),
+        headers: this._redactHeaders(this._plainHeaders(config.headers)),
+      },
+      response: null,
+    };
+    this.interactions.push(interaction);
+
+    let response;
+
+    try {
+      response = await adapter(config);
+    } catch (error) {
+      if (!error.response) {
+        // 没有收到响应的请求不记录
+        this.interactions.splice(this.interactions.indexOf(interaction), 1);
+        throw error;
+      }
+
+      error.response = await this._recordResponse(interaction, error.response);
+      throw error;
+    }
+
+    return this._recordResponse(interaction, response);
+  }
+
+  /**
+   * 记录响应，流式响应在接收完毕后记录
+   * @private
+   * @param {Object} interaction - 交互记录
+   * @param {Object} response - axios响应
+   * @returns {Promise<Object>} - 可继续使用的axios响应
+   */
+  async _recordResponse(interaction, response) {
+    const recorded = {
+      status: response.status,
+      statusText: response.statusText,
+      headers: this._redactHeaders(this._plainHeaders(response.headers)),
+    };
+
+    const data = response.data;
+
+    if (!data || typeof data.pipe !== "function") {
+      recorded.body = this._parseJson(data);
+      interaction.response = recorded;
+      this._save();
+      return response;
+    }
+
+    // 复制一份流，在消费方读取的同时收集内容
+    const chunks = [];
+    const tee = new PassThrough();
+
+    tee.on("data", (chunk) => chunks.push(Buffer.from(chunk)));
+
+    // 销毁副本时同时关闭原始连接
+    pipeline(data, tee, () => {});
+
+    // 消费方读完（或提前关闭）副本后再记录
+    finished(tee, () => {
+      this._recordStreamBody(recorded, Buffer.concat(chunks).toString("utf8"))
+        .then(() => {
+          interaction.response = recorded;
+          this._save();
+        })
+        .catch((error) => {
+          if (this.logger) {
+            this.logger.warn(`无法记录流式响应: ${error.message}`);
+          }
+        });
+    });
+
+    return { ...response, data: tee };
+  }
+
+  /**
+   * 记录流式响应体（SSE响应记录为事件序列）
+   * @private
+   * @param {Object} recorded - 响应记录
+   * @param {string} text - 响应体文本
+   */
+  async _recordStreamBody(recorded, text) {
+    const contentType = recorded.headers["content-type"] || "";
+
+    if (!contentType.includes("text/event-stream")) {
+      recorded.text = text;
+      return;
+    }
+
+    recorded.events = [];
+
+    for await (const { event, data } of decodeServerSentEvents([text])) {
+      recorded.events.push({ event, data: this._parseJson(data) });
+    }
+  }
+
+  /**
+   * 回放请求
+   * @private
+   * @param {Object} config - axios请求配置
+   * @returns {Promise<Object>} - axios响应
+   */
+  async _replay(config) {
+    if (config.signal && config.signal.aborted) {
+      throw new CanceledError(null, config);
+    }
+
+    const request = this._describeRequest(config);
+    const index = this._findInteraction(request);
+    const interaction = this.interactions[index];
+
+    this.used.add(index);
+
+    if (this.logger) {
+      this.logger.debug(
+        `回放交互 #${index + 1}: ${request.method} ${request.url}`
+      );
+    }
+
+    const recorded = interaction.response;
+    let data = recorded.body;
+
+    if (recorded.events) {
+      data = Readable.from([encodeServerSentEvents(recorded.events)]);
+    } else if (recorded.text !== undefined) {
+      data = Readable.from([recorded.text]);
+    }
+
+    const response = {
+      data,
+      status: recorded.status,
+      statusText: recorded.statusText,
+      headers: new AxiosHeaders(recorded.headers),
+      config,
+      request: {},
+    };
+
+    if (!config.validateStatus || config.validateStatus(response.status)) {
+      return response;
+    }
+
+    throw new AxiosError(
+      `Request failed with status code ${response.status}`,
+      response.status >= 500
+        ? AxiosError.ERR_BAD_RESPONSE
+        : AxiosError.ERR_BAD_REQUEST,
+      config,
+      response.request,
+      response
+    );
+  }
+
+  /**
+   * 查找与请求匹配的未回放交互
+   * @private
+   * @param {Object} request - 请求描述
+   * @returns {number} - 交互索引
+   * @throws {ClaudeCliError} - 没有匹配的交互时抛出，包含与预期交互的差异
+   */
+  _findInteraction(request) {
+    const pending = [];
+
+    for (let i = 0; i < this.interactions.length; i++) {
+      if (!this.used.has(i)) {
+        pending.push(i);
+      }
+    }
+
+    for (const index of pending) {
+      if (diffValues(this._recordedRequest(index), request).length === 0) {
+        return index;
+      }
+    }
+
+    if (pending.length === 0) {
+      throw new ClaudeCliError(
+        `录制文件中没有更多可回放的交互: ${request.method} ${request.url}`,
+        "CASSETTE_MISMATCH",
+        { cassette: this.path, request }
+      );
+    }
+
+    // 优先与相同端点的交互比较，否则与下一个预期的交互比较
+    const expectedIndex =
+      pending.find(
+        (index) =>
+          this._recordedRequest(index).method === request.method &&
+          this._recordedRequest(index).url === request.url
+      ) ?? pending[0];
+
+    const differences = diffValues(
+      this._recordedRequest(expectedIndex),
+      request
+    );
+
+    let message = `请求与录制的交互 #${expectedIndex + 1} 不匹配 (${
+      this.path
+    }):\n`;
+
+    for (const difference of differences.slice(0, MAX_DIFFERENCES)) {
+      message += `  ${difference.path}: 录制为 ${formatValue(
+        difference.expected
+      )}，实际为 ${formatValue(difference.actual)}\n`;
+    }
+
+    if (differences.length > MAX_DIFFERENCES) {
+      message += `  ……还有 ${differences.length - MAX_DIFFERENCES} 处不同\n`;
+    }
+
+    throw new ClaudeCliError(message.trimEnd(), "CASSETTE_MISMATCH", {
+      cassette: this.path,
+      interaction: expectedIndex + 1,
+      differences,
+    });
+  }
+
+  /**
+   * 获取录制的请求中参与匹配的部分（不比较请求头）
+   * @private
+   * @param {number} index - 交互索引
+   * @returns {Object} - 请求描述
+   */
+  _recordedRequest(index) {
+    const { method, url, params, body } = this.interactions[index].request;
+    return { method, url, params, body };
+  }
+
+  /**
+   * 生成用于记录和匹配的请求描述
+   * @private
+   * @param {Object} config - axios请求配置
+   * @returns {Object} - 请求描述
+   */
+  _describeRequest(config) {
+    let body = config.data === undefined ? null : config.data;
+
+    // multipart等流式请求体无法在不消费的情况下读取
+    if (body && typeof body.pipe === "function") {
+      body = "[stream]";
+    }
+
+    return {
+      method: (config.method || "get").toUpperCase(),
+      url: config.url,
+      params: config.params || null,
+      body: this._parseJson(body),
+    };
+  }
+
+  /**
+   * 尝试将字符串解析为JSON
+   * @private
+   * @param {*} value - 值
+   * @returns {*} - 解析结果，无法解析时返回原值
+   */
+  _parseJson(value) {
+    if (typeof value !== "string") {
+      return value;
+    }
+
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }
+
+  /**
+   * 将响应头转换为普通对象
+   * @private
+   * @param {Object} headers - 响应头
+   * @returns {Object} - 普通对象
+   */
+  _plainHeaders(headers) {
+    if (!headers) {
+      return {};
+    }
+
+    return typeof headers.toJSON === "function" ? headers.toJSON() : headers;
+  }
+
+  /**
+   * 隐藏敏感的头信息
+   * @private
+   * @param {Object} headers - 头信息
+   * @returns {Object} - 处理后的头信息
+   */
+  _redactHeaders(headers) {
+    const result = {};
+
+    for (const [key, value] of Object.entries(headers)) {
+      result[key] = SENSITIVE_HEADERS.includes(key.toLowerCase())
+        ? "[REDACTED]"
+        : value;
+    }
+
+    return result;
+  }
+
+  /**
+   * 加载录制文件
+   * @private
+   */
+  _load() {
+    let cassette;
+
+    try {
+      cassette = JSON.parse(fs.readFileSync(this.path, "utf8"));
+    } catch (error) {
+      throw new ConfigurationError(
+        `无法读取录制文件: ${this.path} (${error.message})`,
+        { path: this.path }
+      );
+    }
+
+    if (!cassette || !Array.isArray(cassette.interactions)) {
+      throw new ConfigurationError(`无效的录制文件: ${this.path}`, {
+        path: this.path,
+      });
+    }
+
+    this.interactions = cassette.interactions.filter(
+      (interaction) => interaction.response
+    );
+  }
+
+  /**
+   * 保存录制文件（API密钥会被隐藏）
+   * @private
+   */
+  _save() {
+    const content = JSON.stringify(
+      {
+        version: CASSETTE_VERSION,
+        recordedAt: new Date().toISOString(),
+        interactions: this.interactions.filter(
+          (interaction) => interaction.response
+        ),
+      },
+      null,
+      2
+    ).replace(API_KEY_PATTERN, "[REDACTED]");
+
+    try {
+      fs.mkdirSync(path.dirname(this.path), { recursive: true });
+      fs.writeFileSync(this.path, content, "utf8");
+    } catch (error) {
+      if (this.logger) {
+        this.logger.warn(`无法保存录制文件 ${this.path}: ${error.message}`);
+      }
+    }
+  }
+}
+
+module.exports = Cassette;
+module.exports.SENSITIVE_HEADERS = SENSITIVE_HEADERS;
+module.exports.API_KEY_PATTERN = API_KEY_PATTERN;
@@ -0,0 +1,509 @@
+/**
+ * HTTP跟踪模块
+ *
+ * 以中间件的形式将ApiClient发出的每次HTTP交换（包括重试）写入HAR 1.2文件，
+ * 包括各阶段耗时、request-id响应头以及流式响应的完整内容，便于排查API问题。
+ * API密钥等敏感信息在写入前会被隐藏。
+ */
+
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const path = require("path");
+const { Transform, pipeline, finished } = require("stream");
+const { SENSITIVE_HEADERS, API_KEY_PATTERN } = require("./cassette");
+const { version } = require("../package.json");
+
+// 中间件名称
+const TRACE_MIDDLEWARE = "trace";
+
+// 单个响应体最多记录的字节数（超出部分会被截断）
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+// 以文本记录的内容类型，其他内容以base64记录
+const TEXT_CONTENT_TYPE = /^(text\/|application\/(json|.*\+json|x-ndjson))/;
+
+/**
+ * 计算两个时间点之间的耗时
+ * @param {number} from - 开始时间
+ * @param {number} to - 结束时间
+ * @returns {number} - 耗时（毫秒），任一时间点缺失时返回-1
+ */
+function elapsed(from, to) {
+  return from !== undefined && to !== undefined ? Math.max(0, to - from) : -1;
+}
+
+/**
+ * 将头信息对象转换为HAR的名称/值数组（敏感头被隐藏）
+ * @param {Object} headers - 头信息
+ * @returns {Array<{name: string, value: string}>} - HAR头信息
+ */
+function toHarHeaders(headers) {
+  const plain =
+    headers && typeof headers.toJSON === "function"
+      ? headers.toJSON()
+      : headers || {};
+  const result = [];
+
+  for (const [name, value] of Object.entries(plain)) {
+    for (const item of Array.isArray(value) ? value : [value]) {
+      if (item === undefined || item === null || typeof item === "object") {
+        continue;
+      }
+
+      result.push({
+        name,
+        value: SENSITIVE_HEADERS.includes(name.toLowerCase())
+          ? "[REDACTED]"
+          : String(item),
+      });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * 查找头信息的值（不区分大小写）
+ * @param {Object} headers - 头信息
+ * @param {string} name - 名称
+ * @returns {string|undefined} - 值
+ */
+function getHeader(headers, name) {
+  const entry = toHarHeaders(headers).find(
+    (header) => header.name.toLowerCase() === name
+  );
+
+  return entry && entry.value;
+}
+
+/**
+ * HAR跟踪器类
+ */
+class HarTracer {
+  /**
+   * 创建跟踪器实例
+   * @param {Object} options - 选项
+   * @param {string} options.path - HAR文件路径
+   * @param {string} options.baseUrl - API基础URL（用于还原完整的请求URL）
+   * @param {Object} options.logger - 日志记录器
+   */
+  constructor(options = {}) {
+    this.path = options.path;
+    this.baseUrl = options.baseUrl;
+    this.logger = options.logger;
+
+    // 按请求发出的顺序排列的记录（未完成的记录不会写入文件）
+    this.entries = [];
+  }
+
+  /**
+   * 创建记录HTTP交换的中间件
+   * 应放在中间件链的最内层，以记录实际发出的请求和原始响应。
+   * @returns {Object} - 中间件
+   */
+  createMiddleware() {
+    return {
+      name: TRACE_MIDDLEWARE,
+      request: async (context, next) => {
+        const trace = this._startTrace(context);
+
+        context.request.transport = this._createTransport(trace);
+
+        let response;
+
+        try {
+          response = await next();
+        } catch (error) {
+          trace.marks.response = trace.marks.response || Date.now();
+
+          if (!error.response) {
+            this._finishTrace(trace, null, "", error);
+            throw error;
+          }
+
+          error.response = await this._captureError(trace, error);
+          throw error;
+        }
+
+        trace.marks.response = trace.marks.response || Date.now();
+
+        return this._captureResponse(trace, response);
+      },
+    };
+  }
+
+  /**
+   * 开始记录一次HTTP交换
+   * @private
+   * @param {Object} context - 请求上下文
+   * @returns {Object} - 跟踪状态（entry、marks、sentHeaders）
+   */
+  _startTrace(context) {
+    const { request } = context;
+    const url = new URL(request.url, request.baseURL || this.baseUrl);
+
+    for (const [name, value] of Object.entries(request.params || {})) {
+      if (value !== undefined && value !== null) {
+        url.searchParams.set(name, value);
+      }
+    }
+
+    const entry = {
+      startedDateTime: new Date().toISOString(),
+      time: 0,
+      request: {
+        method: request.method.toUpperCase(),
+        url: url.toString(),
+        httpVersion: "HTTP/1.1",
+        cookies: [],
+        headers: [],
+        queryString: Array.from(url.searchParams, ([name, value]) => ({
+          name,
+          value,
+        })),
+        headersSize: -1,
+        bodySize: -1,
+      },
+      response: null,
+      cache: {},
+      timings: null,
+      _attempt: context.attempt,
+    };
+
+    const postData = this._describeRequestBody(request.data);
+
+    if (postData) {
+      entry.request.postData = postData;
+      entry.request.bodySize = Buffer.byteLength(postData.text || "");
+    }
+
+    // 先占位，保证并发请求按发出顺序记录
+    this.entries.push(entry);
+
+    return {
+      entry,
+      request,
+      marks: { start: Date.now() },
+      sentHeaders: null,
+    };
+  }
+
+  /**
+   * 描述请求体
+   * @private
+   * @param {*} data - 请求数据
+   * @returns {Object|null} - HAR postData，没有请求体时返回null
+   */
+  _describeRequestBody(data) {
+    if (data === undefined || data === null) {
+      return null;
+    }
+
+    // 上传文件的multipart请求体只记录类型，不记录文件内容
+    if (typeof data.getHeaders === "function") {
+      return {
+        mimeType: data.getHeaders()["content-type"] || "multipart/form-data",
+        params: [],
+        text: "",
+        comment: "multipart请求体未记录",
+      };
+    }
+
+    return {
+      mimeType: "application/json",
+      text: typeof data === "string" ? data : JSON.stringify(data),
+    };
+  }
+
+  /**
+   * 创建记录连接各阶段时间点的axios transport
+   * @private
+   * @param {Object} trace - 跟踪状态
+   * @returns {Object} - transport（提供request方法）
+   */
+  _createTransport(trace) {
+    const { marks } = trace;
+
+    return {
+      request: (options, callback) => {
+        const transport = options.protocol === "https:" ? https : http;
+        const req = transport.request(options, callback);
+
+        marks.request = Date.now();
+        trace.sentHeaders = req.getHeaders();
+
+        req.once("socket", (socket) => {
+          marks.socket = Date.now();
+
+          // 复用的连接没有DNS、连接和TLS阶段
+          if (socket.connecting) {
+            socket.once("lookup", () => (marks.lookup = Date.now()));
+            socket.once("connect", () => (marks.connect = Date.now()));
+            socket.once("secureConnect", () => (marks.secure = Date.now()));
+          }
+        });
+
+        req.once("finish", () => (marks.sent = Date.now()));
+        req.once("response", () => (marks.response = Date.now()));
+
+        return req;
+      },
+    };
+  }
+
+  /**
+   * 记录错误响应
+   * 未被读取的流式错误响应体会被读取并解析，以便错误处理能够得到错误消息。
+   * @private
+   * @param {Object} trace - 跟踪状态
+   * @param {Error} error - axios错误
+   * @returns {Promise<Object>} - 可继续使用的axios响应
+   */
+  async _captureError(trace, error) {
+    const response = error.response;
+    const data = response.data;
+
+    if (!data || typeof data.pipe !== "function") {
+      return this._captureResponse(trace, response);
+    }
+
+    const chunks = [];
+
+    for await (const chunk of data) {
+      chunks.push(Buffer.from(chunk));
+    }
+
+    const text = Buffer.concat(chunks).toString("utf8");
+    let body = text;
+
+    try {
+      body = JSON.parse(text);
+    } catch (parseError) {
+      // 保持文本
+    }
+
+    this._finishTrace(trace, response, text);
+
+    return { ...response, data: body };
+  }
+
+  /**
+   * 记录响应，流式响应在接收完毕后记录
+   * @private
+   * @param {Object} trace - 跟踪状态
+   * @param {Object} response - axios响应
+   * @returns {Object} - 可继续使用的axios响应
+   */
+  _captureResponse(trace, response) {
+    const data = response.data;
+
+    if (!data || typeof data.pipe !== "function") {
+      const text =
+        data === undefined || typeof data === "string"
+          ? data || ""
+          : JSON.stringify(data);
+
+      this._finishTrace(trace, response, text);
+      return response;
+    }
+
+    // 在消费方读取的同时收集内容（不改变流的读取节奏）
+    const chunks = [];
+    let size = 0;
+    let truncated = false;
+
+    const tee = new Transform({
+      transform(chunk, encoding, callback) {
+        size += chunk.length;
+
+        if (size <= MAX_BODY_BYTES) {
+          chunks.push(Buffer.from(chunk));
+        } else {
+          truncated = true;
+        }
+
+        callback(null, chunk);
+      },
+    });
+
+    // 销毁副本时同时关闭原始连接
+    pipeline(data, tee, () => {});
+
+    // 消费方读完（或提前关闭）副本后再记录
+    finished(tee, (error) => {
+      // 消费方读到message_stop后主动关闭流不算失败
+      const closed =
+        error &&
+        (error.code === "ERR_STREAM_PREMATURE_CLOSE" ||
+          error.name === "AbortError");
+      const body = Buffer.concat(chunks);
+
+      this._finishTrace(trace, response, body, closed ? null : error, {
+        size,
+        truncated,
+      });
+    });
+
+    return { ...response, data: tee };
+  }
+
+  /**
+   * 完成记录并写入文件
+   * @private
+   * @param {Object} trace - 跟踪状态
+   * @param {Object|null} response - axios响应，没有收到响应时为null
+   * @param {string|Buffer} body - 响应体
+   * @param {Error} error - 请求或读取响应时的错误
+   * @param {Object} bodyInfo - 流式响应体的信息（size、truncated）
+   */
+  _finishTrace(trace, response, body, error, bodyInfo = {}) {
+    const { entry, marks } = trace;
+
+    marks.end = Date.now();
+
+    if (trace.sentHeaders) {
+      entry.request.headers = toHarHeaders(trace.sentHeaders);
+    } else {
+      entry.request.headers = toHarHeaders(trace.request.headers);
+    }
+
+    entry.response = response
+      ? this._describeResponse(response, body, bodyInfo)
+      : {
+          status: 0,
+          statusText: "",
+          httpVersion: "HTTP/1.1",
+          cookies: [],
+          headers: [],
+          content: { size: 0, mimeType: "x-unknown" },
+          redirectURL: "",
+          headersSize: -1,
+          bodySize: -1,
+        };
+
+    if (response) {
+      entry._requestId = getHeader(response.headers, "request-id") || null;
+    }
+
+    if (error) {
+      entry.comment = `请求失败: ${error.message}`;
+    }
+
+    entry.timings = this._computeTimings(marks);
+
+    // ssl已包含在connect中，不重复计算
+    entry.time = Object.entries(entry.timings)
+      .filter(([phase, value]) => phase !== "ssl" && value > 0)
+      .reduce((total, [, value]) => total + value, 0);
+
+    this._save();
+  }
+
+  /**
+   * 描述响应
+   * @private
+   * @param {Object} response - axios响应
+   * @param {string|Buffer} body - 响应体
+   * @param {Object} bodyInfo - 流式响应体的信息（size、truncated）
+   * @returns {Object} - HAR响应
+   */
+  _describeResponse(response, body, bodyInfo) {
+    const mimeType = getHeader(response.headers, "content-type") || "x-unknown";
+    const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body, "utf8");
+    const content = {
+      size: bodyInfo.size !== undefined ? bodyInfo.size : buffer.length,
+      mimeType,
+    };
+
+    if (TEXT_CONTENT_TYPE.test(mimeType) || !Buffer.isBuffer(body)) {
+      content.text = buffer.toString("utf8");
+    } else {
+      content.text = buffer.toString("base64");
+      content.encoding = "base64";
+    }
+
+    if (bodyInfo.truncated) {
+      content.comment = `响应体超过 ${MAX_BODY_BYTES} 字节，已截断`;
+    }
+
+    return {
+      status: response.status,
+      statusText: response.statusText || "",
+      httpVersion: "HTTP/1.1",
+      cookies: [],
+      headers: toHarHeaders(response.headers),
+      content,
+      redirectURL: "",
+      headersSize: -1,
+      bodySize: content.size,
+    };
+  }
+
+  /**
+   * 根据时间点计算HAR的各阶段耗时
+   * 没有经过网络的请求（如回放）只有等待和接收阶段。
+   * @private
+   * @param {Object} marks - 时间点
+   * @returns {Object} - HAR timings（blocked、dns、connect、ssl、send、wait、receive）
+   */
+  _computeTimings(marks) {
+    if (marks.request === undefined) {
+      return {
+        blocked: -1,
+        dns: -1,
+        connect: -1,
+        ssl: -1,
+        send: 0,
+        wait: elapsed(marks.start, marks.response ?? marks.end),
+        receive: elapsed(marks.response ?? marks.end, marks.end),
+      };
+    }
+
+    const connectEnd = marks.secure ?? marks.connect;
+    const connected = connectEnd ?? marks.socket;
+    const sent = marks.sent ?? connected;
+
+    // 按HAR规范，connect包含ssl阶段
+    return {
+      blocked: elapsed(marks.start, marks.socket),
+      dns: elapsed(marks.socket, marks.lookup),
+      connect: elapsed(marks.lookup ?? marks.socket, connectEnd),
+      ssl: elapsed(marks.connect, marks.secure),
+      send: Math.max(0, elapsed(connected, sent)),
+      wait: Math.max(0, elapsed(sent, marks.response)),
+      receive: Math.max(0, elapsed(marks.response, marks.end)),
+    };
+  }
+
+  /**
+   * 写入HAR文件（API密钥会被隐藏）
+   * @private
+   */
+  _save() {
+    const content = JSON.stringify(
+      {
+        log: {
+          version: "1.2",
+          creator: { name: "claude-cli", version },
+          pages: [],
+          entries: this.entries.filter((entry) => entry.response),
+        },
+      },
+      null,
+      2
+    ).replace(API_KEY_PATTERN, "[REDACTED]");
+
+    try {
+      fs.mkdirSync(path.dirname(path.resolve(this.path)), { recursive: true });
+      fs.writeFileSync(this.path, content, "utf8");
+    } catch (error) {
+      if (this.logger) {
+        this.logger.warn(`无法写入跟踪文件 ${this.path}: ${error.message}`);
+      }
+    }
+  }
+}
+
+module.exports = HarTracer;
+module.exports.TRACE_MIDDLEWARE = TRACE_MIDDLEWARE;
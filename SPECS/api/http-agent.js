@@ -0,0 +1,228 @@
+/**
+ * HTTP代理与TLS模块
+ *
+ * 负责根据配置和环境变量确定代理服务器，加载自定义CA证书和客户端证书（mTLS），
+ * 并为API客户端创建相应的HTTP(S)代理对象。
+ */
+
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const tls = require("tls");
+const { HttpsProxyAgent } = require("https-proxy-agent");
+const { ConfigurationError } = require("../core/error-handler");
+
+/**
+ * 读取环境变量（同时兼容大小写形式）
+ * @param {Object} env - 环境变量
+ * @param {string} name - 变量名（大写）
+ * @returns {string|undefined} - 变量值
+ */
+function readEnv(env, name) {
+  return env[name] || env[name.toLowerCase()] || undefined;
+}
+
+/**
+ * 判断主机是否在NO_PROXY列表中
+ * @param {string} targetUrl - 目标URL
+ * @param {string} noProxy - NO_PROXY的值（逗号或空格分隔）
+ * @returns {boolean} - 是否绕过代理
+ */
+function shouldBypassProxy(targetUrl, noProxy) {
+  if (!noProxy) {
+    return false;
+  }
+
+  const url = new URL(targetUrl);
+  const hostname = url.hostname.toLowerCase();
+  const port = url.port || (url.protocol === "https:" ? "443" : "80");
+
+  return noProxy
+    .split(/[,\s]+/)
+    .filter(Boolean)
+    .some((entry) => {
+      if (entry === "*") {
+        return true;
+      }
+
+      let [entryHost, entryPort] = entry.toLowerCase().split(":");
+
+      if (entryPort && entryPort !== port) {
+        return false;
+      }
+
+      entryHost = entryHost.replace(/^\*?\./, "");
+
+      return hostname === entryHost || hostname.endsWith(`.${entryHost}`);
+    });
+}
+
+/**
+ * 确定目标URL实际使用的代理
+ * 优先级：显式指定的代理 > 配置中的proxy > HTTPS_PROXY/HTTP_PROXY环境变量。
+ * @param {Object} options - 选项
+ * @param {string} options.targetUrl - 目标URL
+ * @param {string} options.proxy - 显式指定的代理（--proxy）
+ * @param {string} options.configProxy - 配置中的代理
+ * @param {Object} options.env - 环境变量
+ * @returns {{url: string|null, source: string|null, noProxy: string|null, bypassed: boolean}} - 代理信息
+ */
+function resolveProxy({ targetUrl, proxy, configProxy, env = process.env }) {
+  const noProxy = readEnv(env, "NO_PROXY") || null;
+  const isHttps = new URL(targetUrl).protocol === "https:";
+
+  const candidates = [
+    [proxy, "--proxy"],
+    [configProxy, "config.proxy"],
+  ];
+
+  if (isHttps) {
+    candidates.push([readEnv(env, "HTTPS_PROXY"), "HTTPS_PROXY"]);
+  }
+
+  candidates.push([readEnv(env, "HTTP_PROXY"), "HTTP_PROXY"]);
+
+  const [url, source] = candidates.find(([value]) => value) || [null, null];
+
+  if (!url) {
+    return { url: null, source: null, noProxy, bypassed: false };
+  }
+
+  // 显式指定的代理不受NO_PROXY影响
+  if (source !== "--proxy" && shouldBypassProxy(targetUrl, noProxy)) {
+    return { url: null, source, noProxy, bypassed: true };
+  }
+
+  return { url, source, noProxy, bypassed: false };
+}
+
+/**
+ * 加载TLS相关选项（CA证书和客户端证书）
+ * @param {Object} options - 选项
+ * @param {string} options.caCertPath - 自定义根CA证书路径（PEM）
+ * @param {string} options.clientCertPath - 客户端证书路径（PEM）
+ * @param {string} options.clientKeyPath - 客户端私钥路径（PEM）
+ * @param {string} options.clientKeyPassphrase - 客户端私钥密码
+ * @returns {Object} - 传给tls.connect的选项
+ */
+function loadTlsOptions(options = {}) {
+  const tlsOptions = {};
+
+  const readPem = (filePath, description) => {
+    try {
+      return fs.readFileSync(filePath, "utf8");
+    } catch (error) {
+      throw new ConfigurationError(
+        `无法读取${description}: ${filePath} (${error.message})`,
+        { path: filePath }
+      );
+    }
+  };
+
+  if (options.caCertPath) {
+    // 在系统默认根证书的基础上追加自定义CA
+    tlsOptions.ca = [
+      ...tls.rootCertificates,
+      readPem(options.caCertPath, "CA证书"),
+    ];
+  }
+
+  if (options.clientCertPath || options.clientKeyPath) {
+    if (!options.clientCertPath || !options.clientKeyPath) {
+      throw new ConfigurationError(
+        "客户端证书需要同时配置clientCertPath和clientKeyPath",
+        {
+          clientCertPath: options.clientCertPath,
+          clientKeyPath: options.clientKeyPath,
+        }
+      );
+    }
+
+    tlsOptions.cert = readPem(options.clientCertPath, "客户端证书");
+    tlsOptions.key = readPem(options.clientKeyPath, "客户端私钥");
+
+    if (options.clientKeyPassphrase) {
+      tlsOptions.passphrase = options.clientKeyPassphrase;
+    }
+  }
+
+  return tlsOptions;
+}
+
+/**
+ * 为目标URL创建axios使用的网络配置
+ * @param {Object} options - 选项
+ * @param {string} options.targetUrl - 目标URL
+ * @param {string|null} options.proxyUrl - 代理URL
+ * @param {Object} options.tlsOptions - TLS选项
+ * @returns {Object} - axios配置（httpAgent、httpsAgent、proxy）
+ */
+function createAgentConfig({ targetUrl, proxyUrl, tlsOptions = {} }) {
+  const isHttps = new URL(targetUrl).protocol === "https:";
+
+  // HTTPS目标通过CONNECT隧道访问代理，由代理对象负责，禁用axios内置代理
+  if (isHttps) {
+    const httpsAgent = proxyUrl
+      ? new HttpsProxyAgent(proxyUrl, { ...tlsOptions, keepAlive: true })
+      : new https.Agent({ ...tlsOptions, keepAlive: true });
+
+    return { httpsAgent, proxy: false };
+  }
+
+  // HTTP目标直接将请求转发给代理
+  const config = {
+    httpAgent: new http.Agent({ keepAlive: true }),
+    proxy: false,
+  };
+
+  if (proxyUrl) {
+    const proxy = new URL(proxyUrl);
+
+    config.proxy = {
+      protocol: proxy.protocol.replace(":", ""),
+      host: proxy.hostname,
+      port: Number(proxy.port) || (proxy.protocol === "https:" ? 443 : 80),
+    };
+
+    if (proxy.username) {
+      config.proxy.auth = {
+        username: decodeURIComponent(proxy.username),
+        password: decodeURIComponent(proxy.password),
+      };
+    }
+  }
+
+  return config;
+}
+
+/**
+ * 隐藏代理URL中的认证信息
+ * @param {string|null} proxyUrl - 代理URL
+ * @returns {string|null} - 可安全显示的代理URL
+ */
+function redactProxyUrl(proxyUrl) {
+  if (!proxyUrl) {
+    return proxyUrl;
+  }
+
+  try {
+    const url = new URL(proxyUrl);
+
+    if (url.username || url.password) {
+      url.username = "***";
+      url.password = "";
+    }
+
+    return url.toString();
+  } catch (error) {
+    return proxyUrl;
+  }
+}
+
+module.exports = {
+  resolveProxy,
+  shouldBypassProxy,
+  loadTlsOptions,
+  createAgentConfig,
+  redactProxyUrl,
+};
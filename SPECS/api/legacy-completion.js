@@ -0,0 +1,179 @@
+/**
+ * 旧版文本补全兼容模块
+ *
+ * /v1/complete已经停用。这里将"\n\nHuman:"/"\n\nAssistant:"格式的提示转换为Messages API的消息，
+ * 并将返回的消息转换回旧版补全响应的格式（包括流式事件），使依赖旧接口的脚本不需要修改。
+ */
+
+const { ValidationError } = require("../core/error-handler");
+
+// 旧版提示中的对话轮次标记
+const HUMAN_PROMPT = "\n\nHuman:";
+const AI_PROMPT = "\n\nAssistant:";
+
+// 对话轮次标记的匹配规则
+const TURN_PATTERN = /\n\n(Human|Assistant):/g;
+
+/**
+ * 将旧版提示转换为Messages API的系统提示和消息
+ * 第一个"Human:"之前的文本作为系统提示；末尾非空的"Assistant:"轮次作为预填充的助手回复。
+ * @param {string} prompt - 旧版提示（如"\n\nHuman: 你好\n\nAssistant:"）
+ * @returns {{system: string|undefined, messages: Array<Object>}} - 系统提示和消息数组
+ * @throws {ValidationError} - 提示为空或不包含用户轮次时抛出
+ */
+function parseCompletionPrompt(prompt) {
+  if (typeof prompt !== "string" || !prompt.trim()) {
+    throw new ValidationError("prompt不能为空", { field: "prompt" });
+  }
+
+  // 没有轮次标记的提示整体视为一条用户消息
+  if (!prompt.includes(HUMAN_PROMPT)) {
+    return {
+      system: undefined,
+      messages: [{ role: "user", content: prompt.trim() }],
+    };
+  }
+
+  const matches = Array.from(prompt.matchAll(TURN_PATTERN));
+  const system = prompt.slice(0, matches[0].index).trim() || undefined;
+  const messages = [];
+
+  matches.forEach((match, index) => {
+    const end =
+      index + 1 < matches.length ? matches[index + 1].index : prompt.length;
+    const role = match[1] === "Human" ? "user" : "assistant";
+    const text = prompt.slice(match.index + match[0].length, end).trim();
+    const previous = messages[messages.length - 1];
+
+    // 相邻的同角色轮次合并为一条消息
+    if (previous && previous.role === role) {
+      previous.content = [previous.content, text].filter(Boolean).join("\n\n");
+    } else {
+      messages.push({ role, content: text });
+    }
+  });
+
+  // 末尾空的"Assistant:"只是提示模型开始回复
+  const last = messages[messages.length - 1];
+
+  if (last.role === "assistant" && !last.content) {
+    messages.pop();
+  }
+
+  if (messages[0].role !== "user") {
+    throw new ValidationError("prompt必须以Human轮次开始", {
+      field: "prompt",
+    });
+  }
+
+  const empty = messages.find((message) => !message.content);
+
+  if (empty) {
+    throw new ValidationError(`prompt中存在空的${empty.role}轮次`, {
+      field: "prompt",
+    });
+  }
+
+  return { system, messages };
+}
+
+/**
+ * 将Messages API的停止原因转换为旧版格式
+ * @param {Object} message - 完整消息
+ * @returns {{stop_reason: string|null, stop: string|null}} - 旧版停止原因和停止序列
+ */
+function toCompletionStop(message) {
+  switch (message.stop_reason) {
+    case "end_turn":
+      return { stop_reason: "stop_sequence", stop: HUMAN_PROMPT };
+    case "stop_sequence":
+      return { stop_reason: "stop_sequence", stop: message.stop_sequence };
+    case "max_tokens":
+      return { stop_reason: "max_tokens", stop: null };
+    default:
+      return { stop_reason: message.stop_reason || null, stop: null };
+  }
+}
+
+/**
+ * 将Messages API的响应转换为旧版补全响应
+ * @param {Object} message - 完整消息
+ * @returns {Object} - 旧版补全响应（type、id、completion、stop_reason、stop、model）
+ */
+function toCompletion(message) {
+  const completion = (message.content || [])
+    .filter((block) => block.type === "text")
+    .map((block) => block.text)
+    .join("");
+
+  return {
+    type: "completion",
+    id: message.id,
+    completion,
+    ...toCompletionStop(message),
+    model: message.model,
+  };
+}
+
+/**
+ * 旧版补全流类
+ *
+ * 将消息流转换为旧版的completion事件：每个文本片段一个事件，
+ * 最后一个事件的completion为空并带有stop_reason。
+ */
+class CompletionStream {
+  /**
+   * 创建补全流实例
+   * @param {MessageStream} messageStream - 消息流
+   */
+  constructor(messageStream) {
+    this.messageStream = messageStream;
+  }
+
+  /**
+   * 异步迭代器，逐个返回旧版completion事件
+   * @returns {AsyncGenerator<Object>} - completion事件
+   */
+  async *[Symbol.asyncIterator]() {
+    let message = null;
+
+    for await (const event of this.messageStream) {
+      if (event.type === "message_start") {
+        message = event.message;
+      } else if (
+        event.type === "content_block_delta" &&
+        event.delta.type === "text_delta"
+      ) {
+        yield {
+          type: "completion",
+          id: message.id,
+          completion: event.delta.text,
+          stop_reason: null,
+          stop: null,
+          model: message.model,
+        };
+      }
+    }
+
+    const final = await this.messageStream.finalMessage();
+
+    yield { ...toCompletion(final), completion: "" };
+  }
+
+  /**
+   * 获取完整的补全响应
+   * 如果尚未开始消费，会自动消费整个流。
+   * @returns {Promise<Object>} - 旧版补全响应
+   */
+  async finalCompletion() {
+    return toCompletion(await this.messageStream.finalMessage());
+  }
+}
+
+module.exports = {
+  HUMAN_PROMPT,
+  AI_PROMPT,
+  parseCompletionPrompt,
+  toCompletion,
+  CompletionStream,
+};
@@ -0,0 +1,767 @@
+/**
+ * 消息请求参数模块
+ *
+ * 负责将ApiClient.sendMessages的选项转换为Messages API请求体，并在发送前进行校验。
+ */
+
+const { ValidationError } = require("../core/error-handler");
+const utils = require("../core/utils");
+
+// 消息中允许的角色
+const MESSAGE_ROLES = ["user", "assistant"];
+
+// tool_choice允许的类型
+const TOOL_CHOICE_TYPES = ["auto", "any", "tool", "none"];
+
+// 文档块source允许的类型
+const DOCUMENT_SOURCE_TYPES = ["base64", "text", "file", "content", "url"];
+
+// 扩展思考预算的最小值
+const MIN_THINKING_BUDGET = 1024;
+
+// 启用扩展思考时允许的tool_choice类型
+const THINKING_TOOL_CHOICE_TYPES = ["auto", "none"];
+
+// 提示缓存断点可以放置的位置
+const PROMPT_CACHE_TARGETS = ["tools", "system", "documents", "history"];
+
+// 自动模式下放置断点的位置
+const AUTO_PROMPT_CACHE_TARGETS = ["tools", "system", "documents"];
+
+// 单个请求最多允许的cache_control断点数
+const MAX_CACHE_BREAKPOINTS = 4;
+
+// 自动缓存的附件的最小估算令牌数（更小的附件不值得单独占用一个断点）
+const LARGE_ATTACHMENT_TOKENS = 1024;
+
+// 估算令牌数时，每个base64图片或文档计入的令牌数
+const BINARY_BLOCK_TOKENS = 1600;
+
+// 各类内容块的必填字段
+const CONTENT_BLOCK_FIELDS = {
+  text: ["text"],
+  image: ["source"],
+  document: ["source"],
+  tool_use: ["id", "name", "input"],
+  tool_result: ["tool_use_id"],
+  thinking: ["thinking", "signature"],
+  redacted_thinking: ["data"],
+};
+
+/**
+ * 抛出校验错误
+ * @param {string} field - 出错的字段
+ * @param {string} message - 错误消息
+ * @param {Object} data - 附加数据
+ */
+function fail(field, message, data = {}) {
+  throw new ValidationError(`无效的请求参数 ${field}: ${message}`, {
+    field,
+    ...data,
+  });
+}
+
+/**
+ * 根据sendMessages选项构建请求体
+ * @param {Object} options - sendMessages选项
+ * @returns {Object} - Messages API请求体
+ */
+function buildMessagesPayload(options) {
+  const payload = {
+    model: options.model,
+    messages: options.messages,
+    max_tokens: options.maxTokens || 1000,
+  };
+
+  // 可选字段：选项名 -> 请求体字段名
+  const optionalFields = {
+    system: "system",
+    temperature: "temperature",
+    topP: "top_p",
+    topK: "top_k",
+    stopSequences: "stop_sequences",
+    metadata: "metadata",
+    tools: "tools",
+    toolChoice: "tool_choice",
+    thinking: "thinking",
+  };
+
+  for (const [optionName, field] of Object.entries(optionalFields)) {
+    if (options[optionName] !== undefined && options[optionName] !== null) {
+      payload[field] = options[optionName];
+    }
+  }
+
+  // 扩展思考预算（thinking选项优先）
+  if (options.thinkingBudget && payload.thinking === undefined) {
+    payload.thinking = {
+      type: "enabled",
+      budget_tokens: options.thinkingBudget,
+    };
+  }
+
+  // 文档块和已上传的文件附加到第一条用户消息
+  const documents = [
+    ...(Array.isArray(options.documents) ? options.documents : []),
+    ...(Array.isArray(options.fileIds) ? options.fileIds : []).map(
+      createFileDocument
+    ),
+  ];
+
+  if (documents.length > 0) {
+    payload.messages = attachDocuments(payload.messages, documents, {
+      citations: options.citations,
+    });
+  }
+
+  const cacheTargets = resolvePromptCacheTargets(options.promptCache);
+
+  if (cacheTargets.length > 0) {
+    applyPromptCache(payload, cacheTargets);
+  }
+
+  if (options.stream) {
+    payload.stream = true;
+  }
+
+  return payload;
+}
+
+/**
+ * 解析提示缓存设置
+ * @param {string|boolean|Array<string>} promptCache - auto/true（自动）、off/false（不使用），或断点位置（数组或逗号分隔的字符串）
+ * @returns {Array<string>} - 断点位置
+ */
+function resolvePromptCacheTargets(promptCache) {
+  if (
+    promptCache === undefined ||
+    promptCache === null ||
+    promptCache === false ||
+    promptCache === "off"
+  ) {
+    return [];
+  }
+
+  if (promptCache === true || promptCache === "auto") {
+    return AUTO_PROMPT_CACHE_TARGETS;
+  }
+
+  const targets = Array.isArray(promptCache)
+    ? promptCache
+    : String(promptCache)
+        .split(",")
+        .map((target) => target.trim())
+        .filter(Boolean);
+
+  const unknownTargets = targets.filter(
+    (target) => !PROMPT_CACHE_TARGETS.includes(target)
+  );
+
+  if (unknownTargets.length > 0) {
+    fail(
+      "promptCache",
+      `不支持的缓存位置 ${unknownTargets.join(", ")}（应为auto、off或${PROMPT_CACHE_TARGETS.join("、")}）`
+    );
+  }
+
+  return targets;
+}
+
+/**
+ * 在请求体中放置提示缓存断点（cache_control）
+ * 已有的断点保留不变，并计入断点总数上限。
+ * @param {Object} payload - Messages API请求体（会被修改，原有的消息和内容块不会被修改）
+ * @param {Array<string>} targets - 断点位置（tools、system、documents、history）
+ * @returns {Object} - 请求体
+ */
+function applyPromptCache(payload, targets) {
+  let remaining =
+    MAX_CACHE_BREAKPOINTS -
+    (JSON.stringify(payload).match(/"cache_control":/g) || []).length;
+
+  const mark = (block) => {
+    if (remaining <= 0 || block.cache_control) {
+      return block;
+    }
+
+    remaining--;
+    return { ...block, cache_control: { type: "ephemeral" } };
+  };
+
+  // 按请求前缀的顺序（tools、system、messages）放置断点
+  if (
+    targets.includes("tools") &&
+    Array.isArray(payload.tools) &&
+    payload.tools.length > 0
+  ) {
+    const tools = payload.tools.slice();
+    tools[tools.length - 1] = mark(tools[tools.length - 1]);
+    payload.tools = tools;
+  }
+
+  if (targets.includes("system") && payload.system) {
+    const system =
+      typeof payload.system === "string"
+        ? [{ type: "text", text: payload.system }]
+        : payload.system.slice();
+
+    if (system.length > 0) {
+      system[system.length - 1] = mark(system[system.length - 1]);
+      payload.system = system;
+    }
+  }
+
+  if (!Array.isArray(payload.messages)) {
+    return payload;
+  }
+
+  if (targets.includes("documents")) {
+    const location = findLastLargeAttachment(payload.messages);
+
+    if (location) {
+      payload.messages = updateContentBlock(payload.messages, location, mark);
+    }
+  }
+
+  if (targets.includes("history") && payload.messages.length > 0) {
+    const messageIndex = payload.messages.length - 1;
+    const content = payload.messages[messageIndex].content;
+
+    payload.messages = updateContentBlock(
+      payload.messages,
+      {
+        messageIndex,
+        blockIndex: typeof content === "string" ? 0 : content.length - 1,
+      },
+      mark
+    );
+  }
+
+  return payload;
+}
+
+/**
+ * 查找最后一个较大的图片或文档内容块
+ * @param {Array<Object>} messages - 消息数组
+ * @returns {{messageIndex: number, blockIndex: number}|null} - 内容块位置
+ */
+function findLastLargeAttachment(messages) {
+  for (
+    let messageIndex = messages.length - 1;
+    messageIndex >= 0;
+    messageIndex--
+  ) {
+    const content = messages[messageIndex].content;
+
+    if (!Array.isArray(content)) {
+      continue;
+    }
+
+    for (let blockIndex = content.length - 1; blockIndex >= 0; blockIndex--) {
+      const block = content[blockIndex];
+
+      if (
+        utils.isObject(block) &&
+        (block.type === "document" || block.type === "image") &&
+        // 已上传的文件无法估算大小，按大附件处理
+        ((block.source && block.source.type === "file") ||
+          estimateTokens(block) >= LARGE_ATTACHMENT_TOKENS)
+      ) {
+        return { messageIndex, blockIndex };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 替换消息中的一个内容块（字符串内容会先转换为文本块）
+ * @param {Array<Object>} messages - 消息数组
+ * @param {Object} location - 内容块位置
+ * @param {number} location.messageIndex - 消息索引
+ * @param {number} location.blockIndex - 内容块索引
+ * @param {Function} update - 接收原内容块并返回新内容块的函数
+ * @returns {Array<Object>} - 新的消息数组
+ */
+function updateContentBlock(messages, { messageIndex, blockIndex }, update) {
+  const message = messages[messageIndex];
+  const content =
+    typeof message.content === "string"
+      ? [{ type: "text", text: message.content }]
+      : message.content.slice();
+
+  if (!content[blockIndex]) {
+    return messages;
+  }
+
+  content[blockIndex] = update(content[blockIndex]);
+
+  const result = messages.slice();
+  result[messageIndex] = { ...message, content };
+  return result;
+}
+
+/**
+ * 将文件ID作为文档块附加到第一条用户消息
+ * @param {Array<Object>} messages - 消息数组
+ * @param {Array<string>} fileIds - 文件ID数组
+ * @param {Object} options - 选项（同attachDocuments）
+ * @returns {Array<Object>} - 新的消息数组
+ */
+function attachFileIds(messages, fileIds, options = {}) {
+  return attachDocuments(messages, fileIds.map(createFileDocument), options);
+}
+
+/**
+ * 创建引用已上传文件的文档块
+ * @param {string} fileId - 文件ID
+ * @returns {Object} - document内容块
+ */
+function createFileDocument(fileId) {
+  return {
+    type: "document",
+    source: { type: "file", file_id: fileId },
+  };
+}
+
+/**
+ * 将文档块附加到第一条用户消息（放在原有内容之前）
+ * @param {Array<Object>} messages - 消息数组
+ * @param {Array<Object>} documents - document内容块
+ * @param {Object} options - 选项
+ * @param {boolean} options.citations - 为未指定citations的文档启用引用
+ * @returns {Array<Object>} - 新的消息数组
+ */
+function attachDocuments(messages, documents, options = {}) {
+  if (!Array.isArray(messages)) {
+    return messages;
+  }
+
+  const index = messages.findIndex((message) => message.role === "user");
+
+  if (index === -1) {
+    return messages;
+  }
+
+  const message = messages[index];
+  const content =
+    typeof message.content === "string"
+      ? [{ type: "text", text: message.content }]
+      : message.content;
+
+  const blocks = documents.map((document) =>
+    options.citations && document.citations === undefined
+      ? { ...document, citations: { enabled: true } }
+      : document
+  );
+
+  const result = messages.slice();
+  result[index] = { ...message, content: [...blocks, ...content] };
+  return result;
+}
+
+/**
+ * 校验Messages API请求体
+ * @param {Object} payload - 请求体
+ */
+function validateMessagesPayload(payload) {
+  if (typeof payload.model !== "string" || utils.isEmpty(payload.model)) {
+    fail("model", "必须是非空字符串");
+  }
+
+  if (!Number.isInteger(payload.max_tokens) || payload.max_tokens < 1) {
+    fail("max_tokens", "必须是正整数", { value: payload.max_tokens });
+  }
+
+  validateMessages(payload.messages);
+
+  if (payload.system !== undefined) {
+    validateSystem(payload.system);
+  }
+
+  if (payload.temperature !== undefined) {
+    validateRange("temperature", payload.temperature, 0, 1);
+  }
+
+  if (payload.top_p !== undefined) {
+    validateRange("top_p", payload.top_p, 0, 1);
+  }
+
+  if (payload.top_k !== undefined) {
+    if (!Number.isInteger(payload.top_k) || payload.top_k < 1) {
+      fail("top_k", "必须是正整数", { value: payload.top_k });
+    }
+  }
+
+  if (payload.stop_sequences !== undefined) {
+    if (
+      !Array.isArray(payload.stop_sequences) ||
+      payload.stop_sequences.some(
+        (sequence) => typeof sequence !== "string" || sequence === ""
+      )
+    ) {
+      fail("stop_sequences", "必须是非空字符串数组");
+    }
+  }
+
+  if (payload.metadata !== undefined) {
+    validateMetadata(payload.metadata);
+  }
+
+  if (payload.tools !== undefined) {
+    validateTools(payload.tools);
+  }
+
+  if (payload.tool_choice !== undefined) {
+    validateToolChoice(payload.tool_choice, payload.tools);
+  }
+
+  if (payload.thinking !== undefined) {
+    validateThinking(payload);
+  }
+}
+
+/**
+ * 校验扩展思考配置，以及与之冲突的参数
+ * @param {Object} payload - 请求体
+ */
+function validateThinking(payload) {
+  const { thinking } = payload;
+
+  if (
+    !utils.isObject(thinking) ||
+    !["enabled", "disabled"].includes(thinking.type)
+  ) {
+    fail("thinking.type", "必须是 enabled, disabled 之一");
+  }
+
+  if (thinking.type === "disabled") {
+    return;
+  }
+
+  const budget = thinking.budget_tokens;
+
+  if (!Number.isInteger(budget) || budget < MIN_THINKING_BUDGET) {
+    fail("thinking.budget_tokens", `必须是不小于${MIN_THINKING_BUDGET}的整数`, {
+      value: budget,
+    });
+  }
+
+  if (budget >= payload.max_tokens) {
+    fail("thinking.budget_tokens", "必须小于max_tokens", {
+      value: budget,
+      maxTokens: payload.max_tokens,
+    });
+  }
+
+  if (payload.temperature !== undefined && payload.temperature !== 1) {
+    fail("temperature", "启用扩展思考时不能修改温度");
+  }
+
+  if (payload.top_k !== undefined) {
+    fail("top_k", "启用扩展思考时不能使用top_k");
+  }
+
+  if (
+    payload.tool_choice !== undefined &&
+    !THINKING_TOOL_CHOICE_TYPES.includes(payload.tool_choice.type)
+  ) {
+    fail(
+      "tool_choice.type",
+      `启用扩展思考时只能是 ${THINKING_TOOL_CHOICE_TYPES.join(", ")} 之一`
+    );
+  }
+
+  // 工具调用过程中，返回工具结果前的助手消息必须以思考块开头（原样保留）
+  const messages = payload.messages;
+  const last = messages[messages.length - 1];
+  const previous = messages[messages.length - 2];
+
+  if (
+    last &&
+    previous &&
+    previous.role === "assistant" &&
+    Array.isArray(last.content) &&
+    last.content.some((block) => block.type === "tool_result") &&
+    Array.isArray(previous.content) &&
+    previous.content.some((block) => block.type === "tool_use") &&
+    !["thinking", "redacted_thinking"].includes(previous.content[0].type)
+  ) {
+    fail(
+      `messages[${messages.length - 2}].content[0]`,
+      "启用扩展思考时，包含tool_use的助手消息必须以thinking或redacted_thinking块开头"
+    );
+  }
+}
+
+/**
+ * 校验数值范围
+ * @param {string} field - 字段名
+ * @param {*} value - 值
+ * @param {number} min - 最小值
+ * @param {number} max - 最大值
+ */
+function validateRange(field, value, min, max) {
+  if (typeof value !== "number" || isNaN(value) || value < min || value > max) {
+    fail(field, `必须是 ${min} 到 ${max} 之间的数字`, { value });
+  }
+}
+
+/**
+ * 校验消息数组
+ * @param {Array<Object>} messages - 消息数组
+ */
+function validateMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    fail("messages", "必须是非空数组");
+  }
+
+  messages.forEach((message, index) => {
+    const field = `messages[${index}]`;
+
+    if (!utils.isObject(message)) {
+      fail(field, "必须是对象");
+    }
+
+    if (!MESSAGE_ROLES.includes(message.role)) {
+      fail(`${field}.role`, `必须是 ${MESSAGE_ROLES.join(" 或 ")}`, {
+        value: message.role,
+      });
+    }
+
+    if (typeof message.content === "string") {
+      return;
+    }
+
+    if (!Array.isArray(message.content) || message.content.length === 0) {
+      fail(`${field}.content`, "必须是字符串或非空内容块数组");
+    }
+
+    message.content.forEach((block, blockIndex) =>
+      validateContentBlock(block, `${field}.content[${blockIndex}]`)
+    );
+  });
+}
+
+/**
+ * 校验内容块
+ * @param {Object} block - 内容块
+ * @param {string} field - 字段路径
+ */
+function validateContentBlock(block, field) {
+  if (!utils.isObject(block) || typeof block.type !== "string") {
+    fail(field, "内容块必须是包含type的对象");
+  }
+
+  const requiredFields = CONTENT_BLOCK_FIELDS[block.type];
+
+  // 未知类型的内容块原样透传，由API决定是否接受
+  if (!requiredFields) {
+    return;
+  }
+
+  for (const requiredField of requiredFields) {
+    if (block[requiredField] === undefined) {
+      fail(`${field}.${requiredField}`, `${block.type} 内容块缺少该字段`);
+    }
+  }
+
+  if (block.type === "text" && typeof block.text !== "string") {
+    fail(`${field}.text`, "必须是字符串");
+  }
+
+  if (block.type === "document") {
+    validateDocumentSource(block.source, `${field}.source`);
+  }
+}
+
+/**
+ * 校验文档块的source
+ * @param {Object} source - 文档来源
+ * @param {string} field - 字段路径
+ */
+function validateDocumentSource(source, field) {
+  if (!utils.isObject(source) || !DOCUMENT_SOURCE_TYPES.includes(source.type)) {
+    fail(`${field}.type`, `必须是 ${DOCUMENT_SOURCE_TYPES.join(", ")} 之一`);
+  }
+
+  if (source.type === "base64" && source.media_type !== "application/pdf") {
+    fail(`${field}.media_type`, "base64文档必须是application/pdf");
+  }
+
+  if (source.type === "text" && typeof source.data !== "string") {
+    fail(`${field}.data`, "必须是字符串");
+  }
+
+  if (source.type === "file" && typeof source.file_id !== "string") {
+    fail(`${field}.file_id`, "必须是字符串");
+  }
+}
+
+/**
+ * 校验系统提示
+ * @param {string|Array<Object>} system - 系统提示
+ */
+function validateSystem(system) {
+  if (typeof system === "string") {
+    return;
+  }
+
+  if (!Array.isArray(system)) {
+    fail("system", "必须是字符串或文本块数组");
+  }
+
+  system.forEach((block, index) => {
+    if (
+      !utils.isObject(block) ||
+      block.type !== "text" ||
+      typeof block.text !== "string"
+    ) {
+      fail(`system[${index}]`, "必须是文本块");
+    }
+  });
+}
+
+/**
+ * 校验元数据
+ * @param {Object} metadata - 元数据
+ */
+function validateMetadata(metadata) {
+  if (!utils.isObject(metadata)) {
+    fail("metadata", "必须是对象");
+  }
+
+  const unknownKeys = Object.keys(metadata).filter((key) => key !== "user_id");
+
+  if (unknownKeys.length > 0) {
+    fail("metadata", `不支持的字段: ${unknownKeys.join(", ")}`);
+  }
+
+  if (
+    metadata.user_id !== undefined &&
+    metadata.user_id !== null &&
+    typeof metadata.user_id !== "string"
+  ) {
+    fail("metadata.user_id", "必须是字符串");
+  }
+}
+
+/**
+ * 校验工具定义
+ * @param {Array<Object>} tools - 工具定义数组
+ */
+function validateTools(tools) {
+  if (!Array.isArray(tools)) {
+    fail("tools", "必须是数组");
+  }
+
+  const names = new Set();
+
+  tools.forEach((tool, index) => {
+    const field = `tools[${index}]`;
+
+    if (!utils.isObject(tool) || typeof tool.name !== "string" || !tool.name) {
+      fail(`${field}.name`, "必须是非空字符串");
+    }
+
+    if (names.has(tool.name)) {
+      fail(`${field}.name`, `工具名称重复: ${tool.name}`);
+    }
+
+    names.add(tool.name);
+
+    // 服务端工具（带type字段）不需要input_schema
+    if (tool.type === undefined || tool.type === "custom") {
+      if (
+        !utils.isObject(tool.input_schema) ||
+        tool.input_schema.type !== "object"
+      ) {
+        fail(`${field}.input_schema`, "必须是type为object的JSON Schema");
+      }
+    }
+  });
+}
+
+/**
+ * 校验工具选择
+ * @param {Object} toolChoice - 工具选择
+ * @param {Array<Object>} tools - 工具定义数组
+ */
+function validateToolChoice(toolChoice, tools) {
+  if (
+    !utils.isObject(toolChoice) ||
+    !TOOL_CHOICE_TYPES.includes(toolChoice.type)
+  ) {
+    fail("tool_choice.type", `必须是 ${TOOL_CHOICE_TYPES.join(", ")} 之一`);
+  }
+
+  if (toolChoice.type === "none") {
+    return;
+  }
+
+  if (!Array.isArray(tools) || tools.length === 0) {
+    fail("tool_choice", "指定tool_choice时必须提供tools");
+  }
+
+  if (toolChoice.type === "tool") {
+    if (!tools.some((tool) => tool.name === toolChoice.name)) {
+      fail("tool_choice.name", `未定义的工具: ${toolChoice.name}`, {
+        availableTools: tools.map((tool) => tool.name),
+      });
+    }
+  }
+
+  if (
+    toolChoice.disable_parallel_tool_use !== undefined &&
+    typeof toolChoice.disable_parallel_tool_use !== "boolean"
+  ) {
+    fail("tool_choice.disable_parallel_tool_use", "必须是布尔值");
+  }
+}
+
+/**
+ * 粗略估算请求的输入令牌数（约4个字符一个令牌，每个base64图片或文档按固定值计算）
+ * @param {Object} payload - Messages API请求体
+ * @returns {number} - 估算的输入令牌数
+ */
+function estimateInputTokens(payload) {
+  return estimateTokens({
+    system: payload.system,
+    messages: payload.messages,
+    tools: payload.tools,
+  });
+}
+
+/**
+ * 粗略估算任意请求内容的令牌数
+ * @param {*} value - 请求内容（系统提示、消息、内容块等）
+ * @returns {number} - 估算的令牌数
+ */
+function estimateTokens(value) {
+  let binaryTokens = 0;
+
+  const text = JSON.stringify(value, (key, item) => {
+    if (
+      utils.isObject(item) &&
+      item.type === "base64" &&
+      typeof item.data === "string"
+    ) {
+      binaryTokens += BINARY_BLOCK_TOKENS;
+      return { type: "base64", media_type: item.media_type };
+    }
+    return item;
+  });
+
+  return Math.ceil(text.length / 4) + binaryTokens;
+}
+
+module.exports = {
+  buildMessagesPayload,
+  validateMessagesPayload,
+  attachFileIds,
+  attachDocuments,
+  applyPromptCache,
+  resolvePromptCacheTargets,
+  estimateInputTokens,
+};
@@ -0,0 +1,575 @@
+/**
+ * 消息流模块
+ *
+ * 负责将Messages API返回的服务器发送事件(SSE)字节流解码为类型化事件，
+ * 并在消费过程中累积出最终的完整消息。
+ */
+
+const { Readable } = require("stream");
+const { StringDecoder } = require("string_decoder");
+const { ApiError } = require("../core/error-handler");
+
+/**
+ * 将SSE字节流解码为原始事件
+ * @param {AsyncIterable<Buffer|string>} source - 字节流
+ * @returns {AsyncGenerator<{event: string, data: string}>} - 原始事件
+ */
+async function* decodeServerSentEvents(source) {
+  const decoder = new StringDecoder("utf8");
+  let buffer = "";
+  let eventName = null;
+  let dataLines = [];
+
+  // 处理单行，遇到空行时返回完整事件
+  const processLine = (line) => {
+    if (line === "") {
+      if (dataLines.length === 0 && eventName === null) {
+        return null;
+      }
+
+      const event = { event: eventName, data: dataLines.join("\n") };
+      eventName = null;
+      dataLines = [];
+      return event;
+    }
+
+    // 注释行
+    if (line.startsWith(":")) {
+      return null;
+    }
+
+    const separatorIndex = line.indexOf(":");
+    const field = separatorIndex === -1 ? line : line.slice(0, separatorIndex);
+    let value = separatorIndex === -1 ? "" : line.slice(separatorIndex + 1);
+
+    if (value.startsWith(" ")) {
+      value = value.slice(1);
+    }
+
+    if (field === "event") {
+      eventName = value;
+    } else if (field === "data") {
+      dataLines.push(value);
+    }
+
+    return null;
+  };
+
+  for await (const chunk of source) {
+    buffer += typeof chunk === "string" ? chunk : decoder.write(chunk);
+
+    let newlineIndex;
+
+    while ((newlineIndex = buffer.search(/\r\n|\r|\n/)) !== -1) {
+      // "\r"可能是"\r\n"的前半部分，等待更多数据
+      if (buffer[newlineIndex] === "\r" && newlineIndex === buffer.length - 1) {
+        break;
+      }
+
+      const line = buffer.slice(0, newlineIndex);
+      const newlineLength = buffer.startsWith("\r\n", newlineIndex) ? 2 : 1;
+      buffer = buffer.slice(newlineIndex + newlineLength);
+
+      const event = processLine(line);
+
+      if (event) {
+        yield event;
+      }
+    }
+  }
+
+  buffer += decoder.end();
+
+  // 处理末尾未以空行结束的事件
+  for (const line of buffer.split(/\r\n|\r|\n/)) {
+    const event = processLine(line);
+
+    if (event) {
+      yield event;
+    }
+  }
+
+  const lastEvent = processLine("");
+
+  if (lastEvent) {
+    yield lastEvent;
+  }
+}
+
+/**
+ * 将事件编码为SSE文本
+ * @param {Array<{event: string, data: *}>} events - 事件（data不是字符串时序列化为JSON）
+ * @returns {string} - SSE文本
+ */
+function encodeServerSentEvents(events) {
+  return events
+    .map(({ event, data }) => {
+      const text = typeof data === "string" ? data : JSON.stringify(data);
+      const lines = text.split("\n").map((line) => `data: ${line}`);
+
+      return `${event ? `event: ${event}\n` : ""}${lines.join("\n")}\n\n`;
+    })
+    .join("");
+}
+
+/**
+ * 消息流类
+ *
+ * 既可以作为异步迭代器逐个消费事件，也可以通过finalMessage()获取累积后的完整消息。
+ * 事件流只能被消费一次。
+ */
+class MessageStream {
+  /**
+   * 创建消息流实例
+   * @param {AsyncIterable<Buffer|string>} source - SSE字节流
+   * @param {Object} options - 选项
+   * @param {Object} options.logger - 日志记录器
+   * @param {Function} options.transformEvent - 处理每个事件的函数（返回替换的事件，返回null丢弃事件）
+   */
+  constructor(source, options = {}) {
+    this.source = source;
+    this.logger = options.logger;
+    this.transformEvent = options.transformEvent;
+
+    // 累积的消息
+    this.message = null;
+
+    // 是否已开始消费
+    this.consumed = false;
+
+    // 是否已结束
+    this.ended = false;
+
+    // 工具输入的JSON片段（按内容块索引）
+    this._partialJson = new Map();
+
+    // 预读的事件（见waitForContent）
+    this._events = null;
+    this._buffered = [];
+
+    // 最终消息的Promise
+    this._finalPromise = new Promise((resolve, reject) => {
+      this._resolveFinal = resolve;
+      this._rejectFinal = reject;
+    });
+
+    // 避免无人等待时出现未处理的拒绝
+    this._finalPromise.catch(() => {});
+  }
+
+  /**
+   * 根据完整消息创建消息流（用于以流式事件重放缓存的响应）
+   * @param {Object} message - 完整消息
+   * @param {Object} options - 选项（同构造函数）
+   * @returns {MessageStream} - 消息流
+   */
+  static fromMessage(message, options = {}) {
+    const sse = encodeServerSentEvents(
+      MessageStream.createEvents(message).map((event) => ({
+        event: event.type,
+        data: event,
+      }))
+    );
+
+    return new MessageStream(Readable.from([sse]), options);
+  }
+
+  /**
+   * 将完整消息拆分为等价的流式事件序列
+   * @param {Object} message - 完整消息
+   * @returns {Array<Object>} - 事件数组
+   */
+  static createEvents(message) {
+    const {
+      content = [],
+      usage = {},
+      stop_reason,
+      stop_sequence,
+      ...rest
+    } = message;
+
+    const events = [
+      {
+        type: "message_start",
+        message: {
+          ...rest,
+          content: [],
+          stop_reason: null,
+          stop_sequence: null,
+          usage: { ...usage, output_tokens: 0 },
+        },
+      },
+    ];
+
+    content.forEach((block, index) => {
+      const deltas = [];
+      let start = block;
+
+      switch (block.type) {
+        case "text": {
+          const { text, citations, ...fields } = block;
+          start = { ...fields, text: "" };
+          for (const citation of citations || []) {
+            deltas.push({ type: "citations_delta", citation });
+          }
+          deltas.push({ type: "text_delta", text });
+          break;
+        }
+        case "tool_use":
+        case "server_tool_use": {
+          const { input, ...fields } = block;
+          start = { ...fields, input: {} };
+          deltas.push({
+            type: "input_json_delta",
+            partial_json: JSON.stringify(input || {}),
+          });
+          break;
+        }
+        case "thinking": {
+          const { thinking, signature, ...fields } = block;
+          start = { ...fields, thinking: "" };
+          deltas.push({ type: "thinking_delta", thinking });
+          if (signature) {
+            deltas.push({ type: "signature_delta", signature });
+          }
+          break;
+        }
+        default:
+          break;
+      }
+
+      events.push({ type: "content_block_start", index, content_block: start });
+
+      for (const delta of deltas) {
+        events.push({ type: "content_block_delta", index, delta });
+      }
+
+      events.push({ type: "content_block_stop", index });
+    });
+
+    events.push(
+      {
+        type: "message_delta",
+        delta: { stop_reason, stop_sequence },
+        usage: { output_tokens: usage.output_tokens },
+      },
+      { type: "message_stop" }
+    );
+
+    return events;
+  }
+
+  /**
+   * 注册流正常结束时的回调（不会触发对流的消费）
+   * @param {Function} callback - 回调函数，接收完整消息
+   * @returns {MessageStream} - 当前实例
+   */
+  onFinalMessage(callback) {
+    this._finalPromise.then(callback, () => {});
+    return this;
+  }
+
+  /**
+   * 注册流出错或在结束前被中断时的回调（不会触发对流的消费）
+   * @param {Function} callback - 回调函数，接收(error, message)，message为已累积的部分消息（未收到message_start时为null）
+   * @returns {MessageStream} - 当前实例
+   */
+  onError(callback) {
+    this._finalPromise.then(
+      () => {},
+      (error) => callback(error, this.message)
+    );
+    return this;
+  }
+
+  /**
+   * 异步迭代器，逐个返回类型化事件
+   * @returns {AsyncGenerator<Object>} - 事件对象
+   */
+  async *[Symbol.asyncIterator]() {
+    if (this.consumed) {
+      throw new Error("消息流已被消费，不能重复迭代");
+    }
+
+    this.consumed = true;
+
+    const events = this._events || this._readEvents();
+    const buffered = this._buffered;
+
+    this._buffered = [];
+
+    try {
+      yield* buffered;
+      yield* events;
+    } finally {
+      // 在返回预读的事件时提前退出，同样需要结束底层的事件流
+      await events.return();
+    }
+  }
+
+  /**
+   * 预读事件，直到收到第一个内容块或流结束
+   * 预读的事件在迭代时按原顺序返回。用于在输出任何内容之前发现流式响应开头的错误。
+   * @returns {Promise<void>}
+   * @throws {ApiError} - 收到内容块之前流返回错误时抛出
+   */
+  async waitForContent() {
+    if (this.consumed) {
+      throw new Error("消息流已被消费，不能预读");
+    }
+
+    this._events = this._events || this._readEvents();
+
+    for (;;) {
+      const { value, done } = await this._events.next();
+
+      if (done) {
+        return;
+      }
+
+      this._buffered.push(value);
+
+      if (value.type === "content_block_start") {
+        return;
+      }
+    }
+  }
+
+  /**
+   * 解码字节流并逐个返回类型化事件
+   * @private
+   * @returns {AsyncGenerator<Object>} - 事件对象
+   */
+  async *_readEvents() {
+    try {
+      for await (const rawEvent of decodeServerSentEvents(this.source)) {
+        if (!rawEvent.data) {
+          continue;
+        }
+
+        let event;
+
+        try {
+          event = JSON.parse(rawEvent.data);
+        } catch (error) {
+          if (this.logger) {
+            this.logger.warn(`无法解析流事件: ${rawEvent.data}`);
+          }
+          continue;
+        }
+
+        if (!event.type && rawEvent.event) {
+          event.type = rawEvent.event;
+        }
+
+        if (this.transformEvent) {
+          event = this.transformEvent(event);
+
+          if (!event) {
+            continue;
+          }
+        }
+
+        this._applyEvent(event);
+
+        yield event;
+
+        if (event.type === "message_stop") {
+          break;
+        }
+      }
+
+      if (!this.message) {
+        throw new ApiError("流式响应在收到消息前结束", undefined, {
+          type: "stream_error",
+        });
+      }
+
+      this.ended = true;
+      this._resolveFinal(this.message);
+    } catch (error) {
+      this.ended = true;
+      this._rejectFinal(error);
+      throw error;
+    } finally {
+      // 提前退出迭代
+      if (!this.ended) {
+        this.ended = true;
+        this._rejectFinal(new Error("消息流在结束前被中断"));
+      }
+
+      // 关闭底层连接
+      if (typeof this.source.destroy === "function") {
+        this.source.destroy();
+      }
+    }
+  }
+
+  /**
+   * 获取累积后的完整消息
+   * 如果尚未开始消费，会自动消费整个流。
+   * @returns {Promise<Object>} - 完整消息（包含content、usage和stop_reason）
+   */
+  async finalMessage() {
+    if (!this.consumed) {
+      // 仅消费事件，不做处理
+      const iterator = this[Symbol.asyncIterator]();
+      let result;
+
+      do {
+        result = await iterator.next();
+      } while (!result.done);
+    }
+
+    return this._finalPromise;
+  }
+
+  /**
+   * 获取完整消息中的文本内容
+   * @returns {Promise<string>} - 文本内容
+   */
+  async finalText() {
+    const message = await this.finalMessage();
+
+    return message.content
+      .filter((block) => block.type === "text")
+      .map((block) => block.text)
+      .join("");
+  }
+
+  /**
+   * 将事件应用到累积的消息上
+   * @private
+   * @param {Object} event - 事件对象
+   */
+  _applyEvent(event) {
+    switch (event.type) {
+      case "message_start":
+        this.message = {
+          ...event.message,
+          content: [...(event.message.content || [])],
+          usage: { ...(event.message.usage || {}) },
+        };
+        break;
+
+      case "content_block_start":
+        this._requireMessage(event);
+        this.message.content[event.index] = { ...event.content_block };
+        break;
+
+      case "content_block_delta":
+        this._requireMessage(event);
+        this._applyDelta(event.index, event.delta);
+        break;
+
+      case "content_block_stop":
+        this._requireMessage(event);
+        this._finishBlock(event.index);
+        break;
+
+      case "message_delta":
+        this._requireMessage(event);
+        Object.assign(this.message, event.delta);
+        if (event.usage) {
+          Object.assign(this.message.usage, event.usage);
+        }
+        break;
+
+      case "error":
+        throw ApiError.create(
+          event.error?.message || "流式响应返回错误",
+          undefined,
+          { type: event.error?.type, error: event.error }
+        );
+
+      case "message_stop":
+      case "ping":
+      default:
+        break;
+    }
+  }
+
+  /**
+   * 将增量应用到内容块
+   * @private
+   * @param {number} index - 内容块索引
+   * @param {Object} delta - 增量
+   */
+  _applyDelta(index, delta) {
+    const block = this.message.content[index];
+
+    if (!block) {
+      if (this.logger) {
+        this.logger.warn(`收到未知内容块的增量: ${index}`);
+      }
+      return;
+    }
+
+    switch (delta.type) {
+      case "text_delta":
+        block.text = (block.text || "") + delta.text;
+        break;
+      case "input_json_delta":
+        this._partialJson.set(
+          index,
+          (this._partialJson.get(index) || "") + delta.partial_json
+        );
+        break;
+      case "thinking_delta":
+        block.thinking = (block.thinking || "") + delta.thinking;
+        break;
+      case "signature_delta":
+        block.signature = delta.signature;
+        break;
+      case "citations_delta":
+        block.citations = [...(block.citations || []), delta.citation];
+        break;
+      default:
+        if (this.logger) {
+          this.logger.debug(`忽略未知增量类型: ${delta.type}`);
+        }
+    }
+  }
+
+  /**
+   * 完成内容块（解析累积的工具输入JSON）
+   * @private
+   * @param {number} index - 内容块索引
+   */
+  _finishBlock(index) {
+    if (!this._partialJson.has(index)) {
+      return;
+    }
+
+    const json = this._partialJson.get(index);
+    this._partialJson.delete(index);
+
+    try {
+      this.message.content[index].input = json ? JSON.parse(json) : {};
+    } catch (error) {
+      throw new ApiError(`无法解析工具输入: ${error.message}`, undefined, {
+        type: "stream_error",
+        partialJson: json,
+      });
+    }
+  }
+
+  /**
+   * 确保已收到message_start事件
+   * @private
+   * @param {Object} event - 事件对象
+   */
+  _requireMessage(event) {
+    if (!this.message) {
+      throw new ApiError(
+        `在message_start之前收到事件: ${event.type}`,
+        undefined,
+        { type: "stream_error" }
+      );
+    }
+  }
+}
+
+module.exports = MessageStream;
+module.exports.decodeServerSentEvents = decodeServerSentEvents;
+module.exports.encodeServerSentEvents = encodeServerSentEvents;
@@ -0,0 +1,231 @@
+/**
+ * 中间件模块
+ *
+ * 按顺序包裹ApiClient发出的每次HTTP请求（每次重试都会重新经过中间件链）。
+ * 中间件可以修改请求（如添加请求头、改写请求体）、观察或替换响应、处理流式事件，
+ * 也可以不调用next()直接返回响应，从而跳过后续中间件和实际的HTTP请求。
+ *
+ * 中间件是一个对象：
+ *   name                      名称（用于日志和移除）
+ *   request(context, next)    处理请求，调用next()得到响应（{status, statusText, headers, data}）
+ *   event(event, context)     处理流式事件，返回新的事件替换原事件，返回null丢弃该事件
+ */
+
+const path = require("path");
+const { ConfigurationError } = require("../core/error-handler");
+
+/**
+ * 中间件链类
+ */
+class MiddlewarePipeline {
+  /**
+   * 创建中间件链实例
+   * @param {Object} options - 选项
+   * @param {Array<Object|Function>} options.middlewares - 初始的中间件
+   * @param {Object} options.logger - 日志记录器
+   */
+  constructor(options = {}) {
+    this.logger = options.logger;
+    this.middlewares = [];
+
+    for (const middleware of options.middlewares || []) {
+      this.use(middleware);
+    }
+  }
+
+  /**
+   * 从模块加载中间件
+   * 模块导出中间件对象，或接收options并返回中间件对象的工厂函数。
+   * @param {Array<string|Object>} specs - 模块路径，或{path, options}
+   * @param {Object} options - 选项
+   * @param {string} options.baseDir - 解析相对路径的目录（默认当前工作目录）
+   * @param {Object} options.logger - 日志记录器（传给工厂函数）
+   * @returns {Array<Object>} - 中间件
+   * @throws {ConfigurationError} - 模块无法加载或导出的不是中间件时抛出
+   */
+  static load(specs, options = {}) {
+    if (!Array.isArray(specs)) {
+      throw new ConfigurationError("middleware配置必须是模块路径的数组", {
+        middleware: specs,
+      });
+    }
+
+    return specs.map((spec) => {
+      const modulePath = typeof spec === "string" ? spec : spec && spec.path;
+
+      if (!modulePath) {
+        throw new ConfigurationError("无效的中间件配置", { spec });
+      }
+
+      // 相对路径相对于配置目录，其他按模块名解析
+      const resolved = modulePath.startsWith(".")
+        ? path.resolve(options.baseDir || process.cwd(), modulePath)
+        : modulePath;
+
+      let exported;
+
+      try {
+        exported = require(resolved);
+      } catch (error) {
+        throw new ConfigurationError(
+          `无法加载中间件 ${modulePath}: ${error.message}`,
+          { path: resolved }
+        );
+      }
+
+      const middleware = MiddlewarePipeline.normalize(
+        typeof exported === "function"
+          ? exported((spec && spec.options) || {}, { logger: options.logger })
+          : exported,
+        modulePath
+      );
+
+      if (!middleware.name) {
+        middleware.name = path.basename(modulePath, path.extname(modulePath));
+      }
+
+      return middleware;
+    });
+  }
+
+  /**
+   * 校验中间件
+   * 函数视为只处理请求的中间件。
+   * @param {Object|Function} middleware - 中间件
+   * @param {string} source - 中间件来源（用于错误消息）
+   * @returns {Object} - 中间件对象
+   * @throws {ConfigurationError} - 不是有效的中间件时抛出
+   */
+  static normalize(middleware, source) {
+    if (typeof middleware === "function") {
+      return { name: middleware.name || "anonymous", request: middleware };
+    }
+
+    const valid =
+      middleware &&
+      typeof middleware === "object" &&
+      (typeof middleware.request === "function" ||
+        typeof middleware.event === "function");
+
+    if (!valid) {
+      throw new ConfigurationError(
+        `无效的中间件 ${source || ""}: 必须提供request或event方法`,
+        { source }
+      );
+    }
+
+    return middleware;
+  }
+
+  /**
+   * 添加中间件
+   * 默认添加到链的末尾（更靠近实际的HTTP请求）。
+   * @param {Object|Function} middleware - 中间件
+   * @param {Object} options - 选项
+   * @param {string} options.before - 插入到此名称的中间件之前（不存在时添加到末尾）
+   * @returns {MiddlewarePipeline} - 当前实例
+   */
+  use(middleware, options = {}) {
+    const normalized = MiddlewarePipeline.normalize(middleware);
+    const index = options.before
+      ? this.middlewares.findIndex((item) => item.name === options.before)
+      : -1;
+
+    if (index === -1) {
+      this.middlewares.push(normalized);
+    } else {
+      this.middlewares.splice(index, 0, normalized);
+    }
+
+    if (this.logger) {
+      this.logger.debug(`已添加中间件: ${normalized.name}`);
+    }
+
+    return this;
+  }
+
+  /**
+   * 按名称移除中间件
+   * @param {string} name - 中间件名称
+   * @returns {boolean} - 是否移除了中间件
+   */
+  remove(name) {
+    const count = this.middlewares.length;
+
+    this.middlewares = this.middlewares.filter(
+      (middleware) => middleware.name !== name
+    );
+
+    return this.middlewares.length < count;
+  }
+
+  /**
+   * 获取中间件名称列表
+   * @returns {Array<string>} - 中间件名称（按执行顺序）
+   */
+  list() {
+    return this.middlewares.map((middleware) => middleware.name);
+  }
+
+  /**
+   * 依次经过中间件执行请求
+   * @param {Object} context - 请求上下文（request为axios请求配置，可以被中间件修改）
+   * @param {Function} handler - 最终发送请求的函数，接收context并返回响应
+   * @returns {Promise<Object>} - 响应
+   */
+  execute(context, handler) {
+    const middlewares = this.middlewares.filter(
+      (middleware) => typeof middleware.request === "function"
+    );
+
+    const dispatch = async (index) => {
+      if (index === middlewares.length) {
+        return handler(context);
+      }
+
+      let called = false;
+
+      return middlewares[index].request(context, () => {
+        // 同一个中间件只能调用一次next()，重试由ApiClient负责
+        if (called) {
+          throw new Error(`中间件 ${middlewares[index].name} 多次调用了next()`);
+        }
+
+        called = true;
+        return dispatch(index + 1);
+      });
+    };
+
+    return dispatch(0);
+  }
+
+  /**
+   * 依次经过中间件处理流式事件
+   * @param {Object} event - 流式事件
+   * @param {Object} context - 请求上下文
+   * @returns {Object|null} - 处理后的事件，被丢弃时返回null
+   */
+  transformEvent(event, context) {
+    let current = event;
+
+    for (const middleware of this.middlewares) {
+      if (typeof middleware.event !== "function") {
+        continue;
+      }
+
+      const result = middleware.event(current, context);
+
+      if (result === null) {
+        return null;
+      }
+
+      if (result !== undefined) {
+        current = result;
+      }
+    }
+
+    return current;
+  }
+}
+
+module.exports = MiddlewarePipeline;
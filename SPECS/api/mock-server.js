@@ -0,0 +1,1248 @@
+/**
+ * 模拟API服务器模块
+ *
+ * 在本地实现Anthropic API的主要端点（/v1/messages、/v1/models、/v1/files、/v1/complete
+ * 以及消息批处理），按夹具文件返回预设响应或回显请求内容，并可按需注入错误，
+ * 用于在离线状态下端到端地测试各个命令。
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const YAML = require("yaml");
+const MessageStream = require("./message-stream");
+const { validateMessagesPayload } = require("./message-params");
+const { ConfigurationError } = require("../core/error-handler");
+const utils = require("../core/utils");
+
+const { encodeServerSentEvents } = MessageStream;
+
+// 默认模型列表
+const DEFAULT_MODELS = [
+  {
+    id: "claude-3-5-sonnet-20241022",
+    display_name: "Claude 3.5 Sonnet",
+    created_at: "2024-10-22T00:00:00Z",
+    context_window: 200000,
+  },
+  {
+    id: "claude-3-5-haiku-20241022",
+    display_name: "Claude 3.5 Haiku",
+    created_at: "2024-10-22T00:00:00Z",
+    context_window: 200000,
+  },
+  {
+    id: "claude-3-opus-20240229",
+    display_name: "Claude 3 Opus",
+    created_at: "2024-02-29T00:00:00Z",
+    context_window: 200000,
+  },
+];
+
+// HTTP状态码对应的API错误类型
+const ERROR_TYPES = {
+  400: "invalid_request_error",
+  401: "authentication_error",
+  403: "permission_error",
+  404: "not_found_error",
+  413: "request_too_large",
+  429: "rate_limit_error",
+  500: "api_error",
+  503: "api_error",
+  529: "overloaded_error",
+};
+
+/**
+ * 加载夹具文件（JSON或YAML）
+ * @param {string} filePath - 文件路径
+ * @returns {Object} - 夹具
+ */
+function loadFixtures(filePath) {
+  let content;
+
+  try {
+    content = fs.readFileSync(filePath, "utf8");
+  } catch (error) {
+    throw new ConfigurationError(
+      `无法读取夹具文件: ${filePath} (${error.message})`,
+      { path: filePath }
+    );
+  }
+
+  try {
+    const extension = path.extname(filePath).toLowerCase();
+    const fixtures =
+      extension === ".yaml" || extension === ".yml"
+        ? YAML.parse(content)
+        : JSON.parse(content);
+
+    return fixtures || {};
+  } catch (error) {
+    throw new ConfigurationError(
+      `无法解析夹具文件: ${filePath} (${error.message})`,
+      { path: filePath }
+    );
+  }
+}
+
+/**
+ * 估算文本的令牌数
+ * @param {string} text - 文本
+ * @returns {number} - 令牌数
+ */
+function estimateTokens(text) {
+  return Math.max(1, Math.ceil(text.length / 4));
+}
+
+/**
+ * 提取消息内容中的文本
+ * @param {string|Array<Object>} content - 消息内容
+ * @returns {string} - 文本
+ */
+function extractText(content) {
+  if (typeof content === "string") {
+    return content;
+  }
+
+  if (!Array.isArray(content)) {
+    return "";
+  }
+
+  return content
+    .map((block) => {
+      if (block.type === "text") {
+        return block.text;
+      }
+      if (block.type === "tool_result") {
+        return extractText(block.content);
+      }
+      return "";
+    })
+    .join("");
+}
+
+/**
+ * 解析multipart/form-data请求体
+ * @param {Buffer} body - 请求体
+ * @param {string} boundary - 分隔符
+ * @returns {Array<{name: string, filename: string, contentType: string, data: Buffer}>} - 各个部分
+ */
+function parseMultipart(body, boundary) {
+  const parts = [];
+  const delimiter = Buffer.from(`--${boundary}`);
+  let start = body.indexOf(delimiter);
+
+  while (start !== -1) {
+    const next = body.indexOf(delimiter, start + delimiter.length);
+
+    if (next === -1) {
+      break;
+    }
+
+    const part = body.slice(start + delimiter.length, next);
+    const headerEnd = part.indexOf("\r\n\r\n");
+
+    if (headerEnd !== -1) {
+      const headers = part.slice(0, headerEnd).toString("utf8");
+      const disposition = headers.match(
+        /name="([^"]*)"(?:; filename="([^"]*)")?/
+      );
+      const contentType = headers.match(/content-type:\s*([^\r\n]+)/i);
+
+      parts.push({
+        name: disposition ? disposition[1] : null,
+        filename: disposition ? disposition[2] || null : null,
+        contentType: contentType ? contentType[1].trim() : null,
+        // 去掉部分末尾的\r\n
+        data: part.slice(headerEnd + 4, part.length - 2),
+      });
+    }
+
+    start = next;
+  }
+
+  return parts;
+}
+
+/**
+ * 模拟API服务器类
+ */
+class MockServer {
+  /**
+   * 创建模拟API服务器实例
+   * @param {Object} options - 选项
+   * @param {Object} options.fixtures - 夹具（models、messages、completions、errors、apiKey、defaults）
+   * @param {number} options.port - 监听端口（0表示随机端口）
+   * @param {string} options.host - 监听地址
+   * @param {Object} options.logger - 日志记录器
+   */
+  constructor(options = {}) {
+    this.fixtures = options.fixtures || {};
+    this.port = options.port !== undefined ? options.port : 0;
+    this.host = options.host || "127.0.0.1";
+    this.logger = options.logger;
+
+    const defaults = this.fixtures.defaults || {};
+
+    // 默认行为
+    this.latency = defaults.latency || 0;
+    this.streamDelay = defaults.streamDelay || 0;
+    this.chunkSize = defaults.chunkSize || 16;
+    this.batchDuration = defaults.batchDuration || 0;
+
+    // 预设的消息响应和错误规则（times表示可使用的次数）
+    this.scripts = (this.fixtures.messages || []).map((script) =>
+      this._withRemaining(script)
+    );
+    this.completionScripts = (this.fixtures.completions || []).map((script) =>
+      this._withRemaining(script)
+    );
+    this.errorRules = (this.fixtures.errors || []).map((rule) =>
+      this._withRemaining(rule)
+    );
+
+    this.files = new Map();
+    this.batches = new Map();
+    this.requestLog = [];
+
+    // 已写入提示缓存的前缀（哈希）
+    this.promptCache = new Set();
+    this.counter = 0;
+    this.server = null;
+    this.url = null;
+  }
+
+  /**
+   * 启动服务器
+   * @returns {Promise<string>} - 服务器URL
+   */
+  start() {
+    this.server = http.createServer((req, res) => {
+      this._handleRequest(req, res).catch((error) => {
+        if (this.logger) {
+          this.logger.error(`模拟服务器处理请求失败: ${error.message}`);
+        }
+
+        if (!res.headersSent) {
+          this._sendError(res, 500, error.message);
+        } else {
+          res.destroy();
+        }
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(this.port, this.host, () => {
+        const { port } = this.server.address();
+        this.url = `http://${this.host}:${port}`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  /**
+   * 停止服务器
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      this.server.close(() => resolve());
+      this.server.closeAllConnections();
+      this.server = null;
+    });
+  }
+
+  /**
+   * 添加错误注入规则
+   * @param {Object} rule - 规则
+   * @param {string} rule.method - 匹配的HTTP方法
+   * @param {string} rule.path - 匹配的路径（以*结尾表示前缀匹配）
+   * @param {number} rule.status - 返回的错误状态码
+   * @param {string} rule.type - 错误类型（默认根据状态码确定）
+   * @param {string} rule.message - 错误消息
+   * @param {number} rule.retryAfter - retry-after响应头（秒）
+   * @param {number} rule.delay - 响应前的延迟（毫秒）
+   * @param {boolean} rule.drop - 是否直接断开连接
+   * @param {boolean} rule.midStream - 流式请求在发送部分事件后返回错误事件
+   * @param {number} rule.times - 规则生效次数（默认不限）
+   * @param {number} rule.probability - 触发概率（0-1）
+   */
+  addErrorRule(rule) {
+    this.errorRules.push(this._withRemaining(rule));
+  }
+
+  /**
+   * 清除所有错误注入规则
+   */
+  clearErrorRules() {
+    this.errorRules = [];
+  }
+
+  /**
+   * 为规则添加剩余次数
+   * @private
+   * @param {Object} rule - 规则
+   * @returns {Object} - 规则副本
+   */
+  _withRemaining(rule) {
+    return {
+      ...rule,
+      remaining: rule.times !== undefined ? rule.times : Infinity,
+    };
+  }
+
+  /**
+   * 生成ID
+   * @private
+   * @param {string} prefix - 前缀
+   * @returns {string} - ID
+   */
+  _nextId(prefix) {
+    this.counter++;
+    return `${prefix}_mock_${String(this.counter).padStart(6, "0")}`;
+  }
+
+  /**
+   * 处理请求
+   * @private
+   * @param {http.IncomingMessage} req - 请求
+   * @param {http.ServerResponse} res - 响应
+   */
+  async _handleRequest(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    const pathname = url.pathname.replace(/\/+$/, "") || "/";
+    const body = await this._readBody(req);
+
+    res.setHeader("request-id", this._nextId("req"));
+    res.on("finish", () => {
+      this.requestLog.push({
+        method: req.method,
+        path: pathname,
+        status: res.statusCode,
+        time: new Date().toISOString(),
+      });
+    });
+
+    if (this.logger) {
+      this.logger.debug(`模拟服务器收到请求: ${req.method} ${pathname}`);
+    }
+
+    // 控制端点
+    if (pathname.startsWith("/_mock/")) {
+      return this._handleControl(req, res, pathname, body);
+    }
+
+    const rule = this._matchErrorRule(req.method, pathname);
+
+    if (rule) {
+      if (rule.delay) {
+        await utils.sleep(rule.delay);
+      }
+
+      if (rule.drop) {
+        req.socket.destroy();
+        return;
+      }
+
+      if (rule.status && !rule.midStream) {
+        return this._sendRuleError(res, rule);
+      }
+    }
+
+    if (this.latency) {
+      await utils.sleep(this.latency);
+    }
+
+    if (
+      this.fixtures.apiKey &&
+      req.headers["x-api-key"] !== this.fixtures.apiKey
+    ) {
+      return this._sendError(res, 401, "invalid x-api-key");
+    }
+
+    const context = { req, res, url, body, rule };
+    const routes = [
+      ["POST", /^\/v1\/messages$/, () => this._createMessageResponse(context)],
+      ["POST", /^\/v1\/complete$/, () => this._createCompletion(context)],
+      ["GET", /^\/v1\/models$/, () => this._listModels(context)],
+      ["GET", /^\/v1\/models\/([^/]+)$/, (id) => this._getModel(context, id)],
+      ["POST", /^\/v1\/files$/, () => this._uploadFile(context)],
+      ["GET", /^\/v1\/files$/, () => this._listFiles(context)],
+      ["GET", /^\/v1\/files\/([^/]+)$/, (id) => this._getFile(context, id)],
+      [
+        "GET",
+        /^\/v1\/files\/([^/]+)\/content$/,
+        (id) => this._downloadFile(context, id),
+      ],
+      [
+        "DELETE",
+        /^\/v1\/files\/([^/]+)$/,
+        (id) => this._deleteFile(context, id),
+      ],
+      ["POST", /^\/v1\/messages\/batches$/, () => this._createBatch(context)],
+      ["GET", /^\/v1\/messages\/batches$/, () => this._listBatches(context)],
+      [
+        "GET",
+        /^\/v1\/messages\/batches\/([^/]+)$/,
+        (id) => this._getBatch(context, id),
+      ],
+      [
+        "POST",
+        /^\/v1\/messages\/batches\/([^/]+)\/cancel$/,
+        (id) => this._cancelBatch(context, id),
+      ],
+      [
+        "GET",
+        /^\/v1\/messages\/batches\/([^/]+)\/results$/,
+        (id) => this._getBatchResults(context, id),
+      ],
+    ];
+
+    for (const [method, pattern, handler] of routes) {
+      const match = pathname.match(pattern);
+
+      if (match && method === req.method) {
+        return handler(...match.slice(1).map(decodeURIComponent));
+      }
+    }
+
+    return this._sendError(res, 404, `Not found: ${req.method} ${pathname}`);
+  }
+
+  /**
+   * 处理控制端点（/_mock/errors、/_mock/requests）
+   * @private
+   * @param {http.IncomingMessage} req - 请求
+   * @param {http.ServerResponse} res - 响应
+   * @param {string} pathname - 路径
+   * @param {Buffer} body - 请求体
+   */
+  _handleControl(req, res, pathname, body) {
+    if (pathname === "/_mock/errors" && req.method === "POST") {
+      const rule = this._parseJson(res, body);
+
+      if (rule) {
+        this.addErrorRule(rule);
+        this._sendJson(res, 201, { rules: this.errorRules });
+      }
+      return;
+    }
+
+    if (pathname === "/_mock/errors" && req.method === "DELETE") {
+      this.clearErrorRules();
+      return this._sendJson(res, 200, { rules: [] });
+    }
+
+    if (pathname === "/_mock/errors" && req.method === "GET") {
+      return this._sendJson(res, 200, { rules: this.errorRules });
+    }
+
+    if (pathname === "/_mock/requests" && req.method === "GET") {
+      return this._sendJson(res, 200, { requests: this.requestLog });
+    }
+
+    return this._sendError(res, 404, `Not found: ${req.method} ${pathname}`);
+  }
+
+  /**
+   * 查找匹配的错误注入规则，并减少其剩余次数
+   * @private
+   * @param {string} method - HTTP方法
+   * @param {string} pathname - 路径
+   * @returns {Object|null} - 匹配的规则
+   */
+  _matchErrorRule(method, pathname) {
+    const rule = this.errorRules.find((candidate) => {
+      if (candidate.remaining <= 0) {
+        return false;
+      }
+
+      if (candidate.method && candidate.method.toUpperCase() !== method) {
+        return false;
+      }
+
+      if (candidate.path) {
+        const matched = candidate.path.endsWith("*")
+          ? pathname.startsWith(candidate.path.slice(0, -1))
+          : pathname === candidate.path;
+
+        if (!matched) {
+          return false;
+        }
+      }
+
+      return (
+        candidate.probability === undefined ||
+        Math.random() < candidate.probability
+      );
+    });
+
+    if (rule) {
+      rule.remaining--;
+    }
+
+    return rule || null;
+  }
+
+  /**
+   * 处理/v1/messages请求
+   * @private
+   * @param {Object} context - 请求上下文
+   */
+  async _createMessageResponse({ res, body, rule }) {
+    const payload = this._parseJson(res, body);
+
+    if (!payload) {
+      return;
+    }
+
+    let message;
+
+    try {
+      message = this._createMessage(payload);
+    } catch (error) {
+      return this._sendError(res, 400, error.message);
+    }
+
+    if (!payload.stream) {
+      if (rule && rule.midStream) {
+        return this._sendRuleError(res, rule);
+      }
+      return this._sendJson(res, 200, message);
+    }
+
+    const events = this._splitTextDeltas(MessageStream.createEvents(message));
+
+    events.splice(1, 0, { type: "ping" });
+
+    // 流中途出错时只发送前半部分事件
+    const sentEvents =
+      rule && rule.midStream
+        ? events.slice(0, Math.max(2, Math.floor(events.length / 2)))
+        : events;
+
+    this._startEventStream(res);
+
+    for (const event of sentEvents) {
+      await this._writeEvent(res, event.type, event);
+    }
+
+    if (rule && rule.midStream) {
+      await this._writeEvent(res, "error", {
+        type: "error",
+        error: {
+          type: rule.type || ERROR_TYPES[rule.status] || "api_error",
+          message: rule.message || "Injected error",
+        },
+      });
+    }
+
+    res.end();
+  }
+
+  /**
+   * 根据请求生成消息（预设响应或回显）
+   * @private
+   * @param {Object} payload - 请求体
+   * @returns {Object} - 消息
+   * @throws {ValidationError} - 请求参数无效时抛出
+   */
+  _createMessage(payload) {
+    validateMessagesPayload(payload);
+
+    const lastUserMessage = [...payload.messages]
+      .reverse()
+      .find((message) => message.role === "user");
+    const prompt = lastUserMessage ? extractText(lastUserMessage.content) : "";
+    const system = extractText(payload.system || "");
+
+    const script = this.scripts.find((candidate) => {
+      if (candidate.remaining <= 0) {
+        return false;
+      }
+
+      const match = candidate.match || {};
+
+      return (
+        (!match.model || match.model === payload.model) &&
+        (!match.contains || prompt.includes(match.contains)) &&
+        (!match.system || system.includes(match.system)) &&
+        (match.stream === undefined || match.stream === Boolean(payload.stream))
+      );
+    });
+
+    let response;
+
+    if (script) {
+      script.remaining--;
+      response =
+        typeof script.response === "string"
+          ? { content: script.response }
+          : script.response || {};
+    } else {
+      response = { content: `Echo: ${prompt}` };
+    }
+
+    const content = (
+      typeof response.content === "string"
+        ? [{ type: "text", text: response.content }]
+        : response.content || []
+    ).map((block) =>
+      block.type === "tool_use" && !block.id
+        ? { ...block, id: this._nextId("toolu") }
+        : block
+    );
+
+    // 启用扩展思考时，在回复前加入思考块
+    if (
+      payload.thinking &&
+      payload.thinking.type === "enabled" &&
+      !content.some((block) =>
+        ["thinking", "redacted_thinking"].includes(block.type)
+      )
+    ) {
+      content.unshift({
+        type: "thinking",
+        thinking: `Thinking about: ${prompt}`,
+        signature: crypto.randomBytes(32).toString("base64"),
+      });
+    }
+
+    const outputText = content
+      .map((block) =>
+        block.type === "text" ? block.text : JSON.stringify(block.input || {})
+      )
+      .join("");
+
+    return {
+      id: this._nextId("msg"),
+      type: "message",
+      role: "assistant",
+      model: payload.model,
+      content,
+      stop_reason:
+        response.stop_reason ||
+        (content.some((block) => block.type === "tool_use")
+          ? "tool_use"
+          : "end_turn"),
+      stop_sequence: response.stop_sequence || null,
+      usage: {
+        ...this._createInputUsage(payload, system),
+        output_tokens: estimateTokens(outputText),
+        ...(response.usage || {}),
+      },
+    };
+  }
+
+  /**
+   * 计算输入令牌用量，并模拟提示缓存
+   * 最后一个cache_control断点之前的前缀第一次出现时计为缓存写入，之后计为缓存读取。
+   * @private
+   * @param {Object} payload - 请求体
+   * @param {string} system - 系统提示文本
+   * @returns {Object} - input_tokens及缓存相关的令牌数
+   */
+  _createInputUsage(payload, system) {
+    const inputTokens = estimateTokens(
+      system + payload.messages.map((m) => extractText(m.content)).join("")
+    );
+
+    const blocks = [
+      ...(payload.tools || []),
+      ...(Array.isArray(payload.system) ? payload.system : []),
+      ...payload.messages.flatMap((message) =>
+        typeof message.content === "string"
+          ? [{ role: message.role, text: message.content }]
+          : message.content.map((block) => ({ role: message.role, ...block }))
+      ),
+    ];
+
+    let cachedLength = 0;
+
+    blocks.forEach((block, index) => {
+      if (block.cache_control) {
+        cachedLength = index + 1;
+      }
+    });
+
+    if (cachedLength === 0) {
+      return { input_tokens: inputTokens };
+    }
+
+    const prefix = JSON.stringify(blocks.slice(0, cachedLength));
+    const cachedTokens = estimateTokens(prefix);
+    const prefixHash = crypto.createHash("sha256").update(prefix).digest("hex");
+    const cacheHit = this.promptCache.has(prefixHash);
+
+    this.promptCache.add(prefixHash);
+
+    return {
+      input_tokens: Math.max(1, inputTokens - cachedTokens),
+      cache_creation_input_tokens: cacheHit ? 0 : cachedTokens,
+      cache_read_input_tokens: cacheHit ? cachedTokens : 0,
+    };
+  }
+
+  /**
+   * 将文本增量拆分为多个小块，模拟逐步生成
+   * @private
+   * @param {Array<Object>} events - 事件
+   * @returns {Array<Object>} - 拆分后的事件
+   */
+  _splitTextDeltas(events) {
+    const result = [];
+
+    for (const event of events) {
+      if (
+        event.type !== "content_block_delta" ||
+        event.delta.type !== "text_delta"
+      ) {
+        result.push(event);
+        continue;
+      }
+
+      const text = event.delta.text;
+
+      for (let i = 0; i < text.length; i += this.chunkSize) {
+        result.push({
+          ...event,
+          delta: {
+            type: "text_delta",
+            text: text.slice(i, i + this.chunkSize),
+          },
+        });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 处理/v1/complete请求
+   * @private
+   * @param {Object} context - 请求上下文
+   */
+  async _createCompletion({ res, body }) {
+    const payload = this._parseJson(res, body);
+
+    if (!payload) {
+      return;
+    }
+
+    if (!payload.model || typeof payload.prompt !== "string") {
+      return this._sendError(res, 400, "model and prompt are required");
+    }
+
+    const segments = payload.prompt.split("\n\nHuman:");
+    const prompt = segments[segments.length - 1]
+      .split("\n\nAssistant:")[0]
+      .trim();
+
+    const script = this.completionScripts.find(
+      (candidate) =>
+        candidate.remaining > 0 &&
+        (!candidate.match ||
+          !candidate.match.contains ||
+          prompt.includes(candidate.match.contains))
+    );
+
+    if (script) {
+      script.remaining--;
+    }
+
+    const completion = ` ${script ? script.completion : `Echo: ${prompt}`}`;
+    const result = {
+      type: "completion",
+      id: this._nextId("compl"),
+      completion,
+      stop_reason: "stop_sequence",
+      stop: "\n\nHuman:",
+      model: payload.model,
+    };
+
+    if (!payload.stream) {
+      return this._sendJson(res, 200, result);
+    }
+
+    this._startEventStream(res);
+
+    for (let i = 0; i < completion.length; i += this.chunkSize) {
+      await this._writeEvent(res, "completion", {
+        ...result,
+        completion: completion.slice(i, i + this.chunkSize),
+        stop_reason: null,
+        stop: null,
+      });
+    }
+
+    await this._writeEvent(res, "completion", { ...result, completion: "" });
+    res.end();
+  }
+
+  /**
+   * 获取模型列表
+   * @private
+   * @returns {Array<Object>} - 模型
+   */
+  _getModels() {
+    return (this.fixtures.models || DEFAULT_MODELS).map((model) => ({
+      type: "model",
+      created_at: new Date().toISOString(),
+      ...model,
+      display_name: model.display_name || model.id,
+    }));
+  }
+
+  /**
+   * 处理GET /v1/models请求
+   * @private
+   * @param {Object} context - 请求上下文
+   */
+  _listModels({ res }) {
+    const models = this._getModels();
+
+    this._sendJson(res, 200, {
+      ...this._page(models),
+      // models命令读取的格式
+      models: models.map((model) => ({
+        name: model.id,
+        description: model.display_name,
+        context_window: model.context_window,
+        created: Math.floor(new Date(model.created_at).getTime() / 1000),
+      })),
+    });
+  }
+
+  /**
+   * 处理GET /v1/models/:id请求
+   * @private
+   * @param {Object} context - 请求上下文
+   * @param {string} modelId - 模型ID
+   */
+  _getModel({ res }, modelId) {
+    const model = this._getModels().find((item) => item.id === modelId);
+
+    if (!model) {
+      return this._sendError(res, 404, `model: ${modelId}`);
+    }
+
+    this._sendJson(res, 200, model);
+  }
+
+  /**
+   * 处理POST /v1/files请求
+   * @private
+   * @param {Object} context - 请求上下文
+   */
+  _uploadFile({ req, res, body }) {
+    const boundary = (req.headers["content-type"] || "").match(
+      /boundary=(?:"([^"]+)"|([^;]+))/
+    );
+
+    if (!boundary) {
+      return this._sendError(res, 400, "Expected multipart/form-data");
+    }
+
+    const filePart = parseMultipart(body, boundary[1] || boundary[2]).find(
+      (part) => part.name === "file"
+    );
+
+    if (!filePart) {
+      return this._sendError(res, 400, "file: Field required");
+    }
+
+    const file = {
+      id: this._nextId("file"),
+      type: "file",
+      filename: filePart.filename || "upload",
+      mime_type: filePart.contentType || "application/octet-stream",
+      size_bytes: filePart.data.length,
+      created_at: new Date().toISOString(),
+      downloadable: true,
+    };
+
+    this.files.set(file.id, { metadata: file, data: filePart.data });
+    this._sendJson(res, 200, file);
+  }
+
+  /**
+   * 处理GET /v1/files请求
+   * @private
+   * @param {Object} context - 请求上下文
+   */
+  _listFiles({ res }) {
+    const files = Array.from(this.files.values()).map((file) => file.metadata);
+
+    this._sendJson(res, 200, this._page(files.reverse()));
+  }
+
+  /**
+   * 处理GET /v1/files/:id请求
+   * @private
+   * @param {Object} context - 请求上下文
+   * @param {string} fileId - 文件ID
+   */
+  _getFile({ res }, fileId) {
+    const file = this.files.get(fileId);
+
+    if (!file) {
+      return this._sendError(res, 404, `File not found: ${fileId}`);
+    }
+
+    this._sendJson(res, 200, file.metadata);
+  }
+
+  /**
+   * 处理GET /v1/files/:id/content请求
+   * @private
+   * @param {Object} context - 请求上下文
+   * @param {string} fileId - 文件ID
+   */
+  _downloadFile({ res }, fileId) {
+    const file = this.files.get(fileId);
+
+    if (!file) {
+      return this._sendError(res, 404, `File not found: ${fileId}`);
+    }
+
+    res.writeHead(200, {
+      "content-type": file.metadata.mime_type,
+      "content-length": file.data.length,
+    });
+    res.end(file.data);
+  }
+
+  /**
+   * 处理DELETE /v1/files/:id请求
+   * @private
+   * @param {Object} context - 请求上下文
+   * @param {string} fileId - 文件ID
+   */
+  _deleteFile({ res }, fileId) {
+    if (!this.files.delete(fileId)) {
+      return this._sendError(res, 404, `File not found: ${fileId}`);
+    }
+
+    this._sendJson(res, 200, { id: fileId, type: "file_deleted" });
+  }
+
+  /**
+   * 处理POST /v1/messages/batches请求
+   * @private
+   * @param {Object} context - 请求上下文
+   */
+  _createBatch({ res, body }) {
+    const payload = this._parseJson(res, body);
+
+    if (!payload) {
+      return;
+    }
+
+    if (!Array.isArray(payload.requests) || payload.requests.length === 0) {
+      return this._sendError(res, 400, "requests: Field required");
+    }
+
+    const results = payload.requests.map((request) => {
+      try {
+        return {
+          custom_id: request.custom_id,
+          result: {
+            type: "succeeded",
+            message: this._createMessage(request.params || {}),
+          },
+        };
+      } catch (error) {
+        return {
+          custom_id: request.custom_id,
+          result: {
+            type: "errored",
+            error: {
+              type: "error",
+              error: { type: "invalid_request_error", message: error.message },
+            },
+          },
+        };
+      }
+    });
+
+    const now = Date.now();
+    const batch = {
+      id: this._nextId("msgbatch"),
+      createdAt: now,
+      endsAt: now + this.batchDuration,
+      canceledAt: null,
+      results,
+    };
+
+    this.batches.set(batch.id, batch);
+    this._sendJson(res, 200, this._describeBatch(batch));
+  }
+
+  /**
+   * 生成批处理对象
+   * @private
+   * @param {Object} batch - 内部批处理记录
+   * @returns {Object} - API格式的批处理对象
+   */
+  _describeBatch(batch) {
+    const now = Date.now();
+    const canceled = batch.canceledAt !== null;
+    const ended = canceled || now >= batch.endsAt;
+
+    const counts = {
+      processing: 0,
+      succeeded: 0,
+      errored: 0,
+      canceled: 0,
+      expired: 0,
+    };
+
+    for (const item of batch.results) {
+      if (!ended) {
+        counts.processing++;
+      } else if (canceled && batch.canceledAt < batch.endsAt) {
+        counts.canceled++;
+      } else {
+        counts[item.result.type]++;
+      }
+    }
+
+    return {
+      id: batch.id,
+      type: "message_batch",
+      processing_status: ended ? "ended" : "in_progress",
+      request_counts: counts,
+      created_at: new Date(batch.createdAt).toISOString(),
+      expires_at: new Date(batch.createdAt + 86400000).toISOString(),
+      ended_at: ended
+        ? new Date(canceled ? batch.canceledAt : batch.endsAt).toISOString()
+        : null,
+      cancel_initiated_at: canceled
+        ? new Date(batch.canceledAt).toISOString()
+        : null,
+      archived_at: null,
+      results_url: ended
+        ? `${this.url}/v1/messages/batches/${batch.id}/results`
+        : null,
+    };
+  }
+
+  /**
+   * 处理GET /v1/messages/batches请求
+   * @private
+   * @param {Object} context - 请求上下文
+   */
+  _listBatches({ res, url }) {
+    const limit = Number(url.searchParams.get("limit")) || 20;
+    const batches = Array.from(this.batches.values())
+      .reverse()
+      .slice(0, limit)
+      .map((batch) => this._describeBatch(batch));
+
+    this._sendJson(res, 200, this._page(batches));
+  }
+
+  /**
+   * 处理GET /v1/messages/batches/:id请求
+   * @private
+   * @param {Object} context - 请求上下文
+   * @param {string} batchId - 批处理ID
+   */
+  _getBatch({ res }, batchId) {
+    const batch = this.batches.get(batchId);
+
+    if (!batch) {
+      return this._sendError(res, 404, `Batch not found: ${batchId}`);
+    }
+
+    this._sendJson(res, 200, this._describeBatch(batch));
+  }
+
+  /**
+   * 处理POST /v1/messages/batches/:id/cancel请求
+   * @private
+   * @param {Object} context - 请求上下文
+   * @param {string} batchId - 批处理ID
+   */
+  _cancelBatch({ res }, batchId) {
+    const batch = this.batches.get(batchId);
+
+    if (!batch) {
+      return this._sendError(res, 404, `Batch not found: ${batchId}`);
+    }
+
+    if (batch.canceledAt === null && Date.now() < batch.endsAt) {
+      batch.canceledAt = Date.now();
+    }
+
+    this._sendJson(res, 200, this._describeBatch(batch));
+  }
+
+  /**
+   * 处理GET /v1/messages/batches/:id/results请求
+   * @private
+   * @param {Object} context - 请求上下文
+   * @param {string} batchId - 批处理ID
+   */
+  _getBatchResults({ res }, batchId) {
+    const batch = this.batches.get(batchId);
+
+    if (!batch) {
+      return this._sendError(res, 404, `Batch not found: ${batchId}`);
+    }
+
+    const description = this._describeBatch(batch);
+
+    if (description.processing_status !== "ended") {
+      return this._sendError(res, 400, `Batch ${batchId} is still processing`);
+    }
+
+    const lines = batch.results.map((item) =>
+      description.request_counts.canceled > 0
+        ? { custom_id: item.custom_id, result: { type: "canceled" } }
+        : item
+    );
+
+    res.writeHead(200, { "content-type": "application/x-jsonl" });
+    res.end(lines.map((line) => JSON.stringify(line)).join("\n") + "\n");
+  }
+
+  /**
+   * 生成分页列表响应
+   * @private
+   * @param {Array<Object>} items - 列表项
+   * @returns {Object} - 分页响应
+   */
+  _page(items) {
+    return {
+      data: items,
+      has_more: false,
+      first_id: items.length > 0 ? items[0].id : null,
+      last_id: items.length > 0 ? items[items.length - 1].id : null,
+    };
+  }
+
+  /**
+   * 读取请求体
+   * @private
+   * @param {http.IncomingMessage} req - 请求
+   * @returns {Promise<Buffer>} - 请求体
+   */
+  async _readBody(req) {
+    const chunks = [];
+
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * 解析JSON请求体，失败时返回400错误
+   * @private
+   * @param {http.ServerResponse} res - 响应
+   * @param {Buffer} body - 请求体
+   * @returns {Object|null} - 解析结果
+   */
+  _parseJson(res, body) {
+    try {
+      return JSON.parse(body.toString("utf8") || "{}");
+    } catch (error) {
+      this._sendError(res, 400, `Invalid JSON: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * 开始SSE响应
+   * @private
+   * @param {http.ServerResponse} res - 响应
+   */
+  _startEventStream(res) {
+    res.writeHead(200, {
+      "content-type": "text/event-stream",
+      "cache-control": "no-cache",
+    });
+  }
+
+  /**
+   * 写入一个SSE事件
+   * @private
+   * @param {http.ServerResponse} res - 响应
+   * @param {string} event - 事件名
+   * @param {Object} data - 事件数据
+   */
+  async _writeEvent(res, event, data) {
+    if (this.streamDelay) {
+      await utils.sleep(this.streamDelay);
+    }
+
+    res.write(encodeServerSentEvents([{ event, data }]));
+  }
+
+  /**
+   * 发送JSON响应
+   * @private
+   * @param {http.ServerResponse} res - 响应
+   * @param {number} status - 状态码
+   * @param {Object} data - 响应数据
+   * @param {Object} headers - 额外的响应头
+   */
+  _sendJson(res, status, data, headers = {}) {
+    res.writeHead(status, { "content-type": "application/json", ...headers });
+    res.end(JSON.stringify(data));
+  }
+
+  /**
+   * 发送API格式的错误响应
+   * @private
+   * @param {http.ServerResponse} res - 响应
+   * @param {number} status - 状态码
+   * @param {string} message - 错误消息
+   * @param {string} type - 错误类型
+   * @param {Object} headers - 额外的响应头
+   */
+  _sendError(res, status, message, type, headers = {}) {
+    this._sendJson(
+      res,
+      status,
+      {
+        type: "error",
+        error: { type: type || ERROR_TYPES[status] || "api_error", message },
+      },
+      headers
+    );
+  }
+
+  /**
+   * 按错误注入规则发送错误响应
+   * @private
+   * @param {http.ServerResponse} res - 响应
+   * @param {Object} rule - 规则
+   */
+  _sendRuleError(res, rule) {
+    const headers = {};
+
+    if (rule.retryAfter !== undefined) {
+      headers["retry-after"] = String(rule.retryAfter);
+    }
+
+    this._sendError(
+      res,
+      rule.status,
+      rule.message || `Injected ${rule.status} error`,
+      rule.type,
+      headers
+    );
+  }
+}
+
+module.exports = MockServer;
+module.exports.loadFixtures = loadFixtures;
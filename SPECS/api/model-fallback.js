@@ -0,0 +1,98 @@
+/**
+ * 模型回退模块
+ *
+ * 模型过载（529）或服务不可用（503）并且重试仍然失败时，按配置的回退链依次改用其他模型。
+ * 回退链和模型的输出令牌上限都按模型名前缀匹配，最长前缀优先。
+ */
+
+const { ConfigurationError } = require("../core/error-handler");
+const RetryPolicy = require("./retry-policy");
+
+// 触发模型回退的HTTP状态码
+const FALLBACK_STATUSES = [503, 529];
+
+// 各模型的最大输出令牌数，按模型名前缀匹配
+const DEFAULT_MAX_OUTPUT_TOKENS = {
+  "claude-3-haiku": 4096,
+  "claude-3-sonnet": 4096,
+  "claude-3-opus": 4096,
+  "claude-3-5-haiku": 8192,
+  "claude-3-5-sonnet": 8192,
+  "claude-3-7-sonnet": 64000,
+  "claude-sonnet-4": 64000,
+  "claude-haiku-4-5": 64000,
+  "claude-opus-4": 32000,
+  "claude-opus-4-5": 64000,
+};
+
+/**
+ * 按模型名前缀查找表中的值
+ * @param {Object} table - 以模型名或模型名前缀为键的表
+ * @param {string} model - 模型名称
+ * @returns {*} - 最长匹配前缀对应的值，没有匹配时返回undefined
+ */
+function findByModel(table, model) {
+  const prefix = Object.keys(table)
+    .filter((candidate) => model && model.startsWith(candidate))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefix ? table[prefix] : undefined;
+}
+
+/**
+ * 获取模型的最大输出令牌数
+ * @param {string} model - 模型名称
+ * @param {Object} limits - 覆盖默认值的上限表（模型名前缀 -> 令牌数）
+ * @returns {number|null} - 最大输出令牌数，未知模型返回null
+ */
+function getMaxOutputTokens(model, limits = {}) {
+  return (
+    findByModel({ ...DEFAULT_MAX_OUTPUT_TOKENS, ...limits }, model) || null
+  );
+}
+
+/**
+ * 获取模型的回退链
+ * @param {string} model - 请求的模型
+ * @param {Object} fallbacks - 回退配置（模型名前缀 -> 依次尝试的模型数组）
+ * @returns {Array<string>} - 依次尝试的模型（第一个为请求的模型）
+ * @throws {ConfigurationError} - 回退配置无效时抛出
+ */
+function getFallbackChain(model, fallbacks) {
+  if (!fallbacks) {
+    return [model];
+  }
+
+  if (typeof fallbacks !== "object" || Array.isArray(fallbacks)) {
+    const message = "modelFallbacks必须是模型到回退模型数组的映射";
+
+    throw new ConfigurationError(message, { modelFallbacks: fallbacks });
+  }
+
+  const chain = findByModel(fallbacks, model) || [];
+
+  if (!Array.isArray(chain)) {
+    throw new ConfigurationError(`模型 ${model} 的回退配置必须是数组`, {
+      model,
+      chain,
+    });
+  }
+
+  return [...new Set([model, ...chain])];
+}
+
+/**
+ * 判断错误是否应当改用回退模型
+ * @param {Error} error - 错误对象
+ * @returns {boolean} - 是否回退
+ */
+function shouldFallback(error) {
+  return FALLBACK_STATUSES.includes(RetryPolicy.getStatus(error));
+}
+
+module.exports = {
+  FALLBACK_STATUSES,
+  getMaxOutputTokens,
+  getFallbackChain,
+  shouldFallback,
+};
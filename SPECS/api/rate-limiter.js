@@ -0,0 +1,346 @@
+/**
+ * 速率限制模块
+ *
+ * 在客户端按令牌桶算法限制每分钟的请求数、输入令牌数和输出令牌数。
+ * 超出限制的请求按先进先出的顺序排队等待，而不是直接失败；
+ * 限额会根据响应中的anthropic-ratelimit-*头自动调整。
+ * 同一进程内使用相同API密钥的客户端共享同一个限制器。
+ */
+
+const crypto = require("crypto");
+
+// 限制维度及对应的响应头名称
+const DIMENSIONS = {
+  requests: "requests",
+  inputTokens: "input-tokens",
+  outputTokens: "output-tokens",
+};
+
+// 进程内共享的限制器（按API密钥的哈希区分）
+const sharedLimiters = new Map();
+
+/**
+ * 速率限制器类
+ */
+class RateLimiter {
+  /**
+   * 创建速率限制器实例
+   * @param {Object} options - 选项
+   * @param {number} options.requestsPerMinute - 每分钟请求数上限
+   * @param {number} options.inputTokensPerMinute - 每分钟输入令牌数上限
+   * @param {number} options.outputTokensPerMinute - 每分钟输出令牌数上限
+   * @param {Object} options.logger - 日志记录器
+   */
+  constructor(options = {}) {
+    this.logger = options.logger;
+
+    // 显式配置的上限（响应头中的限额不会超过它）
+    this.configured = {
+      requests: options.requestsPerMinute || null,
+      inputTokens: options.inputTokensPerMinute || null,
+      outputTokens: options.outputTokensPerMinute || null,
+    };
+
+    const now = Date.now();
+
+    this.buckets = {};
+
+    for (const dimension of Object.keys(DIMENSIONS)) {
+      const limit = this.configured[dimension];
+
+      this.buckets[dimension] = {
+        limit,
+        available: limit,
+        updatedAt: now,
+        blockedUntil: 0,
+      };
+    }
+
+    // 等待中的请求
+    this.queue = [];
+    this.timer = null;
+  }
+
+  /**
+   * 获取进程内共享的限制器
+   * @param {string} apiKey - API密钥
+   * @param {Object} options - 首次创建时使用的选项（同构造函数）
+   * @returns {RateLimiter} - 速率限制器
+   */
+  static shared(apiKey, options = {}) {
+    const key = crypto
+      .createHash("sha256")
+      .update(apiKey || "")
+      .digest("hex");
+
+    if (!sharedLimiters.has(key)) {
+      sharedLimiters.set(key, new RateLimiter(options));
+    }
+
+    return sharedLimiters.get(key);
+  }
+
+  /**
+   * 申请发送一个请求，在限额不足时排队等待
+   * @param {Object} cost - 预计消耗
+   * @param {number} cost.inputTokens - 预计的输入令牌数
+   * @param {number} cost.outputTokens - 预计的输出令牌数（通常为max_tokens）
+   * @param {Object} options - 选项
+   * @param {AbortSignal} options.signal - 中止信号（中止时以signal.reason拒绝）
+   * @returns {Promise<{settle: Function}>} - 许可，请求结束后调用settle(usage)按实际用量校正
+   */
+  acquire(cost = {}, options = {}) {
+    const { signal } = options;
+    const normalizedCost = {
+      requests: 1,
+      inputTokens: cost.inputTokens || 0,
+      outputTokens: cost.outputTokens || 0,
+    };
+
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const waiter = {
+        cost: normalizedCost,
+        enqueuedAt: Date.now(),
+        resolve,
+        reject,
+      };
+
+      if (signal) {
+        waiter.onAbort = () => {
+          this.queue = this.queue.filter((item) => item !== waiter);
+          reject(signal.reason);
+          this._drain();
+        };
+        signal.addEventListener("abort", waiter.onAbort, { once: true });
+        waiter.signal = signal;
+      }
+
+      this.queue.push(waiter);
+      this._drain();
+    });
+  }
+
+  /**
+   * 根据响应头调整限额
+   * @param {Object} headers - 响应头
+   */
+  updateFromHeaders(headers = {}) {
+    const values = {};
+
+    for (const [key, value] of Object.entries(headers)) {
+      values[key.toLowerCase()] = value;
+    }
+
+    const now = Date.now();
+
+    for (const [dimension, name] of Object.entries(DIMENSIONS)) {
+      const bucket = this.buckets[dimension];
+      const limit = Number(values[`anthropic-ratelimit-${name}-limit`]);
+      const remaining = Number(values[`anthropic-ratelimit-${name}-remaining`]);
+      const reset = Date.parse(values[`anthropic-ratelimit-${name}-reset`]);
+
+      this._refill(bucket, now);
+
+      if (limit > 0) {
+        const configured = this.configured[dimension];
+        const newLimit = configured ? Math.min(configured, limit) : limit;
+
+        if (bucket.limit === null) {
+          bucket.available = newLimit;
+        }
+
+        if (bucket.limit !== newLimit && this.logger) {
+          this.logger.debug(`速率限制 ${name} 调整为每分钟 ${newLimit}`);
+        }
+
+        bucket.limit = newLimit;
+        bucket.available = Math.min(bucket.available, newLimit);
+      }
+
+      if (bucket.limit !== null && !isNaN(remaining)) {
+        bucket.available = Math.min(bucket.available, remaining);
+      }
+
+      if (remaining === 0 && !isNaN(reset)) {
+        bucket.blockedUntil = Math.max(bucket.blockedUntil, reset);
+      }
+    }
+
+    this._drain();
+  }
+
+  /**
+   * 获取当前状态
+   * @returns {Object} - 各维度的上限、可用额度，以及排队的请求数
+   */
+  getStatus() {
+    const now = Date.now();
+    const status = { queued: this.queue.length };
+
+    for (const [dimension, bucket] of Object.entries(this.buckets)) {
+      this._refill(bucket, now);
+      status[dimension] = {
+        limit: bucket.limit,
+        available: bucket.limit === null ? null : Math.floor(bucket.available),
+      };
+    }
+
+    return status;
+  }
+
+  /**
+   * 按先进先出的顺序放行排队的请求
+   * @private
+   */
+  _drain() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    while (this.queue.length > 0) {
+      const waiter = this.queue[0];
+      const now = Date.now();
+
+      for (const bucket of Object.values(this.buckets)) {
+        this._refill(bucket, now);
+      }
+
+      // 队首请求的额度不足时，后面的请求也必须等待，保证公平
+      const waitTime = this._getWaitTime(waiter.cost, now);
+
+      if (waitTime > 0) {
+        this.timer = setTimeout(() => this._drain(), waitTime);
+        break;
+      }
+
+      this.queue.shift();
+
+      if (waiter.signal) {
+        waiter.signal.removeEventListener("abort", waiter.onAbort);
+      }
+
+      const waited = now - waiter.enqueuedAt;
+
+      if (waited > 0 && this.logger) {
+        this.logger.debug(`请求因速率限制等待了 ${waited}ms`);
+      }
+
+      waiter.resolve(this._reserve(waiter.cost));
+    }
+  }
+
+  /**
+   * 扣除额度并创建许可
+   * @private
+   * @param {Object} cost - 预计消耗
+   * @returns {{settle: Function}} - 许可
+   */
+  _reserve(cost) {
+    const reserved = {};
+
+    for (const [dimension, bucket] of Object.entries(this.buckets)) {
+      reserved[dimension] =
+        bucket.limit === null ? 0 : Math.min(cost[dimension], bucket.limit);
+      bucket.available -= reserved[dimension];
+    }
+
+    let settled = false;
+
+    return {
+      /**
+       * 按实际用量校正额度
+       * @param {Object} usage - API返回的usage（input_tokens、output_tokens），省略时视为未消耗令牌
+       */
+      settle: (usage) => {
+        if (settled) {
+          return;
+        }
+
+        settled = true;
+
+        const actual = {
+          inputTokens: (usage && usage.input_tokens) || 0,
+          outputTokens: (usage && usage.output_tokens) || 0,
+        };
+
+        for (const dimension of ["inputTokens", "outputTokens"]) {
+          const bucket = this.buckets[dimension];
+
+          if (bucket.limit !== null) {
+            bucket.available = Math.min(
+              bucket.limit,
+              bucket.available + reserved[dimension] - actual[dimension]
+            );
+          }
+        }
+
+        this._drain();
+      },
+    };
+  }
+
+  /**
+   * 计算满足消耗所需的等待时间
+   * @private
+   * @param {Object} cost - 预计消耗
+   * @param {number} now - 当前时间
+   * @returns {number} - 等待时间（毫秒）
+   */
+  _getWaitTime(cost, now) {
+    let waitTime = 0;
+
+    for (const [dimension, bucket] of Object.entries(this.buckets)) {
+      if (bucket.blockedUntil > now) {
+        waitTime = Math.max(waitTime, bucket.blockedUntil - now);
+        continue;
+      }
+
+      if (bucket.limit === null) {
+        continue;
+      }
+
+      const needed = Math.min(cost[dimension], bucket.limit);
+
+      if (bucket.available < needed) {
+        waitTime = Math.max(
+          waitTime,
+          Math.ceil(((needed - bucket.available) * 60000) / bucket.limit)
+        );
+      }
+    }
+
+    return waitTime;
+  }
+
+  /**
+   * 按经过的时间补充额度
+   * @private
+   * @param {Object} bucket - 令牌桶
+   * @param {number} now - 当前时间
+   */
+  _refill(bucket, now) {
+    // 到达响应头给出的重置时间后，额度完全恢复
+    if (bucket.blockedUntil && now >= bucket.blockedUntil) {
+      bucket.blockedUntil = 0;
+
+      if (bucket.limit !== null) {
+        bucket.available = bucket.limit;
+      }
+    } else if (bucket.limit !== null) {
+      bucket.available = Math.min(
+        bucket.limit,
+        bucket.available + ((now - bucket.updatedAt) * bucket.limit) / 60000
+      );
+    }
+
+    bucket.updatedAt = now;
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,358 @@
+/**
+ * 响应缓存模块
+ *
+ * 负责将确定性请求（temperature为0）的响应以内容寻址的方式保存在磁盘上。
+ * 缓存键为规范化请求体的SHA-256哈希，条目超过有效期（TTL）后失效，
+ * 总大小超过上限时按最近使用时间（LRU）淘汰。
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// 不影响生成结果、不参与缓存键计算的请求字段
+const IGNORED_FIELDS = ["stream", "metadata"];
+
+/**
+ * 规范化值（递归排序对象键），保证相同内容得到相同的序列化结果
+ * @param {*} value - 任意值
+ * @returns {*} - 规范化后的值
+ */
+function normalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+
+  if (value && typeof value === "object") {
+    const result = {};
+
+    for (const key of Object.keys(value).sort()) {
+      if (value[key] !== undefined) {
+        result[key] = normalize(value[key]);
+      }
+    }
+
+    return result;
+  }
+
+  return value;
+}
+
+/**
+ * 响应缓存类
+ */
+class ResponseCache {
+  /**
+   * 创建响应缓存实例
+   * @param {Object} options - 选项
+   * @param {string} options.dir - 缓存目录
+   * @param {number} options.ttl - 条目有效期（毫秒），0表示永不过期
+   * @param {number} options.maxSize - 缓存总大小上限（字节）
+   * @param {Object} options.logger - 日志记录器
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(os.homedir(), ".claude-cli", "cache");
+    // 默认有效期7天
+    this.ttl =
+      options.ttl !== undefined ? options.ttl : 7 * 24 * 60 * 60 * 1000;
+    this.maxSize = options.maxSize || 100 * 1024 * 1024; // 默认100MB
+    this.logger = options.logger;
+  }
+
+  /**
+   * 根据请求体计算缓存键
+   * @param {Object} payload - Messages API请求体
+   * @returns {string} - 缓存键
+   */
+  static createKey(payload) {
+    const fields = { ...payload };
+
+    for (const field of IGNORED_FIELDS) {
+      delete fields[field];
+    }
+
+    return crypto
+      .createHash("sha256")
+      .update(JSON.stringify(normalize(fields)))
+      .digest("hex");
+  }
+
+  /**
+   * 判断请求是否是确定性的（可以缓存）
+   * @param {Object} payload - Messages API请求体
+   * @returns {boolean} - 是否可缓存
+   */
+  static isCacheable(payload) {
+    return payload.temperature === 0;
+  }
+
+  /**
+   * 读取缓存的响应
+   * @param {string} key - 缓存键
+   * @returns {Object|null} - 响应数据，未命中或已过期时返回null
+   */
+  get(key) {
+    const entry = this._readEntry(key);
+
+    if (!entry) {
+      return null;
+    }
+
+    if (this._isExpired(entry)) {
+      this.delete(key);
+      return null;
+    }
+
+    // 更新命中次数和访问时间（文件修改时间用于LRU淘汰）
+    entry.hits = (entry.hits || 0) + 1;
+    entry.accessedAt = Date.now();
+    this._writeEntry(entry);
+
+    return entry.response;
+  }
+
+  /**
+   * 保存响应
+   * @param {string} key - 缓存键
+   * @param {Object} response - 响应数据
+   */
+  set(key, response) {
+    const now = Date.now();
+
+    this._writeEntry({
+      key,
+      model: response.model,
+      createdAt: now,
+      accessedAt: now,
+      hits: 0,
+      response,
+    });
+
+    // 淘汰时保留刚写入的条目
+    this._evict(key);
+  }
+
+  /**
+   * 删除缓存条目
+   * @param {string} key - 缓存键
+   * @returns {boolean} - 是否删除成功
+   */
+  delete(key) {
+    try {
+      fs.unlinkSync(this._entryPath(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 清空缓存
+   * @returns {number} - 删除的条目数
+   */
+  clear() {
+    let count = 0;
+
+    for (const file of this._listFiles()) {
+      if (this.delete(file.key)) {
+        count++;
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * 删除过期条目，并按LRU淘汰超出容量的条目
+   * @returns {number} - 删除的条目数
+   */
+  prune() {
+    let count = 0;
+
+    for (const file of this._listFiles()) {
+      const entry = this._readEntry(file.key);
+
+      if ((!entry || this._isExpired(entry)) && this.delete(file.key)) {
+        count++;
+      }
+    }
+
+    return count + this._evict();
+  }
+
+  /**
+   * 获取缓存统计信息
+   * @returns {Object} - 统计信息
+   */
+  stats() {
+    const stats = {
+      dir: this.dir,
+      entries: 0,
+      expired: 0,
+      size: 0,
+      maxSize: this.maxSize,
+      ttl: this.ttl,
+      hits: 0,
+      oldest: null,
+      newest: null,
+      models: {},
+    };
+
+    for (const file of this._listFiles()) {
+      const entry = this._readEntry(file.key);
+
+      if (!entry) {
+        continue;
+      }
+
+      stats.entries++;
+      stats.size += file.size;
+      stats.hits += entry.hits || 0;
+
+      if (this._isExpired(entry)) {
+        stats.expired++;
+      }
+
+      if (!stats.oldest || entry.createdAt < stats.oldest) {
+        stats.oldest = entry.createdAt;
+      }
+
+      if (!stats.newest || entry.createdAt > stats.newest) {
+        stats.newest = entry.createdAt;
+      }
+
+      const model = entry.model || "unknown";
+      stats.models[model] = (stats.models[model] || 0) + 1;
+    }
+
+    return stats;
+  }
+
+  /**
+   * 按最近使用时间淘汰条目，直到总大小不超过上限
+   * @private
+   * @param {string} keepKey - 不淘汰的缓存键
+   * @returns {number} - 淘汰的条目数
+   */
+  _evict(keepKey) {
+    const files = this._listFiles();
+    let totalSize = files.reduce((sum, file) => sum + file.size, 0);
+    let count = 0;
+
+    // 最久未使用的排在前面
+    files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+
+    for (const file of files) {
+      if (totalSize <= this.maxSize) {
+        break;
+      }
+
+      if (file.key !== keepKey && this.delete(file.key)) {
+        totalSize -= file.size;
+        count++;
+
+        if (this.logger) {
+          this.logger.debug(`淘汰缓存条目: ${file.key}`);
+        }
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * 列出缓存目录中的条目文件
+   * @private
+   * @returns {Array<{key: string, size: number, mtimeMs: number}>} - 条目文件信息
+   */
+  _listFiles() {
+    let names;
+
+    try {
+      names = fs.readdirSync(this.dir);
+    } catch (error) {
+      return [];
+    }
+
+    const files = [];
+
+    for (const name of names) {
+      if (!name.endsWith(".json")) {
+        continue;
+      }
+
+      try {
+        const stat = fs.statSync(path.join(this.dir, name));
+        files.push({
+          key: name.slice(0, -".json".length),
+          size: stat.size,
+          mtimeMs: stat.mtimeMs,
+        });
+      } catch (error) {
+        // 文件可能已被其他进程删除
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * 获取条目文件路径
+   * @private
+   * @param {string} key - 缓存键
+   * @returns {string} - 文件路径
+   */
+  _entryPath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  /**
+   * 读取缓存条目
+   * @private
+   * @param {string} key - 缓存键
+   * @returns {Object|null} - 缓存条目
+   */
+  _readEntry(key) {
+    try {
+      return JSON.parse(fs.readFileSync(this._entryPath(key), "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT" && this.logger) {
+        this.logger.warn(`无法读取缓存条目 ${key}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * 写入缓存条目（先写临时文件再重命名，避免读到不完整的条目）
+   * @private
+   * @param {Object} entry - 缓存条目
+   */
+  _writeEntry(entry) {
+    const filePath = this._entryPath(entry.key);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify(entry), "utf8");
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      if (this.logger) {
+        this.logger.warn(`无法写入缓存条目 ${entry.key}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * 判断条目是否已过期
+   * @private
+   * @param {Object} entry - 缓存条目
+   * @returns {boolean} - 是否过期
+   */
+  _isExpired(entry) {
+    return this.ttl > 0 && Date.now() - entry.createdAt > this.ttl;
+  }
+}
+
+module.exports = ResponseCache;
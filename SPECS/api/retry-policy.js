@@ -0,0 +1,248 @@
+/**
+ * 重试策略模块
+ *
+ * 负责判断API请求失败后是否应当重试，以及重试前应等待多久。
+ * 支持指数退避、随机抖动，以及服务端返回的retry-after和anthropic-ratelimit-*响应头。
+ */
+
+// 默认可重试的HTTP状态码
+const DEFAULT_RETRYABLE_STATUSES = [408, 409, 429, 500, 502, 503, 529];
+
+// 默认可重试的网络错误代码
+const DEFAULT_RETRYABLE_ERROR_CODES = [
+  "ECONNRESET",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+  "ENETUNREACH",
+  "ERR_NETWORK",
+];
+
+// 速率限制重置时间相关的响应头
+const RATE_LIMIT_TYPES = [
+  "requests",
+  "tokens",
+  "input-tokens",
+  "output-tokens",
+];
+
+/**
+ * 重试策略类
+ */
+class RetryPolicy {
+  /**
+   * 创建重试策略实例
+   * @param {Object} options - 选项
+   * @param {number} options.maxRetries - 最大重试次数
+   * @param {number} options.baseDelay - 初始退避时间（毫秒）
+   * @param {number} options.maxDelay - 最大退避时间（毫秒）
+   * @param {boolean} options.jitter - 是否加入随机抖动
+   * @param {number} options.maxRetryAfter - 服务端建议等待时间的上限（毫秒），超过则不再重试
+   * @param {Array<number>} options.retryableStatuses - 可重试的HTTP状态码
+   * @param {Array<string>} options.retryableErrorCodes - 可重试的网络错误代码
+   */
+  constructor(options = {}) {
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+    this.baseDelay = options.baseDelay || 500;
+    this.maxDelay = options.maxDelay || 30000;
+    this.jitter = options.jitter !== false;
+    this.maxRetryAfter = options.maxRetryAfter || 60000;
+    this.retryableStatuses =
+      options.retryableStatuses || DEFAULT_RETRYABLE_STATUSES;
+    this.retryableErrorCodes =
+      options.retryableErrorCodes || DEFAULT_RETRYABLE_ERROR_CODES;
+  }
+
+  /**
+   * 基于当前策略创建一个覆盖了部分选项的新策略
+   * @param {Object} overrides - 要覆盖的选项
+   * @returns {RetryPolicy} - 新的重试策略
+   */
+  with(overrides = {}) {
+    return new RetryPolicy({
+      maxRetries: this.maxRetries,
+      baseDelay: this.baseDelay,
+      maxDelay: this.maxDelay,
+      jitter: this.jitter,
+      maxRetryAfter: this.maxRetryAfter,
+      retryableStatuses: this.retryableStatuses,
+      retryableErrorCodes: this.retryableErrorCodes,
+      ...overrides,
+    });
+  }
+
+  /**
+   * 判断是否应当重试
+   * @param {Error} error - 错误对象
+   * @param {number} attempt - 当前尝试次数（从0开始）
+   * @returns {{retry: boolean, reason: string}} - 重试决策及原因
+   */
+  shouldRetry(error, attempt) {
+    if (attempt >= this.maxRetries) {
+      return { retry: false, reason: `已达到最大重试次数 ${this.maxRetries}` };
+    }
+
+    if (
+      error &&
+      (error.name === "AbortError" || error.code === "ERR_CANCELED")
+    ) {
+      return { retry: false, reason: "请求已取消" };
+    }
+
+    const headers = RetryPolicy.getHeaders(error);
+
+    // 服务端显式指示是否重试
+    const shouldRetryHeader = headers["x-should-retry"];
+
+    if (shouldRetryHeader === "true") {
+      return { retry: true, reason: "服务端要求重试 (x-should-retry)" };
+    }
+
+    if (shouldRetryHeader === "false") {
+      return { retry: false, reason: "服务端要求不重试 (x-should-retry)" };
+    }
+
+    const status = RetryPolicy.getStatus(error);
+
+    if (status !== undefined) {
+      if (!this.retryableStatuses.includes(status)) {
+        return { retry: false, reason: `状态码 ${status} 不可重试` };
+      }
+
+      const serverDelay = this._getServerDelay(headers);
+
+      if (serverDelay !== null && serverDelay > this.maxRetryAfter) {
+        return {
+          retry: false,
+          reason: `服务端建议等待 ${serverDelay}ms，超过上限 ${this.maxRetryAfter}ms`,
+        };
+      }
+
+      return { retry: true, reason: `状态码 ${status} 可重试` };
+    }
+
+    const code = error && (error.code || (error.data && error.data.code));
+
+    if (code && this.retryableErrorCodes.includes(code)) {
+      return { retry: true, reason: `网络错误 ${code}` };
+    }
+
+    // 没有收到响应的请求（网络中断）
+    if (error && (error.request || error.code === "NETWORK_ERROR")) {
+      return { retry: true, reason: "请求未收到响应" };
+    }
+
+    return {
+      retry: false,
+      reason: `不可重试的错误: ${error && error.message}`,
+    };
+  }
+
+  /**
+   * 计算重试前的等待时间
+   * @param {Error} error - 错误对象
+   * @param {number} attempt - 当前尝试次数（从0开始）
+   * @returns {number} - 等待时间（毫秒）
+   */
+  getDelay(error, attempt) {
+    const serverDelay = this._getServerDelay(RetryPolicy.getHeaders(error));
+
+    if (serverDelay !== null) {
+      return serverDelay;
+    }
+
+    const delay = Math.min(this.maxDelay, this.baseDelay * 2 ** attempt);
+
+    if (!this.jitter) {
+      return delay;
+    }
+
+    // 在[delay/2, delay]之间随机取值
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+  }
+
+  /**
+   * 根据响应头计算服务端建议的等待时间
+   * @private
+   * @param {Object} headers - 响应头
+   * @returns {number|null} - 等待时间（毫秒），没有建议时返回null
+   */
+  _getServerDelay(headers) {
+    const retryAfterMs = parseFloat(headers["retry-after-ms"]);
+
+    if (!isNaN(retryAfterMs) && retryAfterMs >= 0) {
+      return Math.round(retryAfterMs);
+    }
+
+    const retryAfter = headers["retry-after"];
+
+    if (retryAfter !== undefined) {
+      const seconds = parseFloat(retryAfter);
+
+      if (!isNaN(seconds) && seconds >= 0) {
+        return Math.round(seconds * 1000);
+      }
+
+      const date = Date.parse(retryAfter);
+
+      if (!isNaN(date)) {
+        return Math.max(0, date - Date.now());
+      }
+    }
+
+    // 已耗尽的速率限制，等待到最晚的重置时间
+    let rateLimitDelay = null;
+
+    for (const type of RATE_LIMIT_TYPES) {
+      const remaining = headers[`anthropic-ratelimit-${type}-remaining`];
+      const reset = Date.parse(headers[`anthropic-ratelimit-${type}-reset`]);
+
+      if (remaining === "0" && !isNaN(reset)) {
+        rateLimitDelay = Math.max(rateLimitDelay || 0, reset - Date.now());
+      }
+    }
+
+    return rateLimitDelay === null ? null : Math.max(0, rateLimitDelay);
+  }
+
+  /**
+   * 获取错误对应的HTTP状态码
+   * @param {Error} error - 错误对象
+   * @returns {number|undefined} - 状态码
+   */
+  static getStatus(error) {
+    if (!error) {
+      return undefined;
+    }
+
+    if (error.response && error.response.status) {
+      return error.response.status;
+    }
+
+    return error.statusCode || error.status || undefined;
+  }
+
+  /**
+   * 获取错误对应的响应头（键名均为小写）
+   * @param {Error} error - 错误对象
+   * @returns {Object} - 响应头
+   */
+  static getHeaders(error) {
+    const headers =
+      (error && error.response && error.response.headers) ||
+      (error && error.data && error.data.headers) ||
+      {};
+
+    const result = {};
+
+    for (const [key, value] of Object.entries(headers)) {
+      result[key.toLowerCase()] = Array.isArray(value) ? value[0] : value;
+    }
+
+    return result;
+  }
+}
+
+module.exports = RetryPolicy;
+module.exports.DEFAULT_RETRYABLE_STATUSES = DEFAULT_RETRYABLE_STATUSES;
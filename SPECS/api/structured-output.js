@@ -0,0 +1,379 @@
+/**
+ * 结构化输出模块
+ *
+ * 通过强制调用一个以JSON Schema为input_schema的工具，让模型按指定结构输出JSON，
+ * 并在本地按schema校验输出。校验失败的错误会反馈给模型以便重试。
+ */
+
+const { ValidationError } = require("../core/error-handler");
+
+// 用于接收结构化输出的工具名称
+const OUTPUT_TOOL_NAME = "structured_output";
+
+// 非对象schema包装为对象时使用的属性名（工具的input_schema必须是对象）
+const WRAPPED_PROPERTY = "value";
+
+/**
+ * 获取值的JSON Schema类型
+ * @param {*} value - 值
+ * @returns {string} - 类型名称
+ */
+function getJsonType(value) {
+  if (value === null) {
+    return "null";
+  }
+
+  if (Array.isArray(value)) {
+    return "array";
+  }
+
+  if (typeof value === "number") {
+    return Number.isInteger(value) ? "integer" : "number";
+  }
+
+  return typeof value;
+}
+
+/**
+ * 判断值是否符合某个JSON Schema类型
+ * @param {*} value - 值
+ * @param {string} type - 类型名称
+ * @returns {boolean} - 是否符合
+ */
+function matchesType(value, type) {
+  const actual = getJsonType(value);
+
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+/**
+ * 解析本地引用（如"#/$defs/item"）
+ * @param {Object} root - 根schema
+ * @param {string} ref - 引用
+ * @returns {Object} - 引用的schema
+ * @throws {ValidationError} - 引用无法解析时抛出
+ */
+function resolveRef(root, ref) {
+  if (ref === "#") {
+    return root;
+  }
+
+  if (!ref.startsWith("#/")) {
+    throw new ValidationError(`不支持的schema引用: ${ref}`, { ref });
+  }
+
+  let target = root;
+
+  for (const part of ref.slice(2).split("/")) {
+    const key = decodeURIComponent(part)
+      .replace(/~1/g, "/")
+      .replace(/~0/g, "~");
+
+    if (!target || typeof target !== "object" || !(key in target)) {
+      throw new ValidationError(`无法解析schema引用: ${ref}`, { ref });
+    }
+
+    target = target[key];
+  }
+
+  return target;
+}
+
+/**
+ * 按JSON Schema校验值
+ * 支持常用的关键字：type、enum、const、properties、required、additionalProperties、
+ * items、数值和长度范围、pattern、allOf/anyOf/oneOf/not以及本地$ref；format等其他关键字会被忽略。
+ * @param {*} value - 要校验的值
+ * @param {Object} schema - JSON Schema
+ * @param {Object} root - 根schema（解析$ref时使用，默认为schema）
+ * @param {string} location - 值的位置（用于错误消息）
+ * @returns {Array<string>} - 错误消息，校验通过时为空数组
+ */
+function validateJsonSchema(value, schema, root = schema, location = "$") {
+  if (schema === true || schema === undefined) {
+    return [];
+  }
+
+  if (schema === false) {
+    return [`${location}: 不允许出现此值`];
+  }
+
+  if (schema.$ref) {
+    return validateJsonSchema(
+      value,
+      resolveRef(root, schema.$ref),
+      root,
+      location
+    );
+  }
+
+  const errors = [];
+  const fail = (message) => errors.push(`${location}: ${message}`);
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+    if (!types.some((type) => matchesType(value, type))) {
+      fail(`应为${types.join("或")}类型，实际为${getJsonType(value)}`);
+      return errors;
+    }
+  }
+
+  if (
+    schema.enum &&
+    !schema.enum.some((item) => JSON.stringify(item) === JSON.stringify(value))
+  ) {
+    const allowed = schema.enum.map((item) => JSON.stringify(item));
+
+    fail(`应为以下值之一: ${allowed.join(", ")}`);
+  }
+
+  if (
+    schema.const !== undefined &&
+    JSON.stringify(schema.const) !== JSON.stringify(value)
+  ) {
+    fail(`应为 ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`应不小于 ${schema.minimum}`);
+    }
+
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`应不大于 ${schema.maximum}`);
+    }
+
+    if (
+      typeof schema.exclusiveMinimum === "number" &&
+      value <= schema.exclusiveMinimum
+    ) {
+      fail(`应大于 ${schema.exclusiveMinimum}`);
+    }
+
+    if (
+      typeof schema.exclusiveMaximum === "number" &&
+      value >= schema.exclusiveMaximum
+    ) {
+      fail(`应小于 ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  if (typeof value === "string") {
+    // 按码位计算长度
+    const length = Array.from(value).length;
+
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      fail(`长度应至少为 ${schema.minLength}`);
+    }
+
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      fail(`长度应至多为 ${schema.maxLength}`);
+    }
+
+    if (schema.pattern && !new RegExp(schema.pattern, "u").test(value)) {
+      fail(`应匹配正则表达式 ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`元素个数应至少为 ${schema.minItems}`);
+    }
+
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`元素个数应至多为 ${schema.maxItems}`);
+    }
+
+    if (schema.uniqueItems) {
+      const items = value.map((item) => JSON.stringify(item));
+
+      if (new Set(items).size !== items.length) {
+        fail("元素不能重复");
+      }
+    }
+
+    if (schema.items && typeof schema.items === "object") {
+      value.forEach((item, index) => {
+        errors.push(
+          ...validateJsonSchema(
+            item,
+            schema.items,
+            root,
+            `${location}[${index}]`
+          )
+        );
+      });
+    }
+  }
+
+  if (getJsonType(value) === "object") {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        fail(`缺少必填属性 ${key}`);
+      }
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      if (key in properties) {
+        errors.push(
+          ...validateJsonSchema(
+            item,
+            properties[key],
+            root,
+            `${location}.${key}`
+          )
+        );
+      } else if (schema.additionalProperties === false) {
+        fail(`不允许的属性 ${key}`);
+      } else if (
+        schema.additionalProperties &&
+        typeof schema.additionalProperties === "object"
+      ) {
+        errors.push(
+          ...validateJsonSchema(
+            item,
+            schema.additionalProperties,
+            root,
+            `${location}.${key}`
+          )
+        );
+      }
+    }
+  }
+
+  for (const subschema of schema.allOf || []) {
+    errors.push(...validateJsonSchema(value, subschema, root, location));
+  }
+
+  if (schema.anyOf) {
+    const matched = schema.anyOf.some(
+      (subschema) =>
+        validateJsonSchema(value, subschema, root, location).length === 0
+    );
+
+    if (!matched) {
+      fail("不符合anyOf中的任何一个schema");
+    }
+  }
+
+  if (schema.oneOf) {
+    const matched = schema.oneOf.filter(
+      (subschema) =>
+        validateJsonSchema(value, subschema, root, location).length === 0
+    ).length;
+
+    if (matched !== 1) {
+      fail(`应恰好符合oneOf中的一个schema，实际符合 ${matched} 个`);
+    }
+  }
+
+  if (
+    schema.not &&
+    validateJsonSchema(value, schema.not, root, location).length === 0
+  ) {
+    fail("不应符合not中的schema");
+  }
+
+  return errors;
+}
+
+/**
+ * 判断schema是否可以直接作为工具的input_schema
+ * @param {Object} schema - JSON Schema
+ * @returns {boolean} - 是否描述对象
+ */
+function isObjectSchema(schema) {
+  return schema.type === "object";
+}
+
+/**
+ * 创建接收结构化输出的工具定义
+ * 非对象的schema会包装在value属性中（定义会提升到包装后的根上，保证$ref可以解析）。
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} - 工具定义
+ * @throws {ValidationError} - schema不是对象时抛出
+ */
+function createOutputTool(schema) {
+  if (!schema || typeof schema !== "object" || Array.isArray(schema)) {
+    throw new ValidationError("JSON Schema必须是对象", { schema });
+  }
+
+  let inputSchema = schema;
+
+  if (!isObjectSchema(schema)) {
+    const { $defs, definitions, ...rest } = schema;
+
+    inputSchema = {
+      type: "object",
+      properties: { [WRAPPED_PROPERTY]: rest },
+      required: [WRAPPED_PROPERTY],
+      ...($defs ? { $defs } : {}),
+      ...(definitions ? { definitions } : {}),
+    };
+  }
+
+  return {
+    name: OUTPUT_TOOL_NAME,
+    description: "以结构化JSON提交最终答案。输入必须严格符合input_schema。",
+    input_schema: inputSchema,
+  };
+}
+
+/**
+ * 从文本中解析JSON（允许包含在```代码块中）
+ * @param {string} text - 文本
+ * @returns {*} - 解析后的值
+ * @throws {SyntaxError} - 文本不是有效的JSON时抛出
+ */
+function parseJsonText(text) {
+  const fenced = text.match(/```(?:json)?\s*\n([\s\S]*?)\n?```/);
+
+  return JSON.parse(fenced ? fenced[1] : text.trim());
+}
+
+/**
+ * 从模型响应中提取结构化输出
+ * 优先使用结构化输出工具的输入；模型没有调用工具时尝试将文本解析为JSON。
+ * @param {Object} message - 完整消息
+ * @param {Object} schema - 原始JSON Schema
+ * @returns {{value: *, toolUse: Object|null, error: string|null}} - 提取的值、对应的tool_use块和解析错误
+ */
+function extractOutput(message, schema) {
+  const content = message.content || [];
+  const toolUse = content.find(
+    (block) => block.type === "tool_use" && block.name === OUTPUT_TOOL_NAME
+  );
+
+  if (toolUse) {
+    const value = isObjectSchema(schema)
+      ? toolUse.input
+      : (toolUse.input || {})[WRAPPED_PROPERTY];
+
+    return { value, toolUse, error: null };
+  }
+
+  const text = content
+    .filter((block) => block.type === "text")
+    .map((block) => block.text)
+    .join("");
+
+  try {
+    return { value: parseJsonText(text), toolUse: null, error: null };
+  } catch (error) {
+    return {
+      value: undefined,
+      toolUse: null,
+      error: `响应中没有有效的JSON: ${error.message}`,
+    };
+  }
+}
+
+module.exports = {
+  OUTPUT_TOOL_NAME,
+  validateJsonSchema,
+  createOutputTool,
+  extractOutput,
+};
@@ -0,0 +1,181 @@
+/**
+ * 上传索引模块
+ *
+ * 在本地记录已上传文件的内容哈希与远程文件ID的对应关系，
+ * 使内容未变的文件可以直接复用之前上传的文件ID，而不必每次重新上传。
+ * 文件ID只在上传它的API密钥下有效，因此索引按API密钥的指纹区分。
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * 计算文件内容的SHA-256哈希
+ * @param {string} filePath - 文件路径
+ * @returns {Promise<string>} - 十六进制哈希
+ */
+async function hashFile(filePath) {
+  const hash = crypto.createHash("sha256");
+
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+
+  return hash.digest("hex");
+}
+
+/**
+ * 计算API密钥的指纹（不保存密钥本身）
+ * @param {string} apiKey - API密钥
+ * @returns {string} - 指纹
+ */
+function getKeyFingerprint(apiKey) {
+  return crypto
+    .createHash("sha256")
+    .update(apiKey || "")
+    .digest("hex")
+    .slice(0, 16);
+}
+
+/**
+ * 上传索引类
+ */
+class UploadIndex {
+  /**
+   * 创建上传索引实例
+   * @param {Object} options - 选项
+   * @param {string} options.path - 索引文件路径（默认~/.claude-cli/uploads.json）
+   * @param {number} options.ttl - 条目有效期（毫秒），过期后重新上传，0表示永不过期
+   * @param {Object} options.logger - 日志记录器
+   */
+  constructor(options = {}) {
+    this.path =
+      options.path || path.join(os.homedir(), ".claude-cli", "uploads.json");
+    // 默认有效期30天
+    this.ttl =
+      options.ttl !== undefined ? options.ttl : 30 * 24 * 60 * 60 * 1000;
+    this.logger = options.logger;
+  }
+
+  /**
+   * 查找内容相同的已上传文件
+   * 过期的条目会被删除。
+   * @param {string} hash - 文件内容哈希
+   * @param {string} owner - API密钥指纹
+   * @returns {Object|null} - 索引条目（fileId、filename、size、uploadedAt、expiresAt），没有时返回null
+   */
+  get(hash, owner) {
+    const entries = this._load();
+    const key = `${owner}:${hash}`;
+    const entry = entries[key];
+
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt && Date.parse(entry.expiresAt) <= Date.now()) {
+      delete entries[key];
+      this._save(entries);
+      return null;
+    }
+
+    return entry;
+  }
+
+  /**
+   * 记录已上传的文件
+   * @param {string} hash - 文件内容哈希
+   * @param {string} owner - API密钥指纹
+   * @param {Object} file - 文件信息
+   * @param {string} file.fileId - 远程文件ID
+   * @param {string} file.filename - 文件名
+   * @param {number} file.size - 文件大小（字节）
+   * @returns {Object} - 索引条目
+   */
+  set(hash, owner, file) {
+    const entries = this._load();
+    const now = Date.now();
+    const entry = {
+      fileId: file.fileId,
+      filename: file.filename,
+      size: file.size,
+      uploadedAt: new Date(now).toISOString(),
+      expiresAt: this.ttl > 0 ? new Date(now + this.ttl).toISOString() : null,
+    };
+
+    entries[`${owner}:${hash}`] = entry;
+    this._save(entries);
+
+    return entry;
+  }
+
+  /**
+   * 删除指向某个远程文件的条目
+   * @param {string} fileId - 远程文件ID
+   * @returns {boolean} - 是否删除了条目
+   */
+  remove(fileId) {
+    const entries = this._load();
+    let removed = false;
+
+    for (const [key, entry] of Object.entries(entries)) {
+      if (entry.fileId === fileId) {
+        delete entries[key];
+        removed = true;
+      }
+    }
+
+    if (removed) {
+      this._save(entries);
+    }
+
+    return removed;
+  }
+
+  /**
+   * 读取索引
+   * @private
+   * @returns {Object} - 索引条目（键为"指纹:哈希"）
+   */
+  _load() {
+    if (!fs.existsSync(this.path)) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(this.path, "utf8")).entries || {};
+    } catch (error) {
+      if (this.logger) {
+        this.logger.warn(`无法读取上传索引，将重新建立: ${error.message}`);
+      }
+      return {};
+    }
+  }
+
+  /**
+   * 写入索引
+   * 写入失败只记录警告，下次会重新上传文件。
+   * @private
+   * @param {Object} entries - 索引条目
+   */
+  _save(entries) {
+    try {
+      fs.mkdirSync(path.dirname(this.path), { recursive: true });
+      fs.writeFileSync(
+        this.path,
+        JSON.stringify({ version: 1, entries }, null, 2),
+        "utf8"
+      );
+    } catch (error) {
+      if (this.logger) {
+        this.logger.warn(`保存上传索引失败: ${error.message}`);
+      }
+    }
+  }
+}
+
+module.exports = UploadIndex;
+module.exports.hashFile = hashFile;
+module.exports.getKeyFingerprint = getKeyFingerprint;
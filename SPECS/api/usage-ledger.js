@@ -0,0 +1,318 @@
+/**
+ * 用量账本模块
+ *
+ * 将每个API请求的令牌用量记录到本地JSONL文件中，并按日期、模型等维度汇总，
+ * 根据价格表估算费用。
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ValidationError } = require("../core/error-handler");
+const utils = require("../core/utils");
+
+// 默认价格表（美元/百万令牌），按模型名前缀匹配，最长前缀优先
+const DEFAULT_PRICES = {
+  "claude-3-haiku": { input: 0.25, output: 1.25 },
+  "claude-3-5-haiku": { input: 0.8, output: 4 },
+  "claude-haiku-4-5": { input: 1, output: 5 },
+  "claude-3-sonnet": { input: 3, output: 15 },
+  "claude-3-5-sonnet": { input: 3, output: 15 },
+  "claude-3-7-sonnet": { input: 3, output: 15 },
+  "claude-sonnet-4": { input: 3, output: 15 },
+  "claude-3-opus": { input: 15, output: 75 },
+  "claude-opus-4": { input: 15, output: 75 },
+  "claude-opus-4-5": { input: 5, output: 25 },
+};
+
+// 未单独指定时，缓存写入和缓存读取相对输入价格的倍数
+const CACHE_WRITE_MULTIPLIER = 1.25;
+const CACHE_READ_MULTIPLIER = 0.1;
+
+// 支持的汇总维度
+const GROUP_BY = {
+  day: (entry) => utils.formatDate(entry.timestamp, "yyyy-MM-dd"),
+  week: (entry) => getWeekStart(entry.timestamp),
+  model: (entry) => entry.model || "未知",
+  key: (entry) => entry.keyName || "未知",
+  command: (entry) => entry.command || "未知",
+};
+
+/**
+ * 获取日期所在周的周一（yyyy-MM-dd）
+ * @param {Date|number|string} date - 日期
+ * @returns {string} - 周一的日期
+ */
+function getWeekStart(date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  day.setDate(day.getDate() - ((day.getDay() + 6) % 7));
+
+  return utils.formatDate(day, "yyyy-MM-dd");
+}
+
+/**
+ * 查找模型的价格
+ * @param {string} model - 模型名称
+ * @param {Object} prices - 价格表（覆盖默认价格）
+ * @returns {Object|null} - 价格（input、output、cacheWrite、cacheRead，美元/百万令牌），未知模型返回null
+ */
+function getModelPrice(model, prices = {}) {
+  const table = { ...DEFAULT_PRICES, ...prices };
+  const prefix = Object.keys(table)
+    .filter((candidate) => model && model.startsWith(candidate))
+    .sort((a, b) => b.length - a.length)[0];
+
+  if (!prefix) {
+    return null;
+  }
+
+  const price = table[prefix];
+
+  return {
+    input: price.input,
+    output: price.output,
+    cacheWrite: price.cacheWrite ?? price.input * CACHE_WRITE_MULTIPLIER,
+    cacheRead: price.cacheRead ?? price.input * CACHE_READ_MULTIPLIER,
+  };
+}
+
+/**
+ * 估算费用
+ * @param {Object} usage - 令牌用量（input_tokens、output_tokens、cache_creation_input_tokens、cache_read_input_tokens）
+ * @param {string} model - 模型名称
+ * @param {Object} prices - 价格表
+ * @returns {number|null} - 费用（美元），未知模型返回null
+ */
+function estimateCost(usage, model, prices) {
+  const price = getModelPrice(model, prices);
+
+  if (!price) {
+    return null;
+  }
+
+  return (
+    ((usage.input_tokens || 0) * price.input +
+      (usage.output_tokens || 0) * price.output +
+      (usage.cache_creation_input_tokens || 0) * price.cacheWrite +
+      (usage.cache_read_input_tokens || 0) * price.cacheRead) /
+    1000000
+  );
+}
+
+/**
+ * 用量账本类
+ */
+class UsageLedger {
+  /**
+   * 创建用量账本实例
+   * @param {Object} options - 选项
+   * @param {string} options.path - 账本文件路径（默认~/.claude-cli/usage.jsonl）
+   * @param {Object} options.prices - 价格表（覆盖默认价格）
+   * @param {Object} options.logger - 日志记录器
+   */
+  constructor(options = {}) {
+    this.path =
+      options.path || path.join(os.homedir(), ".claude-cli", "usage.jsonl");
+    this.prices = options.prices || {};
+    this.logger = options.logger;
+  }
+
+  /**
+   * 追加一条用量记录
+   * 写入失败只记录警告，不影响请求本身。
+   * @param {Object} entry - 用量记录
+   * @param {string} entry.model - 模型名称
+   * @param {string} entry.endpoint - API端点
+   * @param {string} entry.keyName - API密钥名称
+   * @param {string} entry.command - 发起请求的命令
+   * @param {number} entry.latency - 请求耗时（毫秒）
+   * @param {Object} entry.usage - API返回的usage
+   * @returns {Object|null} - 写入的记录，失败时返回null
+   */
+  record(entry) {
+    const usage = entry.usage || {};
+    const record = {
+      timestamp: new Date().toISOString(),
+      model: entry.model || null,
+      endpoint: entry.endpoint || null,
+      keyName: entry.keyName || null,
+      command: entry.command || null,
+      latency: entry.latency,
+      input_tokens: usage.input_tokens || 0,
+      output_tokens: usage.output_tokens || 0,
+      cache_creation_input_tokens: usage.cache_creation_input_tokens || 0,
+      cache_read_input_tokens: usage.cache_read_input_tokens || 0,
+    };
+
+    try {
+      fs.mkdirSync(path.dirname(this.path), { recursive: true });
+      fs.appendFileSync(this.path, `${JSON.stringify(record)}\n`, "utf8");
+      return record;
+    } catch (error) {
+      if (this.logger) {
+        this.logger.warn(`记录用量失败: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * 读取用量记录
+   * @param {Object} filters - 过滤条件
+   * @param {Date|number|string} filters.since - 起始时间（包含）
+   * @param {Date|number|string} filters.until - 结束时间（不包含）
+   * @param {string} filters.model - 模型名称（前缀匹配）
+   * @param {string} filters.keyName - API密钥名称
+   * @returns {Array<Object>} - 用量记录
+   */
+  read(filters = {}) {
+    if (!fs.existsSync(this.path)) {
+      return [];
+    }
+
+    const since = filters.since ? new Date(filters.since).getTime() : -Infinity;
+    const until = filters.until ? new Date(filters.until).getTime() : Infinity;
+
+    return this._parse(fs.readFileSync(this.path, "utf8")).filter((entry) => {
+      const time = new Date(entry.timestamp).getTime();
+
+      return (
+        time >= since &&
+        time < until &&
+        (!filters.model || (entry.model || "").startsWith(filters.model)) &&
+        (!filters.keyName || entry.keyName === filters.keyName)
+      );
+    });
+  }
+
+  /**
+   * 读取指定位置之后追加的用量记录（用于增量统计）
+   * 只读取完整的行；文件比上次读取的位置小（被清空或替换）时从头读取。
+   * @param {number} offset - 上次读取结束的位置（字节）
+   * @returns {{entries: Array<Object>, offset: number, reset: boolean}} - 新的记录、本次读取结束的位置，以及是否从头读取
+   */
+  readFrom(offset = 0) {
+    let size;
+
+    try {
+      size = fs.statSync(this.path).size;
+    } catch (error) {
+      return { entries: [], offset: 0, reset: offset > 0 };
+    }
+
+    const reset = size < offset;
+    const start = reset ? 0 : offset;
+
+    if (size === start) {
+      return { entries: [], offset: start, reset };
+    }
+
+    const buffer = Buffer.alloc(size - start);
+    const fd = fs.openSync(this.path, "r");
+
+    try {
+      fs.readSync(fd, buffer, 0, buffer.length, start);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    // 最后一行可能还在写入，留到下次读取
+    const end = buffer.lastIndexOf(0x0a) + 1;
+
+    return {
+      entries: this._parse(buffer.subarray(0, end).toString("utf8")),
+      offset: start + end,
+      reset,
+    };
+  }
+
+  /**
+   * 解析JSONL内容
+   * @private
+   * @param {string} content - 账本内容
+   * @returns {Array<Object>} - 用量记录（跳过无法解析的行）
+   */
+  _parse(content) {
+    const entries = [];
+
+    for (const line of content.split("\n")) {
+      if (!line.trim()) {
+        continue;
+      }
+
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        if (this.logger) {
+          this.logger.debug(`跳过无法解析的用量记录: ${line}`);
+        }
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * 按维度汇总用量记录
+   * @param {Array<Object>} entries - 用量记录
+   * @param {string} groupBy - 汇总维度（day、week、model、key、command）
+   * @returns {Array<Object>} - 按维度排序的汇总结果
+   * @throws {ValidationError} - 不支持的汇总维度
+   */
+  summarize(entries, groupBy = "day") {
+    const getGroup = GROUP_BY[groupBy];
+
+    if (!getGroup) {
+      throw new ValidationError(
+        `不支持的汇总维度: ${groupBy}（应为${Object.keys(GROUP_BY).join("、")}）`,
+        { groupBy }
+      );
+    }
+
+    const groups = new Map();
+
+    for (const entry of entries) {
+      const group = getGroup(entry);
+
+      if (!groups.has(group)) {
+        groups.set(group, {
+          group,
+          requests: 0,
+          input_tokens: 0,
+          output_tokens: 0,
+          cache_creation_input_tokens: 0,
+          cache_read_input_tokens: 0,
+          cost: 0,
+          unpriced: 0,
+        });
+      }
+
+      const total = groups.get(group);
+      const cost = estimateCost(entry, entry.model, this.prices);
+
+      total.requests++;
+      total.input_tokens += entry.input_tokens || 0;
+      total.output_tokens += entry.output_tokens || 0;
+      total.cache_creation_input_tokens +=
+        entry.cache_creation_input_tokens || 0;
+      total.cache_read_input_tokens += entry.cache_read_input_tokens || 0;
+
+      // 价格表中没有的模型不计入费用，单独统计请求数
+      if (cost === null) {
+        total.unpriced++;
+      } else {
+        total.cost += cost;
+      }
+    }
+
+    return Array.from(groups.values()).sort((a, b) =>
+      String(a.group).localeCompare(String(b.group))
+    );
+  }
+}
+
+module.exports = UsageLedger;
+module.exports.DEFAULT_PRICES = DEFAULT_PRICES;
+module.exports.getModelPrice = getModelPrice;
+module.exports.estimateCost = estimateCost;
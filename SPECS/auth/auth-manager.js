@@ -313,6 +313,20 @@ class AuthManager {
     }
   }
 
+  /**
+   * 获取当前API密钥的名称
+   * @returns {string|null} - 密钥名称，使用环境变量中的密钥时返回"env"，没有密钥时返回null
+   */
+  getCurrentKeyName() {
+    const keys = this._loadKeys();
+
+    if (keys.current && keys.keys[keys.current]) {
+      return keys.current;
+    }
+
+    return this.getKeyFromEnvironment() ? "env" : null;
+  }
+
   /**
    * 设置当前API密钥
    * @param {string} name - 密钥名称
@@ -6,9 +6,6 @@
  * 负责启动CLI应用程序并处理命令行参数。
  */
 
-const path = require("path");
-const fs = require("fs");
-
 // 检查Node.js版本
 const nodeVersion = process.versions.node;
 const majorVersion = parseInt(nodeVersion.split(".")[0], 10);
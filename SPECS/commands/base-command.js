@@ -16,6 +16,7 @@ class BaseCommand {
    * @param {Object} options.api - API客户端
    * @param {Object} options.auth - 认证管理器
    * @param {Object} options.errorHandler - 错误处理器
+   * @param {Object} options.tools - 工具注册表
    */
   constructor(options = {}) {
     // 命令元数据
@@ -34,6 +35,7 @@ class BaseCommand {
     this.api = options.api;
     this.auth = options.auth;
     this.errorHandler = options.errorHandler;
+    this.tools = options.tools;
   }
 
   /**
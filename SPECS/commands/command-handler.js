@@ -6,6 +6,8 @@
 
 const path = require("path");
 const fs = require("fs");
+const ToolRegistry = require("../tools/tool-registry");
+const { ValidationError } = require("../core/error-handler");
 
 /**
  * 命令处理器类
@@ -19,6 +21,7 @@ class CommandHandler {
    * @param {Object} options.api - API客户端
    * @param {Object} options.auth - 认证管理器
    * @param {Object} options.errorHandler - 错误处理器
+   * @param {Object} options.tools - 工具注册表
    */
   constructor(options = {}) {
     this.config = options.config;
@@ -26,9 +29,53 @@ class CommandHandler {
     this.api = options.api;
     this.auth = options.auth;
     this.errorHandler = options.errorHandler;
+    this.tools = options.tools || new ToolRegistry({ logger: this.logger });
     this.commands = new Map();
     this.aliases = new Map();
 
+    // 全局选项（适用于所有命令，在执行命令前生效）
+    this.globalOptions = [
+      {
+        name: "proxy",
+        flags: "--proxy <url>",
+        description: "HTTP(S)代理地址（优先于配置和环境变量）",
+        apply: (value) => this.api.setProxy(value === true ? null : value),
+      },
+      {
+        name: "no-cache",
+        flags: "--no-cache",
+        description: "不使用响应缓存",
+        apply: () => this.api.setCacheMode("off"),
+      },
+      {
+        name: "cache-only",
+        flags: "--cache-only",
+        description: "只从响应缓存读取，不发送API请求",
+        apply: () => this.api.setCacheMode("only"),
+      },
+      {
+        name: "override-budget",
+        flags: "--override-budget",
+        description: "忽略预算硬上限，继续发送请求",
+        apply: () => this.api.setBudgetOverride(true),
+      },
+      {
+        name: "trace",
+        flags: "--trace <file>",
+        description: "将所有HTTP请求和响应写入HAR文件（敏感信息已隐藏）",
+        apply: (value) => {
+          // 省略文件路径时解析结果为true
+          if (typeof value !== "string" || !value.trim()) {
+            throw new ValidationError("--trace 需要指定HAR文件路径", {
+              option: "trace",
+            });
+          }
+
+          this.api.setTrace(value);
+        },
+      },
+    ];
+
     // 注册所有命令
     this._registerCommands();
   }
@@ -70,6 +117,7 @@ class CommandHandler {
             api: this.api,
             auth: this.auth,
             errorHandler: this.errorHandler,
+            tools: this.tools,
           });
 
           // 注册命令和别名
@@ -138,8 +186,87 @@ class CommandHandler {
     return Array.from(this.commands.values());
   }
 
+  /**
+   * 获取全局选项
+   * @returns {Array<Object>} - 全局选项数组
+   */
+  getGlobalOptions() {
+    return this.globalOptions;
+  }
+
+  /**
+   * 应用命令行中指定的全局选项
+   * @private
+   * @param {Object} options - 解析后的选项
+   */
+  _applyGlobalOptions(options) {
+    for (const globalOption of this.globalOptions) {
+      if (options[globalOption.name] !== undefined) {
+        if (this.logger) {
+          this.logger.debug(`应用全局选项: --${globalOption.name}`);
+        }
+
+        globalOption.apply(options[globalOption.name]);
+      }
+    }
+  }
+
+  /**
+   * 格式化全局选项帮助
+   * @returns {string} - 帮助信息
+   */
+  formatGlobalOptionsHelp() {
+    if (this.globalOptions.length === 0) {
+      return "";
+    }
+
+    const maxFlagsLength = Math.max(
+      ...this.globalOptions.map((option) => option.flags.length)
+    );
+
+    let help = "\n全局选项:\n";
+
+    for (const option of this.globalOptions) {
+      const padding = " ".repeat(maxFlagsLength - option.flags.length + 2);
+      help += `  ${option.flags}${padding}${option.description}\n`;
+    }
+
+    return help;
+  }
+
+  /**
+   * 获取不接收值的标志选项名称
+   * 未指定命令时包含所有命令的标志选项。
+   * @private
+   * @param {string} commandName - 命令名称或别名
+   * @returns {Set<string>} - 选项名称（不含前缀"-"）
+   */
+  _getBooleanFlags(commandName) {
+    const command = commandName ? this.getCommand(commandName) : null;
+    const commandOptions = command
+      ? command.options || []
+      : this.listCommands().flatMap((item) => item.options || []);
+    const names = new Set();
+
+    for (const option of [...this.globalOptions, ...commandOptions]) {
+      // 带<value>或[value]的选项接收值
+      if (/[<[]/.test(option.flags)) {
+        continue;
+      }
+
+      for (const flag of option.flags.split(/[\s,]+/)) {
+        if (flag.startsWith("-")) {
+          names.add(flag.replace(/^--?/, ""));
+        }
+      }
+    }
+
+    return names;
+  }
+
   /**
    * 解析命令行参数
+   * 标志选项（如--stream）不接收值，其后的参数作为普通参数。
    * @param {Array<string>} args - 命令行参数
    * @returns {Object} - 解析结果
    */
@@ -170,6 +297,8 @@ class CommandHandler {
       i++;
     }
 
+    const booleanFlags = this._getBooleanFlags(result.command);
+
     // 解析选项和参数
     while (i < args.length) {
       const arg = args[i];
@@ -182,7 +311,11 @@ class CommandHandler {
           // 带值的选项（--option=value）
           const [key, value] = option.split("=", 2);
           result.options[key] = value;
-        } else if (i + 1 < args.length && !args[i + 1].startsWith("-")) {
+        } else if (
+          !booleanFlags.has(option) &&
+          i + 1 < args.length &&
+          !args[i + 1].startsWith("-")
+        ) {
           // 带值的选项（--option value）
           result.options[option] = args[i + 1];
           i++;
@@ -196,7 +329,11 @@ class CommandHandler {
 
         if (option.length === 1) {
           // 单个短选项（-a）
-          if (i + 1 < args.length && !args[i + 1].startsWith("-")) {
+          if (
+            !booleanFlags.has(option) &&
+            i + 1 < args.length &&
+            !args[i + 1].startsWith("-")
+          ) {
             // 带值的选项（-a value）
             result.options[option] = args[i + 1];
             i++;
@@ -259,6 +396,9 @@ class CommandHandler {
         this.logger.debug(`执行命令: ${command.name}`);
       }
 
+      // 应用全局选项
+      this._applyGlobalOptions(parsedArgs.options);
+
       // 验证命令所需的API密钥
       if (command.requiresAuth && !this.auth.hasValidKey()) {
         if (this.logger) {
@@ -275,6 +415,14 @@ class CommandHandler {
         throw new Error("此命令需要有效的API密钥");
       }
 
+      // 记录用量时标注发起请求的命令和API密钥
+      if (this.api) {
+        this.api.setUsageContext({
+          command: command.name,
+          keyName: this.auth ? this.auth.getCurrentKeyName() : null,
+        });
+      }
+
       // 执行命令
       return await command.execute(
         parsedArgs.args,
@@ -350,6 +498,8 @@ class CommandHandler {
       }
     }
 
+    help += this.formatGlobalOptionsHelp();
+
     help += "\n获取命令详细信息，请使用: claude-cli help <命令>";
 
     return help;
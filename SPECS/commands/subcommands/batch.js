@@ -0,0 +1,513 @@
+/**
+ * 批处理命令
+ *
+ * 用于通过Message Batches API离线提交大量请求，并将结果写入JSONL文件。
+ */
+
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const readline = require("readline");
+const BaseCommand = require("../base-command");
+const { validateMessagesPayload } = require("../../api/message-params");
+const utils = require("../../core/utils");
+
+// 单个批处理允许的最大请求数
+const MAX_BATCH_REQUESTS = 100000;
+
+// 轮询退避的上限（毫秒）
+const MAX_POLL_INTERVAL = 5 * 60 * 1000;
+
+/**
+ * 批处理命令类
+ */
+class BatchCommand extends BaseCommand {
+  /**
+   * 创建命令实例
+   * @param {Object} options - 选项
+   */
+  constructor(options) {
+    super(options);
+
+    this.name = "batch";
+    this.description = "提交和管理消息批处理";
+    this.aliases = ["batches"];
+    this.usage = "claude-cli batch <命令> [选项]";
+    this.examples = [
+      "claude-cli batch submit requests.jsonl --output results.jsonl",
+      "claude-cli batch submit requests.jsonl --no-wait",
+      "claude-cli batch resume msgbatch_xxxxxxxx",
+      "claude-cli batch status msgbatch_xxxxxxxx",
+      "claude-cli batch list",
+      "claude-cli batch cancel msgbatch_xxxxxxxx",
+    ];
+    this.options = [
+      {
+        flags: "--output <file>",
+        description: "结果输出文件 (JSONL)",
+      },
+      {
+        flags: "--no-wait",
+        description: "提交后不等待批处理完成",
+      },
+      {
+        flags: "--poll-interval <ms>",
+        description: "初始轮询间隔（毫秒），之后按指数退避",
+        default: "10000",
+      },
+      {
+        flags: "--limit <limit>",
+        description: "列出批处理的数量",
+        default: "20",
+      },
+    ];
+    this.group = "对话";
+    this.requiresAuth = true;
+  }
+
+  /**
+   * 执行命令
+   * @param {Array<string>} args - 命令参数
+   * @param {Object} options - 命令选项
+   * @param {string} subcommand - 子命令
+   * @returns {Promise<string>} - 执行结果
+   */
+  async execute(args, options, subcommand) {
+    try {
+      // 处理子命令
+      switch (subcommand) {
+        case "submit":
+          return await this._submitBatch(args, options);
+        case "resume":
+          return await this._resumeBatch(args, options);
+        case "status":
+          return await this._showStatus(args);
+        case "list":
+          return await this._listBatches(options);
+        case "cancel":
+          return await this._cancelBatch(args);
+        default:
+          // 没有指定子命令，显示帮助信息
+          return this._showHelp();
+      }
+    } catch (error) {
+      if (this.logger) {
+        this.logger.error(`批处理命令执行失败: ${error.message}`);
+      }
+
+      if (this.errorHandler) {
+        this.errorHandler.handleError(error);
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * 提交批处理
+   * @private
+   * @param {Array<string>} args - 命令参数
+   * @param {Object} options - 命令选项
+   * @returns {Promise<string>} - 执行结果
+   */
+  async _submitBatch(args, options) {
+    this.validateRequiredArgs(args, 1, "请指定请求文件 (JSONL)");
+
+    const inputPath = path.resolve(args[0]);
+    const outputPath = path.resolve(
+      this.getStringOption(
+        options,
+        "output",
+        inputPath.replace(/(\.jsonl)?$/, ".results.jsonl")
+      )
+    );
+
+    const requests = await this._readRequests(inputPath);
+
+    console.log(`正在提交 ${requests.length} 个请求...`);
+
+    const batch = await this.api.createMessageBatch(requests);
+
+    this._saveState({
+      id: batch.id,
+      inputPath,
+      outputPath,
+      requestCount: requests.length,
+      createdAt: new Date().toISOString(),
+    });
+
+    if (this.logger) {
+      this.logger.info(`已创建批处理: ${batch.id}`);
+    }
+
+    console.log(`批处理已创建: ${batch.id}`);
+
+    if (this.getBooleanOption(options, "no-wait", false)) {
+      return `使用以下命令继续: claude-cli batch resume ${batch.id}`;
+    }
+
+    return this._waitAndWriteResults(batch, outputPath, options);
+  }
+
+  /**
+   * 从保存的批处理ID继续等待并写入结果
+   * @private
+   * @param {Array<string>} args - 命令参数
+   * @param {Object} options - 命令选项
+   * @returns {Promise<string>} - 执行结果
+   */
+  async _resumeBatch(args, options) {
+    this.validateRequiredArgs(args, 1, "请指定批处理ID");
+
+    const batchId = args[0];
+    const state = this._loadState(batchId);
+
+    const outputPath = path.resolve(
+      this.getStringOption(
+        options,
+        "output",
+        (state && state.outputPath) || `${batchId}.results.jsonl`
+      )
+    );
+
+    if (!state && this.logger) {
+      this.logger.warn(`未找到批处理的本地记录: ${batchId}`);
+    }
+
+    const batch = await this.api.getMessageBatch(batchId);
+
+    return this._waitAndWriteResults(batch, outputPath, options);
+  }
+
+  /**
+   * 轮询直到批处理结束，然后写入结果
+   * @private
+   * @param {Object} batch - 批处理对象
+   * @param {string} outputPath - 输出文件路径
+   * @param {Object} options - 命令选项
+   * @returns {Promise<string>} - 执行结果
+   */
+  async _waitAndWriteResults(batch, outputPath, options) {
+    let interval = this.getNumberOption(options, "poll-interval", 10000);
+
+    while (batch.processing_status !== "ended") {
+      console.log(
+        `批处理 ${batch.id} 状态: ${
+          batch.processing_status
+        } (${this._formatCounts(batch.request_counts)})`
+      );
+
+      await utils.sleep(interval);
+
+      // 指数退避并加入随机抖动
+      interval = Math.min(
+        MAX_POLL_INTERVAL,
+        Math.round(interval * 1.5 + Math.random() * 1000)
+      );
+
+      batch = await this.api.getMessageBatch(batch.id);
+    }
+
+    const written = await this._writeResults(batch.id, outputPath);
+
+    this._saveState({
+      ...(this._loadState(batch.id) || { id: batch.id }),
+      outputPath,
+      endedAt: batch.ended_at,
+      completedAt: new Date().toISOString(),
+    });
+
+    return `批处理 ${batch.id} 已结束 (${this._formatCounts(
+      batch.request_counts
+    )})\n已写入 ${written} 条结果到: ${outputPath}`;
+  }
+
+  /**
+   * 将批处理结果写入JSONL文件
+   * 先写入临时文件再重命名，中断后可以安全地重新执行。
+   * @private
+   * @param {string} batchId - 批处理ID
+   * @param {string} outputPath - 输出文件路径
+   * @returns {Promise<number>} - 写入的结果数
+   */
+  async _writeResults(batchId, outputPath) {
+    const outputDir = path.dirname(outputPath);
+
+    if (!fs.existsSync(outputDir)) {
+      fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    const tempPath = `${outputPath}.tmp`;
+    const output = fs.createWriteStream(tempPath, { encoding: "utf8" });
+    let count = 0;
+
+    try {
+      for await (const result of this.api.streamMessageBatchResults(batchId)) {
+        const line = `${JSON.stringify({
+          custom_id: result.custom_id,
+          result: result.result,
+        })}\n`;
+
+        if (!output.write(line)) {
+          await new Promise((resolve) => output.once("drain", resolve));
+        }
+
+        count++;
+      }
+    } finally {
+      await new Promise((resolve) => output.end(resolve));
+    }
+
+    fs.renameSync(tempPath, outputPath);
+
+    if (this.logger) {
+      this.logger.info(`已写入批处理结果: ${outputPath} (${count} 条)`);
+    }
+
+    return count;
+  }
+
+  /**
+   * 读取并校验JSONL请求文件
+   * 每行格式: {"custom_id": "...", "params": {Messages API请求体}}
+   * @private
+   * @param {string} inputPath - 请求文件路径
+   * @returns {Promise<Array<Object>>} - 请求数组
+   */
+  async _readRequests(inputPath) {
+    if (!fs.existsSync(inputPath)) {
+      if (this.errorHandler) {
+        throw this.errorHandler.createValidationError(
+          `文件不存在: ${inputPath}`,
+          { inputPath }
+        );
+      }
+
+      throw new Error(`文件不存在: ${inputPath}`);
+    }
+
+    const lines = readline.createInterface({
+      input: fs.createReadStream(inputPath, { encoding: "utf8" }),
+      crlfDelay: Infinity,
+    });
+
+    const requests = [];
+    const customIds = new Set();
+    let lineNumber = 0;
+
+    for await (const line of lines) {
+      lineNumber++;
+
+      if (!line.trim()) {
+        continue;
+      }
+
+      try {
+        const request = JSON.parse(line);
+
+        if (typeof request.custom_id !== "string" || !request.custom_id) {
+          throw new Error("缺少custom_id");
+        }
+
+        if (customIds.has(request.custom_id)) {
+          throw new Error(`custom_id重复: ${request.custom_id}`);
+        }
+
+        if (!utils.isObject(request.params)) {
+          throw new Error("缺少params");
+        }
+
+        validateMessagesPayload(request.params);
+
+        customIds.add(request.custom_id);
+        requests.push({ custom_id: request.custom_id, params: request.params });
+      } catch (error) {
+        if (this.errorHandler) {
+          throw this.errorHandler.createValidationError(
+            `请求文件第 ${lineNumber} 行无效: ${error.message}`,
+            { inputPath, lineNumber }
+          );
+        }
+
+        throw new Error(`请求文件第 ${lineNumber} 行无效: ${error.message}`);
+      }
+    }
+
+    if (requests.length === 0 || requests.length > MAX_BATCH_REQUESTS) {
+      const message = `请求数必须在 1 到 ${MAX_BATCH_REQUESTS} 之间 (当前: ${requests.length})`;
+
+      if (this.errorHandler) {
+        throw this.errorHandler.createValidationError(message, { inputPath });
+      }
+
+      throw new Error(message);
+    }
+
+    return requests;
+  }
+
+  /**
+   * 显示批处理状态
+   * @private
+   * @param {Array<string>} args - 命令参数
+   * @returns {Promise<string>} - 批处理状态
+   */
+  async _showStatus(args) {
+    this.validateRequiredArgs(args, 1, "请指定批处理ID");
+
+    const batch = await this.api.getMessageBatch(args[0]);
+    const state = this._loadState(batch.id);
+
+    const rows = [
+      ["字段", "值"],
+      ["ID", batch.id],
+      ["状态", batch.processing_status],
+      ["请求", this._formatCounts(batch.request_counts)],
+      ["创建时间", batch.created_at || ""],
+      ["过期时间", batch.expires_at || ""],
+      ["结束时间", batch.ended_at || ""],
+    ];
+
+    if (state && state.outputPath) {
+      rows.push(["输出文件", state.outputPath]);
+    }
+
+    return this.formatTable(rows);
+  }
+
+  /**
+   * 列出批处理
+   * @private
+   * @param {Object} options - 命令选项
+   * @returns {Promise<string>} - 批处理列表
+   */
+  async _listBatches(options) {
+    const response = await this.api.listMessageBatches({
+      limit: this.getNumberOption(options, "limit", 20),
+    });
+
+    const batches = (response && response.data) || [];
+
+    if (batches.length === 0) {
+      return "没有批处理";
+    }
+
+    const rows = [["ID", "状态", "请求", "创建时间"]];
+
+    for (const batch of batches) {
+      rows.push([
+        batch.id,
+        batch.processing_status,
+        this._formatCounts(batch.request_counts),
+        batch.created_at ? new Date(batch.created_at).toLocaleString() : "",
+      ]);
+    }
+
+    return this.formatTable(rows);
+  }
+
+  /**
+   * 取消批处理
+   * @private
+   * @param {Array<string>} args - 命令参数
+   * @returns {Promise<string>} - 执行结果
+   */
+  async _cancelBatch(args) {
+    this.validateRequiredArgs(args, 1, "请指定要取消的批处理ID");
+
+    const batch = await this.api.cancelMessageBatch(args[0]);
+
+    if (this.logger) {
+      this.logger.info(`已请求取消批处理: ${batch.id}`);
+    }
+
+    return `已请求取消批处理: ${batch.id} (状态: ${batch.processing_status})`;
+  }
+
+  /**
+   * 格式化请求计数
+   * @private
+   * @param {Object} counts - request_counts对象
+   * @returns {string} - 格式化后的计数
+   */
+  _formatCounts(counts = {}) {
+    return [
+      `处理中 ${counts.processing || 0}`,
+      `成功 ${counts.succeeded || 0}`,
+      `错误 ${counts.errored || 0}`,
+      `取消 ${counts.canceled || 0}`,
+      `过期 ${counts.expired || 0}`,
+    ].join(", ");
+  }
+
+  /**
+   * 获取批处理记录目录
+   * @private
+   * @returns {string} - 目录路径
+   */
+  _getStateDir() {
+    return (
+      this.config.get("batchesPath") ||
+      path.join(os.homedir(), ".claude-cli", "batches")
+    );
+  }
+
+  /**
+   * 保存批处理的本地记录
+   * @private
+   * @param {Object} state - 批处理记录
+   */
+  _saveState(state) {
+    const stateDir = this._getStateDir();
+
+    if (!fs.existsSync(stateDir)) {
+      fs.mkdirSync(stateDir, { recursive: true });
+    }
+
+    fs.writeFileSync(
+      path.join(stateDir, `${state.id}.json`),
+      JSON.stringify(state, null, 2),
+      "utf8"
+    );
+  }
+
+  /**
+   * 加载批处理的本地记录
+   * @private
+   * @param {string} batchId - 批处理ID
+   * @returns {Object|null} - 批处理记录
+   */
+  _loadState(batchId) {
+    const statePath = path.join(this._getStateDir(), `${batchId}.json`);
+
+    if (!fs.existsSync(statePath)) {
+      return null;
+    }
+
+    return JSON.parse(fs.readFileSync(statePath, "utf8"));
+  }
+
+  /**
+   * 显示帮助信息
+   * @private
+   * @returns {string} - 帮助信息
+   */
+  _showHelp() {
+    let help = "批处理命令 - 提交和管理消息批处理\n\n";
+    help += "用法:\n";
+    help += "  claude-cli batch submit <file>   提交JSONL请求文件并等待结果\n";
+    help +=
+      "  claude-cli batch resume <id>     继续等待已提交的批处理并写入结果\n";
+    help += "  claude-cli batch status <id>     查看批处理状态\n";
+    help += "  claude-cli batch list            列出批处理\n";
+    help += "  claude-cli batch cancel <id>     取消批处理\n";
+
+    help += "\n请求文件格式 (每行一个请求):\n";
+    help +=
+      '  {"custom_id": "req-1", "params": {"model": "...", "max_tokens": 1024, "messages": [...]}}\n';
+
+    return help;
+  }
+}
+
+module.exports = BatchCommand;
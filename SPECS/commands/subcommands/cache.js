@@ -0,0 +1,172 @@
+/**
+ * 缓存命令
+ *
+ * 用于查看和管理本地的API响应缓存。
+ */
+
+const BaseCommand = require("../base-command");
+const utils = require("../../core/utils");
+
+/**
+ * 缓存命令类
+ */
+class CacheCommand extends BaseCommand {
+  /**
+   * 创建命令实例
+   * @param {Object} options - 选项
+   */
+  constructor(options) {
+    super(options);
+
+    this.name = "cache";
+    this.description = "管理API响应缓存";
+    this.aliases = [];
+    this.usage = "claude-cli cache <命令> [参数]";
+    this.examples = [
+      "claude-cli cache stats",
+      "claude-cli cache clear",
+      "claude-cli cache clear 3f2a9c...",
+      "claude-cli cache prune",
+    ];
+    this.group = "配置";
+    this.requiresAuth = false;
+  }
+
+  /**
+   * 执行命令
+   * @param {Array<string>} args - 命令参数
+   * @param {Object} options - 命令选项
+   * @param {string} subcommand - 子命令
+   * @returns {Promise<string>} - 执行结果
+   */
+  async execute(args, options, subcommand) {
+    try {
+      const cache = this.api.cache;
+
+      if (!cache) {
+        return "响应缓存未启用";
+      }
+
+      switch (subcommand) {
+        case null:
+        case "stats":
+          return this._showStats(cache);
+        case "clear":
+          return this._clearCache(cache, args);
+        case "prune":
+          return this._pruneCache(cache);
+        default:
+          return this._showHelp();
+      }
+    } catch (error) {
+      if (this.logger) {
+        this.logger.error(`缓存命令执行失败: ${error.message}`);
+      }
+
+      if (this.errorHandler) {
+        this.errorHandler.handleError(error);
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * 显示缓存统计信息
+   * @private
+   * @param {ResponseCache} cache - 响应缓存
+   * @returns {string} - 统计信息
+   */
+  _showStats(cache) {
+    const stats = cache.stats();
+
+    const rows = [
+      ["项目", "值"],
+      ["缓存目录", stats.dir],
+      ["条目数", `${stats.entries}（已过期 ${stats.expired}）`],
+      [
+        "占用空间",
+        `${utils.formatBytes(stats.size)} / ${utils.formatBytes(
+          stats.maxSize
+        )}`,
+      ],
+      [
+        "有效期",
+        stats.ttl > 0 ? `${Math.round(stats.ttl / 3600000)} 小时` : "永不过期",
+      ],
+      ["累计命中", stats.hits],
+      ["最早条目", stats.oldest ? utils.formatDate(stats.oldest) : "-"],
+      ["最新条目", stats.newest ? utils.formatDate(stats.newest) : "-"],
+    ];
+
+    for (const [model, count] of Object.entries(stats.models)) {
+      rows.push([`模型 ${model}`, count]);
+    }
+
+    return this.formatTable(rows);
+  }
+
+  /**
+   * 清除缓存条目
+   * @private
+   * @param {ResponseCache} cache - 响应缓存
+   * @param {Array<string>} keys - 要删除的缓存键，为空时清空全部
+   * @returns {string} - 执行结果
+   */
+  _clearCache(cache, keys) {
+    if (keys.length === 0) {
+      const count = cache.clear();
+
+      if (this.logger) {
+        this.logger.info(`已清空响应缓存 (${count} 个条目)`);
+      }
+
+      return `已清空响应缓存，删除 ${count} 个条目`;
+    }
+
+    const missing = keys.filter((key) => !cache.delete(key));
+
+    if (missing.length > 0) {
+      return `已删除 ${keys.length - missing.length} 个条目，未找到: ${missing.join(
+        ", "
+      )}`;
+    }
+
+    return `已删除 ${keys.length} 个条目`;
+  }
+
+  /**
+   * 清理过期和超出容量的缓存条目
+   * @private
+   * @param {ResponseCache} cache - 响应缓存
+   * @returns {string} - 执行结果
+   */
+  _pruneCache(cache) {
+    const count = cache.prune();
+
+    return `已清理 ${count} 个过期或超出容量的条目`;
+  }
+
+  /**
+   * 显示帮助信息
+   * @private
+   * @returns {string} - 帮助信息
+   */
+  _showHelp() {
+    let help = "缓存命令 - 管理API响应缓存\n\n";
+    help += "用法:\n";
+    help += "  claude-cli cache stats          显示缓存统计信息\n";
+    help += "  claude-cli cache clear [key...] 清空缓存或删除指定条目\n";
+    help += "  claude-cli cache prune          清理过期和超出容量的条目\n";
+
+    help += "\n相关配置项:\n";
+    help += "  cache           是否缓存temperature为0的请求（默认true）\n";
+    help += "  cachePath       缓存目录（默认~/.claude-cli/cache）\n";
+    help += "  cacheTtl        缓存有效期（毫秒，0表示永不过期）\n";
+    help += "  cacheMaxSize    缓存大小上限（字节）\n";
+
+    return help;
+  }
+}
+
+module.exports = CacheCommand;
@@ -8,6 +8,38 @@ const fs = require("fs");
 const path = require("path");
 const readline = require("readline");
 const BaseCommand = require("../base-command");
+const utils = require("../../core/utils");
+const { ClaudeCliError } = require("../../core/error-handler");
+const {
+  createImageBlock,
+  createDocumentBlock,
+  isImageFile,
+  isDocumentFile,
+} = require("../../api/attachments");
+
+// Files API允许的单个文件大小上限
+const MAX_UPLOAD_BYTES = 500 * 1024 * 1024;
+
+// 单条用户消息内允许的最大工具调用轮数
+const MAX_TOOL_ITERATIONS = 10;
+
+// 脚注中引文的最大长度
+const MAX_QUOTE_LENGTH = 120;
+
+// 思考过程的显示方式
+const THINKING_DISPLAY_MODES = ["collapsed", "full", "hidden"];
+
+// 终端暗色文本的ANSI转义序列
+const DIM = "\x1b[2m";
+const RESET = "\x1b[0m";
+
+// 统计的令牌用量字段及显示名称
+const USAGE_FIELDS = {
+  input_tokens: "输入",
+  output_tokens: "输出",
+  cache_read_input_tokens: "缓存读取",
+  cache_creation_input_tokens: "缓存写入",
+};
 
 /**
  * 聊天命令类
@@ -29,6 +61,10 @@ class ChatCommand extends BaseCommand {
       'claude-cli chat "请解释量子计算的基本原理"',
       "claude-cli chat --model claude-3-opus-20240229",
       "claude-cli chat --temperature 0.7 --max-tokens 1000",
+      'claude-cli chat --image screenshot.png,diagram.jpg "这两张图有什么区别？"',
+      'claude-cli chat --document report.pdf --citations "报告的主要结论是什么？"',
+      'claude-cli chat --thinking-budget 8000 --thinking-display full "证明根号2是无理数"',
+      'claude-cli chat --json-schema invoice.schema.json --file invoice.pdf "提取发票信息"',
     ];
     this.options = [
       {
@@ -52,7 +88,40 @@ class ChatCommand extends BaseCommand {
       },
       {
         flags: "--file <file>",
-        description: "上传文件路径",
+        description:
+          "上传文件或目录（图片直接附加到消息中，内容未变的文件复用已上传的文件）",
+      },
+      {
+        flags: "--image <files>",
+        description: "附加图片（PNG、JPEG、GIF、WebP，多个文件用逗号分隔）",
+      },
+      {
+        flags: "--no-image-resize",
+        description: "图片超出API限制时报错，而不是自动缩小",
+      },
+      {
+        flags: "--document <files>",
+        description: "附加文档（PDF或UTF-8纯文本，多个文件用逗号分隔）",
+      },
+      {
+        flags: "--prompt-cache <targets>",
+        description:
+          "提示缓存断点：auto、off，或逗号分隔的tools、system、documents、history",
+        default: "auto",
+      },
+      {
+        flags: "--thinking-budget <tokens>",
+        description: "启用扩展思考并设置思考预算（令牌数，至少1024）",
+      },
+      {
+        flags: "--thinking-display <mode>",
+        description:
+          "思考过程的显示方式：collapsed（只显示摘要，输入/thinking展开）、full、hidden",
+        default: "collapsed",
+      },
+      {
+        flags: "--citations",
+        description: "为文档启用引用，并以脚注显示引用的页码和原文",
       },
       {
         flags: "--session <session>",
@@ -66,6 +135,20 @@ class ChatCommand extends BaseCommand {
         flags: "--stream",
         description: "使用流式响应",
       },
+      {
+        flags: "--approve-tools",
+        description: "自动批准所有工具调用（非交互式运行时必须指定）",
+      },
+      {
+        flags: "--json-schema <file>",
+        description:
+          "按JSON Schema回答初始提示后退出，只向标准输出打印校验通过的JSON",
+      },
+      {
+        flags: "--json-retries <n>",
+        description: "JSON未通过校验时的最大重试次数",
+        default: "2",
+      },
     ];
     this.group = "对话";
     this.requiresAuth = true;
@@ -81,6 +164,30 @@ class ChatCommand extends BaseCommand {
 
     // 上传的文件IDs
     this.fileIds = [];
+
+    // 本会话新上传（而不是复用）的文件IDs，删除会话时可以一并删除
+    this.uploadedFileIds = [];
+
+    // 等待随下一条用户消息发送的图片和文档内容块
+    this.pendingAttachments = [];
+
+    // 会话累计的令牌用量
+    this.usage = this._createUsage();
+
+    // 本次会话中已始终允许的工具
+    this.approvedTools = new Set();
+
+    // 交互式会话的readline实例
+    this.rl = null;
+
+    // 进行中的生成请求的中止控制器
+    this.abortController = null;
+
+    // 用户是否已请求退出（再次按下Ctrl-C）
+    this.exitRequested = false;
+
+    // 是否为结构化输出模式（标准输出只包含JSON，提示信息写入标准错误）
+    this.jsonOutput = false;
   }
 
   /**
@@ -90,7 +197,18 @@ class ChatCommand extends BaseCommand {
    * @returns {Promise<void>}
    */
   async execute(args, options) {
+    const onInterrupt = () => this._handleInterrupt();
+
     try {
+      // 结构化输出模式下的日志（包括API客户端的跟踪和录制日志）同样写入标准错误
+      this.jsonOutput = Boolean(
+        this.getStringOption(options, "json-schema", null)
+      );
+
+      if (this.jsonOutput && this.logger && this.logger.setStderr) {
+        this.logger.setStderr(true);
+      }
+
       // 解析选项
       const model = this.getStringOption(
         options,
@@ -102,7 +220,7 @@ class ChatCommand extends BaseCommand {
         "temperature",
         this.config.get("temperature") || 0.7
       );
-      const maxTokens = this.getNumberOption(
+      let maxTokens = this.getNumberOption(
         options,
         "max-tokens",
         this.config.get("maxTokens") || 4000
@@ -112,6 +230,37 @@ class ChatCommand extends BaseCommand {
         "stream",
         this.config.get("stream") || true
       );
+      const thinkingBudget = this.getNumberOption(
+        options,
+        "thinking-budget",
+        this.config.get("thinkingBudget") || 0
+      );
+      const thinkingDisplay = this.getStringOption(
+        options,
+        "thinking-display",
+        this.config.get("thinkingDisplay") || "collapsed"
+      );
+
+      if (!THINKING_DISPLAY_MODES.includes(thinkingDisplay)) {
+        const message = `无效的思考显示方式: ${thinkingDisplay}（应为${THINKING_DISPLAY_MODES.join("、")}）`;
+
+        if (this.errorHandler) {
+          throw this.errorHandler.createValidationError(message, {
+            thinkingDisplay,
+          });
+        }
+
+        throw new Error(message);
+      }
+
+      // max_tokens包含思考预算，必须大于思考预算
+      if (thinkingBudget && maxTokens <= thinkingBudget) {
+        maxTokens += thinkingBudget;
+
+        if (this.logger) {
+          this.logger.info(`已将最大令牌数调整为 ${maxTokens}（包含思考预算）`);
+        }
+      }
 
       // 会话ID
       this.sessionId = this.getStringOption(options, "session", null);
@@ -123,12 +272,47 @@ class ChatCommand extends BaseCommand {
         this.config.get("systemPrompt") || null
       );
 
+      const approveTools = this.getBooleanOption(
+        options,
+        "approve-tools",
+        false
+      );
+
       // 保存会话路径
       const savePath = this.getStringOption(options, "save", null);
 
       // 文件路径
       const filePath = this.getStringOption(options, "file", null);
 
+      // 图片和文档路径
+      const imagePaths = this._getListOption(options, "image");
+      const documentPaths = this._getListOption(options, "document");
+
+      const resizeImages = !this.getBooleanOption(
+        options,
+        "no-image-resize",
+        false
+      );
+
+      // 初始提示
+      const initialPrompt = args.join(" ").trim();
+
+      // 结构化输出的JSON Schema
+      const schemaPath = this.getStringOption(options, "json-schema", null);
+      const schema = schemaPath ? this._loadJsonSchema(schemaPath) : null;
+
+      if (schema && !initialPrompt) {
+        const message = "使用--json-schema时必须提供初始提示";
+
+        if (this.errorHandler) {
+          throw this.errorHandler.createValidationError(message, {
+            schemaPath,
+          });
+        }
+
+        throw new Error(message);
+      }
+
       // 如果指定了会话ID，加载历史会话
       if (this.sessionId) {
         await this._loadSession(this.sessionId);
@@ -137,34 +321,68 @@ class ChatCommand extends BaseCommand {
         this.sessionId = `session_${Date.now()}`;
       }
 
-      // 如果指定了文件，上传文件
+      // 如果指定了文件或目录，上传文件（图片直接附加到消息中）
       if (filePath) {
-        await this._uploadFile(filePath);
-      }
-
-      // 初始提示
-      const initialPrompt = args.join(" ").trim();
-
-      if (initialPrompt) {
-        await this._sendMessage(initialPrompt, {
-          model,
-          temperature,
-          maxTokens,
-          useStream,
-        });
+        const filePaths = this._expandFilePath(filePath);
+
+        for (const file of filePaths) {
+          if (isImageFile(file)) {
+            imagePaths.push(file);
+          } else {
+            await this._uploadFile(file);
+          }
+        }
       }
 
-      // 开始交互式会话
-      await this._startInteractiveSession({
+      const sendOptions = {
         model,
         temperature,
         maxTokens,
         useStream,
-      });
+        approveTools,
+        resizeImages,
+        citations: this.getBooleanOption(options, "citations", false),
+        promptCache: this._getPromptCacheOption(options),
+        thinkingBudget,
+        thinkingDisplay,
+      };
+
+      for (const documentPath of documentPaths) {
+        this._attachDocument(documentPath, sendOptions);
+      }
+
+      for (const imagePath of imagePaths) {
+        await this._attachImage(imagePath, sendOptions);
+      }
+
+      // 进入交互式会话前的Ctrl-C（交互式会话中由readline处理）
+      process.on("SIGINT", onInterrupt);
+
+      if (schema) {
+        // 结构化输出模式只回答初始提示，不进入交互式会话
+        await this._sendStructuredMessage(initialPrompt, schema, {
+          ...sendOptions,
+          maxRetries: this.getNumberOption(options, "json-retries", 2),
+        });
+      } else {
+        if (initialPrompt) {
+          await this._sendMessage(initialPrompt, sendOptions);
+        }
+
+        // 开始交互式会话
+        if (!this.exitRequested) {
+          await this._startInteractiveSession(sendOptions);
+        }
+      }
 
-      // 如果指定了保存路径，保存会话
+      // 如果指定了保存路径，保存会话；通过Ctrl-C退出时保存到默认会话目录
       if (savePath) {
         await this._saveSession(savePath);
+      } else if (this.exitRequested) {
+        await this._saveSession(this._getSessionPath(this.sessionId));
+        console.log(
+          `使用以下命令继续: claude-cli chat --session ${this.sessionId}`
+        );
       }
     } catch (error) {
       if (this.logger) {
@@ -172,13 +390,57 @@ class ChatCommand extends BaseCommand {
       }
 
       if (this.errorHandler) {
+        // 不直接退出，以便清理SIGINT处理器；以非零退出码结束，使脚本能发现失败（如结构化输出校验失败）
+        process.exitCode = 1;
         this.errorHandler.handleError(error);
       } else {
         throw error;
       }
+    } finally {
+      process.removeListener("SIGINT", onInterrupt);
     }
   }
 
+  /**
+   * 处理Ctrl-C
+   * 第一次按下时只中止进行中的生成；没有进行中的生成或再次按下时保存并退出。
+   * @private
+   */
+  _handleInterrupt() {
+    if (this.abortController && !this.abortController.signal.aborted) {
+      this.abortController.abort();
+      return;
+    }
+
+    if (this.exitRequested) {
+      return;
+    }
+
+    this.exitRequested = true;
+
+    if (this.rl) {
+      // 结束交互式会话循环，随后保存会话
+      this.rl.close();
+    } else if (!this.abortController) {
+      // 对话尚未开始，没有需要保存的内容
+      process.exit(130);
+    }
+  }
+
+  /**
+   * 获取会话文件路径
+   * @private
+   * @param {string} sessionId - 会话ID
+   * @returns {string} - 会话文件路径
+   */
+  _getSessionPath(sessionId) {
+    const sessionDir =
+      this.config.get("sessionsPath") ||
+      path.join(path.dirname(this.config.configPath), "sessions");
+
+    return path.join(sessionDir, `${sessionId}.json`);
+  }
+
   /**
    * 加载会话
    * @private
@@ -186,11 +448,7 @@ class ChatCommand extends BaseCommand {
    */
   async _loadSession(sessionId) {
     try {
-      const sessionDir = path.join(
-        this.config.get("sessionsPath") ||
-          path.join(this.config.configPath, "sessions")
-      );
-      const sessionFile = path.join(sessionDir, `${sessionId}.json`);
+      const sessionFile = this._getSessionPath(sessionId);
 
       if (!fs.existsSync(sessionFile)) {
         if (this.logger) {
@@ -212,6 +470,8 @@ class ChatCommand extends BaseCommand {
       this.history = sessionData.messages || [];
       this.systemPrompt = sessionData.systemPrompt || this.systemPrompt;
       this.fileIds = sessionData.fileIds || [];
+      this.uploadedFileIds = sessionData.uploadedFileIds || [];
+      this.usage = { ...this._createUsage(), ...sessionData.usage };
 
       if (this.logger) {
         this.logger.info(
@@ -219,22 +479,21 @@ class ChatCommand extends BaseCommand {
         );
       }
 
-      // 打印会话历史的最后几条消息
-      const lastMessages = this.history.slice(-4); // 最后2轮对话（4条消息）
+      // 打印会话历史的最后几条消息（结构化输出模式下不打印）
+      if (!this.jsonOutput) {
+        const lastMessages = this.history.slice(-4); // 最后2轮对话（4条消息）
 
-      console.log("\n=== 会话历史 ===");
+        console.log("\n=== 会话历史 ===");
 
-      for (const message of lastMessages) {
-        const role = message.role === "user" ? "用户" : "Claude";
-        const content =
-          typeof message.content === "string"
-            ? message.content
-            : message.content[0]?.text || "";
+        for (const message of lastMessages) {
+          const role = message.role === "user" ? "用户" : "Claude";
+          const content = this._extractText(message.content);
 
-        console.log(`\n${role}: ${content}`);
-      }
+          console.log(`\n${role}: ${content}`);
+        }
 
-      console.log("\n=== 新对话 ===\n");
+        console.log("\n=== 新对话 ===\n");
+      }
     } catch (error) {
       if (this.logger) {
         this.logger.error(`加载会话失败: ${error.message}`);
@@ -264,6 +523,8 @@ class ChatCommand extends BaseCommand {
         systemPrompt: this.systemPrompt,
         messages: this.history,
         fileIds: this.fileIds,
+        uploadedFileIds: this.uploadedFileIds,
+        usage: this.usage,
       };
 
       const sessionDir = path.dirname(savePath);
@@ -278,7 +539,7 @@ class ChatCommand extends BaseCommand {
         this.logger.info(`已保存会话到: ${savePath}`);
       }
 
-      console.log(`\n会话已保存到: ${savePath}`);
+      this._print(`\n会话已保存到: ${savePath}`);
     } catch (error) {
       if (this.logger) {
         this.logger.error(`保存会话失败: ${error.message}`);
@@ -295,6 +556,49 @@ class ChatCommand extends BaseCommand {
     }
   }
 
+  /**
+   * 展开--file指定的路径
+   * 目录会被递归展开为其中可以上传的文件（图片、PDF和UTF-8纯文本），跳过隐藏文件和过大的文件。
+   * @private
+   * @param {string} filePath - 文件或目录路径
+   * @returns {Array<string>} - 文件路径
+   */
+  _expandFilePath(filePath) {
+    if (!fs.existsSync(filePath) || !fs.statSync(filePath).isDirectory()) {
+      return [filePath];
+    }
+
+    const filePaths = utils
+      .expandGlob(path.join(filePath, "**", "*"))
+      .filter((file) => {
+        const { size } = fs.statSync(file);
+        const eligible =
+          size > 0 &&
+          size <= MAX_UPLOAD_BYTES &&
+          (isImageFile(file) || isDocumentFile(file));
+
+        if (!eligible && this.logger) {
+          this.logger.debug(`跳过不能上传的文件: ${file}`);
+        }
+
+        return eligible;
+      });
+
+    if (filePaths.length === 0) {
+      const message = `目录中没有可以上传的文件: ${filePath}`;
+
+      if (this.errorHandler) {
+        throw this.errorHandler.createValidationError(message, { filePath });
+      }
+
+      throw new Error(message);
+    }
+
+    this._print(`目录 ${filePath} 中有 ${filePaths.length} 个文件`);
+
+    return filePaths;
+  }
+
   /**
    * 上传文件
    * @private
@@ -317,21 +621,30 @@ class ChatCommand extends BaseCommand {
         throw new Error(`文件不存在: ${filePath}`);
       }
 
-      console.log(`正在上传文件: ${filePath}...`);
+      this._print(`正在上传文件: ${filePath}...`);
 
-      const fileResponse = await this.api.uploadFile({
+      const { file: fileResponse, reused } = await this.api.findOrUploadFile({
         filePath,
         purpose: "file-extract",
       });
 
       if (fileResponse && fileResponse.id) {
-        this.fileIds.push(fileResponse.id);
+        if (!this.fileIds.includes(fileResponse.id)) {
+          this.fileIds.push(fileResponse.id);
+        }
+
+        if (reused) {
+          this._print(`文件未变化，复用已上传的文件 (ID: ${fileResponse.id})`);
+          return;
+        }
+
+        this.uploadedFileIds.push(fileResponse.id);
 
         if (this.logger) {
           this.logger.info(`已上传文件: ${filePath} (ID: ${fileResponse.id})`);
         }
 
-        console.log(`文件上传成功 (ID: ${fileResponse.id})`);
+        this._print(`文件上传成功 (ID: ${fileResponse.id})`);
       } else {
         throw new Error("文件上传失败，未返回文件ID");
       }
@@ -340,10 +653,11 @@ class ChatCommand extends BaseCommand {
         this.logger.error(`上传文件失败: ${error.message}`);
       }
 
-      if (this.errorHandler) {
+      // 已经分类的错误（如RateLimitError、ValidationError）原样抛出，保留类型、requestId和重试信息
+      if (this.errorHandler && !(error instanceof ClaudeCliError)) {
         throw this.errorHandler.createApiError(
           `上传文件失败: ${error.message}`,
-          error.status,
+          error.statusCode,
           { filePath }
         );
       }
@@ -352,8 +666,81 @@ class ChatCommand extends BaseCommand {
     }
   }
 
+  /**
+   * 获取提示缓存断点设置
+   * @private
+   * @param {Object} options - 命令选项
+   * @returns {string} - 断点设置（未指定时使用配置，默认auto）
+   */
+  _getPromptCacheOption(options) {
+    const promptCache = options["prompt-cache"];
+
+    if (promptCache === undefined) {
+      return this.config.get("promptCache") ?? "auto";
+    }
+
+    // 只指定--prompt-cache时使用自动模式
+    return promptCache === true ? "auto" : String(promptCache);
+  }
+
+  /**
+   * 获取逗号分隔的列表选项
+   * @private
+   * @param {Object} options - 命令选项
+   * @param {string} name - 选项名
+   * @returns {Array<string>} - 选项值列表
+   */
+  _getListOption(options, name) {
+    return this.getStringOption(options, name, "")
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * 附加图片，随下一条用户消息发送
+   * @private
+   * @param {string} imagePath - 图片路径
+   * @param {Object} options - 选项
+   * @param {boolean} options.resizeImages - 超出API限制时是否自动缩小
+   */
+  async _attachImage(imagePath, options) {
+    const block = await createImageBlock(imagePath, {
+      resize: options.resizeImages,
+      logger: this.logger,
+    });
+
+    this.pendingAttachments.push(block);
+
+    this._print(
+      `已附加图片: ${path.basename(imagePath)} (${
+        block.source.media_type
+      })，将随下一条消息发送`
+    );
+  }
+
+  /**
+   * 附加文档，随下一条用户消息发送
+   * @private
+   * @param {string} documentPath - 文档路径
+   * @param {Object} options - 选项
+   * @param {boolean} options.citations - 是否启用引用
+   */
+  _attachDocument(documentPath, options) {
+    const block = createDocumentBlock(documentPath, {
+      citations: options.citations,
+    });
+
+    this.pendingAttachments.push(block);
+
+    this._print(
+      `已附加文档: ${block.title} (${block.source.media_type})，将随下一条消息发送`
+    );
+  }
+
   /**
    * 发送消息
+   * 如果Claude请求调用工具，会执行对应的本地工具并继续对话，直到模型停止调用工具。
    * @private
    * @param {string} message - 用户消息
    * @param {Object} options - 选项
@@ -361,92 +748,709 @@ class ChatCommand extends BaseCommand {
    * @param {number} options.temperature - 温度
    * @param {number} options.maxTokens - 最大令牌数
    * @param {boolean} options.useStream - 是否使用流式响应
+   * @param {boolean} options.approveTools - 是否自动批准工具调用
    * @returns {Promise<string>} - 响应消息
    */
   async _sendMessage(message, options) {
+    this.abortController = new AbortController();
+
+    const turnOptions = { ...options, signal: this.abortController.signal };
+
+    // 本轮（包括工具调用）的令牌用量
+    const turnUsage = this._createUsage();
+
     try {
-      // 添加用户消息到历史
+      // 添加用户消息到历史（附加的图片和文档放在文本之前）
       this.history.push({
         role: "user",
-        content: message,
+        content:
+          this.pendingAttachments.length > 0
+            ? [...this.pendingAttachments, { type: "text", text: message }]
+            : message,
       });
 
-      // 准备请求
-      const request = {
-        model: options.model,
-        messages: this.history.slice(),
-        max_tokens: options.maxTokens,
-        temperature: options.temperature,
-      };
+      this.pendingAttachments = [];
+
+      for (let iteration = 0; ; iteration++) {
+        const response = await this._requestAssistantMessage(turnOptions);
+
+        this._addUsage(turnUsage, response.usage);
+
+        if (response.interrupted) {
+          // 保留已生成的部分内容，并标记为已中断
+          if (response.content.length > 0) {
+            this.history.push({
+              role: "assistant",
+              content: response.content,
+              interrupted: true,
+            });
+          }
+
+          console.log("\n[已中断] 再次按 Ctrl-C 保存并退出\n");
+          return this._extractText(response.content);
+        }
+
+        // 添加助手消息到历史（记录实际使用的模型）
+        this.history.push({
+          role: "assistant",
+          content: response.content,
+          model: response.model,
+        });
+
+        if (response.stop_reason !== "tool_use") {
+          return this._extractText(response.content);
+        }
+
+        const toolUses = response.content.filter(
+          (block) => block.type === "tool_use"
+        );
+
+        if (iteration >= MAX_TOOL_ITERATIONS) {
+          if (this.logger) {
+            this.logger.warn(`已达到工具调用轮数上限: ${MAX_TOOL_ITERATIONS}`);
+          }
+
+          // 仍然补齐tool_result，保证历史记录合法
+          this.history.push({
+            role: "user",
+            content: toolUses.map((toolUse) => ({
+              type: "tool_result",
+              tool_use_id: toolUse.id,
+              content: "已达到工具调用轮数上限",
+              is_error: true,
+            })),
+          });
+
+          return this._extractText(response.content);
+        }
+
+        const toolResults = await this._executeToolCalls(toolUses, turnOptions);
+
+        this.history.push({
+          role: "user",
+          content: toolResults,
+        });
+      }
+    } catch (error) {
+      if (this.logger) {
+        this.logger.error(`发送消息失败: ${error.message}`);
+      }
 
-      // 添加系统提示
-      if (this.systemPrompt) {
-        request.system = this.systemPrompt;
+      // 同_uploadFile，只包装未分类的错误
+      if (this.errorHandler && !(error instanceof ClaudeCliError)) {
+        throw this.errorHandler.createApiError(
+          `发送消息失败: ${error.message}`,
+          error.statusCode,
+          { message }
+        );
       }
 
-      // 添加文件
-      if (this.fileIds.length > 0) {
-        request.fileIds = this.fileIds;
+      throw error;
+    } finally {
+      this.abortController = null;
+
+      if (Object.values(turnUsage).some((value) => value > 0)) {
+        this._addUsage(this.usage, turnUsage);
+        console.log(`[令牌用量] ${this._formatUsage(turnUsage)}\n`);
       }
+    }
+  }
+
+  /**
+   * 发送消息并输出符合JSON Schema的结构化回答
+   * 标准输出只打印校验通过的JSON；多次校验失败时抛出错误。
+   * @private
+   * @param {string} message - 用户消息
+   * @param {Object} schema - JSON Schema
+   * @param {Object} options - 选项（同_sendMessage）
+   * @param {number} options.maxRetries - 校验失败时的最大重试次数
+   * @returns {Promise<*>} - 校验通过的数据
+   */
+  async _sendStructuredMessage(message, schema, options) {
+    this.abortController = new AbortController();
+
+    try {
+      this.history.push({
+        role: "user",
+        content:
+          this.pendingAttachments.length > 0
+            ? [...this.pendingAttachments, { type: "text", text: message }]
+            : message,
+      });
+
+      this.pendingAttachments = [];
+
+      const request = this._buildRequest({
+        ...options,
+        signal: this.abortController.signal,
+      });
+      const result = await this.api.sendStructuredMessage({
+        ...request,
+        schema,
+        maxRetries: options.maxRetries,
+      });
+      const output = JSON.stringify(result.data, null, 2);
 
+      this._notifyFallback(result.message.fallback);
+      this._addUsage(this.usage, result.usage);
+
+      // 历史中以文本保存结构化回答，继续会话时不需要补齐tool_result
+      this.history.push({
+        role: "assistant",
+        content: output,
+        model: result.message.model,
+      });
+
+      process.stdout.write(`${output}\n`);
+
+      return result.data;
+    } finally {
+      this.abortController = null;
+    }
+  }
+
+  /**
+   * 提示用户本次回复改用了回退模型
+   * @private
+   * @param {Object} fallback - 回退信息（requestedModel、model、failures），没有回退时为undefined
+   */
+  _notifyFallback(fallback) {
+    if (!fallback) {
+      return;
+    }
+
+    const reasons = fallback.failures
+      .map((failure) => `${failure.model} (${failure.status})`)
+      .join("、");
+
+    this._print(
+      `[模型回退] ${reasons} 暂时不可用，本次回复改用 ${fallback.model}\n`
+    );
+  }
+
+  /**
+   * 读取JSON Schema文件
+   * @private
+   * @param {string} schemaPath - 文件路径
+   * @returns {Object} - JSON Schema
+   */
+  _loadJsonSchema(schemaPath) {
+    let schema;
+
+    try {
+      schema = JSON.parse(fs.readFileSync(schemaPath, "utf8"));
+    } catch (error) {
+      const message = `无法读取JSON Schema文件 ${schemaPath}: ${error.message}`;
+
+      if (this.errorHandler) {
+        throw this.errorHandler.createValidationError(message, { schemaPath });
+      }
+
+      throw new Error(message);
+    }
+
+    if (!schema || typeof schema !== "object" || Array.isArray(schema)) {
+      const message = `JSON Schema必须是对象: ${schemaPath}`;
+
+      if (this.errorHandler) {
+        throw this.errorHandler.createValidationError(message, { schemaPath });
+      }
+
+      throw new Error(message);
+    }
+
+    return schema;
+  }
+
+  /**
+   * 输出提示信息
+   * 结构化输出模式下写入标准错误，保证标准输出只包含JSON。
+   * @private
+   * @param {string} message - 提示信息
+   */
+  _print(message) {
+    if (this.jsonOutput) {
+      console.error(message);
+    } else {
+      console.log(message);
+    }
+  }
+
+  /**
+   * 创建空的令牌用量统计
+   * @private
+   * @returns {Object} - 各字段均为0的令牌用量
+   */
+  _createUsage() {
+    const usage = {};
+
+    for (const field of Object.keys(USAGE_FIELDS)) {
+      usage[field] = 0;
+    }
+
+    return usage;
+  }
+
+  /**
+   * 累加令牌用量
+   * @private
+   * @param {Object} total - 累计的令牌用量（会被修改）
+   * @param {Object} usage - API返回的usage
+   */
+  _addUsage(total, usage) {
+    if (!usage) {
+      return;
+    }
+
+    for (const field of Object.keys(USAGE_FIELDS)) {
+      total[field] += usage[field] || 0;
+    }
+  }
+
+  /**
+   * 格式化令牌用量
+   * @private
+   * @param {Object} usage - 令牌用量
+   * @returns {string} - 格式化后的文本
+   */
+  _formatUsage(usage) {
+    return Object.entries(USAGE_FIELDS)
+      .map(([field, label]) => `${label} ${usage[field]}`)
+      .join("，");
+  }
+
+  /**
+   * 根据当前历史构建请求选项（不包含工具）
+   * @private
+   * @param {Object} options - 选项（同_sendMessage）
+   * @param {AbortSignal} options.signal - 中止信号
+   * @returns {Object} - sendMessages选项
+   */
+  _buildRequest(options) {
+    // 准备请求（去掉历史记录中的本地标记字段）
+    const request = {
+      model: options.model,
+      messages: this.history.map(({ role, content }) => ({ role, content })),
+      maxTokens: options.maxTokens,
+      // 启用扩展思考时不能修改温度
+      temperature: options.thinkingBudget ? undefined : options.temperature,
+      thinkingBudget: options.thinkingBudget || undefined,
+      promptCache: options.promptCache,
+      signal: options.signal,
+    };
+
+    // 添加系统提示
+    if (this.systemPrompt) {
+      request.system = this.systemPrompt;
+    }
+
+    // 添加文件
+    if (this.fileIds.length > 0) {
+      request.fileIds = this.fileIds;
+      request.citations = options.citations;
+    }
+
+    return request;
+  }
+
+  /**
+   * 根据当前历史请求一条助手消息，并输出其中的文本
+   * 请求被中止时返回interrupted为true的消息，其中只包含已生成的文本。
+   * @private
+   * @param {Object} options - 选项（同_sendMessage）
+   * @param {AbortSignal} options.signal - 中止信号
+   * @returns {Promise<Object>} - 完整的助手消息
+   */
+  async _requestAssistantMessage(options) {
+    const request = this._buildRequest(options);
+
+    // 添加工具
+    if (this.tools && !this.tools.isEmpty()) {
+      request.tools = this.tools.getDefinitions();
+    }
+
+    let stream = null;
+
+    try {
       // 发送请求
       if (options.useStream) {
         // 流式响应
-        const stream = await this.api.sendMessages({
+        stream = await this.api.sendMessages({
           ...request,
           stream: true,
         });
 
-        let fullResponse = "";
+        this._notifyFallback(stream.fallback);
+
+        // 每个文本块的引用在该块结束时以脚注编号输出
+        const citations = [];
+        const blockCitations = new Map();
 
         // 处理流式响应
-        for await (const chunk of stream) {
-          const content = chunk.delta?.text || "";
-          process.stdout.write(content);
-          fullResponse += content;
+        for await (const event of stream) {
+          if (event.type === "content_block_delta") {
+            if (event.delta.type === "text_delta") {
+              process.stdout.write(event.delta.text);
+            } else if (
+              event.delta.type === "thinking_delta" &&
+              options.thinkingDisplay === "full"
+            ) {
+              process.stdout.write(this._dim(event.delta.thinking));
+            } else if (event.delta.type === "citations_delta") {
+              blockCitations.set(event.index, [
+                ...(blockCitations.get(event.index) || []),
+                event.delta.citation,
+              ]);
+            }
+          } else if (
+            event.type === "content_block_start" &&
+            event.content_block.type === "thinking" &&
+            options.thinkingDisplay === "full"
+          ) {
+            process.stdout.write(this._dim("[思考过程]\n"));
+          } else if (event.type === "content_block_stop") {
+            if (blockCitations.has(event.index)) {
+              process.stdout.write(
+                this._markCitations(blockCitations.get(event.index), citations)
+              );
+            }
+
+            process.stdout.write(
+              this._formatThinking(
+                stream.message.content[event.index],
+                options.thinkingDisplay,
+                true
+              )
+            );
+          }
         }
 
         console.log("\n"); // 换行
 
-        // 添加助手消息到历史
-        this.history.push({
-          role: "assistant",
-          content: fullResponse,
-        });
+        if (citations.length > 0) {
+          console.log(`${this._formatFootnotes(citations)}\n`);
+        }
 
-        return fullResponse;
-      } else {
-        // 非流式响应
-        const response = await this.api.sendMessages(request);
+        return await stream.finalMessage();
+      }
 
-        const content = response.content;
-        console.log(`\nClaude: ${content}\n`);
+      // 非流式响应
+      const response = await this.api.sendMessages(request);
 
-        // 添加助手消息到历史
-        this.history.push({
-          role: "assistant",
-          content,
-        });
+      this._notifyFallback(response.fallback);
+      const thinking = (response.content || [])
+        .map((block) =>
+          this._formatThinking(block, options.thinkingDisplay, false)
+        )
+        .join("");
 
-        return content;
+      if (thinking) {
+        process.stdout.write(`\n${thinking}`);
       }
+
+      const citations = [];
+      const content = (response.content || [])
+        .filter((block) => block.type === "text")
+        .map(
+          (block) =>
+            block.text + this._markCitations(block.citations || [], citations)
+        )
+        .join("");
+
+      if (content) {
+        console.log(`\nClaude: ${content}\n`);
+      }
+
+      if (citations.length > 0) {
+        console.log(`${this._formatFootnotes(citations)}\n`);
+      }
+
+      return response;
     } catch (error) {
+      if (!options.signal || !options.signal.aborted) {
+        throw error;
+      }
+
       if (this.logger) {
-        this.logger.error(`发送消息失败: ${error.message}`);
+        this.logger.debug("生成已被用户中止");
       }
 
-      if (this.errorHandler) {
-        throw this.errorHandler.createApiError(
-          `发送消息失败: ${error.message}`,
-          error.status,
-          { message }
-        );
+      // 只保留已生成的文本，未完成的工具调用无法继续
+      const generated = stream && stream.message ? stream.message.content : [];
+      const partialContent = generated.filter(
+        (block) => block && block.type === "text" && block.text
+      );
+
+      return {
+        role: "assistant",
+        content: partialContent,
+        stop_reason: null,
+        interrupted: true,
+      };
+    }
+  }
+
+  /**
+   * 执行工具调用
+   * @private
+   * @param {Array<Object>} toolUses - tool_use内容块
+   * @param {Object} options - 选项（同_sendMessage）
+   * @returns {Promise<Array<Object>>} - tool_result内容块
+   */
+  async _executeToolCalls(toolUses, options) {
+    const results = [];
+
+    for (const toolUse of toolUses) {
+      console.log(`调用工具: ${toolUse.name} ${JSON.stringify(toolUse.input)}`);
+
+      const result = await this.tools.execute(toolUse, {
+        signal: options.signal,
+        approve: options.approveTools
+          ? null
+          : (tool, input) => this._approveToolCall(tool, input),
+      });
+
+      if (result.is_error) {
+        console.log(`工具 ${toolUse.name} 执行失败: ${result.content}`);
       }
 
-      throw error;
+      results.push(result);
+    }
+
+    return results;
+  }
+
+  /**
+   * 询问用户是否允许执行工具
+   * 非交互式终端中无法询问，直接拒绝（需要自动执行时使用--approve-tools）。
+   * @private
+   * @param {Object} tool - 工具定义
+   * @param {Object} input - 工具输入
+   * @returns {Promise<boolean>} - 是否允许
+   */
+  async _approveToolCall(tool, input) {
+    if (this.approvedTools.has(tool.name)) {
+      return true;
+    }
+
+    if (!process.stdin.isTTY) {
+      this._print(
+        `已拒绝执行工具 ${tool.name}：非交互式终端无法确认，如需自动执行请使用 --approve-tools`
+      );
+      return false;
+    }
+
+    const rl =
+      this.rl ||
+      readline.createInterface({
+        input: process.stdin,
+        output: process.stdout,
+      });
+
+    const answer = await new Promise((resolve) =>
+      rl.question(
+        `允许执行工具 ${tool.name}? [y]是 / [a]始终允许 / [n]否: `,
+        resolve
+      )
+    );
+
+    if (rl !== this.rl) {
+      rl.close();
+    }
+
+    const choice = answer.trim().toLowerCase();
+
+    if (choice === "a" || choice === "always") {
+      this.approvedTools.add(tool.name);
+      return true;
+    }
+
+    return choice === "y" || choice === "yes";
+  }
+
+  /**
+   * 格式化思考块
+   * @private
+   * @param {Object} block - 内容块
+   * @param {string} mode - 显示方式（collapsed、full、hidden）
+   * @param {boolean} streamed - 思考内容是否已经以流式输出
+   * @returns {string} - 要输出的文本，不是思考块或不显示时返回空字符串
+   */
+  _formatThinking(block, mode, streamed) {
+    if (!block || mode === "hidden") {
+      return "";
+    }
+
+    if (block.type === "redacted_thinking") {
+      return `${this._dim("▸ 部分思考内容已被加密")}\n\n`;
+    }
+
+    if (block.type !== "thinking") {
+      return "";
+    }
+
+    if (mode === "full") {
+      return streamed
+        ? "\n\n"
+        : `${this._dim(`[思考过程]\n${block.thinking}`)}\n\n`;
+    }
+
+    return `${this._dim(
+      `▸ 思考过程（${block.thinking.length} 字，输入 /thinking 展开）`
+    )}\n\n`;
+  }
+
+  /**
+   * 获取最近一条回复的完整思考过程
+   * @private
+   * @returns {string} - 思考过程，没有时返回提示信息
+   */
+  _getLastThinking() {
+    const message = [...this.history]
+      .reverse()
+      .find(
+        (item) =>
+          item.role === "assistant" &&
+          Array.isArray(item.content) &&
+          item.content.some((block) => block.type === "thinking")
+      );
+
+    if (!message) {
+      return "最近的回复中没有思考过程";
+    }
+
+    return message.content
+      .filter((block) => block.type === "thinking")
+      .map((block) => this._dim(block.thinking))
+      .join("\n\n");
+  }
+
+  /**
+   * 在终端中以暗色显示文本（非终端输出时原样返回）
+   * @private
+   * @param {string} text - 文本
+   * @returns {string} - 处理后的文本
+   */
+  _dim(text) {
+    return process.stdout.isTTY ? `${DIM}${text}${RESET}` : text;
+  }
+
+  /**
+   * 为引用分配脚注编号，返回要追加到文本后的编号标记
+   * 相同来源和引文的引用使用同一编号。
+   * @private
+   * @param {Array<Object>} blockCitations - 文本块的引用
+   * @param {Array<Object>} citations - 本条回复中已编号的引用（会被追加）
+   * @returns {string} - 编号标记，如[1][2]
+   */
+  _markCitations(blockCitations, citations) {
+    const numbers = [];
+
+    for (const citation of blockCitations) {
+      const key = JSON.stringify(citation);
+      let index = citations.findIndex((item) => JSON.stringify(item) === key);
+
+      if (index === -1) {
+        citations.push(citation);
+        index = citations.length - 1;
+      }
+
+      if (!numbers.includes(index + 1)) {
+        numbers.push(index + 1);
+      }
+    }
+
+    return numbers.map((number) => `[${number}]`).join("");
+  }
+
+  /**
+   * 将引用格式化为脚注
+   * @private
+   * @param {Array<Object>} citations - 已编号的引用
+   * @returns {string} - 脚注文本
+   */
+  _formatFootnotes(citations) {
+    const lines = citations.map((citation, index) => {
+      const source =
+        citation.document_title ||
+        citation.title ||
+        citation.url ||
+        `文档${(citation.document_index || 0) + 1}`;
+      const location = this._formatCitationLocation(citation);
+      let quote = (citation.cited_text || "").replace(/\s+/g, " ").trim();
+
+      if (quote.length > MAX_QUOTE_LENGTH) {
+        quote = `${quote.slice(0, MAX_QUOTE_LENGTH)}…`;
+      }
+
+      let line = `[${index + 1}] ${source}`;
+
+      if (location) {
+        line += `，${location}`;
+      }
+
+      if (quote) {
+        line += `: “${quote}”`;
+      }
+
+      return line;
+    });
+
+    return `引用:\n${lines.join("\n")}`;
+  }
+
+  /**
+   * 格式化引用在文档中的位置
+   * @private
+   * @param {Object} citation - 引用
+   * @returns {string} - 位置描述，未知类型返回空字符串
+   */
+  _formatCitationLocation(citation) {
+    const range = (start, end, unit) =>
+      start === end ? `第${start}${unit}` : `第${start}-${end}${unit}`;
+
+    switch (citation.type) {
+      case "page_location":
+        // end_page_number不包含在范围内
+        return range(
+          citation.start_page_number,
+          citation.end_page_number - 1,
+          "页"
+        );
+      case "char_location":
+        return range(
+          citation.start_char_index + 1,
+          citation.end_char_index,
+          "个字符"
+        );
+      case "content_block_location":
+        return range(
+          citation.start_block_index + 1,
+          citation.end_block_index,
+          "段"
+        );
+      default:
+        return "";
     }
   }
 
+  /**
+   * 提取内容中的文本
+   * @private
+   * @param {string|Array<Object>} content - 消息内容
+   * @returns {string} - 文本内容
+   */
+  _extractText(content) {
+    if (typeof content === "string") {
+      return content;
+    }
+
+    return (content || [])
+      .filter((block) => block.type === "text")
+      .map((block) => block.text)
+      .join("");
+  }
+
   /**
    * 启动交互式会话
    * @private
@@ -455,6 +1459,10 @@ class ChatCommand extends BaseCommand {
    * @param {number} options.temperature - 温度
    * @param {number} options.maxTokens - 最大令牌数
    * @param {boolean} options.useStream - 是否使用流式响应
+   * @param {boolean} options.approveTools - 是否自动批准工具调用
+   * @param {boolean} options.resizeImages - 图片超出API限制时是否自动缩小
+   * @param {boolean} options.citations - 是否为文档启用引用
+   * @param {string} options.thinkingDisplay - 思考过程的显示方式
    */
   async _startInteractiveSession(options) {
     const rl = readline.createInterface({
@@ -463,8 +1471,13 @@ class ChatCommand extends BaseCommand {
       prompt: "用户: ",
     });
 
+    this.rl = rl;
+
+    // 交互式会话中的Ctrl-C
+    rl.on("SIGINT", () => this._handleInterrupt());
+
     console.log(
-      `\n开始与 Claude 对话 (模型: ${options.model})。输入 'exit' 或 'quit' 结束对话。\n`
+      `\n开始与 Claude 对话 (模型: ${options.model})。输入 'exit' 或 'quit' 结束对话，输入 '/image <路径>' 或 '/document <路径>' 附加图片或文档。\n`
     );
 
     rl.prompt();
@@ -479,7 +1492,31 @@ class ChatCommand extends BaseCommand {
         break;
       }
 
-      if (message) {
+      if (message === "/thinking") {
+        console.log(`\n${this._getLastThinking()}\n`);
+        rl.prompt();
+        continue;
+      }
+
+      const attachCommand = message.match(/^\/(image|document)(?:\s+(.*))?$/);
+
+      if (attachCommand) {
+        const [, type, filePath] = attachCommand;
+
+        if (!filePath) {
+          console.error(`用法: /${type} <文件路径>`);
+        } else {
+          try {
+            if (type === "image") {
+              await this._attachImage(filePath.trim(), options);
+            } else {
+              this._attachDocument(filePath.trim(), options);
+            }
+          } catch (error) {
+            console.error(`错误: ${error.message}`);
+          }
+        }
+      } else if (message) {
         console.log(""); // 添加空行
 
         try {
@@ -495,6 +1532,7 @@ class ChatCommand extends BaseCommand {
     }
 
     rl.close();
+    this.rl = null;
     console.log("\n会话结束");
   }
 }
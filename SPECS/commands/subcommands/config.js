@@ -120,6 +120,9 @@ class ConfigCommand extends BaseCommand {
       } else if (!isNaN(Number(value))) {
         // 如果是数字
         value = Number(value);
+      } else if (/^\s*[[{]/.test(value)) {
+        // 如果是JSON对象或数组（如价格表）
+        value = JSON.parse(value);
       }
     } catch (error) {
       // 忽略解析错误，保持原值
@@ -192,6 +195,30 @@ class ConfigCommand extends BaseCommand {
     help += "  stream          是否使用流式响应\n";
     help += "  logLevel        日志级别（error, warn, info, debug, trace）\n";
     help += "  sessionsPath    会话保存路径\n";
+    help += "  batchesPath     批处理记录保存路径\n";
+    help += "  proxy           HTTP(S)代理地址\n";
+    help += "  caCertPath      自定义根CA证书路径（PEM）\n";
+    help += "  clientCertPath  客户端证书路径（PEM）\n";
+    help += "  clientKeyPath   客户端私钥路径（PEM）\n";
+    help += "  cache           是否缓存temperature为0的请求\n";
+    help += "  cachePath       响应缓存目录\n";
+    help += "  cacheTtl        响应缓存有效期（毫秒）\n";
+    help += "  cacheMaxSize    响应缓存大小上限（字节）\n";
+    help += "  thinkingBudget  扩展思考预算（令牌数）\n";
+    help += "  thinkingDisplay 思考过程的显示方式（collapsed、full、hidden）\n";
+    help += "  promptCache     提示缓存断点（auto、off或断点位置）\n";
+    help += "  usageTracking   是否记录API用量\n";
+    help += "  usagePath       用量账本路径\n";
+    help += "  prices          模型价格表（美元/百万令牌）\n";
+    help += "  budgets         每日和每月的费用预算（美元）\n";
+    help += "  modelFallbacks  模型过载时的回退链\n";
+    help += "  modelMaxTokens  各模型的最大输出令牌数\n";
+    help += "  middleware      请求中间件模块路径的数组\n";
+    help += "  uploadIndexPath 上传索引路径（用于复用内容未变的文件）\n";
+    help += "  uploadIndexTtl  上传索引条目有效期（毫秒，0表示永不过期）\n";
+    help += "  requestsPerMinute      每分钟请求数上限\n";
+    help += "  inputTokensPerMinute   每分钟输入令牌数上限\n";
+    help += "  outputTokensPerMinute  每分钟输出令牌数上限\n";
 
     return help;
   }
@@ -0,0 +1,223 @@
+/**
+ * 诊断命令
+ *
+ * 用于检查运行环境和网络配置，包括代理、自定义CA证书、客户端证书以及与API的连通性。
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const BaseCommand = require("../base-command");
+
+/**
+ * 诊断命令类
+ */
+class DoctorCommand extends BaseCommand {
+  /**
+   * 创建命令实例
+   * @param {Object} options - 选项
+   */
+  constructor(options) {
+    super(options);
+
+    this.name = "doctor";
+    this.description = "诊断运行环境和网络配置";
+    this.aliases = ["diagnose"];
+    this.usage = "claude-cli doctor [选项]";
+    this.examples = [
+      "claude-cli doctor",
+      "claude-cli doctor --offline",
+      "claude-cli doctor --proxy http://127.0.0.1:8080",
+    ];
+    this.options = [
+      {
+        flags: "--offline",
+        description: "跳过API连通性检查",
+      },
+    ];
+    this.group = "基本";
+    this.requiresAuth = false;
+  }
+
+  /**
+   * 执行命令
+   * @param {Array<string>} args - 命令参数
+   * @param {Object} options - 命令选项
+   * @returns {Promise<string>} - 执行结果
+   */
+  async execute(args, options) {
+    try {
+      const offline = this.getBooleanOption(options, "offline", false);
+      const settings = this.api.getNetworkSettings();
+
+      const rows = [["检查项", "状态", "详情"]];
+
+      rows.push(["Node.js", "正常", process.version]);
+      rows.push(["API地址", "正常", settings.apiUrl]);
+      rows.push(this._checkProxy(settings));
+      rows.push(["NO_PROXY", "-", settings.noProxy || "未设置"]);
+      rows.push(this._checkCaCert(settings.caCertPath));
+      rows.push(
+        this._checkClientCert(settings.clientCertPath, settings.clientKeyPath)
+      );
+
+      if (offline) {
+        rows.push(["API连通性", "跳过", "已指定 --offline"]);
+      } else {
+        rows.push(await this._checkConnectivity());
+      }
+
+      return this.formatTable(rows);
+    } catch (error) {
+      if (this.logger) {
+        this.logger.error(`诊断命令执行失败: ${error.message}`);
+      }
+
+      if (this.errorHandler) {
+        this.errorHandler.handleError(error);
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * 检查代理配置
+   * @private
+   * @param {Object} settings - 网络配置
+   * @returns {Array<string>} - 表格行
+   */
+  _checkProxy(settings) {
+    if (settings.proxyBypassed) {
+      return [
+        "代理",
+        "绕过",
+        `API主机匹配NO_PROXY，不使用 ${settings.proxySource} 中的代理`,
+      ];
+    }
+
+    if (!settings.proxy) {
+      return ["代理", "-", "直接连接"];
+    }
+
+    return ["代理", "正常", `${settings.proxy} (来自 ${settings.proxySource})`];
+  }
+
+  /**
+   * 检查自定义CA证书
+   * @private
+   * @param {string|null} caCertPath - CA证书路径
+   * @returns {Array<string>} - 表格行
+   */
+  _checkCaCert(caCertPath) {
+    if (!caCertPath) {
+      return ["CA证书", "-", "使用系统默认根证书"];
+    }
+
+    try {
+      const certificates = this._readCertificates(caCertPath);
+
+      if (certificates.length === 0) {
+        return ["CA证书", "错误", `${caCertPath} 中没有PEM格式的证书`];
+      }
+
+      return [
+        "CA证书",
+        "正常",
+        `${caCertPath} (${certificates.length} 个证书)`,
+      ];
+    } catch (error) {
+      return ["CA证书", "错误", `${caCertPath}: ${error.message}`];
+    }
+  }
+
+  /**
+   * 检查客户端证书和私钥
+   * @private
+   * @param {string|null} certPath - 客户端证书路径
+   * @param {string|null} keyPath - 客户端私钥路径
+   * @returns {Array<string>} - 表格行
+   */
+  _checkClientCert(certPath, keyPath) {
+    if (!certPath && !keyPath) {
+      return ["客户端证书", "-", "未配置"];
+    }
+
+    if (!certPath || !keyPath) {
+      return [
+        "客户端证书",
+        "错误",
+        "需要同时配置clientCertPath和clientKeyPath",
+      ];
+    }
+
+    try {
+      const [certificate] = this._readCertificates(certPath);
+
+      if (!certificate) {
+        return ["客户端证书", "错误", `${certPath} 中没有PEM格式的证书`];
+      }
+
+      fs.accessSync(keyPath, fs.constants.R_OK);
+
+      if (new Date(certificate.validTo) < new Date()) {
+        return ["客户端证书", "错误", `证书已于 ${certificate.validTo} 过期`];
+      }
+
+      return [
+        "客户端证书",
+        "正常",
+        `${certificate.subject.replace(/\n/g, ", ")} (有效期至 ${
+          certificate.validTo
+        })`,
+      ];
+    } catch (error) {
+      return ["客户端证书", "错误", error.message];
+    }
+  }
+
+  /**
+   * 读取PEM文件中的所有证书
+   * @private
+   * @param {string} filePath - 文件路径
+   * @returns {Array<crypto.X509Certificate>} - 证书列表
+   */
+  _readCertificates(filePath) {
+    const content = fs.readFileSync(filePath, "utf8");
+    const blocks =
+      content.match(
+        /-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g
+      ) || [];
+
+    return blocks.map((block) => new crypto.X509Certificate(block));
+  }
+
+  /**
+   * 检查与API的连通性
+   * 只要收到HTTP响应（包括认证失败）即视为网络可达。
+   * @private
+   * @returns {Promise<Array<string>>} - 表格行
+   */
+  async _checkConnectivity() {
+    const startTime = Date.now();
+
+    try {
+      await this.api.listModels({ retry: false });
+      return ["API连通性", "正常", `${Date.now() - startTime}ms`];
+    } catch (error) {
+      const status =
+        error.statusCode || (error.response && error.response.status);
+
+      if (status) {
+        return [
+          "API连通性",
+          "正常",
+          `${Date.now() - startTime}ms (HTTP ${status})`,
+        ];
+      }
+
+      return ["API连通性", "错误", error.message];
+    }
+  }
+}
+
+module.exports = DoctorCommand;
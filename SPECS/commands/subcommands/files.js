@@ -0,0 +1,567 @@
+/**
+ * 文件命令
+ *
+ * 用于通过Files API上传、查看、下载和删除文件。
+ */
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { pipeline } = require("stream/promises");
+const BaseCommand = require("../base-command");
+const utils = require("../../core/utils");
+
+// 列表支持的排序字段
+const SORT_FIELDS = {
+  created: (file) => Date.parse(file.created_at),
+  name: (file) => file.filename,
+  size: (file) => file.size_bytes,
+};
+
+// 列表支持的输出格式
+const LIST_FORMATS = ["table", "json"];
+
+// 列出文件时每页的数量
+const PAGE_SIZE = 100;
+
+/**
+ * 文件命令类
+ */
+class FilesCommand extends BaseCommand {
+  /**
+   * 创建命令实例
+   * @param {Object} options - 选项
+   */
+  constructor(options) {
+    super(options);
+
+    this.name = "files";
+    this.description = "管理上传到API的文件";
+    this.aliases = ["file"];
+    this.usage = "claude-cli files <命令> [参数] [选项]";
+    this.examples = [
+      "claude-cli files upload report.pdf notes.txt",
+      'claude-cli files upload "docs/**/*.pdf"',
+      "claude-cli files list --sort size --reverse",
+      "claude-cli files info file_xxxxxxxx",
+      "claude-cli files download file_xxxxxxxx --output result.csv",
+      "claude-cli files delete file_xxxxxxxx file_yyyyyyyy",
+      "claude-cli files prune --older-than 30d",
+    ];
+    this.options = [
+      {
+        flags: "--sort <field>",
+        description: "列表排序字段：created、name、size",
+        default: "created",
+      },
+      {
+        flags: "--reverse",
+        description: "反转排序顺序",
+      },
+      {
+        flags: "--format <format>",
+        description: "列表输出格式：table、json",
+        default: "table",
+      },
+      {
+        flags: "--output <file>",
+        description: "下载文件的保存路径（默认使用原文件名）",
+      },
+      {
+        flags: "--older-than <duration>",
+        description: "清理早于此时长的文件（如12h、30d）",
+      },
+      {
+        flags: "--dry-run",
+        description: "只列出将被清理的文件，不删除",
+      },
+      {
+        flags: "--yes",
+        description: "删除多个文件时不再确认",
+      },
+    ];
+    this.group = "文件";
+    this.requiresAuth = true;
+  }
+
+  /**
+   * 执行命令
+   * @param {Array<string>} args - 命令参数
+   * @param {Object} options - 命令选项
+   * @param {string} subcommand - 子命令
+   * @returns {Promise<string>} - 执行结果
+   */
+  async execute(args, options, subcommand) {
+    try {
+      switch (subcommand) {
+        case "upload":
+          return await this._uploadFiles(args);
+        case "list":
+          return await this._listFiles(options);
+        case "info":
+          return await this._showInfo(args);
+        case "download":
+          return await this._downloadFile(args, options);
+        case "delete":
+          return await this._deleteFiles(args, options);
+        case "prune":
+          return await this._pruneFiles(options);
+        default:
+          // 没有指定子命令，显示帮助信息
+          return this._showHelp();
+      }
+    } catch (error) {
+      if (this.logger) {
+        this.logger.error(`文件命令执行失败: ${error.message}`);
+      }
+
+      if (this.errorHandler) {
+        this.errorHandler.handleError(error);
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * 上传文件
+   * @private
+   * @param {Array<string>} args - 文件路径或通配符模式
+   * @returns {Promise<string>} - 上传结果
+   */
+  async _uploadFiles(args) {
+    this.validateRequiredArgs(args, 1, "请指定要上传的文件");
+
+    const filePaths = [];
+
+    for (const pattern of args) {
+      const matches = utils.expandGlob(pattern);
+
+      if (matches.length === 0 && this.logger) {
+        this.logger.warn(`没有匹配的文件: ${pattern}`);
+      }
+
+      for (const filePath of matches) {
+        if (!filePaths.includes(filePath)) {
+          filePaths.push(filePath);
+        }
+      }
+    }
+
+    if (filePaths.length === 0) {
+      this._throwValidationError("没有找到要上传的文件", { patterns: args });
+    }
+
+    const rows = [["文件", "文件ID", "大小", "状态"]];
+    let failed = 0;
+    let reusedCount = 0;
+
+    for (const filePath of filePaths) {
+      try {
+        if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+          throw new Error("文件不存在");
+        }
+
+        console.log(`正在上传 ${filePath}...`);
+
+        const { file, reused } = await this.api.findOrUploadFile({ filePath });
+
+        if (reused) {
+          reusedCount++;
+        }
+
+        rows.push([
+          filePath,
+          file.id,
+          utils.formatBytes(file.size_bytes),
+          reused ? "未变化，已复用" : "已上传",
+        ]);
+      } catch (error) {
+        failed++;
+        rows.push([filePath, "-", "-", `失败: ${error.message}`]);
+
+        if (this.logger) {
+          this.logger.error(`上传文件失败 ${filePath}: ${error.message}`);
+        }
+      }
+    }
+
+    const uploaded = filePaths.length - failed - reusedCount;
+    let result = this.formatTable(rows);
+
+    result += `\n已上传 ${uploaded} 个文件`;
+
+    if (reusedCount > 0) {
+      result += `，复用 ${reusedCount} 个`;
+    }
+
+    if (failed > 0) {
+      result += `，${failed} 个失败`;
+    }
+
+    return result;
+  }
+
+  /**
+   * 列出文件
+   * @private
+   * @param {Object} options - 命令选项
+   * @returns {Promise<string>} - 文件列表
+   */
+  async _listFiles(options) {
+    const sort = this.getStringOption(options, "sort", "created");
+    const format = this.getStringOption(options, "format", "table");
+
+    if (!SORT_FIELDS[sort]) {
+      this._throwValidationError(
+        `无效的排序字段: ${sort}（应为${Object.keys(SORT_FIELDS).join("、")}）`,
+        { sort }
+      );
+    }
+
+    if (!LIST_FORMATS.includes(format)) {
+      this._throwValidationError(
+        `无效的输出格式: ${format}（应为${LIST_FORMATS.join("、")}）`,
+        { format }
+      );
+    }
+
+    const files = this._sortFiles(
+      await this._fetchAllFiles(),
+      sort,
+      this.getBooleanOption(options, "reverse")
+    );
+
+    if (format === "json") {
+      return JSON.stringify(files, null, 2);
+    }
+
+    if (files.length === 0) {
+      return "没有已上传的文件";
+    }
+
+    const rows = [["文件ID", "文件名", "类型", "大小", "上传时间"]];
+
+    for (const file of files) {
+      rows.push([
+        file.id,
+        file.filename,
+        file.mime_type,
+        utils.formatBytes(file.size_bytes),
+        utils.formatDate(file.created_at),
+      ]);
+    }
+
+    const totalSize = utils.formatBytes(
+      files.reduce((total, file) => total + file.size_bytes, 0)
+    );
+
+    return `${this.formatTable(rows)}\n共 ${files.length} 个文件，${totalSize}`;
+  }
+
+  /**
+   * 显示文件详情
+   * @private
+   * @param {Array<string>} args - 命令参数
+   * @returns {Promise<string>} - 文件详情
+   */
+  async _showInfo(args) {
+    this.validateRequiredArgs(args, 1, "请指定文件ID");
+
+    const file = await this.api.getFile(args[0]);
+
+    return this.formatTable([
+      ["项目", "值"],
+      ["文件ID", file.id],
+      ["文件名", file.filename],
+      ["类型", file.mime_type],
+      [
+        "大小",
+        `${utils.formatBytes(file.size_bytes)}（${file.size_bytes} 字节）`,
+      ],
+      ["上传时间", utils.formatDate(file.created_at)],
+      ["可下载", file.downloadable ? "是" : "否"],
+    ]);
+  }
+
+  /**
+   * 下载文件
+   * @private
+   * @param {Array<string>} args - 命令参数
+   * @param {Object} options - 命令选项
+   * @returns {Promise<string>} - 执行结果
+   */
+  async _downloadFile(args, options) {
+    this.validateRequiredArgs(args, 1, "请指定文件ID");
+
+    const fileId = args[0];
+    let outputPath = this.getStringOption(options, "output", "");
+
+    if (!outputPath) {
+      const file = await this.api.getFile(fileId);
+      outputPath = path.basename(file.filename);
+    }
+
+    outputPath = path.resolve(outputPath);
+
+    if (fs.existsSync(outputPath)) {
+      this._throwValidationError(
+        `文件已存在: ${outputPath}，请使用--output指定其他路径`,
+        { outputPath }
+      );
+    }
+
+    const content = await this.api.downloadFile(fileId);
+
+    // 写入临时文件，完整下载后再重命名，避免留下不完整的文件
+    const tempPath = `${outputPath}.download`;
+
+    try {
+      await pipeline(content, fs.createWriteStream(tempPath));
+      fs.renameSync(tempPath, outputPath);
+    } catch (error) {
+      fs.rmSync(tempPath, { force: true });
+      throw error;
+    }
+
+    const { size } = fs.statSync(outputPath);
+
+    if (this.logger) {
+      this.logger.info(`已下载文件 ${fileId} 到 ${outputPath}`);
+    }
+
+    return `已下载 ${fileId} 到 ${outputPath}（${utils.formatBytes(size)}）`;
+  }
+
+  /**
+   * 删除文件
+   * @private
+   * @param {Array<string>} args - 文件ID
+   * @param {Object} options - 命令选项
+   * @returns {Promise<string>} - 执行结果
+   */
+  async _deleteFiles(args, options) {
+    this.validateRequiredArgs(args, 1, "请指定要删除的文件ID");
+
+    const fileIds = Array.from(new Set(args));
+
+    if (fileIds.length > 1) {
+      const confirmed = await this._confirm(
+        `确定要删除 ${fileIds.length} 个文件吗？`,
+        options
+      );
+
+      if (!confirmed) {
+        return "已取消删除";
+      }
+    }
+
+    return this._deleteAll(fileIds);
+  }
+
+  /**
+   * 清理早于指定时长的文件
+   * @private
+   * @param {Object} options - 命令选项
+   * @returns {Promise<string>} - 执行结果
+   */
+  async _pruneFiles(options) {
+    const olderThan = this.getStringOption(options, "older-than", "");
+    const maxAge = utils.parseDuration(olderThan);
+
+    if (!olderThan || maxAge === null) {
+      this._throwValidationError(
+        "请使用--older-than指定时长（如12h、30d、2w）",
+        { olderThan }
+      );
+    }
+
+    const cutoff = Date.now() - maxAge;
+    const files = this._sortFiles(
+      await this._fetchAllFiles(),
+      "created"
+    ).filter((file) => Date.parse(file.created_at) < cutoff);
+
+    if (files.length === 0) {
+      return `没有早于 ${utils.formatDate(cutoff)} 的文件`;
+    }
+
+    const rows = [["文件ID", "文件名", "大小", "上传时间"]];
+
+    for (const file of files) {
+      rows.push([
+        file.id,
+        file.filename,
+        utils.formatBytes(file.size_bytes),
+        utils.formatDate(file.created_at),
+      ]);
+    }
+
+    console.log(this.formatTable(rows));
+
+    if (this.getBooleanOption(options, "dry-run")) {
+      return `将清理 ${files.length} 个文件（未删除）`;
+    }
+
+    const confirmed = await this._confirm(
+      `确定要删除以上 ${files.length} 个文件吗？`,
+      options
+    );
+
+    if (!confirmed) {
+      return "已取消清理";
+    }
+
+    return this._deleteAll(files.map((file) => file.id));
+  }
+
+  /**
+   * 逐个删除文件，单个文件失败不影响其他文件
+   * @private
+   * @param {Array<string>} fileIds - 文件ID
+   * @returns {Promise<string>} - 执行结果
+   */
+  async _deleteAll(fileIds) {
+    const failures = [];
+
+    for (const fileId of fileIds) {
+      try {
+        await this.api.deleteFile(fileId);
+
+        if (this.logger) {
+          this.logger.info(`已删除文件: ${fileId}`);
+        }
+      } catch (error) {
+        failures.push(`${fileId}: ${error.message}`);
+      }
+    }
+
+    let result = `已删除 ${fileIds.length - failures.length} 个文件`;
+
+    if (failures.length > 0) {
+      result += `，${failures.length} 个失败:\n  ${failures.join("\n  ")}`;
+    }
+
+    return result;
+  }
+
+  /**
+   * 获取所有文件（自动翻页）
+   * @private
+   * @returns {Promise<Array<Object>>} - 文件元数据
+   */
+  async _fetchAllFiles() {
+    const files = [];
+    let afterId;
+
+    do {
+      const page = await this.api.listFiles({ limit: PAGE_SIZE, afterId });
+
+      files.push(...page.data);
+      afterId = page.has_more ? page.last_id : null;
+    } while (afterId);
+
+    return files;
+  }
+
+  /**
+   * 排序文件
+   * 按上传时间默认从新到旧，按文件名和大小默认升序。
+   * @private
+   * @param {Array<Object>} files - 文件元数据
+   * @param {string} sort - 排序字段
+   * @param {boolean} reverse - 是否反转顺序
+   * @returns {Array<Object>} - 排序后的文件
+   */
+  _sortFiles(files, sort, reverse = false) {
+    const getValue = SORT_FIELDS[sort];
+    const direction = (sort === "created" ? -1 : 1) * (reverse ? -1 : 1);
+
+    return [...files].sort((a, b) => {
+      const valueA = getValue(a);
+      const valueB = getValue(b);
+
+      if (typeof valueA === "string") {
+        return valueA.localeCompare(valueB) * direction;
+      }
+
+      return (valueA - valueB) * direction;
+    });
+  }
+
+  /**
+   * 请求用户确认
+   * 指定--yes时直接确认；非交互式终端中没有--yes时视为取消。
+   * @private
+   * @param {string} question - 问题
+   * @param {Object} options - 命令选项
+   * @returns {Promise<boolean>} - 是否确认
+   */
+  async _confirm(question, options) {
+    if (this.getBooleanOption(options, "yes")) {
+      return true;
+    }
+
+    if (!process.stdin.isTTY) {
+      console.log(`${question} 非交互式终端中请使用--yes确认`);
+      return false;
+    }
+
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+    });
+
+    const answer = await new Promise((resolve) =>
+      rl.question(`${question} [y/N]: `, resolve)
+    );
+
+    rl.close();
+
+    return ["y", "yes"].includes(answer.trim().toLowerCase());
+  }
+
+  /**
+   * 抛出验证错误
+   * @private
+   * @param {string} message - 错误消息
+   * @param {Object} data - 附加数据
+   */
+  _throwValidationError(message, data) {
+    if (this.errorHandler) {
+      throw this.errorHandler.createValidationError(message, data);
+    }
+
+    throw new Error(message);
+  }
+
+  /**
+   * 显示帮助信息
+   * @private
+   * @returns {string} - 帮助信息
+   */
+  _showHelp() {
+    let help = "文件命令 - 管理上传到API的文件\n\n";
+    help += "用法:\n";
+    help +=
+      "  claude-cli files upload <文件...>       上传文件（支持通配符）\n";
+    help += "  claude-cli files list                   列出已上传的文件\n";
+    help += "  claude-cli files info <文件ID>          显示文件详情\n";
+    help += "  claude-cli files download <文件ID>      下载文件\n";
+    help += "  claude-cli files delete <文件ID...>     删除文件\n";
+    help += "  claude-cli files prune --older-than <时长>  清理旧文件\n";
+
+    help += "\n选项:\n";
+    help += "  --sort <field>           列表排序字段：created、name、size\n";
+    help += "  --reverse                反转排序顺序\n";
+    help += "  --format <format>        列表输出格式：table、json\n";
+    help += "  --output <file>          下载文件的保存路径\n";
+    help += "  --older-than <duration>  清理早于此时长的文件（如12h、30d）\n";
+    help += "  --dry-run                只列出将被清理的文件\n";
+    help += "  --yes                    删除多个文件时不再确认\n";
+
+    return help;
+  }
+}
+
+module.exports = FilesCommand;
@@ -116,6 +116,8 @@ class HelpCommand extends BaseCommand {
       }
     }
 
+    help += this._getCommandHandler().formatGlobalOptionsHelp();
+
     help += "\n获取命令详细信息，请使用: claude-cli help <命令>";
 
     return help;
@@ -0,0 +1,183 @@
+/**
+ * 模拟服务器命令
+ *
+ * 用于启动本地的模拟Anthropic API服务器，以便在离线状态下测试各个命令。
+ */
+
+const BaseCommand = require("../base-command");
+const MockServer = require("../../api/mock-server");
+
+/**
+ * 模拟服务器命令类
+ */
+class MockServerCommand extends BaseCommand {
+  /**
+   * 创建命令实例
+   * @param {Object} options - 选项
+   */
+  constructor(options) {
+    super(options);
+
+    this.name = "mock-server";
+    this.description = "启动本地模拟API服务器";
+    this.aliases = ["mock"];
+    this.usage = "claude-cli mock-server [选项]";
+    this.examples = [
+      "claude-cli mock-server",
+      "claude-cli mock-server --port 4010 --fixture fixtures.yaml",
+      "claude-cli mock-server --fail 529 --fail-times 2",
+      "claude-cli mock-server --fail drop --fail-path /v1/messages",
+    ];
+    this.options = [
+      {
+        flags: "--port <port>",
+        description: "监听端口",
+        default: "4010",
+      },
+      {
+        flags: "--host <host>",
+        description: "监听地址",
+        default: "127.0.0.1",
+      },
+      {
+        flags: "--fixture <file>",
+        description: "夹具文件（JSON或YAML），定义预设响应和错误规则",
+      },
+      {
+        flags: "--fail <status|drop|slow>",
+        description: "注入错误：HTTP状态码、断开连接或慢响应",
+      },
+      {
+        flags: "--fail-path <path>",
+        description: "注入错误的路径（以*结尾表示前缀匹配）",
+        default: "/v1/*",
+      },
+      {
+        flags: "--fail-times <n>",
+        description: "注入错误的次数（默认不限）",
+      },
+      {
+        flags: "--delay <ms>",
+        description:
+          "所有响应的延迟（毫秒），与--fail slow一起使用时为慢响应的延迟",
+        default: "0",
+      },
+    ];
+    this.group = "基本";
+    this.requiresAuth = false;
+  }
+
+  /**
+   * 执行命令
+   * @param {Array<string>} args - 命令参数
+   * @param {Object} options - 命令选项
+   * @returns {Promise<string>} - 执行结果
+   */
+  async execute(args, options) {
+    try {
+      const fixturePath = this.getStringOption(options, "fixture", "");
+      const fixtures = fixturePath ? MockServer.loadFixtures(fixturePath) : {};
+      const delay = this.getNumberOption(options, "delay", 0);
+      const failRule = this._createFailRule(options, delay);
+
+      // 指定--fail slow时，--delay只作用于慢响应
+      if (delay && !(failRule && failRule.delay)) {
+        fixtures.defaults = { ...fixtures.defaults, latency: delay };
+      }
+
+      const server = new MockServer({
+        fixtures,
+        port: this.getNumberOption(options, "port", 4010),
+        host: this.getStringOption(options, "host", "127.0.0.1"),
+        logger: this.logger,
+      });
+
+      if (failRule) {
+        server.addErrorRule(failRule);
+      }
+
+      const url = await server.start();
+
+      console.log(`模拟API服务器已启动: ${url}`);
+      console.log(`使用方法: claude-cli config set apiUrl ${url}`);
+      console.log(
+        `运行时注入错误: curl -X POST ${url}/_mock/errors -d '{"status":429,"times":1}'`
+      );
+      console.log("按 Ctrl-C 停止服务器");
+
+      await this._waitForExit();
+      await server.stop();
+
+      return `模拟API服务器已停止，共处理 ${server.requestLog.length} 个请求`;
+    } catch (error) {
+      if (this.logger) {
+        this.logger.error(`模拟服务器命令执行失败: ${error.message}`);
+      }
+
+      if (this.errorHandler) {
+        this.errorHandler.handleError(error);
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * 根据命令选项创建错误注入规则
+   * @private
+   * @param {Object} options - 命令选项
+   * @param {number} delay - 延迟（毫秒）
+   * @returns {Object|null} - 错误注入规则
+   */
+  _createFailRule(options, delay) {
+    const fail = this.getStringOption(options, "fail", "");
+
+    if (!fail) {
+      return null;
+    }
+
+    const rule = { path: this.getStringOption(options, "fail-path", "/v1/*") };
+
+    if (options["fail-times"] !== undefined) {
+      rule.times = this.getNumberOption(options, "fail-times", 1);
+    }
+
+    if (fail === "drop") {
+      rule.drop = true;
+    } else if (fail === "slow") {
+      rule.delay = delay || 30000;
+    } else if (/^\d{3}$/.test(fail)) {
+      rule.status = Number(fail);
+    } else {
+      const message = `无效的错误类型: ${fail}（应为HTTP状态码、drop或slow）`;
+
+      if (this.errorHandler) {
+        throw this.errorHandler.createValidationError(message, { fail });
+      }
+
+      throw new Error(message);
+    }
+
+    return rule;
+  }
+
+  /**
+   * 等待用户按下Ctrl-C或进程收到终止信号
+   * @private
+   * @returns {Promise<void>}
+   */
+  _waitForExit() {
+    return new Promise((resolve) => {
+      const onSignal = () => {
+        process.removeListener("SIGINT", onSignal);
+        process.removeListener("SIGTERM", onSignal);
+        resolve();
+      };
+
+      process.on("SIGINT", onSignal);
+      process.on("SIGTERM", onSignal);
+    });
+  }
+}
+
+module.exports = MockServerCommand;
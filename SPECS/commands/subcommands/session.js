@@ -0,0 +1,271 @@
+/**
+ * 会话命令
+ *
+ * 用于查看和删除保存在会话目录中的聊天会话。
+ */
+
+const fs = require("fs");
+const path = require("path");
+const BaseCommand = require("../base-command");
+const utils = require("../../core/utils");
+
+/**
+ * 会话命令类
+ */
+class SessionCommand extends BaseCommand {
+  /**
+   * 创建命令实例
+   * @param {Object} options - 选项
+   */
+  constructor(options) {
+    super(options);
+
+    this.name = "session";
+    this.description = "管理保存的聊天会话";
+    this.aliases = ["sessions"];
+    this.usage = "claude-cli session <命令> [参数] [选项]";
+    this.examples = [
+      "claude-cli session list",
+      "claude-cli session delete session_1234567890",
+      "claude-cli session delete session_1234567890 --delete-files",
+    ];
+    this.options = [
+      {
+        flags: "--delete-files",
+        description: "同时删除会话上传的文件（仍被其他会话使用的文件除外）",
+      },
+    ];
+    this.group = "对话";
+    this.requiresAuth = false;
+  }
+
+  /**
+   * 执行命令
+   * @param {Array<string>} args - 命令参数
+   * @param {Object} options - 命令选项
+   * @param {string} subcommand - 子命令
+   * @returns {Promise<string>} - 执行结果
+   */
+  async execute(args, options, subcommand) {
+    try {
+      switch (subcommand) {
+        case "list":
+          return this._listSessions();
+        case "delete":
+          return await this._deleteSession(args, options);
+        default:
+          // 没有指定子命令，显示帮助信息
+          return this._showHelp();
+      }
+    } catch (error) {
+      if (this.logger) {
+        this.logger.error(`会话命令执行失败: ${error.message}`);
+      }
+
+      if (this.errorHandler) {
+        this.errorHandler.handleError(error);
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * 列出会话
+   * @private
+   * @returns {string} - 会话列表
+   */
+  _listSessions() {
+    const sessions = this._readSessions();
+
+    if (sessions.length === 0) {
+      return "没有保存的会话";
+    }
+
+    const rows = [["会话ID", "保存时间", "消息数", "文件数"]];
+
+    for (const session of sessions) {
+      rows.push([
+        session.id,
+        session.createdAt ? utils.formatDate(session.createdAt) : "-",
+        (session.messages || []).length,
+        (session.fileIds || []).length,
+      ]);
+    }
+
+    return this.formatTable(rows);
+  }
+
+  /**
+   * 删除会话
+   * @private
+   * @param {Array<string>} args - 命令参数
+   * @param {Object} options - 命令选项
+   * @returns {Promise<string>} - 执行结果
+   */
+  async _deleteSession(args, options) {
+    this.validateRequiredArgs(args, 1, "请指定要删除的会话ID");
+
+    const sessionId = args[0];
+    const sessionFile = this._getSessionPath(sessionId);
+
+    if (!fs.existsSync(sessionFile)) {
+      const message = `会话不存在: ${sessionId}`;
+
+      if (this.errorHandler) {
+        throw this.errorHandler.createValidationError(message, {
+          sessionId,
+          sessionFile,
+        });
+      }
+
+      throw new Error(message);
+    }
+
+    const session = JSON.parse(fs.readFileSync(sessionFile, "utf8"));
+    let result = `已删除会话: ${sessionId}`;
+
+    if (this.getBooleanOption(options, "delete-files")) {
+      result += `\n${await this._deleteUploadedFiles(session)}`;
+    }
+
+    fs.unlinkSync(sessionFile);
+
+    if (this.logger) {
+      this.logger.info(`已删除会话: ${sessionFile}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * 删除会话上传的文件
+   * 其他会话仍在使用（复用）的文件会被保留。
+   * @private
+   * @param {Object} session - 会话数据
+   * @returns {Promise<string>} - 执行结果
+   */
+  async _deleteUploadedFiles(session) {
+    const usedByOthers = new Set(
+      this._readSessions()
+        .filter((other) => other.id !== session.id)
+        .flatMap((other) => other.fileIds || [])
+    );
+
+    const fileIds = (session.uploadedFileIds || []).filter(
+      (fileId) => !usedByOthers.has(fileId)
+    );
+    const kept = (session.uploadedFileIds || []).length - fileIds.length;
+    let deleted = 0;
+
+    for (const fileId of fileIds) {
+      try {
+        await this.api.deleteFile(fileId);
+        deleted++;
+      } catch (error) {
+        const status =
+          error.statusCode || (error.response && error.response.status);
+
+        // 远程已经不存在的文件视为已删除
+        if (status === 404) {
+          deleted++;
+          continue;
+        }
+
+        if (this.logger) {
+          this.logger.warn(`删除文件失败 ${fileId}: ${error.message}`);
+        }
+      }
+    }
+
+    let result = `已删除 ${deleted} 个上传的文件`;
+
+    if (deleted < fileIds.length) {
+      result += `，${fileIds.length - deleted} 个失败`;
+    }
+
+    if (kept > 0) {
+      result += `，${kept} 个仍被其他会话使用的文件已保留`;
+    }
+
+    return result;
+  }
+
+  /**
+   * 读取会话目录中的所有会话
+   * @private
+   * @returns {Array<Object>} - 会话数据（按保存时间从新到旧）
+   */
+  _readSessions() {
+    const sessionDir = this._getSessionDir();
+
+    if (!fs.existsSync(sessionDir)) {
+      return [];
+    }
+
+    const sessions = [];
+
+    for (const file of fs.readdirSync(sessionDir)) {
+      if (!file.endsWith(".json")) {
+        continue;
+      }
+
+      try {
+        const session = JSON.parse(
+          fs.readFileSync(path.join(sessionDir, file), "utf8")
+        );
+
+        sessions.push({ ...session, id: session.id || file.slice(0, -5) });
+      } catch (error) {
+        if (this.logger) {
+          this.logger.warn(`无法读取会话文件 ${file}: ${error.message}`);
+        }
+      }
+    }
+
+    return sessions.sort((a, b) =>
+      String(b.createdAt || "").localeCompare(String(a.createdAt || ""))
+    );
+  }
+
+  /**
+   * 获取会话目录
+   * @private
+   * @returns {string} - 会话目录
+   */
+  _getSessionDir() {
+    return (
+      this.config.get("sessionsPath") ||
+      path.join(path.dirname(this.config.configPath), "sessions")
+    );
+  }
+
+  /**
+   * 获取会话文件路径
+   * @private
+   * @param {string} sessionId - 会话ID
+   * @returns {string} - 会话文件路径
+   */
+  _getSessionPath(sessionId) {
+    return path.join(this._getSessionDir(), `${sessionId}.json`);
+  }
+
+  /**
+   * 显示帮助信息
+   * @private
+   * @returns {string} - 帮助信息
+   */
+  _showHelp() {
+    let help = "会话命令 - 管理保存的聊天会话\n\n";
+    help += "用法:\n";
+    help += "  claude-cli session list           列出保存的会话\n";
+    help += "  claude-cli session delete <会话ID> 删除会话\n";
+
+    help += "\n选项:\n";
+    help += "  --delete-files  同时删除会话上传的文件\n";
+
+    return help;
+  }
+}
+
+module.exports = SessionCommand;
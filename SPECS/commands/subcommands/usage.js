@@ -0,0 +1,399 @@
+/**
+ * 用量命令
+ *
+ * 用于查看本地用量账本中记录的令牌用量，并按价格表估算费用。
+ */
+
+const BaseCommand = require("../base-command");
+const utils = require("../../core/utils");
+const { formatCost } = require("../../api/budget");
+
+// 子命令对应的汇总维度、表头和默认统计天数
+const REPORTS = {
+  daily: { groupBy: "day", label: "日期", days: 30 },
+  weekly: { groupBy: "week", label: "周（周一）", days: 84 },
+  models: { groupBy: "model", label: "模型", days: 30 },
+  keys: { groupBy: "key", label: "API密钥", days: 30 },
+  commands: { groupBy: "command", label: "命令", days: 30 },
+};
+
+// 支持的输出格式
+const FORMATS = ["table", "json", "csv"];
+
+// 汇总结果中的令牌字段
+const TOKEN_FIELDS = [
+  "input_tokens",
+  "output_tokens",
+  "cache_creation_input_tokens",
+  "cache_read_input_tokens",
+];
+
+/**
+ * 用量命令类
+ */
+class UsageCommand extends BaseCommand {
+  /**
+   * 创建命令实例
+   * @param {Object} options - 选项
+   */
+  constructor(options) {
+    super(options);
+
+    this.name = "usage";
+    this.description = "查看令牌用量和估算费用";
+    this.aliases = ["cost"];
+    this.usage =
+      "claude-cli usage [daily|weekly|models|keys|commands|budget] [选项]";
+    this.examples = [
+      "claude-cli usage",
+      "claude-cli usage weekly",
+      "claude-cli usage budget",
+      "claude-cli usage models --since 2024-06-01",
+      "claude-cli usage daily --key work --format csv > usage.csv",
+    ];
+    this.options = [
+      {
+        flags: "--since <date>",
+        description: "起始日期（默认：按日30天，按周12周）",
+      },
+      {
+        flags: "--until <date>",
+        description: "结束日期（不包含）",
+      },
+      {
+        flags: "--model <model>",
+        description: "只统计指定模型（前缀匹配）",
+      },
+      {
+        flags: "--key <name>",
+        description: "只统计指定API密钥",
+      },
+      {
+        flags: "--format <format>",
+        description: "输出格式：table、json、csv",
+        default: "table",
+      },
+    ];
+    this.group = "配置";
+    this.requiresAuth = false;
+  }
+
+  /**
+   * 执行命令
+   * @param {Array<string>} args - 命令参数
+   * @param {Object} options - 命令选项
+   * @param {string} subcommand - 子命令
+   * @returns {Promise<string>} - 执行结果
+   */
+  async execute(args, options, subcommand) {
+    try {
+      const ledger = this.api.usageLedger;
+
+      if (!ledger) {
+        return "用量记录未启用（配置项usageTracking为false）";
+      }
+
+      if (subcommand === "budget") {
+        return this._showBudget();
+      }
+
+      const report = REPORTS[subcommand || "daily"];
+
+      if (!report) {
+        return this._showHelp();
+      }
+
+      const format = this.getStringOption(options, "format", "table");
+
+      if (!FORMATS.includes(format)) {
+        const message = `无效的输出格式: ${format}（应为${FORMATS.join("、")}）`;
+
+        if (this.errorHandler) {
+          throw this.errorHandler.createValidationError(message, { format });
+        }
+
+        throw new Error(message);
+      }
+
+      const filters = {
+        since:
+          this._parseDate(options, "since") || this._getDefaultSince(report),
+        until: this._parseDate(options, "until"),
+        model: this.getStringOption(options, "model", "") || undefined,
+        keyName: this.getStringOption(options, "key", "") || undefined,
+      };
+
+      const rows = ledger.summarize(ledger.read(filters), report.groupBy);
+      const total = this._sumRows(rows);
+
+      switch (format) {
+        case "json":
+          return JSON.stringify(
+            {
+              groupBy: report.groupBy,
+              since: filters.since.toISOString(),
+              until: filters.until ? filters.until.toISOString() : null,
+              rows,
+              total,
+            },
+            null,
+            2
+          );
+        case "csv":
+          return this._formatCsv(rows);
+        default:
+          return this._formatReport(rows, total, report, filters);
+      }
+    } catch (error) {
+      if (this.logger) {
+        this.logger.error(`用量命令执行失败: ${error.message}`);
+      }
+
+      if (this.errorHandler) {
+        this.errorHandler.handleError(error);
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * 解析日期选项
+   * @private
+   * @param {Object} options - 命令选项
+   * @param {string} name - 选项名
+   * @returns {Date|null} - 日期，未指定时返回null
+   */
+  _parseDate(options, name) {
+    const value = this.getStringOption(options, name, "");
+
+    if (!value) {
+      return null;
+    }
+
+    // 只有日期时按本地时间的零点计算
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(value)
+      ? new Date(`${value}T00:00:00`)
+      : new Date(value);
+
+    if (isNaN(date.getTime())) {
+      const message = `无效的日期: ${value}`;
+
+      if (this.errorHandler) {
+        throw this.errorHandler.createValidationError(message, {
+          [name]: value,
+        });
+      }
+
+      throw new Error(message);
+    }
+
+    return date;
+  }
+
+  /**
+   * 获取默认的起始日期
+   * @private
+   * @param {Object} report - 报表定义
+   * @returns {Date} - 起始日期（本地时间零点）
+   */
+  _getDefaultSince(report) {
+    const since = new Date();
+    since.setHours(0, 0, 0, 0);
+    since.setDate(since.getDate() - report.days + 1);
+
+    // 按周统计时从周一开始
+    if (report.groupBy === "week") {
+      since.setDate(since.getDate() - ((since.getDay() + 6) % 7));
+    }
+
+    return since;
+  }
+
+  /**
+   * 计算合计
+   * @private
+   * @param {Array<Object>} rows - 汇总结果
+   * @returns {Object} - 合计
+   */
+  _sumRows(rows) {
+    const total = { requests: 0 };
+
+    for (const field of [...TOKEN_FIELDS, "cost", "unpriced"]) {
+      total[field] = 0;
+    }
+
+    for (const row of rows) {
+      for (const field of Object.keys(total)) {
+        total[field] += row[field];
+      }
+    }
+
+    return total;
+  }
+
+  /**
+   * 格式化表格报表
+   * @private
+   * @param {Array<Object>} rows - 汇总结果
+   * @param {Object} total - 合计
+   * @param {Object} report - 报表定义
+   * @param {Object} filters - 过滤条件
+   * @returns {string} - 报表
+   */
+  _formatReport(rows, total, report, filters) {
+    const range = `${utils.formatDate(filters.since, "yyyy-MM-dd")} 至 ${
+      filters.until ? utils.formatDate(filters.until, "yyyy-MM-dd") : "今天"
+    }`;
+
+    if (rows.length === 0) {
+      return `${range} 没有用量记录`;
+    }
+
+    const toRow = (label, row) => [
+      label,
+      row.requests,
+      row.input_tokens,
+      row.output_tokens,
+      row.cache_creation_input_tokens,
+      row.cache_read_input_tokens,
+      `$${row.cost.toFixed(4)}${row.unpriced > 0 ? "*" : ""}`,
+    ];
+
+    const table = [
+      [
+        report.label,
+        "请求数",
+        "输入",
+        "输出",
+        "缓存写入",
+        "缓存读取",
+        "估算费用",
+      ],
+      ...rows.map((row) => toRow(row.group, row)),
+      toRow("合计", total),
+    ];
+
+    let result = `用量统计（${range}）\n\n${this.formatTable(table)}`;
+
+    if (total.unpriced > 0) {
+      result += `\n* ${total.unpriced} 个请求的模型不在价格表中，未计入费用（可通过配置项prices设置价格）\n`;
+    }
+
+    return result;
+  }
+
+  /**
+   * 格式化CSV
+   * @private
+   * @param {Array<Object>} rows - 汇总结果
+   * @returns {string} - CSV文本
+   */
+  _formatCsv(rows) {
+    const escape = (value) => {
+      const text = String(value);
+
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [
+      ["group", "requests", ...TOKEN_FIELDS, "cost_usd", "unpriced_requests"],
+      ...rows.map((row) => [
+        row.group,
+        row.requests,
+        ...TOKEN_FIELDS.map((field) => row[field]),
+        row.cost.toFixed(6),
+        row.unpriced,
+      ]),
+    ];
+
+    return lines.map((line) => line.map(escape).join(",")).join("\n");
+  }
+
+  /**
+   * 显示预算状态
+   * @private
+   * @returns {string} - 预算状态
+   */
+  _showBudget() {
+    const budget = this.api.budget;
+
+    if (!budget) {
+      return "未设置预算（配置项budgets）";
+    }
+
+    // 全局预算和每个API密钥单独的预算
+    const statuses = [
+      ...budget.getStatus(null),
+      ...Object.keys(budget.limits.keys || {}).flatMap((keyName) =>
+        budget.getStatus(keyName).filter((status) => status.keyName)
+      ),
+    ];
+
+    if (statuses.length === 0) {
+      return "未设置预算（配置项budgets）";
+    }
+
+    const formatLimit = (limit) =>
+      limit === undefined ? "-" : formatCost(limit);
+
+    const getState = (status) => {
+      if (status.hard !== undefined && status.spent >= status.hard) {
+        return "已达到硬上限";
+      }
+
+      if (status.soft !== undefined && status.spent >= status.soft) {
+        return "已超过软上限";
+      }
+
+      return "正常";
+    };
+
+    const table = [
+      ["范围", "周期", "已花费", "软上限", "硬上限", "状态"],
+      ...statuses.map((status) => [
+        status.keyName ? `密钥 ${status.keyName}` : "全部",
+        status.label,
+        formatCost(status.spent),
+        formatLimit(status.soft),
+        formatLimit(status.hard),
+        getState(status),
+      ]),
+    ];
+
+    return `预算状态\n\n${this.formatTable(table)}`;
+  }
+
+  /**
+   * 显示帮助信息
+   * @private
+   * @returns {string} - 帮助信息
+   */
+  _showHelp() {
+    let help = "用量命令 - 查看令牌用量和估算费用\n\n";
+    help += "用法:\n";
+    help += "  claude-cli usage daily     按日统计（默认）\n";
+    help += "  claude-cli usage weekly    按周统计\n";
+    help += "  claude-cli usage models    按模型统计\n";
+    help += "  claude-cli usage keys      按API密钥统计\n";
+    help += "  claude-cli usage commands  按命令统计\n";
+    help += "  claude-cli usage budget    显示预算状态\n";
+
+    help += "\n选项:\n";
+    help += "  --since <date>     起始日期\n";
+    help += "  --until <date>     结束日期（不包含）\n";
+    help += "  --model <model>    只统计指定模型\n";
+    help += "  --key <name>       只统计指定API密钥\n";
+    help += "  --format <format>  输出格式：table、json、csv\n";
+
+    help += "\n相关配置项:\n";
+    help += "  usageTracking   是否记录用量（默认true）\n";
+    help += "  usagePath       用量账本路径（默认~/.claude-cli/usage.jsonl）\n";
+    help += "  prices          价格表（美元/百万令牌），按模型名前缀匹配\n";
+    help += "  budgets         每日和每月的费用预算（美元），可按API密钥设置\n";
+
+    return help;
+  }
+}
+
+module.exports = UsageCommand;
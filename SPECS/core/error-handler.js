@@ -58,16 +58,186 @@ class NetworkError extends ClaudeCliError {
   }
 }
 
+/**
+ * 解析响应头中的建议重试等待时间
+ * @param {Object} headers - 响应头（键名均为小写）
+ * @returns {number|null} - 等待时间（秒），没有建议时返回null
+ */
+function parseRetryAfter(headers) {
+  const milliseconds = parseFloat(headers["retry-after-ms"]);
+
+  if (!isNaN(milliseconds) && milliseconds >= 0) {
+    return milliseconds / 1000;
+  }
+
+  const value = headers["retry-after"];
+
+  if (value === undefined) {
+    return null;
+  }
+
+  const seconds = parseFloat(value);
+
+  if (!isNaN(seconds) && seconds >= 0) {
+    return seconds;
+  }
+
+  const date = Date.parse(value);
+
+  return isNaN(date) ? null : Math.max(0, (date - Date.now()) / 1000);
+}
+
 /**
  * API错误
  */
 class ApiError extends ClaudeCliError {
-  constructor(message, statusCode, data = {}) {
-    super(message, "API_ERROR", { statusCode, ...data });
+  /**
+   * 构造函数
+   * @param {string} message - 错误消息
+   * @param {number} statusCode - HTTP状态码
+   * @param {Object} data - 附加数据（requestId、retryable、retryAfter会同时设置为错误的属性）
+   * @param {string} code - 错误代码
+   */
+  constructor(message, statusCode, data = {}, code = "API_ERROR") {
+    super(message, code, { statusCode, ...data });
     this.statusCode = statusCode;
+    this.requestId = data.requestId || null;
+    this.retryable = data.retryable === true;
+    this.retryAfter = data.retryAfter ?? null;
+  }
+
+  /**
+   * 按API返回的错误类型创建对应的错误
+   * 错误类型缺失时按状态码推断；响应头中的request-id、retry-after和x-should-retry会被提取。
+   * @param {string} message - 错误消息
+   * @param {number} statusCode - HTTP状态码
+   * @param {Object} data - 附加数据（API的错误响应体，以及可选的headers）
+   * @returns {ApiError} - 错误实例
+   */
+  static create(message, statusCode, data = {}) {
+    const headers = data.headers || {};
+    const type =
+      data.error?.type ||
+      API_ERROR_STATUSES[statusCode] ||
+      (statusCode >= 500 ? "api_error" : undefined);
+    const ErrorClass = API_ERROR_TYPES[type] || ApiError;
+    const details = {
+      ...data,
+      requestId: data.requestId || headers["request-id"] || null,
+      retryAfter: parseRetryAfter(headers),
+    };
+
+    // 服务端显式指示是否重试时以响应头为准，否则使用错误类型的默认值
+    const shouldRetry = headers["x-should-retry"];
+
+    if (shouldRetry === "true" || shouldRetry === "false") {
+      details.retryable = shouldRetry === "true";
+    }
+
+    return new ErrorClass(message, statusCode, details);
+  }
+}
+
+/**
+ * 请求无效（invalid_request_error）
+ */
+class InvalidRequestError extends ApiError {
+  constructor(message, statusCode = 400, data = {}) {
+    super(message, statusCode, data, "INVALID_REQUEST_ERROR");
+  }
+}
+
+/**
+ * API密钥无效（authentication_error）
+ * 与AuthenticationError不同，表示API拒绝了请求使用的凭据。
+ */
+class ApiAuthenticationError extends ApiError {
+  constructor(message, statusCode = 401, data = {}) {
+    super(message, statusCode, data, "API_AUTHENTICATION_ERROR");
+  }
+}
+
+/**
+ * 没有权限（permission_error）
+ */
+class PermissionDeniedError extends ApiError {
+  constructor(message, statusCode = 403, data = {}) {
+    super(message, statusCode, data, "PERMISSION_ERROR");
   }
 }
 
+/**
+ * 资源不存在（not_found_error）
+ */
+class NotFoundError extends ApiError {
+  constructor(message, statusCode = 404, data = {}) {
+    super(message, statusCode, data, "NOT_FOUND_ERROR");
+  }
+}
+
+/**
+ * 超过速率限制（rate_limit_error），默认可重试
+ */
+class RateLimitError extends ApiError {
+  constructor(message, statusCode = 429, data = {}) {
+    super(
+      message,
+      statusCode,
+      { retryable: true, ...data },
+      "RATE_LIMIT_ERROR"
+    );
+  }
+}
+
+/**
+ * API过载（overloaded_error），默认可重试
+ */
+class OverloadedError extends ApiError {
+  constructor(message, statusCode = 529, data = {}) {
+    super(
+      message,
+      statusCode,
+      { retryable: true, ...data },
+      "OVERLOADED_ERROR"
+    );
+  }
+}
+
+/**
+ * API内部错误（api_error），默认可重试
+ */
+class InternalServerError extends ApiError {
+  constructor(message, statusCode = 500, data = {}) {
+    super(
+      message,
+      statusCode,
+      { retryable: true, ...data },
+      "INTERNAL_SERVER_ERROR"
+    );
+  }
+}
+
+// API错误类型对应的错误类
+const API_ERROR_TYPES = {
+  invalid_request_error: InvalidRequestError,
+  authentication_error: ApiAuthenticationError,
+  permission_error: PermissionDeniedError,
+  not_found_error: NotFoundError,
+  rate_limit_error: RateLimitError,
+  overloaded_error: OverloadedError,
+  api_error: InternalServerError,
+};
+
+// 响应体中没有错误类型时，按状态码推断
+const API_ERROR_STATUSES = {
+  400: "invalid_request_error",
+  401: "authentication_error",
+  403: "permission_error",
+  404: "not_found_error",
+  429: "rate_limit_error",
+  529: "overloaded_error",
+};
+
 /**
  * 认证错误
  */
@@ -104,6 +274,15 @@ class CommandError extends ClaudeCliError {
   }
 }
 
+/**
+ * 预算超限错误
+ */
+class BudgetExceededError extends ClaudeCliError {
+  constructor(message, data = {}) {
+    super(message, "BUDGET_EXCEEDED", data);
+  }
+}
+
 /**
  * 错误处理器类
  */
@@ -179,7 +358,7 @@ class ErrorHandler {
       case "network":
         return new NetworkError(message, data);
       case "api":
-        return new ApiError(message, data.statusCode, data);
+        return ApiError.create(message, data.statusCode, data);
       case "authentication":
         return new AuthenticationError(message, data);
       case "configuration":
@@ -188,11 +367,54 @@ class ErrorHandler {
         return new ValidationError(message, data);
       case "command":
         return new CommandError(message, data);
+      case "budget":
+        return new BudgetExceededError(message, data);
       default:
         return new ClaudeCliError(message, type.toUpperCase() + "_ERROR", data);
     }
   }
 
+  /**
+   * 创建API错误（按API返回的错误类型选择错误类）
+   * @param {string} message - 错误消息
+   * @param {number} statusCode - HTTP状态码
+   * @param {Object} data - 附加数据（API的错误响应体，以及可选的headers和requestId）
+   * @returns {ApiError} - 错误实例
+   */
+  createApiError(message, statusCode, data = {}) {
+    return ApiError.create(message, statusCode, data);
+  }
+
+  /**
+   * 创建网络错误
+   * @param {string} message - 错误消息
+   * @param {Object} data - 附加数据
+   * @returns {NetworkError} - 错误实例
+   */
+  createNetworkError(message, data = {}) {
+    return new NetworkError(message, data);
+  }
+
+  /**
+   * 创建输入验证错误
+   * @param {string} message - 错误消息
+   * @param {Object} data - 附加数据
+   * @returns {ValidationError} - 错误实例
+   */
+  createValidationError(message, data = {}) {
+    return new ValidationError(message, data);
+  }
+
+  /**
+   * 创建命令执行错误
+   * @param {string} message - 错误消息
+   * @param {Object} data - 附加数据
+   * @returns {CommandError} - 错误实例
+   */
+  createCommandError(message, data = {}) {
+    return new CommandError(message, data);
+  }
+
   /**
    * 处理给定的错误
    * @param {Error} error - 错误对象
@@ -213,7 +435,15 @@ module.exports = ErrorHandler;
 module.exports.ClaudeCliError = ClaudeCliError;
 module.exports.NetworkError = NetworkError;
 module.exports.ApiError = ApiError;
+module.exports.InvalidRequestError = InvalidRequestError;
+module.exports.ApiAuthenticationError = ApiAuthenticationError;
+module.exports.PermissionDeniedError = PermissionDeniedError;
+module.exports.NotFoundError = NotFoundError;
+module.exports.RateLimitError = RateLimitError;
+module.exports.OverloadedError = OverloadedError;
+module.exports.InternalServerError = InternalServerError;
 module.exports.AuthenticationError = AuthenticationError;
 module.exports.ConfigurationError = ConfigurationError;
 module.exports.ValidationError = ValidationError;
 module.exports.CommandError = CommandError;
+module.exports.BudgetExceededError = BudgetExceededError;
@@ -46,6 +46,7 @@ class Logger {
       logDir: path.join(os.homedir(), ".claude-cli", "logs"),
       logFilename: "claude-cli.log",
       maxLogFileSize: 10 * 1024 * 1024, // 10MB
+      stderr: false, // 所有级别都输出到标准错误（标准输出只保留命令结果时使用）
       ...options,
     };
 
@@ -147,7 +148,7 @@ class Logger {
     const consoleOutput = this._formatMessage(level, message, true);
 
     // 选择适当的控制台方法
-    if (level === "error") {
+    if (level === "error" || this.options.stderr) {
       console.error(consoleOutput);
     } else if (level === "warn") {
       console.warn(consoleOutput);
@@ -202,6 +203,14 @@ class Logger {
     this._log("trace", ...args);
   }
 
+  /**
+   * 设置是否将所有级别的日志输出到标准错误
+   * @param {boolean} enabled - 是否启用
+   */
+  setStderr(enabled) {
+    this.options.stderr = enabled;
+  }
+
   /**
    * 设置日志级别
    * @param {string} level - 日志级别
@@ -4,6 +4,9 @@
  * 提供各种通用的辅助功能，如字符串处理、日期格式化、对象操作等。
  */
 
+const fs = require("fs");
+const path = require("path");
+
 /**
  * 截断字符串到指定长度
  * @param {string} str - 要截断的字符串
@@ -109,6 +112,26 @@ function formatDate(date, format = "yyyy-MM-dd HH:mm:ss") {
   return format.replace(/yyyy|MM|dd|HH|mm|ss/g, (match) => replacements[match]);
 }
 
+/**
+ * 格式化字节数
+ * @param {number} bytes - 字节数
+ * @returns {string} - 可读的大小（如"1.5 MB"）
+ */
+function formatBytes(bytes) {
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  let value = bytes;
+  let unitIndex = 0;
+
+  while (value >= 1024 && unitIndex < units.length - 1) {
+    value /= 1024;
+    unitIndex++;
+  }
+
+  return unitIndex === 0
+    ? `${value} ${units[0]}`
+    : `${value.toFixed(1)} ${units[unitIndex]}`;
+}
+
 /**
  * 生成UUID
  * @returns {string} - UUID字符串
@@ -164,10 +187,32 @@ function throttle(func, limit = 300) {
 /**
  * 休眠函数
  * @param {number} ms - 休眠时间（毫秒）
+ * @param {AbortSignal} signal - 中止信号（中止时提前以signal.reason拒绝）
  * @returns {Promise<void>} - Promise
  */
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+function sleep(ms, signal) {
+  if (!signal) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+
+    const timer = setTimeout(() => {
+      signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+
+    signal.addEventListener("abort", onAbort, { once: true });
+  });
 }
 
 /**
@@ -175,13 +220,21 @@ function sleep(ms) {
  * @param {Function} fn - 要重试的函数
  * @param {Object} options - 选项
  * @param {number} options.retries - 重试次数
- * @param {number} options.retryDelay - 重试延迟（毫秒）
- * @param {Function} options.onRetry - 重试回调
+ * @param {number|Function} options.retryDelay - 重试延迟（毫秒），或根据(error, attempt)计算延迟的函数
+ * @param {Function} options.shouldRetry - 判断是否重试的函数，接收(error, attempt)
+ * @param {Function} options.onRetry - 重试回调，接收(error, attempt, delay)
+ * @param {AbortSignal} options.signal - 中止信号（中止后不再重试）
  * @returns {Promise<*>} - Promise
  */
 async function retry(
   fn,
-  { retries = 3, retryDelay = 300, onRetry = null } = {}
+  {
+    retries = 3,
+    retryDelay = 300,
+    shouldRetry = null,
+    onRetry = null,
+    signal = null,
+  } = {}
 ) {
   let lastError;
 
@@ -191,12 +244,25 @@ async function retry(
     } catch (error) {
       lastError = error;
 
-      if (attempt < retries) {
-        if (onRetry) {
-          onRetry(error, attempt);
-        }
+      const retryable = shouldRetry ? shouldRetry(error, attempt) : true;
 
-        await sleep(retryDelay);
+      if (attempt >= retries || !retryable || (signal && signal.aborted)) {
+        break;
+      }
+
+      const delay =
+        typeof retryDelay === "function"
+          ? retryDelay(error, attempt)
+          : retryDelay;
+
+      if (onRetry) {
+        onRetry(error, attempt, delay);
+      }
+
+      try {
+        await sleep(delay, signal);
+      } catch (abortError) {
+        break;
       }
     }
   }
@@ -227,6 +293,143 @@ function isMatchingPattern(input, pattern, exact = false) {
   return false;
 }
 
+// 时长单位（毫秒）
+const DURATION_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * 解析时长
+ * @param {string|number} value - 时长（如"30m"、"12h"、"7d"、"2w"，纯数字视为毫秒）
+ * @returns {number|null} - 毫秒数，无法解析时返回null
+ */
+function parseDuration(value) {
+  if (typeof value === "number") {
+    return value >= 0 ? value : null;
+  }
+
+  const match = String(value)
+    .trim()
+    .match(/^(\d+(?:\.\d+)?)\s*([smhdw]?)$/i);
+
+  if (!match) {
+    return null;
+  }
+
+  const unit = match[2].toLowerCase();
+
+  return Math.round(Number(match[1]) * (unit ? DURATION_UNITS[unit] : 1));
+}
+
+/**
+ * 检查路径是否包含通配符
+ * @param {string} pattern - 路径
+ * @returns {boolean} - 是否包含通配符
+ */
+function hasGlob(pattern) {
+  return /[*?[]/.test(pattern);
+}
+
+/**
+ * 将通配符模式转换为正则表达式
+ * 支持*、?、[...]，以及匹配任意层目录的**。
+ * @param {string} pattern - 通配符模式（以/分隔）
+ * @returns {RegExp} - 正则表达式
+ */
+function globToRegExp(pattern) {
+  let source = "";
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === "*" && pattern[i + 1] === "*") {
+      // "**/"匹配零层或多层目录
+      if (pattern[i + 2] === "/") {
+        source += "(?:.*/)?";
+        i += 2;
+      } else {
+        source += ".*";
+        i++;
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "[" && pattern.indexOf("]", i + 1) !== -1) {
+      const end = pattern.indexOf("]", i + 1);
+      source += pattern.slice(i, end + 1).replace(/^\[!/, "[^");
+      i = end;
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * 展开通配符，返回匹配的文件路径
+ * 不包含通配符或已存在的路径原样返回；以.开头的文件和目录只有在模式中显式写出时才会匹配。
+ * @param {string} pattern - 文件路径或通配符模式（如"docs/*.pdf"、"src/**\/*.js"）
+ * @param {string} cwd - 相对路径的基准目录
+ * @returns {Array<string>} - 按路径排序的文件路径
+ */
+function expandGlob(pattern, cwd = process.cwd()) {
+  const normalized = pattern.split(path.sep).join("/");
+
+  // 文件名本身可能包含[等字符，存在的路径不作为模式展开
+  if (!hasGlob(normalized) || fs.existsSync(path.resolve(cwd, pattern))) {
+    return [pattern];
+  }
+
+  // 从第一个包含通配符的路径段开始匹配
+  const segments = normalized.split("/");
+  const globIndex = segments.findIndex(hasGlob);
+  const base =
+    segments.slice(0, globIndex).join("/") ||
+    (normalized.startsWith("/") ? "/" : ".");
+  const rest = segments.slice(globIndex).join("/");
+  const regex = globToRegExp(rest);
+  const maxDepth = rest.includes("**") ? Infinity : segments.length - globIndex;
+  const includeHidden = /(^|\/)\./.test(rest);
+  const results = [];
+
+  const walk = (dir, relative, depth) => {
+    let entries;
+
+    try {
+      entries = fs.readdirSync(path.resolve(cwd, dir), { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+
+    for (const entry of entries) {
+      if (entry.name.startsWith(".") && !includeHidden) {
+        continue;
+      }
+
+      const entryRelative = relative ? `${relative}/${entry.name}` : entry.name;
+      const entryPath = path.join(dir, entry.name);
+
+      if (entry.isDirectory()) {
+        if (depth < maxDepth) {
+          walk(entryPath, entryRelative, depth + 1);
+        }
+      } else if (regex.test(entryRelative)) {
+        results.push(entryPath);
+      }
+    }
+  };
+
+  walk(base, "", 1);
+
+  return results.sort();
+}
+
 /**
  * 检测对象是否为错误
  * @param {*} value - 要检查的值
@@ -246,11 +449,14 @@ module.exports = {
   deepMerge,
   isObject,
   formatDate,
+  formatBytes,
   generateUUID,
   debounce,
   throttle,
   sleep,
   retry,
   isMatchingPattern,
+  parseDuration,
+  expandGlob,
   isError,
 };
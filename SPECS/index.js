@@ -23,8 +23,10 @@ async function main() {
     const config = new ConfigManager();
     await config.load();
 
-    // 初始化日志记录器
-    const logger = new Logger(config.get("logLevel"));
+    // 初始化日志记录器（结构化输出模式下标准输出只包含JSON，日志写入标准错误）
+    const logger = new Logger(config.get("logLevel"), {
+      stderr: process.argv.some((arg) => /^--json-schema(=|$)/.test(arg)),
+    });
     logger.info("Starting Claude CLI...");
 
     // 初始化错误处理器
@@ -0,0 +1,543 @@
+const { Readable } = require("stream");
+const ApiClient = require("../../api/api-client");
+const MessageStream = require("../../api/message-stream");
+const { BudgetExceededError } = require("../../core/error-handler");
+
+const { RetryPolicy } = ApiClient;
+
+/**
+ * 创建不访问网络的客户端，请求由中间件直接返回响应
+ * @param {Function} respond - 接收请求体和请求配置并返回响应数据的函数
+ * @param {Object} logger - 日志记录器
+ * @param {Object} options - 其他客户端选项
+ * @returns {ApiClient} - 客户端
+ */
+function createClient(respond, logger, options = {}) {
+  return new ApiClient({
+    apiKey: "sk-ant-test",
+    cache: null,
+    cassette: null,
+    rateLimiter: null,
+    usageLedger: null,
+    budget: null,
+    uploadIndex: null,
+    config: { get: () => undefined },
+    logger,
+    retryPolicy: new RetryPolicy({ maxRetries: 0 }),
+    middleware: [
+      {
+        name: "respond",
+        request: async (context) => ({
+          status: 200,
+          headers: {},
+          data: respond(context.request.data, context.request),
+        }),
+      },
+    ],
+    ...options,
+  });
+}
+
+describe("ApiClient.sendStructuredMessage", () => {
+  const schema = {
+    type: "object",
+    properties: { answer: { type: "integer" } },
+    required: ["answer"],
+  };
+
+  /**
+   * 创建调用结构化输出工具的响应
+   * @param {Object} input - 工具输入
+   * @returns {Object} - 消息
+   */
+  function toolResponse(input) {
+    return {
+      id: "msg_1",
+      type: "message",
+      role: "assistant",
+      model: "claude-sonnet-4-20250514",
+      content: [
+        { type: "tool_use", id: "tu_1", name: "structured_output", input },
+      ],
+      stop_reason: "tool_use",
+      usage: { input_tokens: 10, output_tokens: 5 },
+    };
+  }
+
+  test("启用扩展思考时不发送thinking，并给出警告", async () => {
+    const payloads = [];
+    const logger = {
+      debug: jest.fn(),
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+    };
+    const client = createClient((payload) => {
+      payloads.push(payload);
+      return toolResponse({ answer: 42 });
+    }, logger);
+
+    const result = await client.sendStructuredMessage({
+      model: "claude-sonnet-4-20250514",
+      messages: [{ role: "user", content: "答案是多少？" }],
+      maxTokens: 4096,
+      thinkingBudget: 2048,
+      schema,
+    });
+
+    expect(result.data).toEqual({ answer: 42 });
+    expect(payloads[0].thinking).toBeUndefined();
+    expect(payloads[0].tool_choice).toEqual({
+      type: "tool",
+      name: "structured_output",
+    });
+    expect(logger.warn).toHaveBeenCalledWith(
+      expect.stringContaining("不使用扩展思考")
+    );
+  });
+
+  test("校验失败时把错误反馈给模型重试", async () => {
+    const payloads = [];
+    const client = createClient((payload) => {
+      payloads.push(payload);
+      return toolResponse(
+        payloads.length === 1 ? { answer: "42" } : { answer: 42 }
+      );
+    });
+
+    const result = await client.sendStructuredMessage({
+      model: "claude-sonnet-4-20250514",
+      messages: [{ role: "user", content: "答案是多少？" }],
+      schema,
+    });
+
+    const feedback = payloads[1].messages[2].content[0];
+
+    expect(result.attempts).toBe(2);
+    expect(feedback).toMatchObject({ type: "tool_result", is_error: true });
+    expect(feedback.content).toContain("$.answer");
+  });
+});
+
+describe("ApiClient.sendMessages", () => {
+  const modelFallbacks = {
+    "claude-opus-4": ["claude-sonnet-4-20250514"],
+  };
+
+  /**
+   * 创建以SSE编码的流式响应
+   * @param {Array<Object>} events - 事件
+   * @returns {Readable} - 响应流
+   */
+  function sseResponse(events) {
+    const sse = MessageStream.encodeServerSentEvents(
+      events.map((event) => ({ event: event.type, data: event }))
+    );
+
+    return Readable.from([sse]);
+  }
+
+  /**
+   * 创建流式回复的事件
+   * @param {string} model - 模型
+   * @param {string} text - 回复文本
+   * @returns {Array<Object>} - 事件
+   */
+  function replyEvents(model, text) {
+    return [
+      {
+        type: "message_start",
+        message: {
+          id: "msg_1",
+          type: "message",
+          role: "assistant",
+          model,
+          content: [],
+          usage: { input_tokens: 10, output_tokens: 0 },
+        },
+      },
+      {
+        type: "content_block_start",
+        index: 0,
+        content_block: { type: "text", text: "" },
+      },
+      {
+        type: "content_block_delta",
+        index: 0,
+        delta: { type: "text_delta", text },
+      },
+      { type: "content_block_stop", index: 0 },
+      {
+        type: "message_delta",
+        delta: { stop_reason: "end_turn" },
+        usage: { output_tokens: 5 },
+      },
+      { type: "message_stop" },
+    ];
+  }
+
+  const overloaded = {
+    type: "error",
+    error: { type: "overloaded_error", message: "Overloaded" },
+  };
+
+  test("流在输出内容之前返回过载错误时改用回退模型", async () => {
+    const models = [];
+    const client = createClient(
+      (payload) => {
+        models.push(payload.model);
+
+        if (payload.model === "claude-opus-4-20250514") {
+          const [messageStart] = replyEvents(payload.model, "");
+
+          return sseResponse([messageStart, overloaded]);
+        }
+
+        return sseResponse(replyEvents(payload.model, "你好"));
+      },
+      undefined,
+      { modelFallbacks }
+    );
+
+    const stream = await client.sendMessages({
+      model: "claude-opus-4-20250514",
+      messages: [{ role: "user", content: "你好" }],
+      stream: true,
+    });
+    const message = await stream.finalMessage();
+
+    expect(models).toEqual([
+      "claude-opus-4-20250514",
+      "claude-sonnet-4-20250514",
+    ]);
+    expect(message.content[0].text).toBe("你好");
+    expect(message.fallback).toMatchObject({
+      requestedModel: "claude-opus-4-20250514",
+      model: "claude-sonnet-4-20250514",
+      failures: [{ model: "claude-opus-4-20250514", status: 529 }],
+    });
+  });
+
+  test("已经输出内容后的过载错误不回退，在读取流时抛出", async () => {
+    const models = [];
+    const client = createClient(
+      (payload) => {
+        models.push(payload.model);
+
+        const events = replyEvents(payload.model, "你好").slice(0, 3);
+
+        return sseResponse([...events, overloaded]);
+      },
+      undefined,
+      { modelFallbacks }
+    );
+
+    const stream = await client.sendMessages({
+      model: "claude-opus-4-20250514",
+      messages: [{ role: "user", content: "你好" }],
+      stream: true,
+    });
+    const texts = [];
+    const error = await (async () => {
+      for await (const event of stream) {
+        if (event.type === "content_block_delta") {
+          texts.push(event.delta.text);
+        }
+      }
+    })().catch((caught) => caught);
+
+    expect(models).toEqual(["claude-opus-4-20250514"]);
+    expect(texts).toEqual(["你好"]);
+    expect(error.name).toBe("OverloadedError");
+    expect(error.retryable).toBe(true);
+  });
+});
+
+describe("ApiClient响应缓存", () => {
+  /**
+   * 创建使用内存缓存的客户端
+   * @param {string} cacheMode - 缓存模式
+   * @returns {Object} - 客户端和响应函数
+   */
+  function createCachedClient(cacheMode) {
+    const entries = new Map();
+    const respond = jest.fn(() => ({
+      id: "msg_1",
+      type: "message",
+      role: "assistant",
+      model: "claude-3-5-haiku-20241022",
+      content: [{ type: "text", text: "你好" }],
+      usage: { input_tokens: 10, output_tokens: 5 },
+    }));
+    const client = createClient(respond, undefined, {
+      cacheMode,
+      cache: {
+        get: (key) => entries.get(key) || null,
+        set: (key, value) => entries.set(key, value),
+      },
+    });
+
+    return { client, respond };
+  }
+
+  const request = {
+    model: "claude-3-5-haiku-20241022",
+    messages: [{ role: "user", content: "你好" }],
+    temperature: 0,
+  };
+
+  test("确定性请求的响应被缓存，非确定性请求不缓存", async () => {
+    const { client, respond } = createCachedClient("auto");
+
+    const first = await client.sendMessages(request);
+    const second = await client.sendMessages(request);
+
+    await client.sendMessages({ ...request, temperature: 1 });
+    await client.sendMessages({ ...request, temperature: 1 });
+
+    expect(second).toEqual(first);
+    expect(respond).toHaveBeenCalledTimes(3);
+  });
+
+  test("仅缓存模式下未命中时报错，不发送请求", async () => {
+    const { client, respond } = createCachedClient("only");
+
+    await expect(client.sendMessages(request)).rejects.toMatchObject({
+      code: "CACHE_MISS",
+    });
+    expect(respond).not.toHaveBeenCalled();
+  });
+});
+
+describe("ApiClient流式响应的用量", () => {
+  const events = [
+    {
+      event: "message_start",
+      data: {
+        type: "message_start",
+        message: {
+          id: "msg_1",
+          type: "message",
+          role: "assistant",
+          model: "claude-3-5-haiku-20241022",
+          content: [],
+          usage: { input_tokens: 10, output_tokens: 1 },
+        },
+      },
+    },
+    {
+      event: "content_block_start",
+      data: {
+        type: "content_block_start",
+        index: 0,
+        content_block: { type: "text", text: "" },
+      },
+    },
+    {
+      event: "content_block_delta",
+      data: {
+        type: "content_block_delta",
+        index: 0,
+        delta: { type: "text_delta", text: "你好" },
+      },
+    },
+  ];
+
+  /**
+   * 创建记录许可结算和用量的客户端
+   * @param {Array<Object>} streamEvents - 响应的SSE事件
+   * @returns {Object} - 客户端、许可和用量账本
+   */
+  function createTrackedClient(streamEvents) {
+    const permit = { settle: jest.fn() };
+    const usageLedger = { record: jest.fn() };
+    const client = createClient(
+      () => Readable.from([MessageStream.encodeServerSentEvents(streamEvents)]),
+      undefined,
+      {
+        usageLedger,
+        rateLimiter: {
+          acquire: async () => permit,
+          updateFromHeaders: () => {},
+        },
+      }
+    );
+
+    return { client, permit, usageLedger };
+  }
+
+  /**
+   * 发送流式请求
+   * @param {ApiClient} client - 客户端
+   * @returns {Promise<MessageStream>} - 消息流
+   */
+  function sendStream(client) {
+    return client.sendMessages({
+      model: "claude-3-5-haiku-20241022",
+      messages: [{ role: "user", content: "你好" }],
+      stream: true,
+    });
+  }
+
+  test("流中途出错时结算许可并记录已产生的用量", async () => {
+    const { client, permit, usageLedger } = createTrackedClient([
+      ...events,
+      {
+        event: "error",
+        data: {
+          type: "error",
+          error: { type: "api_error", message: "Internal error" },
+        },
+      },
+    ]);
+
+    const stream = await sendStream(client);
+
+    await expect(stream.finalMessage()).rejects.toThrow("Internal error");
+    expect(permit.settle).toHaveBeenCalledWith({
+      input_tokens: 10,
+      output_tokens: 1,
+    });
+    expect(usageLedger.record).toHaveBeenCalledWith(
+      expect.objectContaining({
+        model: "claude-3-5-haiku-20241022",
+        usage: { input_tokens: 10, output_tokens: 1 },
+      })
+    );
+  });
+
+  test("提前停止读取的流同样结算许可", async () => {
+    const { client, permit, usageLedger } = createTrackedClient(events);
+
+    const stream = await sendStream(client);
+
+    for await (const event of stream) {
+      if (event.type === "content_block_delta") {
+        break;
+      }
+    }
+
+    await expect(stream.finalMessage()).rejects.toThrow("被中断");
+    expect(permit.settle).toHaveBeenCalledTimes(1);
+    expect(usageLedger.record).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("ApiClient消息批处理", () => {
+  test("提交请求并逐行读取JSONL结果", async () => {
+    const requests = [];
+    const client = createClient((data, request) => {
+      requests.push(request);
+
+      if (request.url.endsWith("/results")) {
+        return Readable.from([
+          '{"custom_id":"a","result":{"type":"succeeded"}}\n\n',
+          '{"custom_id":"b","result":{"type":"errored"}}\n',
+        ]);
+      }
+
+      return { id: "msgbatch_1", processing_status: "in_progress" };
+    });
+    const batchRequests = [
+      {
+        custom_id: "a",
+        params: {
+          model: "claude-3-5-haiku-20241022",
+          max_tokens: 100,
+          messages: [{ role: "user", content: "你好" }],
+        },
+      },
+    ];
+
+    const batch = await client.createMessageBatch(batchRequests);
+    const results = [];
+
+    for await (const result of client.streamMessageBatchResults(batch.id)) {
+      results.push(result);
+    }
+
+    expect(requests[0]).toMatchObject({
+      method: "post",
+      url: "/v1/messages/batches",
+      data: { requests: batchRequests },
+    });
+    expect(requests[1]).toMatchObject({
+      method: "get",
+      url: "/v1/messages/batches/msgbatch_1/results",
+      responseType: "stream",
+    });
+    expect(results.map((result) => result.custom_id)).toEqual(["a", "b"]);
+  });
+
+  test("读完结果后记录成功请求的用量，同一批处理只记录一次", async () => {
+    const usage = { input_tokens: 12, output_tokens: 3 };
+    const entries = [];
+    const usageLedger = {
+      record: jest.fn((entry) => entries.push(entry)),
+      read: () => entries,
+    };
+    const client = createClient(
+      () =>
+        Readable.from([
+          `${JSON.stringify({
+            custom_id: "a",
+            result: {
+              type: "succeeded",
+              message: { model: "claude-3-5-haiku-20241022", usage },
+            },
+          })}\n`,
+          '{"custom_id":"b","result":{"type":"errored"}}\n',
+        ]),
+      null,
+      { usageLedger }
+    );
+
+    for (let i = 0; i < 2; i++) {
+      for await (const result of client.streamMessageBatchResults(
+        "msgbatch_1"
+      )) {
+        expect(result.custom_id).toBeDefined();
+      }
+    }
+
+    expect(usageLedger.record).toHaveBeenCalledTimes(1);
+    expect(usageLedger.record).toHaveBeenCalledWith({
+      model: "claude-3-5-haiku-20241022",
+      endpoint: "/v1/messages/batches/msgbatch_1/results",
+      usage,
+    });
+  });
+
+  test("提交前按所有请求的预计费用合计检查预算", async () => {
+    const respond = jest.fn(() => ({ id: "msgbatch_1" }));
+    const budget = {
+      ledger: { prices: {} },
+      check: jest.fn(() => {
+        throw new BudgetExceededError("已达到今日的预算硬上限");
+      }),
+    };
+    const client = createClient(respond, null, { budget });
+    const params = {
+      model: "claude-sonnet-4-20250514",
+      max_tokens: 1000,
+      messages: [{ role: "user", content: "你好" }],
+    };
+
+    client.setUsageContext({ keyName: "work" });
+
+    await expect(
+      client.createMessageBatch([
+        { custom_id: "a", params },
+        { custom_id: "b", params },
+      ])
+    ).rejects.toBeInstanceOf(BudgetExceededError);
+
+    const [[request, options]] = budget.check.mock.calls;
+
+    // 每个请求至少按max_tokens计算输出费用（sonnet每百万输出令牌15美元）
+    expect(request.estimatedCost).toBeGreaterThan(0.03);
+    expect(request.keyName).toBe("work");
+    expect(options).toEqual({ override: false });
+    expect(respond).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,184 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const sharp = require("sharp");
+const {
+  detectImageType,
+  detectDocumentType,
+  isImageFile,
+  isDocumentFile,
+  createImageBlock,
+  createDocumentBlock,
+} = require("../../api/attachments");
+const { ValidationError } = require("../../core/error-handler");
+
+describe("detectImageType", () => {
+  test.each([
+    [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a], "image/png"],
+    [[0xff, 0xd8, 0xff, 0xe0], "image/jpeg"],
+    [Buffer.from("GIF89a"), "image/gif"],
+    [Buffer.from("RIFF\0\0\0\0WEBP"), "image/webp"],
+    [Buffer.from("BM"), null],
+  ])("按文件头识别 %#", (bytes, mediaType) => {
+    expect(detectImageType(Buffer.from(bytes))).toBe(mediaType);
+  });
+});
+
+describe("detectDocumentType", () => {
+  test("识别PDF和UTF-8纯文本，拒绝二进制文件", () => {
+    expect(detectDocumentType(Buffer.from("%PDF-1.7\n"))).toBe(
+      "application/pdf"
+    );
+    expect(detectDocumentType(Buffer.from("你好"))).toBe("text/plain");
+    expect(detectDocumentType(Buffer.from([0x61, 0x00]))).toBeNull();
+    expect(detectDocumentType(Buffer.from([0xc3, 0x28]))).toBeNull();
+  });
+
+  test("只读取开头时允许末尾截断的多字节字符", () => {
+    const truncated = Buffer.from("你好").subarray(0, 4);
+
+    expect(detectDocumentType(truncated)).toBeNull();
+    expect(detectDocumentType(truncated, { partial: true })).toBe("text/plain");
+  });
+});
+
+describe("附件内容块", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "claude-cli-attachments-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * 写入测试文件
+   * @param {string} name - 文件名
+   * @param {Buffer|string} data - 内容
+   * @returns {string} - 文件路径
+   */
+  function writeFile(name, data) {
+    const filePath = path.join(dir, name);
+
+    fs.writeFileSync(filePath, data);
+
+    return filePath;
+  }
+
+  /**
+   * 生成纯色PNG图片
+   * @param {number} width - 宽度
+   * @param {number} height - 高度
+   * @returns {Promise<Buffer>} - 图片内容
+   */
+  function createPng(width, height) {
+    return sharp({
+      create: { width, height, channels: 3, background: "#336699" },
+    })
+      .png()
+      .toBuffer();
+  }
+
+  test("按内容而不是扩展名判断文件类型", async () => {
+    const image = writeFile("image.txt", await createPng(4, 4));
+    const text = writeFile("notes.png", "笔记");
+
+    expect(isImageFile(image)).toBe(true);
+    expect(isImageFile(text)).toBe(false);
+    expect(isDocumentFile(text)).toBe(true);
+    expect(isDocumentFile(path.join(dir, "missing"))).toBe(false);
+  });
+
+  test("符合限制的图片原样编码", async () => {
+    const data = await createPng(4, 4);
+    const block = await createImageBlock(writeFile("a.png", data));
+
+    expect(block).toEqual({
+      type: "image",
+      source: {
+        type: "base64",
+        media_type: "image/png",
+        data: data.toString("base64"),
+      },
+    });
+  });
+
+  test("尺寸超出限制时缩小，不允许缩小时报错", async () => {
+    const filePath = writeFile("wide.png", await createPng(9000, 10));
+    const logger = { info: jest.fn() };
+
+    const block = await createImageBlock(filePath, { logger });
+    const { width } = await sharp(
+      Buffer.from(block.source.data, "base64")
+    ).metadata();
+
+    expect(width).toBe(1568);
+    expect(logger.info).toHaveBeenCalledWith(
+      expect.stringContaining("已缩小图片 wide.png")
+    );
+    await expect(createImageBlock(filePath, { resize: false })).rejects.toThrow(
+      "超过8000x8000"
+    );
+  });
+
+  test("不存在或不支持的图片", async () => {
+    await expect(
+      createImageBlock(path.join(dir, "missing.png"))
+    ).rejects.toBeInstanceOf(ValidationError);
+    await expect(
+      createImageBlock(writeFile("a.bmp", Buffer.from("BM\0\0")))
+    ).rejects.toThrow("不支持的图片格式");
+  });
+
+  test("纯文本文档去掉BOM，PDF以base64编码", () => {
+    const text = createDocumentBlock(writeFile("notes.txt", "﻿笔记"), {
+      citations: true,
+      context: "会议记录",
+    });
+    const pdf = createDocumentBlock(writeFile("a.pdf", "%PDF-1.7\n"), {
+      title: "报告",
+    });
+
+    expect(text).toEqual({
+      type: "document",
+      source: { type: "text", media_type: "text/plain", data: "笔记" },
+      title: "notes.txt",
+      context: "会议记录",
+      citations: { enabled: true },
+    });
+    expect(pdf).toEqual({
+      type: "document",
+      source: {
+        type: "base64",
+        media_type: "application/pdf",
+        data: Buffer.from("%PDF-1.7\n").toString("base64"),
+      },
+      title: "报告",
+    });
+    expect(() =>
+      createDocumentBlock(writeFile("a.bin", Buffer.from([0, 1, 2])))
+    ).toThrow("不支持的文档格式");
+  });
+
+  test("sharp无法加载时只影响图片", async () => {
+    const imagePath = writeFile("a.png", await createPng(4, 4));
+    const textPath = writeFile("notes.txt", "笔记");
+    let attachments;
+
+    jest.isolateModules(() => {
+      jest.doMock("sharp", () => {
+        throw new Error("Could not load the sharp module");
+      });
+      attachments = require("../../api/attachments");
+    });
+
+    expect(attachments.createDocumentBlock(textPath).source.data).toBe("笔记");
+    await expect(attachments.createImageBlock(imagePath)).rejects.toThrow(
+      "无法加载图片处理模块sharp"
+    );
+
+    jest.dontMock("sharp");
+  });
+});
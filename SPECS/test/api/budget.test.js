@@ -0,0 +1,186 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Budget = require("../../api/budget");
+const UsageLedger = require("../../api/usage-ledger");
+const {
+  BudgetExceededError,
+  ConfigurationError,
+} = require("../../core/error-handler");
+
+const MODEL = "claude-sonnet-4-20250514";
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "budget-"));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * 创建包含指定记录的用量账本
+ * @param {Array<Object>} entries - 用量记录
+ * @returns {UsageLedger} - 账本
+ */
+function createLedger(entries) {
+  const ledger = new UsageLedger({ path: path.join(dir, "usage.jsonl") });
+
+  append(ledger, entries);
+
+  return ledger;
+}
+
+/**
+ * 向账本追加记录
+ * @param {UsageLedger} ledger - 账本
+ * @param {Array<Object>} entries - 用量记录
+ */
+function append(ledger, entries) {
+  const lines = entries.map((entry) => `${JSON.stringify(entry)}\n`);
+
+  fs.appendFileSync(ledger.path, lines.join(""));
+}
+
+/**
+ * 创建一条花费指定金额的用量记录（按sonnet的输入价格）
+ * @param {number} dollars - 金额（美元）
+ * @param {Object} fields - 其他字段
+ * @returns {Object} - 用量记录
+ */
+function spend(dollars, fields = {}) {
+  return {
+    timestamp: new Date().toISOString(),
+    model: MODEL,
+    input_tokens: (dollars / 3) * 1000000,
+    output_tokens: 0,
+    ...fields,
+  };
+}
+
+describe("Budget", () => {
+  const request = { model: MODEL, inputTokens: 0, outputTokens: 0 };
+
+  test("统计今日和本月的花费", () => {
+    const now = new Date();
+    const lastMonth = new Date(now.getFullYear(), now.getMonth() - 1, 15);
+
+    const budget = new Budget({
+      limits: { daily: { hard: 10 }, monthly: { soft: 100 } },
+      ledger: createLedger([
+        spend(2),
+        spend(3),
+        spend(50, { timestamp: lastMonth.toISOString() }),
+      ]),
+    });
+
+    const [daily, monthly] = budget.getStatus();
+
+    expect(daily).toMatchObject({ period: "daily", hard: 10 });
+    expect(daily.spent).toBeCloseTo(5);
+    expect(monthly.spent).toBeCloseTo(5);
+  });
+
+  test("超过硬上限时拒绝请求，override时只警告", () => {
+    const logger = { warn: jest.fn() };
+    const budget = new Budget({
+      limits: { daily: { hard: 5 } },
+      ledger: createLedger([spend(4.5)]),
+      logger,
+    });
+    const expensive = { ...request, outputTokens: 1000000 };
+
+    expect(() => budget.check(request)).not.toThrow();
+    expect(() => budget.check(expensive)).toThrow(BudgetExceededError);
+    expect(() => budget.check(expensive, { override: true })).not.toThrow();
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining("已忽略"));
+  });
+
+  test("使用已经估算好的费用", () => {
+    const budget = new Budget({
+      limits: { daily: { hard: 5 } },
+      ledger: createLedger([spend(4.5)]),
+    });
+
+    expect(budget.check({ estimatedCost: 0.25 }).estimatedCost).toBe(0.25);
+    expect(() => budget.check({ estimatedCost: 1 })).toThrow(
+      BudgetExceededError
+    );
+  });
+
+  test("超过软上限时每个周期只警告一次", () => {
+    const logger = { warn: jest.fn() };
+    const budget = new Budget({
+      limits: { monthly: { soft: 1 } },
+      ledger: createLedger([spend(2)]),
+      logger,
+    });
+
+    expect(budget.check(request).warnings).toHaveLength(1);
+    expect(budget.check(request).warnings).toHaveLength(1);
+    expect(logger.warn).toHaveBeenCalledTimes(1);
+  });
+
+  test("按API密钥单独设置的预算只统计该密钥的花费", () => {
+    const budget = new Budget({
+      limits: { keys: { work: { daily: { hard: 3 } } } },
+      ledger: createLedger([
+        spend(2, { keyName: "work" }),
+        spend(5, { keyName: "home" }),
+      ]),
+    });
+
+    expect(budget.getStatus("home")).toEqual([]);
+
+    const [status] = budget.getStatus("work");
+
+    expect(status.keyName).toBe("work");
+    expect(status.spent).toBeCloseTo(2);
+  });
+
+  test("只读取账本中新追加的记录", () => {
+    const ledger = createLedger([spend(1)]);
+    const budget = new Budget({ limits: { daily: { hard: 10 } }, ledger });
+
+    jest.spyOn(ledger, "readFrom");
+
+    expect(budget.getStatus()[0].spent).toBeCloseTo(1);
+
+    append(ledger, [spend(2)]);
+
+    expect(budget.getStatus()[0].spent).toBeCloseTo(3);
+    expect(ledger.readFrom.mock.calls[1][0]).toBe(
+      ledger.readFrom.mock.results[0].value.offset
+    );
+    expect(ledger.readFrom.mock.results[1].value.entries).toHaveLength(1);
+  });
+
+  test("账本被清空后重新统计", () => {
+    const ledger = createLedger([spend(2), spend(3)]);
+    const budget = new Budget({ limits: { daily: { hard: 10 } }, ledger });
+
+    expect(budget.getStatus()[0].spent).toBeCloseTo(5);
+
+    fs.writeFileSync(ledger.path, "");
+    append(ledger, [spend(1)]);
+
+    expect(budget.getStatus()[0].spent).toBeCloseTo(1);
+  });
+
+  test("无效的预算设置", () => {
+    const ledger = createLedger([]);
+
+    expect(() => new Budget({ limits: { daily: 5 }, ledger })).toThrow(
+      ConfigurationError
+    );
+    expect(
+      () =>
+        new Budget({
+          limits: { keys: { a: { monthly: { hard: -1 } } } },
+          ledger,
+        })
+    ).toThrow("budgets.keys.a.monthly.hard");
+  });
+});
@@ -0,0 +1,194 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+const Cassette = require("../../api/cassette");
+const { encodeServerSentEvents } = require("../../api/message-stream");
+const { ConfigurationError } = require("../../core/error-handler");
+
+describe("Cassette", () => {
+  let dir;
+  let cassettePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "claude-cli-cassette-"));
+    cassettePath = path.join(dir, "cassette.json");
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const request = {
+    method: "post",
+    url: "/v1/messages",
+    headers: { "x-api-key": "sk-ant-api03-secret", "content-type": "json" },
+    data: JSON.stringify({ model: "claude-3-5-haiku-20241022", max_tokens: 1 }),
+  };
+
+  /**
+   * 读取录制文件
+   * @returns {Object} - 录制内容
+   */
+  function readCassette() {
+    return JSON.parse(fs.readFileSync(cassettePath, "utf8"));
+  }
+
+  /**
+   * 读取流的全部内容
+   * @param {Readable} stream - 流
+   * @returns {Promise<string>} - 内容
+   */
+  async function readAll(stream) {
+    let text = "";
+
+    for await (const chunk of stream) {
+      text += chunk;
+    }
+
+    return text;
+  }
+
+  test("录制请求和响应，并隐藏API密钥", async () => {
+    const cassette = new Cassette({ path: cassettePath, mode: "record" });
+    const adapter = cassette.createAdapter(async () => ({
+      status: 200,
+      statusText: "OK",
+      headers: { "content-type": "application/json" },
+      data: '{"id":"msg_1","note":"sk-ant-api03-secret"}',
+    }));
+
+    const response = await adapter(request);
+    const [interaction] = readCassette().interactions;
+
+    expect(response.status).toBe(200);
+    expect(interaction.request).toMatchObject({
+      method: "POST",
+      url: "/v1/messages",
+      body: { model: "claude-3-5-haiku-20241022", max_tokens: 1 },
+    });
+    expect(interaction.request.headers["x-api-key"]).toBe("[REDACTED]");
+    expect(interaction.response.body).toEqual({
+      id: "msg_1",
+      note: "[REDACTED]",
+    });
+  });
+
+  test("流式响应在读完后记录为事件序列，并可以回放", async () => {
+    const events = [
+      { event: "message_start", data: { type: "message_start" } },
+      { event: "message_stop", data: { type: "message_stop" } },
+    ];
+    const sse = encodeServerSentEvents(events);
+    const recorder = new Cassette({ path: cassettePath, mode: "record" });
+    const adapter = recorder.createAdapter(async () => ({
+      status: 200,
+      headers: { "content-type": "text/event-stream" },
+      data: Readable.from([sse]),
+    }));
+
+    const recorded = await adapter(request);
+
+    expect(await readAll(recorded.data)).toBe(sse);
+    // 录制在流结束后异步写入文件
+    for (let i = 0; i < 100 && !fs.existsSync(cassettePath); i++) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+
+    expect(readCassette().interactions[0].response.events).toEqual(events);
+
+    const player = new Cassette({ path: cassettePath, mode: "replay" });
+    const replayed = await player.createAdapter()(request);
+
+    expect(await readAll(replayed.data)).toBe(sse);
+  });
+
+  test("回放时按请求匹配，报告与录制内容的差异", async () => {
+    fs.writeFileSync(
+      cassettePath,
+      JSON.stringify({
+        interactions: [
+          {
+            request: {
+              method: "POST",
+              url: "/v1/messages",
+              params: null,
+              body: { model: "claude-3-5-haiku-20241022", max_tokens: 1 },
+            },
+            response: { status: 200, headers: {}, body: { id: "msg_1" } },
+          },
+        ],
+      })
+    );
+    const adapter = new Cassette({
+      path: cassettePath,
+      mode: "replay",
+    }).createAdapter();
+
+    await expect(
+      adapter({ ...request, data: { model: "other", max_tokens: 1 } })
+    ).rejects.toMatchObject({
+      code: "CASSETTE_MISMATCH",
+      data: {
+        differences: [
+          {
+            path: "body.model",
+            expected: "claude-3-5-haiku-20241022",
+            actual: "other",
+          },
+        ],
+      },
+    });
+    await expect(adapter(request)).resolves.toMatchObject({
+      status: 200,
+      data: { id: "msg_1" },
+    });
+    await expect(adapter(request)).rejects.toThrow("没有更多可回放的交互");
+  });
+
+  test("回放录制的错误响应", async () => {
+    fs.writeFileSync(
+      cassettePath,
+      JSON.stringify({
+        interactions: [
+          {
+            request: {
+              method: "GET",
+              url: "/v1/models",
+              params: null,
+              body: null,
+            },
+            response: {
+              status: 429,
+              headers: { "retry-after": "3" },
+              body: { type: "error", error: { type: "rate_limit_error" } },
+            },
+          },
+        ],
+      })
+    );
+    const adapter = new Cassette({
+      path: cassettePath,
+      mode: "replay",
+    }).createAdapter();
+
+    const error = await adapter({
+      method: "get",
+      url: "/v1/models",
+      validateStatus: (status) => status < 400,
+    }).catch((caught) => caught);
+
+    expect(error.response.status).toBe(429);
+    expect(error.response.headers.get("retry-after")).toBe("3");
+  });
+
+  test("无效的录制设置", () => {
+    expect(() =>
+      Cassette.fromEnv({ CLAUDE_RECORD: "a", CLAUDE_REPLAY: "b" })
+    ).toThrow(ConfigurationError);
+    expect(() => new Cassette({ path: cassettePath, mode: "replay" })).toThrow(
+      "无法读取录制文件"
+    );
+    expect(Cassette.fromEnv({})).toBeNull();
+  });
+});
@@ -0,0 +1,148 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+const HarTracer = require("../../api/har-tracer");
+
+const API_KEY = "sk-ant-api03-secret";
+
+describe("HarTracer", () => {
+  let dir;
+  let tracer;
+  let middleware;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "har-tracer-"));
+    tracer = new HarTracer({
+      path: path.join(dir, "trace.har"),
+      baseUrl: "https://api.anthropic.com",
+    });
+    middleware = tracer.createMiddleware();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * 创建请求上下文
+   * @param {Object} data - 请求体
+   * @returns {Object} - 上下文
+   */
+  function createContext(data) {
+    return {
+      request: {
+        method: "post",
+        url: "/v1/messages",
+        params: { beta: true },
+        headers: { "X-Api-Key": API_KEY, "Content-Type": "application/json" },
+        data,
+      },
+      attempt: 1,
+    };
+  }
+
+  /**
+   * 读取写入的HAR文件
+   * @returns {Object} - HAR
+   */
+  function readHar() {
+    return JSON.parse(fs.readFileSync(tracer.path, "utf8"));
+  }
+
+  test("记录请求和响应，并隐藏API密钥", async () => {
+    const context = createContext({ prompt: `我的密钥是 ${API_KEY}` });
+
+    await middleware.request(context, async () => ({
+      status: 200,
+      statusText: "OK",
+      headers: {
+        "content-type": "application/json",
+        "request-id": "req_123",
+        "set-cookie": ["a=b"],
+      },
+      data: { ok: true },
+    }));
+
+    const text = fs.readFileSync(tracer.path, "utf8");
+    const { log } = readHar();
+    const [entry] = log.entries;
+
+    expect(text).not.toContain(API_KEY);
+    expect(log.version).toBe("1.2");
+    expect(entry.request.url).toBe(
+      "https://api.anthropic.com/v1/messages?beta=true"
+    );
+    expect(entry.request.headers).toContainEqual({
+      name: "X-Api-Key",
+      value: "[REDACTED]",
+    });
+    expect(entry.request.postData.text).toContain("[REDACTED]");
+    expect(entry.response.headers).toContainEqual({
+      name: "set-cookie",
+      value: "[REDACTED]",
+    });
+    expect(entry.response.content.text).toBe('{"ok":true}');
+    expect(entry._requestId).toBe("req_123");
+    expect(entry.timings.dns).toBe(-1);
+  });
+
+  test("流式响应在消费方读完后记录完整内容", async () => {
+    const response = await middleware.request(createContext({}), async () => ({
+      status: 200,
+      headers: { "content-type": "text/event-stream" },
+      data: Readable.from(["event: a\n\n", "event: b\n\n"]),
+    }));
+
+    expect(fs.existsSync(tracer.path)).toBe(false);
+
+    const chunks = [];
+
+    for await (const chunk of response.data) {
+      chunks.push(chunk.toString());
+    }
+
+    await new Promise((resolve) => setImmediate(resolve));
+
+    const [entry] = readHar().log.entries;
+
+    expect(chunks.join("")).toBe("event: a\n\nevent: b\n\n");
+    expect(entry.response.content.text).toBe(chunks.join(""));
+  });
+
+  test("错误响应的流式响应体被读取并解析", async () => {
+    const body = { type: "error", error: { type: "overloaded_error" } };
+    const error = Object.assign(new Error("Request failed"), {
+      response: {
+        status: 529,
+        headers: { "content-type": "application/json", "request-id": "r" },
+        data: Readable.from([JSON.stringify(body)]),
+      },
+    });
+
+    const caught = await middleware
+      .request(createContext({}), async () => {
+        throw error;
+      })
+      .catch((thrown) => thrown);
+
+    const [entry] = readHar().log.entries;
+
+    expect(caught.response.data).toEqual(body);
+    expect(entry.response.status).toBe(529);
+    expect(entry._requestId).toBe("r");
+  });
+
+  test("没有收到响应时记录为状态0", async () => {
+    await expect(
+      middleware.request(createContext({}), async () => {
+        throw new Error("socket hang up");
+      })
+    ).rejects.toThrow("socket hang up");
+
+    const [entry] = readHar().log.entries;
+
+    expect(entry.response.status).toBe(0);
+    expect(entry.comment).toContain("socket hang up");
+  });
+});
@@ -0,0 +1,258 @@
+const { Readable } = require("stream");
+const ApiClient = require("../../api/api-client");
+const MessageStream = require("../../api/message-stream");
+const {
+  HUMAN_PROMPT,
+  AI_PROMPT,
+  parseCompletionPrompt,
+  toCompletion,
+  CompletionStream,
+} = require("../../api/legacy-completion");
+const { ValidationError } = require("../../core/error-handler");
+
+const { RetryPolicy } = ApiClient;
+
+const MODEL = "claude-3-5-haiku-20241022";
+
+/**
+ * 创建完整消息
+ * @param {Object} fields - 覆盖的字段
+ * @returns {Object} - 消息
+ */
+function createMessage(fields = {}) {
+  return {
+    id: "msg_1",
+    type: "message",
+    role: "assistant",
+    model: MODEL,
+    content: [{ type: "text", text: "你好！" }],
+    stop_reason: "end_turn",
+    stop_sequence: null,
+    usage: { input_tokens: 10, output_tokens: 3 },
+    ...fields,
+  };
+}
+
+/**
+ * 创建流式回复"你好！"的事件
+ * @returns {Array<Object>} - 事件
+ */
+function createStreamEvents() {
+  return [
+    {
+      type: "message_start",
+      message: createMessage({ content: [], stop_reason: null }),
+    },
+    {
+      type: "content_block_start",
+      index: 0,
+      content_block: { type: "text", text: "" },
+    },
+    {
+      type: "content_block_delta",
+      index: 0,
+      delta: { type: "text_delta", text: "你好" },
+    },
+    {
+      type: "content_block_delta",
+      index: 0,
+      delta: { type: "text_delta", text: "！" },
+    },
+    { type: "content_block_stop", index: 0 },
+    {
+      type: "message_delta",
+      delta: { stop_reason: "end_turn", stop_sequence: null },
+      usage: { output_tokens: 3 },
+    },
+    { type: "message_stop" },
+  ];
+}
+
+/**
+ * 将事件编码为SSE响应流
+ * @param {Array<Object>} events - 事件
+ * @returns {Readable} - 响应流
+ */
+function sseResponse(events) {
+  return Readable.from([
+    MessageStream.encodeServerSentEvents(
+      events.map((event) => ({ event: event.type, data: event }))
+    ),
+  ]);
+}
+
+describe("parseCompletionPrompt", () => {
+  test("将对话轮次转换为消息，开头的文本作为系统提示", () => {
+    const prompt = `你是翻译助手${HUMAN_PROMPT} 翻译：你好${AI_PROMPT} Hello${HUMAN_PROMPT} 翻译：谢谢${AI_PROMPT}`;
+
+    expect(parseCompletionPrompt(prompt)).toEqual({
+      system: "你是翻译助手",
+      messages: [
+        { role: "user", content: "翻译：你好" },
+        { role: "assistant", content: "Hello" },
+        { role: "user", content: "翻译：谢谢" },
+      ],
+    });
+  });
+
+  test("末尾非空的Assistant轮次作为预填充，相邻的同角色轮次合并", () => {
+    const prompt = `${HUMAN_PROMPT} 第一段${HUMAN_PROMPT} 第二段${AI_PROMPT} {"answer":`;
+
+    expect(parseCompletionPrompt(prompt)).toEqual({
+      system: undefined,
+      messages: [
+        { role: "user", content: "第一段\n\n第二段" },
+        { role: "assistant", content: '{"answer":' },
+      ],
+    });
+  });
+
+  test("没有轮次标记的提示作为一条用户消息", () => {
+    expect(parseCompletionPrompt("  你好  ").messages).toEqual([
+      { role: "user", content: "你好" },
+    ]);
+  });
+
+  test.each([
+    ["", "prompt不能为空"],
+    [`${AI_PROMPT} 你好${HUMAN_PROMPT} 嗨`, "prompt必须以Human轮次开始"],
+    [`${HUMAN_PROMPT}${AI_PROMPT} 你好`, "prompt中存在空的user轮次"],
+  ])("拒绝无效的提示 %#", (prompt, message) => {
+    expect(() => parseCompletionPrompt(prompt)).toThrow(ValidationError);
+    expect(() => parseCompletionPrompt(prompt)).toThrow(message);
+  });
+});
+
+describe("toCompletion", () => {
+  test("拼接文本块并转换停止原因", () => {
+    expect(
+      toCompletion(
+        createMessage({
+          content: [
+            { type: "thinking", thinking: "..." },
+            { type: "text", text: "你" },
+            { type: "text", text: "好" },
+          ],
+        })
+      )
+    ).toEqual({
+      type: "completion",
+      id: "msg_1",
+      completion: "你好",
+      stop_reason: "stop_sequence",
+      stop: HUMAN_PROMPT,
+      model: MODEL,
+    });
+    expect(
+      toCompletion(
+        createMessage({ stop_reason: "stop_sequence", stop_sequence: "END" })
+      )
+    ).toMatchObject({ stop_reason: "stop_sequence", stop: "END" });
+    expect(
+      toCompletion(createMessage({ stop_reason: "max_tokens" }))
+    ).toMatchObject({ stop_reason: "max_tokens", stop: null });
+  });
+});
+
+describe("CompletionStream", () => {
+  test("每个文本片段一个事件，最后一个事件带停止原因", async () => {
+    const stream = new CompletionStream(
+      new MessageStream(sseResponse(createStreamEvents()))
+    );
+    const events = [];
+
+    for await (const event of stream) {
+      events.push(event);
+    }
+
+    expect(events.map((event) => event.completion)).toEqual(["你好", "！", ""]);
+    expect(events[0]).toMatchObject({ id: "msg_1", stop_reason: null });
+    expect(events[2]).toMatchObject({
+      stop_reason: "stop_sequence",
+      stop: HUMAN_PROMPT,
+    });
+    await expect(stream.finalCompletion()).resolves.toMatchObject({
+      completion: "你好！",
+    });
+  });
+});
+
+describe("ApiClient.sendCompletion", () => {
+  /**
+   * 创建不访问网络的客户端
+   * @param {Function} respond - 接收请求体并返回响应数据的函数
+   * @returns {ApiClient} - 客户端
+   */
+  function createClient(respond) {
+    return new ApiClient({
+      apiKey: "sk-ant-test",
+      cache: null,
+      cassette: null,
+      rateLimiter: null,
+      usageLedger: null,
+      budget: null,
+      uploadIndex: null,
+      config: { get: () => undefined },
+      retryPolicy: new RetryPolicy({ maxRetries: 0 }),
+      middleware: [
+        {
+          name: "respond",
+          request: async (context) => ({
+            status: 200,
+            headers: {},
+            data: respond(context.request.data),
+          }),
+        },
+      ],
+    });
+  }
+
+  test("通过Messages API发送并返回旧版响应", async () => {
+    const respond = jest.fn(() => createMessage());
+    const client = createClient(respond);
+
+    const completion = await client.sendCompletion({
+      model: MODEL,
+      prompt: `${HUMAN_PROMPT} 你好${AI_PROMPT}`,
+      maxTokens: 50,
+      stopSequences: [HUMAN_PROMPT, "END"],
+    });
+
+    expect(respond.mock.calls[0][0]).toMatchObject({
+      model: MODEL,
+      max_tokens: 50,
+      messages: [{ role: "user", content: "你好" }],
+      stop_sequences: ["END"],
+    });
+    expect(completion).toMatchObject({
+      type: "completion",
+      completion: "你好！",
+      stop_reason: "stop_sequence",
+    });
+  });
+
+  test("流式请求返回补全流", async () => {
+    const client = createClient(() => sseResponse(createStreamEvents()));
+
+    const stream = await client.sendCompletion({
+      model: MODEL,
+      prompt: `${HUMAN_PROMPT} 你好${AI_PROMPT}`,
+      stream: true,
+    });
+
+    expect(stream).toBeInstanceOf(CompletionStream);
+    await expect(stream.finalCompletion()).resolves.toMatchObject({
+      completion: "你好！",
+    });
+  });
+
+  test("提示无效时不发送请求", async () => {
+    const respond = jest.fn();
+    const client = createClient(respond);
+
+    await expect(
+      client.sendCompletion({ model: MODEL, prompt: "  " })
+    ).rejects.toBeInstanceOf(ValidationError);
+    expect(respond).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,258 @@
+const {
+  buildMessagesPayload,
+  validateMessagesPayload,
+  attachFileIds,
+  applyPromptCache,
+  resolvePromptCacheTargets,
+  estimateInputTokens,
+} = require("../../api/message-params");
+const { ValidationError } = require("../../core/error-handler");
+
+const base = {
+  model: "claude-sonnet-4-20250514",
+  messages: [{ role: "user", content: "你好" }],
+  maxTokens: 2048,
+};
+
+/**
+ * 校验请求体并返回抛出的错误
+ * @param {Object} payload - 请求体
+ * @returns {ValidationError|undefined} - 错误
+ */
+function validationError(payload) {
+  try {
+    validateMessagesPayload(payload);
+  } catch (error) {
+    return error;
+  }
+
+  return undefined;
+}
+
+describe("buildMessagesPayload", () => {
+  test("将选项名映射为请求体字段，省略未设置的字段", () => {
+    const payload = buildMessagesPayload({
+      ...base,
+      topP: 0.9,
+      stopSequences: ["END"],
+      temperature: null,
+      stream: true,
+    });
+
+    expect(payload).toEqual({
+      model: base.model,
+      messages: base.messages,
+      max_tokens: 2048,
+      top_p: 0.9,
+      stop_sequences: ["END"],
+      stream: true,
+    });
+  });
+
+  test("thinkingBudget转换为thinking，显式的thinking优先", () => {
+    expect(
+      buildMessagesPayload({ ...base, thinkingBudget: 1024 }).thinking
+    ).toEqual({ type: "enabled", budget_tokens: 1024 });
+    expect(
+      buildMessagesPayload({
+        ...base,
+        thinkingBudget: 1024,
+        thinking: { type: "disabled" },
+      }).thinking
+    ).toEqual({ type: "disabled" });
+  });
+
+  test("文件ID作为文档块附加到第一条用户消息，不修改原消息", () => {
+    const payload = buildMessagesPayload({
+      ...base,
+      fileIds: ["file_1"],
+      citations: true,
+    });
+
+    expect(payload.messages[0].content).toEqual([
+      {
+        type: "document",
+        source: { type: "file", file_id: "file_1" },
+        citations: { enabled: true },
+      },
+      { type: "text", text: "你好" },
+    ]);
+    expect(base.messages[0].content).toBe("你好");
+  });
+});
+
+describe("validateMessagesPayload", () => {
+  test("有效的请求体通过校验", () => {
+    expect(validationError(buildMessagesPayload(base))).toBeUndefined();
+  });
+
+  test.each([
+    [{ model: "" }, "model"],
+    [{ max_tokens: 0 }, "max_tokens"],
+    [{ messages: [] }, "messages"],
+    [{ messages: [{ role: "system", content: "x" }] }, "messages[0].role"],
+    [{ temperature: 1.5 }, "temperature"],
+    [{ top_k: 0.5 }, "top_k"],
+    [{ stop_sequences: [""] }, "stop_sequences"],
+    [{ metadata: { user: "a" } }, "metadata"],
+    [{ system: [{ type: "image" }] }, "system[0]"],
+  ])("无效字段 %j", (override, field) => {
+    const error = validationError({
+      ...buildMessagesPayload(base),
+      ...override,
+    });
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.data.field).toBe(field);
+  });
+
+  test("校验内容块和文档来源", () => {
+    const payload = buildMessagesPayload({
+      ...base,
+      messages: [
+        {
+          role: "user",
+          content: [
+            { type: "document", source: { type: "base64", data: "x" } },
+          ],
+        },
+      ],
+    });
+
+    expect(validationError(payload).data.field).toBe(
+      "messages[0].content[0].source.media_type"
+    );
+  });
+
+  test("校验工具定义和tool_choice", () => {
+    const tool = {
+      name: "echo",
+      input_schema: { type: "object", properties: {} },
+    };
+
+    expect(
+      validationError({
+        ...buildMessagesPayload(base),
+        tools: [tool, tool],
+      }).data.field
+    ).toBe("tools[1].name");
+    expect(
+      validationError({
+        ...buildMessagesPayload(base),
+        tools: [tool],
+        tool_choice: { type: "tool", name: "missing" },
+      }).data.field
+    ).toBe("tool_choice.name");
+  });
+
+  test("启用扩展思考时拒绝冲突的参数", () => {
+    const thinking = buildMessagesPayload({ ...base, thinkingBudget: 1024 });
+    const tools = [{ name: "echo", input_schema: { type: "object" } }];
+
+    expect(validationError({ ...thinking, max_tokens: 1024 }).data.field).toBe(
+      "thinking.budget_tokens"
+    );
+    expect(validationError({ ...thinking, temperature: 0.5 }).data.field).toBe(
+      "temperature"
+    );
+    expect(
+      validationError({
+        ...thinking,
+        tools,
+        tool_choice: { type: "tool", name: "echo" },
+      }).data.field
+    ).toBe("tool_choice.type");
+    expect(
+      validationError({ ...thinking, tools, tool_choice: { type: "auto" } })
+    ).toBeUndefined();
+  });
+});
+
+describe("提示缓存", () => {
+  test("解析缓存设置", () => {
+    expect(resolvePromptCacheTargets(undefined)).toEqual([]);
+    expect(resolvePromptCacheTargets("off")).toEqual([]);
+    expect(resolvePromptCacheTargets("auto")).toEqual([
+      "tools",
+      "system",
+      "documents",
+    ]);
+    expect(resolvePromptCacheTargets("system, history")).toEqual([
+      "system",
+      "history",
+    ]);
+    expect(() => resolvePromptCacheTargets("nowhere")).toThrow(ValidationError);
+  });
+
+  test("在工具、系统提示和最后一条消息上放置断点，不超过4个", () => {
+    const payload = applyPromptCache(
+      {
+        tools: [{ name: "a" }, { name: "b" }],
+        system: "系统提示",
+        messages: [
+          {
+            role: "user",
+            content: [
+              { type: "text", text: "a", cache_control: { type: "ephemeral" } },
+              { type: "text", text: "b", cache_control: { type: "ephemeral" } },
+            ],
+          },
+          { role: "user", content: "最后" },
+        ],
+      },
+      ["tools", "system", "history"]
+    );
+
+    expect(payload.tools[1].cache_control).toEqual({ type: "ephemeral" });
+    expect(payload.system).toEqual([
+      { type: "text", text: "系统提示", cache_control: { type: "ephemeral" } },
+    ]);
+    // 已有2个断点，达到上限后不再放置
+    expect(payload.messages[1].content).toEqual([
+      { type: "text", text: "最后" },
+    ]);
+  });
+
+  test("自动模式只缓存较大的附件", () => {
+    const messages = attachFileIds(
+      [{ role: "user", content: "总结" }],
+      ["file_1"]
+    );
+    const payload = applyPromptCache({ messages }, ["documents"]);
+
+    expect(payload.messages[0].content[0].cache_control).toEqual({
+      type: "ephemeral",
+    });
+    expect(messages[0].content[0].cache_control).toBeUndefined();
+  });
+});
+
+describe("estimateInputTokens", () => {
+  test("按字符数估算，base64内容按固定值计算", () => {
+    const text = estimateInputTokens({
+      messages: [{ role: "user", content: "a".repeat(400) }],
+    });
+    const image = estimateInputTokens({
+      messages: [
+        {
+          role: "user",
+          content: [
+            {
+              type: "image",
+              source: {
+                type: "base64",
+                media_type: "image/png",
+                data: "x".repeat(100000),
+              },
+            },
+          ],
+        },
+      ],
+    });
+
+    expect(text).toBeGreaterThanOrEqual(100);
+    expect(text).toBeLessThan(150);
+    expect(image).toBeGreaterThanOrEqual(1600);
+    expect(image).toBeLessThan(1700);
+  });
+});
@@ -0,0 +1,136 @@
+const { Readable } = require("stream");
+const MessageStream = require("../../api/message-stream");
+const { ApiError } = require("../../core/error-handler");
+
+const { decodeServerSentEvents, encodeServerSentEvents } = MessageStream;
+
+/**
+ * 收集异步迭代器的所有值
+ * @param {AsyncIterable} iterable - 异步迭代器
+ * @returns {Promise<Array>} - 值
+ */
+async function collect(iterable) {
+  const items = [];
+
+  for await (const item of iterable) {
+    items.push(item);
+  }
+
+  return items;
+}
+
+describe("decodeServerSentEvents", () => {
+  test("解码事件名和多行数据", async () => {
+    const events = await collect(
+      decodeServerSentEvents(["event: ping\ndata: a\ndata: b\n\n"])
+    );
+
+    expect(events).toEqual([{ event: "ping", data: "a\nb" }]);
+  });
+
+  test("处理跨块拆分的行、CRLF和被拆开的多字节字符", async () => {
+    const text = Buffer.from("event: x\r\ndata: 你好\r\n\r\n", "utf8");
+    // 在"\r"和"\n"之间、以及"你"的字节中间拆分
+    const chunks = [
+      text.subarray(0, 9),
+      text.subarray(9, 17),
+      text.subarray(17),
+    ];
+
+    const events = await collect(decodeServerSentEvents(chunks));
+
+    expect(events).toEqual([{ event: "x", data: "你好" }]);
+  });
+
+  test("忽略注释行，并输出末尾没有空行的事件", async () => {
+    const events = await collect(
+      decodeServerSentEvents([": keep-alive\n\ndata: last"])
+    );
+
+    expect(events).toEqual([{ event: null, data: "last" }]);
+  });
+
+  test("与encodeServerSentEvents互逆", async () => {
+    const sse = encodeServerSentEvents([
+      { event: "a", data: { text: "多\n行" } },
+      { event: "b", data: "plain" },
+    ]);
+
+    const events = await collect(decodeServerSentEvents([sse]));
+
+    expect(events).toEqual([
+      { event: "a", data: JSON.stringify({ text: "多\n行" }) },
+      { event: "b", data: "plain" },
+    ]);
+  });
+});
+
+describe("MessageStream", () => {
+  const message = {
+    id: "msg_1",
+    type: "message",
+    role: "assistant",
+    model: "claude-3-5-haiku-20241022",
+    content: [
+      { type: "text", text: "你好" },
+      { type: "tool_use", id: "tu_1", name: "echo", input: { value: 1 } },
+    ],
+    stop_reason: "tool_use",
+    stop_sequence: null,
+    usage: { input_tokens: 10, output_tokens: 5 },
+  };
+
+  test("从事件累积出完整消息", async () => {
+    const stream = MessageStream.fromMessage(message);
+
+    await expect(stream.finalMessage()).resolves.toEqual(message);
+    await expect(stream.finalText()).resolves.toBe("你好");
+  });
+
+  test("逐个返回类型化事件，并且只能消费一次", async () => {
+    const stream = MessageStream.fromMessage(message);
+    const types = (await collect(stream)).map((event) => event.type);
+
+    expect(types[0]).toBe("message_start");
+    expect(types[types.length - 1]).toBe("message_stop");
+    await expect(collect(stream)).rejects.toThrow("已被消费");
+  });
+
+  test("transformEvent丢弃的事件不会累积到消息中", async () => {
+    const stream = MessageStream.fromMessage(message, {
+      transformEvent: (event) =>
+        event.delta && event.delta.type === "text_delta" ? null : event,
+    });
+
+    await expect(stream.finalText()).resolves.toBe("");
+  });
+
+  test("error事件转换为对应类型的API错误", async () => {
+    const sse = encodeServerSentEvents([
+      {
+        event: "message_start",
+        data: { type: "message_start", message: { ...message, content: [] } },
+      },
+      {
+        event: "error",
+        data: {
+          type: "error",
+          error: { type: "overloaded_error", message: "Overloaded" },
+        },
+      },
+    ]);
+    const stream = new MessageStream(Readable.from([sse]));
+
+    const error = await stream.finalMessage().catch((caught) => caught);
+
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error.name).toBe("OverloadedError");
+    expect(error.retryable).toBe(true);
+  });
+
+  test("没有message_start就结束时报错", async () => {
+    const stream = new MessageStream(Readable.from([""]));
+
+    await expect(stream.finalMessage()).rejects.toThrow("收到消息前结束");
+  });
+});
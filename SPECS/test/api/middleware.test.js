@@ -0,0 +1,188 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const MiddlewarePipeline = require("../../api/middleware");
+const { ConfigurationError } = require("../../core/error-handler");
+
+describe("MiddlewarePipeline", () => {
+  /**
+   * 创建记录执行顺序的中间件
+   * @param {string} name - 名称
+   * @param {Array<string>} calls - 执行记录
+   * @returns {Object} - 中间件
+   */
+  function createRecorder(name, calls) {
+    return {
+      name,
+      request: async (context, next) => {
+        calls.push(`${name}:请求`);
+        const response = await next();
+        calls.push(`${name}:响应`);
+        return response;
+      },
+    };
+  }
+
+  test("按顺序包裹请求，中间件可以修改请求", async () => {
+    const calls = [];
+    const pipeline = new MiddlewarePipeline({
+      middlewares: [
+        createRecorder("a", calls),
+        async (context, next) => {
+          context.request.headers["x-trace"] = "1";
+          return next();
+        },
+        createRecorder("b", calls),
+      ],
+    });
+    const context = { request: { headers: {} } };
+
+    const response = await pipeline.execute(context, async ({ request }) => {
+      calls.push("发送");
+      return { status: 200, data: request.headers };
+    });
+
+    expect(calls).toEqual(["a:请求", "b:请求", "发送", "b:响应", "a:响应"]);
+    expect(response.data).toEqual({ "x-trace": "1" });
+  });
+
+  test("不调用next()时直接返回响应，跳过后续中间件", async () => {
+    const calls = [];
+    const handler = jest.fn();
+    const pipeline = new MiddlewarePipeline({
+      middlewares: [
+        {
+          name: "cached",
+          request: async () => ({ status: 200, data: "缓存" }),
+        },
+        createRecorder("b", calls),
+      ],
+    });
+
+    await expect(pipeline.execute({}, handler)).resolves.toEqual({
+      status: 200,
+      data: "缓存",
+    });
+    expect(calls).toEqual([]);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test("同一个中间件多次调用next()时报错", async () => {
+    const pipeline = new MiddlewarePipeline({
+      middlewares: [
+        {
+          name: "retry",
+          request: async (context, next) => {
+            await next();
+            return next();
+          },
+        },
+      ],
+    });
+
+    await expect(pipeline.execute({}, async () => ({}))).rejects.toThrow(
+      "中间件 retry 多次调用了next()"
+    );
+  });
+
+  test("添加到指定中间件之前，按名称移除", () => {
+    const request = async (context, next) => next();
+    const pipeline = new MiddlewarePipeline()
+      .use({ name: "a", request })
+      .use({ name: "b", request })
+      .use({ name: "c", request }, { before: "b" })
+      .use({ name: "d", request }, { before: "missing" });
+
+    expect(pipeline.list()).toEqual(["a", "c", "b", "d"]);
+    expect(pipeline.remove("c")).toBe(true);
+    expect(pipeline.remove("c")).toBe(false);
+    expect(pipeline.list()).toEqual(["a", "b", "d"]);
+  });
+
+  test("拒绝没有request或event方法的中间件", () => {
+    expect(() => new MiddlewarePipeline().use({ name: "x" })).toThrow(
+      ConfigurationError
+    );
+  });
+
+  test("依次处理流式事件，返回null时丢弃事件", () => {
+    const pipeline = new MiddlewarePipeline({
+      middlewares: [
+        {
+          name: "drop-ping",
+          event: (event) => (event.type === "ping" ? null : undefined),
+        },
+        {
+          name: "upper",
+          event: (event) =>
+            event.delta
+              ? { ...event, delta: { text: event.delta.text.toUpperCase() } }
+              : event,
+        },
+      ],
+    });
+    const delta = { type: "content_block_delta", delta: { text: "abc" } };
+
+    expect(pipeline.transformEvent({ type: "ping" }, {})).toBeNull();
+    expect(pipeline.transformEvent(delta, {})).toEqual({
+      type: "content_block_delta",
+      delta: { text: "ABC" },
+    });
+    expect(delta.delta.text).toBe("abc");
+  });
+
+  describe("load", () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "claude-cli-middleware-"));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test("加载中间件对象和工厂函数，相对路径相对于baseDir", async () => {
+      fs.writeFileSync(
+        path.join(dir, "header.js"),
+        "module.exports = (options) => ({ request: async (context, next) => { context.request.headers.team = options.team; return next(); } });"
+      );
+      fs.writeFileSync(
+        path.join(dir, "named.js"),
+        'module.exports = { name: "audit", event: (event) => event };'
+      );
+
+      const middlewares = MiddlewarePipeline.load(
+        [{ path: "./header.js", options: { team: "数据" } }, "./named.js"],
+        { baseDir: dir }
+      );
+      const context = { request: { headers: {} } };
+
+      await new MiddlewarePipeline({ middlewares }).execute(
+        context,
+        async () => ({})
+      );
+
+      expect(middlewares.map((middleware) => middleware.name)).toEqual([
+        "header",
+        "audit",
+      ]);
+      expect(context.request.headers.team).toBe("数据");
+    });
+
+    test("无效的中间件配置", () => {
+      fs.writeFileSync(path.join(dir, "empty.js"), "module.exports = {};");
+
+      expect(() => MiddlewarePipeline.load("./a.js")).toThrow(
+        "middleware配置必须是模块路径的数组"
+      );
+      expect(() => MiddlewarePipeline.load([{}])).toThrow("无效的中间件配置");
+      expect(() =>
+        MiddlewarePipeline.load(["./missing.js"], { baseDir: dir })
+      ).toThrow("无法加载中间件 ./missing.js");
+      expect(() =>
+        MiddlewarePipeline.load(["./empty.js"], { baseDir: dir })
+      ).toThrow("必须提供request或event方法");
+    });
+  });
+});
@@ -0,0 +1,151 @@
+const ApiClient = require("../../api/api-client");
+const MockServer = require("../../api/mock-server");
+const ErrorHandler = require("../../core/error-handler");
+
+const { RetryPolicy } = ApiClient;
+
+describe("MockServer", () => {
+  let server;
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  /**
+   * 启动模拟服务器并创建连接到它的客户端
+   * @param {Object} fixtures - 夹具
+   * @returns {Promise<ApiClient>} - 客户端
+   */
+  async function start(fixtures = {}) {
+    server = new MockServer({ fixtures });
+
+    const apiUrl = await server.start();
+
+    return new ApiClient({
+      apiKey: "sk-ant-test",
+      apiUrl,
+      cache: null,
+      cassette: null,
+      rateLimiter: null,
+      usageLedger: null,
+      budget: null,
+      uploadIndex: null,
+      config: { get: () => undefined },
+      retryPolicy: new RetryPolicy({ maxRetries: 0 }),
+      errorHandler: new ErrorHandler(),
+    });
+  }
+
+  const request = {
+    model: "claude-3-5-haiku-20241022",
+    messages: [{ role: "user", content: "你好" }],
+    maxTokens: 100,
+  };
+
+  test("没有预设响应时回显最后一条用户消息", async () => {
+    const client = await start();
+
+    const message = await client.sendMessages(request);
+
+    expect(message).toMatchObject({
+      type: "message",
+      model: request.model,
+      content: [{ type: "text", text: "Echo: 你好" }],
+      stop_reason: "end_turn",
+    });
+    expect(message.usage.input_tokens).toBeGreaterThan(0);
+  });
+
+  test("按条件匹配预设响应，并以流式事件返回", async () => {
+    const client = await start({
+      messages: [
+        { match: { contains: "天气" }, response: "晴天", times: 1 },
+        { match: { stream: true }, response: "流式回复" },
+      ],
+    });
+
+    const scripted = await client.sendMessages({
+      ...request,
+      messages: [{ role: "user", content: "今天天气如何？" }],
+    });
+    const stream = await client.sendMessages({ ...request, stream: true });
+
+    expect(scripted.content[0].text).toBe("晴天");
+    await expect(stream.finalText()).resolves.toBe("流式回复");
+  });
+
+  test("不存在的资源返回404", async () => {
+    const client = await start();
+
+    await expect(
+      client.getMessageBatch("msgbatch_missing")
+    ).rejects.toMatchObject({ name: "NotFoundError", statusCode: 404 });
+  });
+
+  test("注入的错误按次数生效", async () => {
+    const client = await start({
+      errors: [{ path: "/v1/messages", status: 529, times: 1 }],
+    });
+
+    const error = await client.sendMessages(request).catch((caught) => caught);
+
+    expect(error.name).toBe("OverloadedError");
+    expect(error.requestId).toMatch(/^req_mock_/);
+    await expect(client.sendMessages(request)).resolves.toMatchObject({
+      type: "message",
+    });
+  });
+
+  test("流式请求中途返回错误事件", async () => {
+    const client = await start({
+      errors: [{ path: "/v1/messages", status: 529, midStream: true }],
+    });
+
+    const stream = await client.sendMessages({ ...request, stream: true });
+
+    await expect(stream.finalMessage()).rejects.toMatchObject({
+      name: "OverloadedError",
+    });
+  });
+
+  test("校验API密钥", async () => {
+    const client = await start({ apiKey: "sk-ant-other" });
+
+    await expect(client.sendMessages(request)).rejects.toMatchObject({
+      name: "ApiAuthenticationError",
+      statusCode: 401,
+    });
+  });
+
+  test("批处理结束后返回每个请求的结果", async () => {
+    const client = await start();
+
+    const batch = await client.createMessageBatch([
+      {
+        custom_id: "a",
+        params: {
+          model: request.model,
+          max_tokens: 100,
+          messages: request.messages,
+        },
+      },
+    ]);
+    const ended = await client.getMessageBatch(batch.id);
+    const results = [];
+
+    for await (const result of client.streamMessageBatchResults(batch.id)) {
+      results.push(result);
+    }
+
+    expect(ended.processing_status).toBe("ended");
+    expect(results).toMatchObject([
+      {
+        custom_id: "a",
+        result: {
+          type: "succeeded",
+          message: { content: [{ type: "text", text: "Echo: 你好" }] },
+        },
+      },
+    ]);
+  });
+});
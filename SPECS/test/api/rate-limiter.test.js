@@ -0,0 +1,118 @@
+const RateLimiter = require("../../api/rate-limiter");
+
+describe("RateLimiter", () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date("2025-01-01T00:00:00Z") });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("没有限额时立即放行", async () => {
+    const limiter = new RateLimiter();
+
+    await expect(
+      limiter.acquire({ inputTokens: 1000 })
+    ).resolves.toHaveProperty("settle");
+    expect(limiter.getStatus().requests).toEqual({
+      limit: null,
+      available: null,
+    });
+  });
+
+  test("额度不足时排队，按时间补充后放行", async () => {
+    const limiter = new RateLimiter({ requestsPerMinute: 2 });
+    const granted = [];
+
+    for (let i = 0; i < 3; i++) {
+      limiter.acquire().then(() => granted.push(i));
+    }
+
+    await Promise.resolve();
+    expect(granted).toEqual([0, 1]);
+    expect(limiter.getStatus().queued).toBe(1);
+
+    // 每分钟2个请求，补充1个需要30秒
+    await jest.advanceTimersByTimeAsync(29999);
+    expect(granted).toEqual([0, 1]);
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect(granted).toEqual([0, 1, 2]);
+  });
+
+  test("按先进先出放行，队首等待时后面的小请求也等待", async () => {
+    const limiter = new RateLimiter({ outputTokensPerMinute: 100 });
+    const granted = [];
+
+    await limiter.acquire({ outputTokens: 60 });
+    limiter.acquire({ outputTokens: 80 }).then(() => granted.push("large"));
+    limiter.acquire({ outputTokens: 10 }).then(() => granted.push("small"));
+
+    await Promise.resolve();
+    expect(granted).toEqual([]);
+
+    await jest.advanceTimersByTimeAsync(60000);
+    expect(granted).toEqual(["large", "small"]);
+  });
+
+  test("settle按实际用量退回多预留的额度", async () => {
+    const limiter = new RateLimiter({ outputTokensPerMinute: 1000 });
+    const permit = await limiter.acquire({ outputTokens: 800 });
+
+    expect(limiter.getStatus().outputTokens.available).toBe(200);
+
+    permit.settle({ output_tokens: 100 });
+    permit.settle({ output_tokens: 100 });
+
+    expect(limiter.getStatus().outputTokens.available).toBe(900);
+  });
+
+  test("响应头收紧限额，并在额度耗尽时等待到重置时间", async () => {
+    const limiter = new RateLimiter({ requestsPerMinute: 100 });
+    const reset = new Date(Date.now() + 5000).toISOString();
+    let granted = false;
+
+    limiter.updateFromHeaders({
+      "anthropic-ratelimit-requests-limit": "50",
+      "anthropic-ratelimit-requests-remaining": "0",
+      "anthropic-ratelimit-requests-reset": reset,
+    });
+
+    expect(limiter.getStatus().requests.limit).toBe(50);
+
+    limiter.acquire().then(() => (granted = true));
+
+    await jest.advanceTimersByTimeAsync(4999);
+    expect(granted).toBe(false);
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect(granted).toBe(true);
+  });
+
+  test("响应头的限额不会超过显式配置的上限", () => {
+    const limiter = new RateLimiter({ requestsPerMinute: 10 });
+
+    limiter.updateFromHeaders({ "anthropic-ratelimit-requests-limit": "50" });
+
+    expect(limiter.getStatus().requests.limit).toBe(10);
+  });
+
+  test("中止信号会把请求移出队列", async () => {
+    const limiter = new RateLimiter({ requestsPerMinute: 1 });
+    const controller = new AbortController();
+
+    await limiter.acquire();
+    const waiting = limiter.acquire({}, { signal: controller.signal });
+
+    controller.abort(new Error("aborted"));
+
+    await expect(waiting).rejects.toThrow("aborted");
+    expect(limiter.getStatus().queued).toBe(0);
+  });
+
+  test("相同API密钥共享同一个限制器", () => {
+    expect(RateLimiter.shared("sk-a")).toBe(RateLimiter.shared("sk-a"));
+    expect(RateLimiter.shared("sk-a")).not.toBe(RateLimiter.shared("sk-b"));
+  });
+});
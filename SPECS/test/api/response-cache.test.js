@@ -0,0 +1,147 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ResponseCache = require("../../api/response-cache");
+
+describe("ResponseCache", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "claude-cli-cache-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * 创建响应
+   * @param {string} text - 回复文本
+   * @returns {Object} - 响应数据
+   */
+  function response(text) {
+    return {
+      id: "msg_1",
+      model: "claude-3-5-haiku-20241022",
+      content: [{ type: "text", text }],
+    };
+  }
+
+  /**
+   * 设置条目文件的修改时间
+   * @param {string} key - 缓存键
+   * @param {number} time - 时间戳（毫秒）
+   */
+  function touch(key, time) {
+    fs.utimesSync(path.join(dir, `${key}.json`), time / 1000, time / 1000);
+  }
+
+  test("缓存键忽略stream、metadata和对象键顺序", () => {
+    const key = ResponseCache.createKey({
+      model: "m",
+      temperature: 0,
+      messages: [{ role: "user", content: "你好" }],
+    });
+
+    expect(
+      ResponseCache.createKey({
+        messages: [{ content: "你好", role: "user" }],
+        temperature: 0,
+        model: "m",
+        stream: true,
+        metadata: { user_id: "u" },
+      })
+    ).toBe(key);
+    expect(
+      ResponseCache.createKey({ model: "m", temperature: 0.5, messages: [] })
+    ).not.toBe(key);
+  });
+
+  test("只缓存temperature为0的请求", () => {
+    expect(ResponseCache.isCacheable({ temperature: 0 })).toBe(true);
+    expect(ResponseCache.isCacheable({ temperature: 1 })).toBe(false);
+    expect(ResponseCache.isCacheable({})).toBe(false);
+  });
+
+  test("读取命中时累计命中次数", () => {
+    const cache = new ResponseCache({ dir });
+
+    cache.set("a", response("你好"));
+
+    expect(cache.get("a")).toEqual(response("你好"));
+    expect(cache.get("a")).toEqual(response("你好"));
+    expect(cache.get("missing")).toBeNull();
+    expect(cache.stats()).toMatchObject({ entries: 1, hits: 2 });
+  });
+
+  test("过期的条目在读取时删除", () => {
+    const cache = new ResponseCache({ dir, ttl: 1000 });
+    const now = Date.now();
+
+    cache.set("a", response("你好"));
+    jest.spyOn(Date, "now").mockReturnValue(now + 2000);
+
+    expect(cache.get("a")).toBeNull();
+    expect(fs.existsSync(path.join(dir, "a.json"))).toBe(false);
+  });
+
+  test("ttl为0时永不过期", () => {
+    const cache = new ResponseCache({ dir, ttl: 0 });
+    const now = Date.now();
+
+    cache.set("a", response("你好"));
+    jest.spyOn(Date, "now").mockReturnValue(now + 365 * 24 * 3600 * 1000);
+
+    expect(cache.get("a")).toEqual(response("你好"));
+  });
+
+  test("超过容量时淘汰最久未使用的条目", () => {
+    const cache = new ResponseCache({ dir });
+    const now = Date.now();
+
+    cache.set("a", response("a"));
+    cache.set("b", response("b"));
+    touch("a", now - 2000);
+    touch("b", now - 1000);
+
+    cache.maxSize = fs.statSync(path.join(dir, "a.json")).size * 2;
+    cache.set("c", response("c"));
+
+    expect(cache.get("a")).toBeNull();
+    expect(cache.get("b")).toEqual(response("b"));
+    expect(cache.get("c")).toEqual(response("c"));
+  });
+
+  test("淘汰时保留刚写入的条目", () => {
+    const cache = new ResponseCache({ dir });
+    // 已有条目的修改时间晚于新条目（例如时钟回拨或文件系统时间精度较低）
+    const later = Date.now() + 3600 * 1000;
+
+    cache.set("a", response("a"));
+    cache.set("b", response("b"));
+    touch("a", later);
+    touch("b", later + 1000);
+
+    cache.maxSize = fs.statSync(path.join(dir, "a.json")).size * 2;
+    cache.set("c", response("c"));
+
+    expect(cache.get("c")).toEqual(response("c"));
+    expect(cache.get("a")).toBeNull();
+    expect(cache.get("b")).toEqual(response("b"));
+  });
+
+  test("prune删除过期条目，clear删除所有条目", () => {
+    const cache = new ResponseCache({ dir, ttl: 1000 });
+    const now = Date.now();
+
+    cache.set("a", response("a"));
+    jest.spyOn(Date, "now").mockReturnValue(now + 2000);
+    cache.set("b", response("b"));
+
+    expect(cache.prune()).toBe(1);
+    expect(cache.stats().entries).toBe(1);
+    expect(cache.clear()).toBe(1);
+    expect(cache.stats().entries).toBe(0);
+  });
+});
@@ -0,0 +1,109 @@
+const RetryPolicy = require("../../api/retry-policy");
+
+/**
+ * 创建带响应的axios风格错误
+ * @param {number} status - 状态码
+ * @param {Object} headers - 响应头
+ * @returns {Error} - 错误对象
+ */
+function responseError(status, headers = {}) {
+  return Object.assign(new Error(`status ${status}`), {
+    response: { status, headers },
+  });
+}
+
+describe("RetryPolicy", () => {
+  const policy = new RetryPolicy({ maxRetries: 3, jitter: false });
+
+  test("可重试的状态码和网络错误会重试", () => {
+    expect(policy.shouldRetry(responseError(529), 0).retry).toBe(true);
+    expect(policy.shouldRetry(responseError(429), 0).retry).toBe(true);
+    expect(
+      policy.shouldRetry(Object.assign(new Error(), { code: "ECONNRESET" }), 0)
+        .retry
+    ).toBe(true);
+  });
+
+  test("客户端错误、取消和达到最大次数时不重试", () => {
+    expect(policy.shouldRetry(responseError(400), 0).retry).toBe(false);
+    expect(
+      policy.shouldRetry(Object.assign(new Error(), { name: "AbortError" }), 0)
+        .retry
+    ).toBe(false);
+    expect(policy.shouldRetry(responseError(529), 3).retry).toBe(false);
+  });
+
+  test("x-should-retry响应头优先于状态码", () => {
+    const forced = responseError(400, { "x-should-retry": "true" });
+    const refused = responseError(529, { "x-should-retry": "false" });
+
+    expect(policy.shouldRetry(forced, 0).retry).toBe(true);
+    expect(policy.shouldRetry(refused, 0).retry).toBe(false);
+  });
+
+  test("服务端建议的等待时间超过上限时不重试", () => {
+    const limited = new RetryPolicy({ maxRetryAfter: 1000 });
+
+    expect(
+      limited.shouldRetry(responseError(429, { "retry-after": "5" }), 0).retry
+    ).toBe(false);
+  });
+
+  test("指数退避不超过maxDelay", () => {
+    const capped = new RetryPolicy({
+      baseDelay: 100,
+      maxDelay: 500,
+      jitter: false,
+    });
+
+    expect(
+      [0, 1, 2, 3].map((attempt) => capped.getDelay(null, attempt))
+    ).toEqual([100, 200, 400, 500]);
+  });
+
+  test("随机抖动在[delay/2, delay]之间", () => {
+    const jittered = new RetryPolicy({ baseDelay: 1000 });
+
+    for (let i = 0; i < 20; i++) {
+      const delay = jittered.getDelay(null, 0);
+
+      expect(delay).toBeGreaterThanOrEqual(500);
+      expect(delay).toBeLessThanOrEqual(1000);
+    }
+  });
+
+  test("按retry-after-ms、retry-after和速率限制重置时间计算等待", () => {
+    const reset = new Date(Date.now() + 3000).toISOString();
+
+    expect(
+      policy.getDelay(responseError(429, { "retry-after-ms": "250" }), 0)
+    ).toBe(250);
+    expect(policy.getDelay(responseError(429, { "Retry-After": "2" }), 0)).toBe(
+      2000
+    );
+
+    const delay = policy.getDelay(
+      responseError(429, {
+        "anthropic-ratelimit-tokens-remaining": "0",
+        "anthropic-ratelimit-tokens-reset": reset,
+      }),
+      0
+    );
+
+    expect(delay).toBeGreaterThan(2000);
+    expect(delay).toBeLessThanOrEqual(3000);
+  });
+
+  test("with()覆盖部分选项", () => {
+    const derived = policy.with({ maxRetries: 0 });
+
+    expect(derived.maxRetries).toBe(0);
+    expect(derived.jitter).toBe(false);
+  });
+
+  test("getStatus兼容axios错误和转换后的错误", () => {
+    expect(RetryPolicy.getStatus(responseError(503))).toBe(503);
+    expect(RetryPolicy.getStatus({ statusCode: 529 })).toBe(529);
+    expect(RetryPolicy.getStatus(new Error())).toBeUndefined();
+  });
+});
@@ -0,0 +1,167 @@
+const {
+  OUTPUT_TOOL_NAME,
+  validateJsonSchema,
+  createOutputTool,
+  extractOutput,
+} = require("../../api/structured-output");
+const { ValidationError } = require("../../core/error-handler");
+
+describe("validateJsonSchema", () => {
+  const invoice = {
+    type: "object",
+    properties: {
+      number: { type: "string", pattern: "^INV-\\d+$" },
+      total: { type: "number", minimum: 0 },
+      currency: { enum: ["CNY", "USD"] },
+      items: {
+        type: "array",
+        minItems: 1,
+        items: { $ref: "#/$defs/item" },
+      },
+    },
+    required: ["number", "total"],
+    additionalProperties: false,
+    $defs: {
+      item: {
+        type: "object",
+        properties: { name: { type: "string", minLength: 1 } },
+        required: ["name"],
+      },
+    },
+  };
+
+  test("符合schema时没有错误", () => {
+    expect(
+      validateJsonSchema(
+        {
+          number: "INV-1",
+          total: 12.5,
+          currency: "CNY",
+          items: [{ name: "纸" }],
+        },
+        invoice
+      )
+    ).toEqual([]);
+  });
+
+  test("报告每个错误的位置", () => {
+    expect(
+      validateJsonSchema(
+        {
+          number: "1",
+          total: -1,
+          currency: "EUR",
+          items: [{ name: "" }, {}],
+          note: "",
+        },
+        invoice
+      )
+    ).toEqual([
+      "$.number: 应匹配正则表达式 ^INV-\\d+$",
+      "$.total: 应不小于 0",
+      '$.currency: 应为以下值之一: "CNY", "USD"',
+      "$.items[0].name: 长度应至少为 1",
+      "$.items[1]: 缺少必填属性 name",
+      "$: 不允许的属性 note",
+    ]);
+  });
+
+  test("类型不符时不再检查其他关键字", () => {
+    expect(validateJsonSchema("12", invoice)).toEqual([
+      "$: 应为object类型，实际为string",
+    ]);
+    expect(validateJsonSchema(1.5, { type: "integer" })).toEqual([
+      "$: 应为integer类型，实际为number",
+    ]);
+    expect(validateJsonSchema(null, { type: ["string", "null"] })).toEqual([]);
+  });
+
+  test("组合关键字", () => {
+    const schema = { oneOf: [{ type: "number" }, { minimum: 0 }] };
+
+    expect(validateJsonSchema(-1, schema)).toEqual([]);
+    expect(validateJsonSchema(1, schema)).toEqual([
+      "$: 应恰好符合oneOf中的一个schema，实际符合 2 个",
+    ]);
+    expect(
+      validateJsonSchema("a", { anyOf: [{ type: "number" }] })
+    ).toHaveLength(1);
+    expect(validateJsonSchema("a", { not: { type: "string" } })).toEqual([
+      "$: 不应符合not中的schema",
+    ]);
+  });
+
+  test("无法解析的引用", () => {
+    expect(() => validateJsonSchema(1, { $ref: "#/$defs/missing" })).toThrow(
+      ValidationError
+    );
+  });
+});
+
+describe("createOutputTool", () => {
+  test("非对象的schema包装在value属性中，并保留定义", () => {
+    const tool = createOutputTool({
+      type: "array",
+      items: { $ref: "#/$defs/item" },
+      $defs: { item: { type: "string" } },
+    });
+
+    expect(tool.name).toBe(OUTPUT_TOOL_NAME);
+    expect(tool.input_schema).toEqual({
+      type: "object",
+      properties: {
+        value: { type: "array", items: { $ref: "#/$defs/item" } },
+      },
+      required: ["value"],
+      $defs: { item: { type: "string" } },
+    });
+    expect(() => createOutputTool([])).toThrow(ValidationError);
+  });
+});
+
+describe("extractOutput", () => {
+  const objectSchema = { type: "object" };
+
+  test("优先使用结构化输出工具的输入", () => {
+    const toolUse = {
+      type: "tool_use",
+      id: "toolu_1",
+      name: OUTPUT_TOOL_NAME,
+      input: { value: [1, 2] },
+    };
+    const message = {
+      content: [{ type: "text", text: "{}" }, toolUse],
+    };
+
+    expect(extractOutput(message, { type: "array" })).toEqual({
+      value: [1, 2],
+      toolUse,
+      error: null,
+    });
+    expect(extractOutput(message, objectSchema).value).toEqual({
+      value: [1, 2],
+    });
+  });
+
+  test("没有调用工具时解析文本中的JSON", () => {
+    const message = {
+      content: [{ type: "text", text: '结果：\n```json\n{"a": 1}\n```' }],
+    };
+
+    expect(extractOutput(message, objectSchema)).toEqual({
+      value: { a: 1 },
+      toolUse: null,
+      error: null,
+    });
+  });
+
+  test("文本不是有效的JSON时返回错误", () => {
+    const result = extractOutput(
+      { content: [{ type: "text", text: "无法回答" }] },
+      objectSchema
+    );
+
+    expect(result.value).toBeUndefined();
+    expect(result.error).toMatch(/^响应中没有有效的JSON/);
+  });
+});
@@ -0,0 +1,182 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ApiClient = require("../../api/api-client");
+const UploadIndex = require("../../api/upload-index");
+const { NotFoundError } = require("../../core/error-handler");
+
+const { hashFile, getKeyFingerprint } = UploadIndex;
+
+describe("UploadIndex", () => {
+  let dir;
+  let indexPath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "claude-cli-uploads-"));
+    indexPath = path.join(dir, "uploads.json");
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  const file = { fileId: "file_1", filename: "a.txt", size: 1 };
+
+  test("按内容计算哈希，按API密钥计算指纹", async () => {
+    const filePath = path.join(dir, "a.txt");
+
+    fs.writeFileSync(filePath, "内容");
+
+    expect(await hashFile(filePath)).toBe(
+      crypto.createHash("sha256").update("内容").digest("hex")
+    );
+    expect(getKeyFingerprint("sk-ant-a")).toHaveLength(16);
+    expect(getKeyFingerprint("sk-ant-a")).not.toBe(
+      getKeyFingerprint("sk-ant-b")
+    );
+  });
+
+  test("条目按API密钥区分，并持久化到索引文件", () => {
+    new UploadIndex({ path: indexPath }).set("hash", "owner-a", file);
+
+    const index = new UploadIndex({ path: indexPath });
+
+    expect(index.get("hash", "owner-a")).toMatchObject(file);
+    expect(index.get("hash", "owner-b")).toBeNull();
+    expect(index.get("other", "owner-a")).toBeNull();
+  });
+
+  test("过期的条目在读取时删除，ttl为0时永不过期", () => {
+    const index = new UploadIndex({ path: indexPath, ttl: 1000 });
+    const permanent = new UploadIndex({ path: indexPath, ttl: 0 });
+    const now = Date.now();
+
+    index.set("a", "owner", file);
+    permanent.set("b", "owner", { ...file, fileId: "file_2" });
+    jest.spyOn(Date, "now").mockReturnValue(now + 2000);
+
+    expect(index.get("a", "owner")).toBeNull();
+    expect(index.get("b", "owner")).toMatchObject({
+      fileId: "file_2",
+      expiresAt: null,
+    });
+    expect(
+      Object.keys(JSON.parse(fs.readFileSync(indexPath, "utf8")).entries)
+    ).toEqual(["owner:b"]);
+  });
+
+  test("删除指向远程文件的所有条目", () => {
+    const index = new UploadIndex({ path: indexPath });
+
+    index.set("a", "owner-a", file);
+    index.set("a", "owner-b", file);
+
+    expect(index.remove("file_1")).toBe(true);
+    expect(index.remove("file_1")).toBe(false);
+    expect(index.get("a", "owner-a")).toBeNull();
+    expect(index.get("a", "owner-b")).toBeNull();
+  });
+
+  test("索引文件损坏时重新建立", () => {
+    const logger = { warn: jest.fn() };
+    const index = new UploadIndex({ path: indexPath, logger });
+
+    fs.writeFileSync(indexPath, "{");
+
+    expect(index.get("a", "owner")).toBeNull();
+    expect(logger.warn).toHaveBeenCalledWith(
+      expect.stringContaining("无法读取上传索引")
+    );
+
+    index.set("a", "owner", file);
+
+    expect(index.get("a", "owner")).toMatchObject(file);
+  });
+});
+
+describe("ApiClient.findOrUploadFile", () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "claude-cli-uploads-"));
+    filePath = path.join(dir, "report.txt");
+    fs.writeFileSync(filePath, "报告");
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * 创建使用临时上传索引的客户端，上传和查询文件不访问网络
+   * @param {Function} getFile - 查询文件元数据的函数
+   * @returns {ApiClient} - 客户端
+   */
+  function createClient(getFile) {
+    const client = new ApiClient({
+      apiKey: "sk-ant-test",
+      cache: null,
+      cassette: null,
+      rateLimiter: null,
+      usageLedger: null,
+      budget: null,
+      uploadIndex: new UploadIndex({ path: path.join(dir, "uploads.json") }),
+      config: { get: () => undefined },
+    });
+    let uploads = 0;
+
+    jest.spyOn(client, "uploadFile").mockImplementation(async () => ({
+      id: `file_${++uploads}`,
+      size_bytes: 6,
+    }));
+    jest.spyOn(client, "getFile").mockImplementation(getFile);
+
+    return client;
+  }
+
+  test("内容未变化时复用已上传的文件", async () => {
+    const client = createClient(async (fileId) => ({ id: fileId }));
+
+    const first = await client.findOrUploadFile({ filePath });
+    const second = await client.findOrUploadFile({ filePath });
+
+    expect(first).toEqual({
+      file: { id: "file_1", size_bytes: 6 },
+      reused: false,
+    });
+    expect(second).toEqual({ file: { id: "file_1" }, reused: true });
+    expect(client.uploadFile).toHaveBeenCalledTimes(1);
+  });
+
+  test("内容变化或远程文件已删除时重新上传", async () => {
+    const client = createClient(async () => {
+      throw new NotFoundError("文件不存在");
+    });
+
+    await client.findOrUploadFile({ filePath });
+    fs.writeFileSync(filePath, "新的报告");
+    await client.findOrUploadFile({ filePath });
+    const { file, reused } = await client.findOrUploadFile({ filePath });
+
+    expect(client.getFile).toHaveBeenCalledWith("file_2");
+    expect(file.id).toBe("file_3");
+    expect(reused).toBe(false);
+  });
+
+  test("查询远程文件的其他错误不会触发重新上传", async () => {
+    const client = createClient(async () => {
+      throw Object.assign(new Error("服务器错误"), { statusCode: 500 });
+    });
+
+    await client.findOrUploadFile({ filePath });
+
+    await expect(client.findOrUploadFile({ filePath })).rejects.toThrow(
+      "服务器错误"
+    );
+    expect(client.uploadFile).toHaveBeenCalledTimes(1);
+  });
+});
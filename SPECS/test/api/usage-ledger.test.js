@@ -0,0 +1,142 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const UsageLedger = require("../../api/usage-ledger");
+
+const { getModelPrice, estimateCost } = UsageLedger;
+
+describe("价格", () => {
+  test("按最长前缀匹配模型价格，缓存价格按倍数推算", () => {
+    expect(getModelPrice("claude-opus-4-5-20251101")).toEqual({
+      input: 5,
+      output: 25,
+      cacheWrite: 6.25,
+      cacheRead: 0.5,
+    });
+    expect(getModelPrice("claude-opus-4-20250514").input).toBe(15);
+    expect(getModelPrice("gpt-4")).toBeNull();
+  });
+
+  test("自定义价格覆盖默认价格", () => {
+    expect(
+      getModelPrice("my-model", {
+        "my-": { input: 1, output: 2, cacheRead: 0 },
+      })
+    ).toEqual({ input: 1, output: 2, cacheWrite: 1.25, cacheRead: 0 });
+  });
+
+  test("估算包含缓存读写的费用", () => {
+    const cost = estimateCost(
+      {
+        input_tokens: 1000000,
+        output_tokens: 1000000,
+        cache_creation_input_tokens: 1000000,
+        cache_read_input_tokens: 1000000,
+      },
+      "claude-sonnet-4-20250514"
+    );
+
+    expect(cost).toBeCloseTo(3 + 15 + 3.75 + 0.3);
+    expect(estimateCost({ input_tokens: 1 }, "unknown")).toBeNull();
+  });
+});
+
+describe("UsageLedger", () => {
+  let dir;
+  let ledger;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "usage-ledger-"));
+    ledger = new UsageLedger({ path: path.join(dir, "nested", "usage.jsonl") });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("追加记录并按条件读取", () => {
+    ledger.record({
+      model: "claude-sonnet-4-20250514",
+      keyName: "work",
+      usage: { input_tokens: 10, output_tokens: 20 },
+    });
+    ledger.record({ model: "claude-3-5-haiku-20241022", keyName: "home" });
+
+    expect(ledger.read()).toHaveLength(2);
+    expect(ledger.read({ model: "claude-sonnet" })).toEqual([
+      expect.objectContaining({
+        keyName: "work",
+        input_tokens: 10,
+        output_tokens: 20,
+        cache_read_input_tokens: 0,
+      }),
+    ]);
+    expect(ledger.read({ keyName: "home" })).toHaveLength(1);
+    expect(ledger.read({ since: Date.now() + 60000 })).toEqual([]);
+  });
+
+  test("跳过无法解析的行，文件不存在时返回空数组", () => {
+    expect(ledger.read()).toEqual([]);
+
+    ledger.record({ model: "claude-sonnet-4-20250514" });
+    fs.appendFileSync(ledger.path, "not json\n");
+
+    expect(ledger.read()).toHaveLength(1);
+  });
+
+  test("增量读取只返回完整的新行", () => {
+    ledger.record({ model: "a" });
+
+    const first = ledger.readFrom(0);
+
+    fs.appendFileSync(ledger.path, '{"model":"b"}\n{"model":');
+
+    const second = ledger.readFrom(first.offset);
+
+    expect(first.entries.map((entry) => entry.model)).toEqual(["a"]);
+    expect(second.entries).toEqual([{ model: "b" }]);
+    expect(ledger.readFrom(second.offset).entries).toEqual([]);
+    expect(ledger.readFrom(Infinity)).toMatchObject({ reset: true });
+  });
+
+  test("写入失败只返回null", () => {
+    const file = path.join(dir, "file");
+
+    fs.writeFileSync(file, "");
+
+    const broken = new UsageLedger({ path: path.join(file, "usage.jsonl") });
+
+    expect(broken.record({ model: "x" })).toBeNull();
+  });
+
+  test("按维度汇总，未知模型单独计数", () => {
+    const entries = [
+      {
+        timestamp: "2025-03-04T10:00:00",
+        model: "claude-sonnet-4-20250514",
+        input_tokens: 1000000,
+        output_tokens: 0,
+      },
+      {
+        timestamp: "2025-03-04T12:00:00",
+        model: "unknown",
+        input_tokens: 5,
+        output_tokens: 5,
+      },
+      {
+        timestamp: "2025-03-05T08:00:00",
+        model: "claude-sonnet-4-20250514",
+        output_tokens: 1000000,
+      },
+    ];
+
+    const byDay = ledger.summarize(entries, "day");
+
+    expect(byDay.map((row) => row.group)).toEqual(["2025-03-04", "2025-03-05"]);
+    expect(byDay[0]).toMatchObject({ requests: 2, cost: 3, unpriced: 1 });
+    expect(ledger.summarize(entries, "week")).toEqual([
+      expect.objectContaining({ group: "2025-03-03", requests: 3, cost: 18 }),
+    ]);
+    expect(() => ledger.summarize(entries, "hour")).toThrow("不支持的汇总维度");
+  });
+});
@@ -0,0 +1,94 @@
+const CommandHandler = require("../../commands/command-handler");
+
+describe("CommandHandler.parseArgs", () => {
+  const handler = new CommandHandler({ api: {} });
+
+  test("--citations 不会把问题当作选项的值", () => {
+    const parsed = handler.parseArgs([
+      "--document",
+      "report.pdf",
+      "--citations",
+      "报告的主要结论是什么？",
+    ]);
+
+    expect(parsed.options).toEqual({
+      document: "report.pdf",
+      citations: true,
+    });
+    expect(parsed.args).toEqual(["报告的主要结论是什么？"]);
+  });
+
+  test("标志选项不会吞掉后面的参数", () => {
+    const parsed = handler.parseArgs([
+      "--citations",
+      "报告的主要结论是什么？",
+      "--approve-tools",
+      "第二个参数",
+      "--no-image-resize",
+      "第三个参数",
+    ]);
+
+    expect(parsed.options).toEqual({
+      citations: true,
+      "approve-tools": true,
+      "no-image-resize": true,
+    });
+    expect(parsed.args).toEqual([
+      "报告的主要结论是什么？",
+      "第二个参数",
+      "第三个参数",
+    ]);
+  });
+
+  test("带值的选项仍然接收下一个参数", () => {
+    const parsed = handler.parseArgs([
+      "--model",
+      "claude-3-5-haiku-20241022",
+      "--trace=trace.har",
+      "-s",
+      "你好",
+    ]);
+
+    expect(parsed.options).toEqual({
+      model: "claude-3-5-haiku-20241022",
+      trace: "trace.har",
+      s: "你好",
+    });
+  });
+
+  test("标志选项可以用--flag=value显式指定", () => {
+    expect(handler.parseArgs(["--stream=false"]).options).toEqual({
+      stream: "false",
+    });
+  });
+});
+
+describe("CommandHandler全局选项", () => {
+  test("--trace 未指定文件路径时抛出验证错误", () => {
+    const api = { setTrace: jest.fn() };
+    const handler = new CommandHandler({ api });
+
+    for (const argv of [["--trace"], ["--trace="]]) {
+      const { options } = handler.parseArgs(argv);
+
+      expect(() => handler._applyGlobalOptions(options)).toThrow(
+        expect.objectContaining({
+          name: "ValidationError",
+          message: expect.stringContaining("--trace"),
+        })
+      );
+    }
+
+    expect(api.setTrace).not.toHaveBeenCalled();
+  });
+
+  test("--trace 指定文件路径时开启跟踪", () => {
+    const api = { setTrace: jest.fn() };
+    const handler = new CommandHandler({ api });
+    const { options } = handler.parseArgs(["--trace", "trace.har", "你好"]);
+
+    handler._applyGlobalOptions(options);
+
+    expect(api.setTrace).toHaveBeenCalledWith("trace.har");
+  });
+});
@@ -0,0 +1,144 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const BatchCommand = require("../../../commands/subcommands/batch");
+
+describe("BatchCommand", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "claude-cli-batch-"));
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * 写入JSONL请求文件
+   * @param {Array<Object|string>} lines - 请求（字符串原样写入）
+   * @returns {string} - 文件路径
+   */
+  function writeRequests(lines) {
+    const inputPath = path.join(dir, "requests.jsonl");
+
+    fs.writeFileSync(
+      inputPath,
+      lines
+        .map((line) => (typeof line === "string" ? line : JSON.stringify(line)))
+        .join("\n"),
+      "utf8"
+    );
+
+    return inputPath;
+  }
+
+  /**
+   * 创建使用指定API客户端的命令
+   * @param {Object} api - API客户端
+   * @returns {BatchCommand} - 命令
+   */
+  function createCommand(api) {
+    return new BatchCommand({
+      api,
+      config: { get: (key) => (key === "batchesPath" ? dir : undefined) },
+    });
+  }
+
+  const params = {
+    model: "claude-3-5-haiku-20241022",
+    max_tokens: 100,
+    messages: [{ role: "user", content: "你好" }],
+  };
+
+  test("提交请求，等待结束后写入结果并保存本地记录", async () => {
+    const inputPath = writeRequests([
+      { custom_id: "a", params },
+      "",
+      { custom_id: "b", params },
+    ]);
+    const api = {
+      createMessageBatch: jest.fn(async () => ({
+        id: "msgbatch_1",
+        processing_status: "in_progress",
+      })),
+      getMessageBatch: jest.fn(async () => ({
+        id: "msgbatch_1",
+        processing_status: "ended",
+        request_counts: { succeeded: 2 },
+      })),
+      streamMessageBatchResults: async function* () {
+        yield { custom_id: "a", result: { type: "succeeded" } };
+        yield { custom_id: "b", result: { type: "errored" } };
+      },
+    };
+
+    const output = await createCommand(api).execute(
+      [inputPath],
+      { "poll-interval": "0" },
+      "submit"
+    );
+
+    const outputPath = path.join(dir, "requests.results.jsonl");
+    const results = fs
+      .readFileSync(outputPath, "utf8")
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line));
+    const state = JSON.parse(
+      fs.readFileSync(path.join(dir, "msgbatch_1.json"), "utf8")
+    );
+
+    expect(api.createMessageBatch).toHaveBeenCalledWith([
+      { custom_id: "a", params },
+      { custom_id: "b", params },
+    ]);
+    expect(results.map((result) => result.custom_id)).toEqual(["a", "b"]);
+    expect(fs.existsSync(`${outputPath}.tmp`)).toBe(false);
+    expect(state).toMatchObject({ id: "msgbatch_1", requestCount: 2 });
+    expect(state.completedAt).toBeDefined();
+    expect(output).toContain("已写入 2 条结果");
+  });
+
+  test.each([
+    [[{ params }], "第 1 行无效: 缺少custom_id"],
+    [[{ custom_id: "a" }], "缺少params"],
+    [
+      [
+        { custom_id: "a", params },
+        { custom_id: "a", params },
+      ],
+      "第 2 行无效: custom_id重复: a",
+    ],
+    [[{ custom_id: "a", params: { ...params, max_tokens: 0 } }], "max_tokens"],
+    [["{"], "第 1 行无效"],
+    [[""], "请求数必须在 1 到"],
+  ])("拒绝无效的请求文件 %#", async (lines, message) => {
+    const api = { createMessageBatch: jest.fn() };
+    const inputPath = writeRequests(lines);
+
+    await expect(
+      createCommand(api).execute([inputPath], {}, "submit")
+    ).rejects.toThrow(message);
+    expect(api.createMessageBatch).not.toHaveBeenCalled();
+  });
+
+  test("--no-wait只提交不等待", async () => {
+    const api = {
+      createMessageBatch: jest.fn(async () => ({ id: "msgbatch_2" })),
+      getMessageBatch: jest.fn(),
+    };
+    const inputPath = writeRequests([{ custom_id: "a", params }]);
+
+    const output = await createCommand(api).execute(
+      [inputPath],
+      { "no-wait": true },
+      "submit"
+    );
+
+    expect(output).toContain("batch resume msgbatch_2");
+    expect(api.getMessageBatch).not.toHaveBeenCalled();
+  });
+});
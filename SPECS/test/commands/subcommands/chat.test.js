@@ -0,0 +1,203 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ChatCommand = require("../../../commands/subcommands/chat");
+const ErrorHandler = require("../../../core/error-handler");
+
+const { ApiError, InternalServerError, RateLimitError, ValidationError } =
+  ErrorHandler;
+
+describe("ChatCommand工具确认", () => {
+  const tool = { name: "echo" };
+  let isTTY;
+
+  beforeEach(() => {
+    isTTY = process.stdin.isTTY;
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.stdin.isTTY = isTTY;
+    jest.restoreAllMocks();
+  });
+
+  test("非交互式终端中拒绝执行需要确认的工具", async () => {
+    const chat = new ChatCommand({});
+
+    process.stdin.isTTY = false;
+
+    await expect(chat._approveToolCall(tool, {})).resolves.toBe(false);
+    expect(console.log).toHaveBeenCalledWith(
+      expect.stringContaining("--approve-tools")
+    );
+  });
+
+  test("已选择始终允许的工具不再询问", async () => {
+    const chat = new ChatCommand({});
+
+    process.stdin.isTTY = false;
+    chat.approvedTools.add("echo");
+
+    await expect(chat._approveToolCall(tool, {})).resolves.toBe(true);
+    expect(console.log).not.toHaveBeenCalled();
+  });
+});
+
+describe("ChatCommand提示缓存", () => {
+  /**
+   * 创建使用指定promptCache配置的命令
+   * @param {string} [promptCache] - 配置值
+   * @returns {ChatCommand} - 命令
+   */
+  function createChat(promptCache) {
+    return new ChatCommand({
+      config: {
+        get: (key) => (key === "promptCache" ? promptCache : undefined),
+      },
+    });
+  }
+
+  test("--prompt-cache指定断点，未指定时使用配置", () => {
+    expect(
+      createChat()._getPromptCacheOption({ "prompt-cache": "system,history" })
+    ).toBe("system,history");
+    expect(createChat()._getPromptCacheOption({ "prompt-cache": true })).toBe(
+      "auto"
+    );
+    expect(createChat("off")._getPromptCacheOption({})).toBe("off");
+    expect(createChat()._getPromptCacheOption({})).toBe("auto");
+  });
+
+  test("--cache-only不影响提示缓存", () => {
+    expect(createChat()._getPromptCacheOption({ "cache-only": true })).toBe(
+      "auto"
+    );
+  });
+});
+
+describe("ChatCommand结构化输出", () => {
+  let dir;
+  let schemaPath;
+  let exitCode;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "claude-cli-chat-"));
+    schemaPath = path.join(dir, "schema.json");
+    fs.writeFileSync(schemaPath, JSON.stringify({ type: "object" }));
+    exitCode = process.exitCode;
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(process.stdout, "write").mockImplementation(() => true);
+  });
+
+  afterEach(() => {
+    process.exitCode = exitCode;
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * 创建使用指定API客户端的命令
+   * @param {Object} api - API客户端
+   * @returns {{chat: ChatCommand, logger: Object, errorHandler: Object}} - 命令及其日志记录器和错误处理器
+   */
+  function createChat(api) {
+    const logger = {
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+      debug: jest.fn(),
+      setStderr: jest.fn(),
+    };
+    const errorHandler = { handleError: jest.fn() };
+    const chat = new ChatCommand({
+      api,
+      logger,
+      errorHandler,
+      config: {
+        get: (key) => (key === "sessionsPath" ? dir : undefined),
+      },
+    });
+
+    return { chat, logger, errorHandler };
+  }
+
+  test("日志写入标准错误，标准输出只包含JSON", async () => {
+    const api = {
+      sendStructuredMessage: jest.fn(async () => ({
+        data: { a: 1 },
+        message: { model: "claude-3-5-haiku-20241022" },
+        usage: { input_tokens: 1, output_tokens: 1 },
+      })),
+    };
+    const { chat, logger } = createChat(api);
+
+    await chat.execute(["提取信息"], {
+      "json-schema": schemaPath,
+      "thinking-budget": "2048",
+      "max-tokens": "1000",
+    });
+
+    expect(logger.setStderr).toHaveBeenCalledWith(true);
+    // 调整最大令牌数的提示在设置之后输出
+    expect(logger.setStderr.mock.invocationCallOrder[0]).toBeLessThan(
+      logger.info.mock.invocationCallOrder[0]
+    );
+    expect(process.stdout.write).toHaveBeenCalledWith('{\n  "a": 1\n}\n');
+    expect(console.log).not.toHaveBeenCalled();
+  });
+
+  test("校验失败时以非零退出码结束", async () => {
+    const error = new ValidationError("模型输出未通过JSON Schema校验");
+    const api = { sendStructuredMessage: jest.fn().mockRejectedValue(error) };
+    const { chat, errorHandler } = createChat(api);
+
+    await chat.execute(["提取信息"], { "json-schema": schemaPath });
+
+    expect(errorHandler.handleError).toHaveBeenCalledWith(error);
+    expect(process.exitCode).toBe(1);
+    expect(process.stdout.write).not.toHaveBeenCalled();
+  });
+});
+
+describe("ChatCommand错误处理", () => {
+  /**
+   * 创建请求回复时抛出指定错误的命令
+   * @param {Error} error - 错误
+   * @returns {ChatCommand} - 命令
+   */
+  function createChat(error) {
+    const chat = new ChatCommand({ errorHandler: new ErrorHandler() });
+
+    jest.spyOn(chat, "_requestAssistantMessage").mockRejectedValue(error);
+
+    return chat;
+  }
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("已分类的API错误原样抛出，保留requestId和重试信息", async () => {
+    const error = ApiError.create("请求过多", 429, {
+      headers: { "request-id": "req_1", "retry-after": "30" },
+    });
+
+    await expect(createChat(error)._sendMessage("你好", {})).rejects.toBe(
+      error
+    );
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error).toMatchObject({ requestId: "req_1", retryAfter: 30 });
+  });
+
+  test("未分类的错误按statusCode包装为API错误", async () => {
+    const error = Object.assign(new Error("连接被重置"), { statusCode: 503 });
+
+    const wrapped = await createChat(error)
+      ._sendMessage("你好", {})
+      .catch((caught) => caught);
+
+    expect(wrapped).toBeInstanceOf(InternalServerError);
+    expect(wrapped.message).toBe("发送消息失败: 连接被重置");
+    expect(wrapped.statusCode).toBe(503);
+  });
+});
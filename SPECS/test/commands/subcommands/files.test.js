@@ -0,0 +1,199 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+const FilesCommand = require("../../../commands/subcommands/files");
+
+describe("FilesCommand", () => {
+  let dir;
+  let isTTY;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "claude-cli-files-"));
+    isTTY = process.stdin.isTTY;
+    process.stdin.isTTY = false;
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.stdin.isTTY = isTTY;
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * 创建文件元数据
+   * @param {string} id - 文件ID
+   * @param {Object} fields - 其他字段
+   * @returns {Object} - 文件元数据
+   */
+  function createFile(id, fields = {}) {
+    return {
+      id,
+      filename: `${id}.txt`,
+      mime_type: "text/plain",
+      size_bytes: 100,
+      created_at: "2024-06-01T00:00:00Z",
+      downloadable: false,
+      ...fields,
+    };
+  }
+
+  test("上传匹配的文件，内容未变化的文件直接复用", async () => {
+    fs.writeFileSync(path.join(dir, "a.txt"), "a");
+    fs.writeFileSync(path.join(dir, "b.txt"), "b");
+    const api = {
+      findOrUploadFile: jest.fn(async ({ filePath }) => ({
+        file: createFile(path.basename(filePath, ".txt")),
+        reused: filePath.endsWith("b.txt"),
+      })),
+    };
+
+    const output = await new FilesCommand({ api }).execute(
+      [path.join(dir, "*.txt"), path.join(dir, "a.txt")],
+      {},
+      "upload"
+    );
+
+    expect(api.findOrUploadFile).toHaveBeenCalledTimes(2);
+    expect(output).toContain("未变化，已复用");
+    expect(output).toContain("已上传 1 个文件，复用 1 个");
+  });
+
+  test("单个文件上传失败不影响其他文件", async () => {
+    fs.writeFileSync(path.join(dir, "a.txt"), "a");
+    fs.writeFileSync(path.join(dir, "b.txt"), "b");
+    const api = {
+      findOrUploadFile: jest.fn(async ({ filePath }) => {
+        if (filePath.endsWith("b.txt")) {
+          throw new Error("文件过大");
+        }
+
+        return { file: createFile("a"), reused: false };
+      }),
+    };
+
+    const output = await new FilesCommand({ api }).execute(
+      [path.join(dir, "*.txt")],
+      {},
+      "upload"
+    );
+
+    expect(output).toContain("失败: 文件过大");
+    expect(output).toContain("已上传 1 个文件，1 个失败");
+  });
+
+  test("自动翻页列出所有文件并排序", async () => {
+    const api = {
+      listFiles: jest.fn(async ({ afterId }) =>
+        afterId
+          ? { data: [createFile("b", { size_bytes: 10 })], has_more: false }
+          : {
+              data: [createFile("a", { size_bytes: 20 })],
+              has_more: true,
+              last_id: "a",
+            }
+      ),
+    };
+
+    const output = await new FilesCommand({ api }).execute(
+      [],
+      { sort: "size", format: "json" },
+      "list"
+    );
+
+    expect(api.listFiles).toHaveBeenLastCalledWith({
+      limit: 100,
+      afterId: "a",
+    });
+    expect(JSON.parse(output).map((file) => file.id)).toEqual(["b", "a"]);
+  });
+
+  test("拒绝无效的排序字段和输出格式", async () => {
+    const command = new FilesCommand({ api: {} });
+
+    await expect(command.execute([], { sort: "type" }, "list")).rejects.toThrow(
+      "无效的排序字段: type"
+    );
+    await expect(
+      command.execute([], { format: "csv" }, "list")
+    ).rejects.toThrow("无效的输出格式: csv");
+  });
+
+  test("下载文件，不覆盖已存在的文件", async () => {
+    const outputPath = path.join(dir, "result.csv");
+    const api = {
+      downloadFile: jest.fn(async () => Readable.from(["a,b\n"])),
+    };
+    const command = new FilesCommand({ api });
+
+    const output = await command.execute(
+      ["file_1"],
+      { output: outputPath },
+      "download"
+    );
+
+    expect(fs.readFileSync(outputPath, "utf8")).toBe("a,b\n");
+    expect(fs.existsSync(`${outputPath}.download`)).toBe(false);
+    expect(output).toContain(`已下载 file_1 到 ${outputPath}`);
+    await expect(
+      command.execute(["file_1"], { output: outputPath }, "download")
+    ).rejects.toThrow("文件已存在");
+    expect(api.downloadFile).toHaveBeenCalledTimes(1);
+  });
+
+  test("删除多个文件需要确认，并报告失败的文件", async () => {
+    const api = {
+      deleteFile: jest.fn(async (fileId) => {
+        if (fileId === "file_2") {
+          throw new Error("文件不存在");
+        }
+      }),
+    };
+    const command = new FilesCommand({ api });
+
+    await expect(
+      command.execute(["file_1", "file_2"], {}, "delete")
+    ).resolves.toBe("已取消删除");
+    expect(api.deleteFile).not.toHaveBeenCalled();
+
+    const output = await command.execute(
+      ["file_1", "file_2", "file_1"],
+      { yes: true },
+      "delete"
+    );
+
+    expect(api.deleteFile).toHaveBeenCalledTimes(2);
+    expect(output).toBe("已删除 1 个文件，1 个失败:\n  file_2: 文件不存在");
+  });
+
+  test("清理早于指定时长的文件", async () => {
+    const now = Date.now();
+    const api = {
+      listFiles: jest.fn(async () => ({
+        data: [
+          createFile("old", {
+            created_at: new Date(now - 40 * 86400000).toISOString(),
+          }),
+          createFile("new", { created_at: new Date(now).toISOString() }),
+        ],
+        has_more: false,
+      })),
+      deleteFile: jest.fn(async () => {}),
+    };
+    const command = new FilesCommand({ api });
+
+    await expect(
+      command.execute([], { "older-than": "30d", "dry-run": true }, "prune")
+    ).resolves.toBe("将清理 1 个文件（未删除）");
+    expect(api.deleteFile).not.toHaveBeenCalled();
+
+    await expect(
+      command.execute([], { "older-than": "30d", yes: true }, "prune")
+    ).resolves.toBe("已删除 1 个文件");
+    expect(api.deleteFile).toHaveBeenCalledWith("old");
+    await expect(command.execute([], {}, "prune")).rejects.toThrow(
+      "请使用--older-than指定时长"
+    );
+  });
+});
@@ -0,0 +1,67 @@
+const {
+  ApiError,
+  InvalidRequestError,
+  ApiAuthenticationError,
+  PermissionDeniedError,
+  NotFoundError,
+  RateLimitError,
+  OverloadedError,
+  InternalServerError,
+} = require("../../core/error-handler");
+
+describe("ApiError.create", () => {
+  test.each([
+    ["invalid_request_error", 400, InvalidRequestError, false],
+    ["authentication_error", 401, ApiAuthenticationError, false],
+    ["permission_error", 403, PermissionDeniedError, false],
+    ["not_found_error", 404, NotFoundError, false],
+    ["rate_limit_error", 429, RateLimitError, true],
+    ["overloaded_error", 529, OverloadedError, true],
+    ["api_error", 500, InternalServerError, true],
+  ])("按错误类型%s创建对应的错误", (type, status, ErrorClass, retryable) => {
+    const error = ApiError.create("失败", status, {
+      type: "error",
+      error: { type, message: "失败" },
+    });
+
+    expect(error).toBeInstanceOf(ErrorClass);
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error.statusCode).toBe(status);
+    expect(error.retryable).toBe(retryable);
+  });
+
+  test("没有错误类型时按状态码推断", () => {
+    expect(ApiError.create("失败", 404)).toBeInstanceOf(NotFoundError);
+    expect(ApiError.create("失败", 529)).toBeInstanceOf(OverloadedError);
+    expect(ApiError.create("失败", 503)).toBeInstanceOf(InternalServerError);
+    expect(ApiError.create("失败", 418).constructor).toBe(ApiError);
+    expect(ApiError.create("失败").constructor).toBe(ApiError);
+  });
+
+  test("提取request-id和建议的重试等待时间", () => {
+    const error = ApiError.create("失败", 429, {
+      headers: { "request-id": "req_1", "retry-after": "3" },
+    });
+
+    expect(error.requestId).toBe("req_1");
+    expect(error.retryAfter).toBe(3);
+    expect(error.data).toMatchObject({ statusCode: 429, requestId: "req_1" });
+    expect(
+      ApiError.create("失败", 429, {
+        headers: { "retry-after-ms": "1500", "retry-after": "3" },
+      }).retryAfter
+    ).toBe(1.5);
+    expect(ApiError.create("失败", 429).retryAfter).toBeNull();
+  });
+
+  test("x-should-retry响应头优先于错误类型的默认值", () => {
+    expect(
+      ApiError.create("失败", 529, { headers: { "x-should-retry": "false" } })
+        .retryable
+    ).toBe(false);
+    expect(
+      ApiError.create("失败", 400, { headers: { "x-should-retry": "true" } })
+        .retryable
+    ).toBe(true);
+  });
+});
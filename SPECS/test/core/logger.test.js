@@ -0,0 +1,38 @@
+const Logger = require("../../core/logger");
+
+describe("Logger", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("默认只有错误写入标准错误", () => {
+    const logger = new Logger("debug");
+
+    logger.info("信息");
+    logger.error("错误");
+
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining("信息"));
+    expect(console.error).toHaveBeenCalledTimes(1);
+  });
+
+  test("启用stderr后所有级别都写入标准错误", () => {
+    const logger = new Logger("debug", { stderr: true });
+
+    logger.info("信息");
+    logger.setStderr(false);
+    logger.debug("调试");
+    logger.setStderr(true);
+    logger.warn("警告");
+
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining("信息"));
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining("警告"));
+    expect(console.log).toHaveBeenCalledTimes(1);
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,137 @@
+const ToolRegistry = require("../../tools/tool-registry");
+const { ValidationError } = require("../../core/error-handler");
+
+describe("ToolRegistry", () => {
+  /**
+   * 创建注册了echo工具的注册表
+   * @param {Object} overrides - 覆盖的工具字段
+   * @returns {ToolRegistry} - 工具注册表
+   */
+  function createRegistry(overrides = {}) {
+    const registry = new ToolRegistry();
+
+    registry.register({
+      name: "echo",
+      description: "原样返回输入",
+      inputSchema: {
+        type: "object",
+        properties: { value: { type: "string" } },
+        required: ["value"],
+      },
+      handler: (input) => ({ echoed: input.value }),
+      ...overrides,
+    });
+
+    return registry;
+  }
+
+  test("拒绝无效的工具定义", () => {
+    const registry = new ToolRegistry();
+    const handler = () => "";
+
+    expect(() => registry.register({ handler })).toThrow(ValidationError);
+    expect(() => registry.register({ name: "a b", handler })).toThrow(
+      "无效的工具名称"
+    );
+    expect(() => registry.register({ name: "a" })).toThrow("缺少处理函数");
+    expect(() =>
+      registry.register({
+        name: "a",
+        handler,
+        inputSchema: { type: "string" },
+      })
+    ).toThrow("object类型");
+  });
+
+  test("生成API工具定义，默认需要确认", () => {
+    const registry = createRegistry();
+
+    expect(registry.getDefinitions()).toEqual([
+      {
+        name: "echo",
+        description: "原样返回输入",
+        input_schema: registry.get("echo").inputSchema,
+      },
+    ]);
+    expect(registry.get("echo").requiresApproval).toBe(true);
+  });
+
+  test("执行工具调用，对象输出序列化为JSON", async () => {
+    const handler = jest.fn((input) => ({ echoed: input.value }));
+    const registry = createRegistry({ handler });
+    const controller = new AbortController();
+
+    const result = await registry.execute(
+      { id: "tu_1", name: "echo", input: { value: "你好" } },
+      { signal: controller.signal }
+    );
+
+    expect(result).toEqual({
+      type: "tool_result",
+      tool_use_id: "tu_1",
+      content: JSON.stringify({ echoed: "你好" }),
+    });
+    expect(handler).toHaveBeenCalledWith(
+      { value: "你好" },
+      { toolUseId: "tu_1", signal: controller.signal }
+    );
+  });
+
+  test("未知工具、缺少参数和处理函数出错时返回错误结果", async () => {
+    const registry = createRegistry();
+
+    registry.register({
+      name: "fail",
+      handler: () => {
+        throw new Error("磁盘已满");
+      },
+    });
+
+    const unknown = await registry.execute({ id: "tu_1", name: "missing" });
+    const missing = await registry.execute({ id: "tu_2", name: "echo" });
+    const failed = await registry.execute({ id: "tu_3", name: "fail" });
+
+    expect(unknown).toMatchObject({
+      is_error: true,
+      content: "未知工具: missing",
+    });
+    expect(missing).toMatchObject({
+      is_error: true,
+      content: "缺少必填参数: value",
+    });
+    expect(failed).toMatchObject({
+      tool_use_id: "tu_3",
+      is_error: true,
+      content: "磁盘已满",
+    });
+  });
+
+  test("未获批准时不执行处理函数", async () => {
+    const handler = jest.fn();
+    const registry = createRegistry({ handler });
+    const approve = jest.fn(async () => false);
+    const toolUse = { id: "tu_1", name: "echo", input: { value: "x" } };
+
+    const result = await registry.execute(toolUse, { approve });
+
+    expect(approve).toHaveBeenCalledWith(registry.get("echo"), { value: "x" });
+    expect(handler).not.toHaveBeenCalled();
+    expect(result).toMatchObject({
+      is_error: true,
+      content: "用户拒绝执行该工具",
+    });
+  });
+
+  test("不需要确认的工具直接执行", async () => {
+    const registry = createRegistry({ requiresApproval: false });
+    const approve = jest.fn(async () => false);
+
+    const result = await registry.execute(
+      { id: "tu_1", name: "echo", input: { value: "x" } },
+      { approve }
+    );
+
+    expect(approve).not.toHaveBeenCalled();
+    expect(result.is_error).toBeUndefined();
+  });
+});
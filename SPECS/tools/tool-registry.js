@@ -0,0 +1,225 @@
+/**
+ * 工具注册表模块
+ *
+ * 负责管理可供Claude调用的本地工具（函数调用），包括注册、生成API工具定义和执行工具调用。
+ */
+
+const { ValidationError } = require("../core/error-handler");
+const utils = require("../core/utils");
+
+/**
+ * 工具注册表类
+ */
+class ToolRegistry {
+  /**
+   * 创建工具注册表实例
+   * @param {Object} options - 选项
+   * @param {Object} options.logger - 日志记录器
+   */
+  constructor(options = {}) {
+    this.logger = options.logger;
+    this.tools = new Map();
+  }
+
+  /**
+   * 注册工具
+   * @param {Object} tool - 工具定义
+   * @param {string} tool.name - 工具名称
+   * @param {string} tool.description - 工具描述
+   * @param {Object} tool.inputSchema - 输入参数的JSON Schema
+   * @param {Function} tool.handler - 处理函数，接收(input, {toolUseId, signal})，返回字符串、对象或内容块数组
+   * @param {boolean} tool.requiresApproval - 执行前是否需要用户确认
+   */
+  register(tool) {
+    if (!tool || typeof tool.name !== "string" || !tool.name) {
+      throw new ValidationError("工具名称不能为空", { tool });
+    }
+
+    if (!/^[a-zA-Z0-9_-]{1,64}$/.test(tool.name)) {
+      throw new ValidationError(`无效的工具名称: ${tool.name}`, {
+        name: tool.name,
+      });
+    }
+
+    if (typeof tool.handler !== "function") {
+      throw new ValidationError(`工具缺少处理函数: ${tool.name}`, {
+        name: tool.name,
+      });
+    }
+
+    const inputSchema = tool.inputSchema || { type: "object", properties: {} };
+
+    if (!utils.isObject(inputSchema) || inputSchema.type !== "object") {
+      throw new ValidationError(
+        `工具的输入Schema必须是object类型: ${tool.name}`,
+        { name: tool.name }
+      );
+    }
+
+    if (this.tools.has(tool.name) && this.logger) {
+      this.logger.warn(`覆盖已注册的工具: ${tool.name}`);
+    }
+
+    this.tools.set(tool.name, {
+      name: tool.name,
+      description: tool.description || "",
+      inputSchema,
+      handler: tool.handler,
+      requiresApproval: tool.requiresApproval !== false,
+    });
+
+    if (this.logger) {
+      this.logger.debug(`已注册工具: ${tool.name}`);
+    }
+  }
+
+  /**
+   * 注销工具
+   * @param {string} name - 工具名称
+   * @returns {boolean} - 是否成功注销
+   */
+  unregister(name) {
+    return this.tools.delete(name);
+  }
+
+  /**
+   * 获取工具
+   * @param {string} name - 工具名称
+   * @returns {Object|null} - 工具定义
+   */
+  get(name) {
+    return this.tools.get(name) || null;
+  }
+
+  /**
+   * 列出所有工具
+   * @returns {Array<Object>} - 工具数组
+   */
+  list() {
+    return Array.from(this.tools.values());
+  }
+
+  /**
+   * 是否没有注册任何工具
+   * @returns {boolean}
+   */
+  isEmpty() {
+    return this.tools.size === 0;
+  }
+
+  /**
+   * 生成发送给API的工具定义
+   * @returns {Array<Object>} - Messages API工具定义
+   */
+  getDefinitions() {
+    return this.list().map((tool) => ({
+      name: tool.name,
+      description: tool.description,
+      input_schema: tool.inputSchema,
+    }));
+  }
+
+  /**
+   * 执行tool_use内容块，返回对应的tool_result内容块
+   * @param {Object} toolUse - tool_use内容块
+   * @param {Object} options - 选项
+   * @param {Function} options.approve - 确认函数，接收(tool, input)，返回Promise<boolean>
+   * @param {AbortSignal} options.signal - 中止信号，传递给处理函数
+   * @returns {Promise<Object>} - tool_result内容块
+   */
+  async execute(toolUse, options = {}) {
+    const tool = this.get(toolUse.name);
+
+    if (!tool) {
+      return this._errorResult(toolUse, `未知工具: ${toolUse.name}`);
+    }
+
+    const input = toolUse.input || {};
+    const missing = this._findMissingFields(tool.inputSchema, input);
+
+    if (missing.length > 0) {
+      return this._errorResult(toolUse, `缺少必填参数: ${missing.join(", ")}`);
+    }
+
+    if (tool.requiresApproval && options.approve) {
+      const approved = await options.approve(tool, input);
+
+      if (!approved) {
+        if (this.logger) {
+          this.logger.info(`用户拒绝执行工具: ${tool.name}`);
+        }
+        return this._errorResult(toolUse, "用户拒绝执行该工具");
+      }
+    }
+
+    try {
+      if (this.logger) {
+        this.logger.debug(`执行工具: ${tool.name} ${JSON.stringify(input)}`);
+      }
+
+      const output = await tool.handler(input, {
+        toolUseId: toolUse.id,
+        signal: options.signal,
+      });
+
+      return {
+        type: "tool_result",
+        tool_use_id: toolUse.id,
+        content: this._formatOutput(output),
+      };
+    } catch (error) {
+      if (this.logger) {
+        this.logger.error(`工具执行失败 ${tool.name}: ${error.message}`);
+      }
+      return this._errorResult(toolUse, error.message);
+    }
+  }
+
+  /**
+   * 查找缺少的必填字段
+   * @private
+   * @param {Object} schema - JSON Schema
+   * @param {Object} input - 输入对象
+   * @returns {Array<string>} - 缺少的字段
+   */
+  _findMissingFields(schema, input) {
+    const required = Array.isArray(schema.required) ? schema.required : [];
+    return required.filter((field) => input[field] === undefined);
+  }
+
+  /**
+   * 格式化工具输出
+   * @private
+   * @param {*} output - 处理函数的返回值
+   * @returns {string|Array<Object>} - tool_result内容
+   */
+  _formatOutput(output) {
+    if (output === undefined || output === null) {
+      return "";
+    }
+
+    if (typeof output === "string" || Array.isArray(output)) {
+      return output;
+    }
+
+    return JSON.stringify(output);
+  }
+
+  /**
+   * 创建错误的tool_result内容块
+   * @private
+   * @param {Object} toolUse - tool_use内容块
+   * @param {string} message - 错误消息
+   * @returns {Object} - tool_result内容块
+   */
+  _errorResult(toolUse, message) {
+    return {
+      type: "tool_result",
+      tool_use_id: toolUse.id,
+      content: message,
+      is_error: true,
+    };
+  }
+}
+
+module.exports = ToolRegistry;